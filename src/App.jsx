@@ -3,33 +3,52 @@ import { DatabaseLoader, useDatabase } from './components/DatabaseLoader';
 import { SolventSelector } from './components/SolventSelector';
 import { ConditionsPanel } from './components/ConditionsPanel';
 import { BufferSelector } from './components/BufferSelector';
+import { DatabaseSources } from './components/DatabaseSources';
+import { DatabaseVersions } from './components/DatabaseVersions';
 import { ReferencingPanel } from './components/ReferencingPanel';
 import { NucleusTabPanel } from './components/NucleusTabPanel';
 import { CalculateButton } from './components/CalculateButton';
 import { ResultsPanel } from './components/ResultsPanel';
-import { fitWithReassignment } from './numerical/fitting';
+import { BufferEditor } from './components/BufferEditor';
+import { searchAssignmentHypotheses } from './numerical/fitting';
 import { validateFitResult } from './numerical/validation';
+import { propagateCalibrationUncertainty } from './numerical/monteCarlo';
+import { calculatePHProfileInterval } from './numerical/profileLikelihood';
+import { resolveReferencing } from './numerical/referencing';
+import { findDuplicatePins, getLockKey } from './numerical/peakAssignment';
+import { getAnnotationLocks, getAnnotationUncertainties } from './spectra/shiftEntry';
+import { createDatabaseRecord } from './database/databaseVersions';
 import './App.css';
 
 /**
  * Main application content (requires DatabaseContext).
  */
 function AppContent() {
-  const { database, getNucleiForBuffers } = useDatabase();
+  const { database, databaseVersion, getNucleiForBuffers } = useDatabase();
 
   // State
   const [solvent, setSolvent] = useState('');
   const [selectedBufferIds, setSelectedBufferIds] = useState([]);
   const [temperature, setTemperature] = useState(298.15);
+  const [temperatureSource, setTemperatureSource] = useState(null);
   const [ionicStrength, setIonicStrength] = useState(0.15);
   const [refineTemperature, setRefineTemperature] = useState(false);
   const [refineIonicStrength, setRefineIonicStrength] = useState(false);
   const [protonFrequency, setProtonFrequency] = useState(null);
+  const [dssShift, setDssShift] = useState(null);
+  const [acquisitions, setAcquisitions] = useState({});
   const [referenceConfigs, setReferenceConfigs] = useState({});
   const [observedShifts, setObservedShifts] = useState({});
+  const [shiftAnnotations, setShiftAnnotations] = useState({});
+  const [observedCorrelations, setObservedCorrelations] = useState({});
+  const [measurementUncertainties, setMeasurementUncertainties] = useState({});
+  const [shiftUncertainties, setShiftUncertainties] = useState({});
+  const [monteCarlo, setMonteCarlo] = useState(false);
+  const [assignmentLocks, setAssignmentLocks] = useState({});
   const [calculating, setCalculating] = useState(false);
   const [result, setResult] = useState(null);
   const [validation, setValidation] = useState(null);
+  const [view, setView] = useState('estimate');
 
   // Derived state
   const selectedBuffers = useMemo(() => {
@@ -43,10 +62,30 @@ function AppContent() {
     return getNucleiForBuffers(selectedBuffers);
   }, [selectedBuffers, getNucleiForBuffers]);
 
-  // Count total observed shifts
+  // Locks and uncertainties from annotated shift entries; overrides made in
+  // the assignments table take precedence over the entry annotations
+  const combinedLocks = useMemo(() => {
+    const { locks } = getAnnotationLocks(shiftAnnotations, selectedBuffers);
+    const combined = { ...locks };
+    for (const [nucleus, nucleusLocks] of Object.entries(assignmentLocks)) {
+      combined[nucleus] = { ...combined[nucleus], ...nucleusLocks };
+    }
+    return combined;
+  }, [shiftAnnotations, selectedBuffers, assignmentLocks]);
+
+  const combinedUncertainties = useMemo(() => {
+    const combined = { ...shiftUncertainties };
+    for (const [nucleus, uncertainties] of Object.entries(getAnnotationUncertainties(shiftAnnotations))) {
+      combined[nucleus] = { ...combined[nucleus], ...uncertainties };
+    }
+    return combined;
+  }, [shiftAnnotations, shiftUncertainties]);
+
+  // Count total observed shifts (a cross peak counts for both of its shifts)
   const totalObservedShifts = useMemo(() => {
-    return Object.values(observedShifts).reduce((sum, shifts) => sum + shifts.length, 0);
-  }, [observedShifts]);
+    return Object.values(observedShifts).reduce((sum, shifts) => sum + shifts.length, 0) +
+      Object.values(observedCorrelations).reduce((sum, peaks) => sum + 2 * peaks.length, 0);
+  }, [observedShifts, observedCorrelations]);
 
   // Check if can calculate
   const canCalculate = selectedBuffers.length > 0 && totalObservedShifts > 0;
@@ -61,10 +100,41 @@ function AppContent() {
     setSolvent(newSolvent);
     setSelectedBufferIds([]);
     setObservedShifts({});
+    setShiftAnnotations({});
+    setObservedCorrelations({});
+    setAssignmentLocks({});
     setResult(null);
     setValidation(null);
   }, []);
 
+  // Handle buffer selection change - overrides refer to the previous buffers
+  const handleBufferSelectionChange = useCallback((bufferIds) => {
+    setSelectedBufferIds(bufferIds);
+    setAssignmentLocks({});
+  }, []);
+
+  // Handle temperature typed by the user (no longer the acquisition value)
+  const handleTemperatureChange = useCallback((value) => {
+    setTemperature(value);
+    setTemperatureSource(null);
+  }, []);
+
+  // Handle Bruker acquisition parameters: prefill the temperature and 1H
+  // frequency, and keep the experiment for the session metadata
+  const handleAcquisitionLoad = useCallback((acquisition) => {
+    if (acquisition.temperature) {
+      setTemperature(acquisition.temperature);
+      setTemperatureSource(acquisition);
+    }
+    if (acquisition.protonFrequency) {
+      setProtonFrequency(acquisition.protonFrequency);
+    }
+    setAcquisitions(prev => ({
+      ...prev,
+      [acquisition.nucleus]: acquisition
+    }));
+  }, []);
+
   // Handle reference config change
   const handleReferenceConfigChange = useCallback((nucleus, config) => {
     setReferenceConfigs(prev => ({
@@ -73,17 +143,70 @@ function AppContent() {
     }));
   }, []);
 
-  // Handle shifts change
-  const handleShiftsChange = useCallback((nucleus, shifts) => {
+  // Handle shifts change (annotations are only known for typed entries)
+  const handleShiftsChange = useCallback((nucleus, shifts, annotations = {}) => {
     setObservedShifts(prev => ({
       ...prev,
       [nucleus]: shifts
     }));
+    setShiftAnnotations(prev => ({
+      ...prev,
+      [nucleus]: annotations
+    }));
     // Clear previous results when shifts change
     setResult(null);
     setValidation(null);
   }, []);
 
+  // Handle 2D cross peaks change for a heteronucleus
+  const handleCorrelationsChange = useCallback((nucleus, peaks) => {
+    setObservedCorrelations(prev => ({
+      ...prev,
+      [nucleus]: peaks
+    }));
+    setResult(null);
+    setValidation(null);
+  }, []);
+
+  // Handle measurement precision change
+  const handleMeasurementUncertaintyChange = useCallback((nucleus, uncertainty) => {
+    setMeasurementUncertainties(prev => ({
+      ...prev,
+      [nucleus]: uncertainty
+    }));
+  }, []);
+
+  // Handle per-peak precision, e.g. from a lineshape fit (replaces the nucleus's values)
+  const handleShiftUncertaintiesChange = useCallback((nucleus, uncertainties) => {
+    setShiftUncertainties(prev => ({
+      ...prev,
+      [nucleus]: uncertainties
+    }));
+  }, []);
+
+  // Handle manual assignment override (lock is null to return to automatic)
+  const handleAssignmentLockChange = useCallback((nucleus, shift, lock) => {
+    setAssignmentLocks(prev => {
+      const nucleusLocks = { ...prev[nucleus] };
+      if (lock) {
+        nucleusLocks[getLockKey(shift)] = lock;
+      } else {
+        delete nucleusLocks[getLockKey(shift)];
+      }
+      return {
+        ...prev,
+        [nucleus]: nucleusLocks
+      };
+    });
+  }, []);
+
+  // Clear all manual assignment overrides, e.g. after a fit failed on them
+  const handleClearAssignmentOverrides = useCallback(() => {
+    setAssignmentLocks({});
+    setResult(null);
+    setValidation(null);
+  }, []);
+
   // Handle calculation
   const handleCalculate = useCallback(async () => {
     if (!canCalculate || !database) return;
@@ -93,25 +216,52 @@ function AppContent() {
     setValidation(null);
 
     try {
-      // Build fitting options
-      const refineReferences = {};
-      for (const [nucleus, config] of Object.entries(referenceConfigs)) {
-        if (config.mode === 'not_referenced' && config.refineOffset) {
-          refineReferences[nucleus] = true;
-        }
+      // Each resonance can only be assigned once, so it can only be pinned to one peak
+      const duplicatePins = findDuplicatePins(observedShifts, combinedLocks);
+      if (duplicatePins.length > 0) {
+        setResult({
+          success: false,
+          error: duplicatePins.map(pin =>
+            `${pin.nucleus} resonance ${pin.resonance_id} of ${pin.buffer_id} is pinned to more than one peak ` +
+            `(${pin.shifts.map(shift => shift.toFixed(3)).join(', ')} ppm)`
+          ).join('; ')
+        });
+        return;
       }
 
+      // Build fitting options
+      const {
+        referenceOffsets,
+        refineReferences,
+        indirectReferences,
+        referenceFree,
+        expectedReferenceOffsets
+      } = resolveReferencing(
+        referenceConfigs,
+        nuclei,
+        protonFrequency,
+        dssShift
+      );
+
       const options = {
         refineTemperature,
         refineIonicStrength,
         refineReferences,
-        initialPH: 7.0
+        indirectReferences,
+        referenceFree,
+        protonFrequency,
+        measurementUncertainties,
+        shiftUncertainties: combinedUncertainties,
+        assignmentLocks: combinedLocks,
+        annotations: shiftAnnotations,
+        correlations: observedCorrelations,
+        weighted: true
       };
 
       const conditions = {
         temperature,
         ionicStrength,
-        referenceOffsets: {}
+        referenceOffsets
       };
 
       // Get samples for selected buffers
@@ -121,25 +271,67 @@ function AppContent() {
         .filter(Boolean);
 
       // Run fitting
-      const fitResult = await new Promise((resolve) => {
-        // Use setTimeout to allow UI to update
+      const fitResult = await new Promise((resolve, reject) => {
+        // Use setTimeout to allow UI to update; errors thrown here would
+        // escape the surrounding try, so they reject the promise instead
         setTimeout(() => {
-          const result = fitWithReassignment(
-            observedShifts,
-            selectedBuffers,
-            database.samplesMap,
-            conditions,
-            options
-          );
-          resolve(result);
+          try {
+            const result = searchAssignmentHypotheses(
+              observedShifts,
+              selectedBuffers,
+              database.samplesMap,
+              conditions,
+              options
+            );
+
+            if (result.success) {
+              result.profileInterval = calculatePHProfileInterval(
+                result,
+                selectedBuffers,
+                database.samplesMap,
+                options
+              );
+            }
+
+            if (result.success && monteCarlo) {
+              result.calibrationUncertainty = propagateCalibrationUncertainty(
+                observedShifts,
+                selectedBuffers,
+                database.samplesMap,
+                { ...conditions, pH: result.conditions.pH },
+                { ...options, initialPH: result.conditions.pH, assignments: result.assignments }
+              );
+            }
+
+            resolve(result);
+          } catch (error) {
+            reject(error);
+          }
         }, 50);
       });
 
+      // Record the exact database and inputs used, so the result can be recomputed
+      fitResult.database = await createDatabaseRecord(databaseVersion.data, database.sources, selectedBuffers, samples);
+      fitResult.inputs = {
+        solvent,
+        bufferIds: selectedBuffers.map(b => b.buffer_id),
+        observedShifts,
+        referenceConfigs,
+        dssShift,
+        monteCarlo,
+        conditions,
+        options
+      };
+
       setResult(fitResult);
 
       // Validate result
       if (fitResult.success) {
-        const validationResult = validateFitResult(fitResult, conditions, samples);
+        const validationResult = validateFitResult(
+          fitResult,
+          { ...conditions, expectedReferenceOffsets },
+          samples
+        );
         setValidation(validationResult);
       }
     } catch (error) {
@@ -154,13 +346,24 @@ function AppContent() {
   }, [
     canCalculate,
     database,
+    databaseVersion,
     selectedBuffers,
+    nuclei,
+    protonFrequency,
+    dssShift,
     observedShifts,
+    solvent,
     temperature,
     ionicStrength,
     refineTemperature,
     refineIonicStrength,
-    referenceConfigs
+    referenceConfigs,
+    measurementUncertainties,
+    combinedUncertainties,
+    combinedLocks,
+    shiftAnnotations,
+    observedCorrelations,
+    monteCarlo
   ]);
 
   return (
@@ -170,28 +373,56 @@ function AppContent() {
         <p className="subtitle">
           Estimate sample pH from buffer chemical shifts
         </p>
+        <nav className="tab-header view-tabs">
+          <button
+            type="button"
+            className={`tab-button ${view === 'estimate' ? 'active' : ''}`}
+            onClick={() => setView('estimate')}
+          >
+            pH estimation
+          </button>
+          <button
+            type="button"
+            className={`tab-button ${view === 'editor' ? 'active' : ''}`}
+            onClick={() => setView('editor')}
+          >
+            Buffer editor
+          </button>
+        </nav>
       </header>
 
-      <main className="app-main">
+      {view === 'editor' && (
+        <main className="app-main">
+          <BufferEditor />
+        </main>
+      )}
+
+      {/* Kept mounted while editing buffers, so entered data survives */}
+      <main className="app-main" style={{ display: view === 'estimate' ? undefined : 'none' }}>
         <section className="setup-section">
           <div className="setup-row">
             <SolventSelector value={solvent} onChange={handleSolventChange} />
             <ConditionsPanel
               temperature={temperature}
+              temperatureSource={temperatureSource}
               ionicStrength={ionicStrength}
               refineTemperature={refineTemperature}
               refineIonicStrength={refineIonicStrength}
-              onTemperatureChange={setTemperature}
+              onTemperatureChange={handleTemperatureChange}
               onIonicStrengthChange={setIonicStrength}
               onRefineTemperatureChange={setRefineTemperature}
               onRefineIonicStrengthChange={setRefineIonicStrength}
+              onAcquisitionLoad={handleAcquisitionLoad}
             />
           </div>
 
+          <DatabaseSources />
+          <DatabaseVersions />
+
           <BufferSelector
             solvent={solvent}
             selectedBufferIds={selectedBufferIds}
-            onSelectionChange={setSelectedBufferIds}
+            onSelectionChange={handleBufferSelectionChange}
           />
 
           {nuclei.length > 0 && (
@@ -199,8 +430,10 @@ function AppContent() {
               nuclei={nuclei}
               referenceConfigs={referenceConfigs}
               protonFrequency={protonFrequency}
+              dssShift={dssShift}
               onConfigChange={handleReferenceConfigChange}
               onProtonFrequencyChange={setProtonFrequency}
+              onDssShiftChange={setDssShift}
             />
           )}
         </section>
@@ -215,8 +448,18 @@ function AppContent() {
               ionicStrength={ionicStrength}
               observedShifts={observedShifts}
               onShiftsChange={handleShiftsChange}
+              observedCorrelations={observedCorrelations}
+              onCorrelationsChange={handleCorrelationsChange}
+              measurementUncertainties={measurementUncertainties}
+              onMeasurementUncertaintyChange={handleMeasurementUncertaintyChange}
+              protonFrequency={protonFrequency}
+              onAcquisitionLoad={handleAcquisitionLoad}
+              onShiftUncertaintiesChange={handleShiftUncertaintiesChange}
               fittedPH={result?.success ? result.parameters.pH.value : null}
-              phUncertainty={result?.success ? result.parameters.pH.uncertainty : null}
+              phUncertainty={result?.success
+                ? result.calibrationUncertainty?.parameters?.pH.total ?? result.parameters.pH.uncertainty
+                : null}
+              phInterval={result?.profileInterval?.success ? result.profileInterval : null}
               assignments={result?.success ? result.assignments : null}
             />
 
@@ -225,6 +468,8 @@ function AppContent() {
               loading={calculating}
               disabled={!canCalculate}
               disabledReason={calculateDisabledReason}
+              monteCarlo={monteCarlo}
+              onMonteCarloChange={setMonteCarlo}
             />
           </section>
         )}
@@ -238,6 +483,13 @@ function AppContent() {
               buffers={selectedBuffers}
               samplesMap={database.samplesMap}
               observedShifts={observedShifts}
+              shiftAnnotations={shiftAnnotations}
+              observedCorrelations={observedCorrelations}
+              acquisitions={acquisitions}
+              assignmentLocks={combinedLocks}
+              hasAssignmentOverrides={Object.values(assignmentLocks).some(locks => Object.keys(locks).length > 0)}
+              onAssignmentLockChange={handleAssignmentLockChange}
+              onClearAssignmentOverrides={handleClearAssignmentOverrides}
             />
           </section>
         )}
@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import { fitCalibration } from '../../numerical/calibration';
+import { parseTitrationTable } from '../../spectra/titrationTable';
+import { CalibrationResiduals } from './CalibrationResiduals';
+
+/**
+ * Example titration table shown in the empty input.
+ */
+const TABLE_PLACEHOLDER = `pH\tT_K\tI_M\t1H:CH2\t19F:CF3
+3.02\t298.15\t0.10\t3.712\t-75.88
+4.11\t298.15\t0.10\t3.689\t-75.74
+...`;
+
+/**
+ * Ionic strength models available for the calibration.
+ */
+const IONIC_STRENGTH_MODELS = {
+  davies: 'Davies',
+  extended_debye_huckel: 'Extended Debye-Hückel',
+  empirical: 'Empirical coefficient',
+  none: 'None'
+};
+
+/**
+ * CalibrationPanel component.
+ * Fits the buffer model globally to a titration table of observed shifts
+ * at measured pH, temperature and ionic strength, giving the pKa values,
+ * ΔH (and ΔCp), and the limiting shifts of every resonance with their
+ * temperature and ionic strength coefficients. Temperature and ionic
+ * strength dependence is fitted when the data span them. The result shows
+ * the residuals of every resonance and can replace the entry's parameters.
+ */
+export function CalibrationPanel({ buffer, sample, onApply }) {
+  const firstPKa = buffer.pKa_parameters[0];
+
+  const [text, setText] = useState('');
+  const [pKaCount, setPKaCount] = useState(buffer.pKa_parameters.length);
+  const [protonatedCharge, setProtonatedCharge] = useState(firstPKa?.protonated_charge ?? 0);
+  const [ionicStrengthModel, setIonicStrengthModel] = useState(firstPKa?.ionic_strength_model ?? 'davies');
+  const [pHUncertainty, setPHUncertainty] = useState('0.02');
+  const [fitHeatCapacity, setFitHeatCapacity] = useState(false);
+  const [fitting, setFitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const referenceTemperature = sample?.reference_temperature_K ?? 298.15;
+  const referenceIonicStrength = sample?.reference_ionic_strength_M ?? 0;
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setText(await file.text());
+    e.target.value = '';
+  };
+
+  const handleFit = () => {
+    setFitting(true);
+    // Let the button show the running state before the fit blocks
+    setTimeout(() => {
+      try {
+        const titration = parseTitrationTable(text, {
+          temperature: referenceTemperature,
+          ionicStrength: referenceIonicStrength
+        });
+        const fit = fitCalibration(titration, {
+          pKaCount,
+          protonatedCharge,
+          ionicStrengthModel,
+          ionSize: firstPKa?.ion_size_angstrom ?? null,
+          referenceTemperature,
+          referenceIonicStrength,
+          solvent: sample?.solvent,
+          fitHeatCapacity,
+          pHUncertainty: parseFloat(pHUncertainty) || 0
+        });
+        setResult({ ...fit, warnings: [...titration.warnings, ...(fit.warnings ?? [])] });
+      } catch (err) {
+        setResult({ success: false, error: err.message });
+      }
+      setFitting(false);
+    }, 50);
+  };
+
+  const pKaKeys = result?.success
+    ? Object.keys(result.parameters).filter(key => /^(pKa|dH|dCp|kI)\d+$/.test(key))
+    : [];
+
+  return (
+    <fieldset className="editor-fieldset calibration-panel">
+      <legend>Calibrate from titration data</legend>
+      <p className="hint">
+        One row per sample: pH, temperature (K, or °C in a "T (°C)" column), ionic strength (M) and the
+        observed shift of each resonance, in columns headed by nucleus and resonance ID. Missing temperature
+        and ionic strength columns take the sample reference conditions ({referenceTemperature} K,{' '}
+        {referenceIonicStrength} M), which are also the reference conditions of the fit.
+      </p>
+      <textarea
+        className="calibration-table"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={TABLE_PLACEHOLDER}
+        rows={8}
+        spellCheck={false}
+      />
+      <div className="editor-row">
+        <label>
+          Load table
+          <input type="file" accept=".csv,.tsv,.txt" onChange={handleFile} />
+        </label>
+      </div>
+
+      <div className="editor-row">
+        <label>
+          Number of pKa values
+          <input
+            type="number"
+            min="1"
+            max="6"
+            value={pKaCount}
+            onChange={(e) => setPKaCount(Math.min(6, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+          />
+        </label>
+        <label>
+          Charge of most protonated form
+          <input
+            type="number"
+            step="1"
+            value={protonatedCharge}
+            onChange={(e) => setProtonatedCharge(parseInt(e.target.value, 10) || 0)}
+          />
+        </label>
+        <label>
+          Ionic strength model
+          <select value={ionicStrengthModel} onChange={(e) => setIonicStrengthModel(e.target.value)}>
+            {Object.entries(IONIC_STRENGTH_MODELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          pH uncertainty
+          <input
+            type="number"
+            step="0.005"
+            min="0"
+            value={pHUncertainty}
+            onChange={(e) => setPHUncertainty(e.target.value)}
+          />
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={fitHeatCapacity}
+            onChange={(e) => setFitHeatCapacity(e.target.checked)}
+          />
+          Fit ΔCp
+        </label>
+      </div>
+
+      <button type="button" onClick={handleFit} disabled={fitting || text.trim() === ''}>
+        {fitting ? 'Fitting…' : 'Fit calibration'}
+      </button>
+
+      {result && !result.success && (
+        <p className="import-error">{result.error}</p>
+      )}
+
+      {result?.warnings?.length > 0 && (
+        <ul className="calibration-warnings">
+          {result.warnings.map((warning, i) => <li key={i} className="warning-item">{warning}</li>)}
+        </ul>
+      )}
+
+      {result?.success && (
+        <>
+          <div className="fit-statistics">
+            <h4>Fit Quality</h4>
+            <div className="stats-grid">
+              <div className="stat">
+                <span className="stat-label">RMSD</span>
+                <span className="stat-value">{result.statistics.rmsd.toFixed(4)} ppm</span>
+              </div>
+              <div className="stat">
+                <span className="stat-label">Reduced χ²</span>
+                <span className="stat-value">{result.statistics.reducedChiSquared.toFixed(2)}</span>
+              </div>
+              <div className="stat">
+                <span className="stat-label">Observations</span>
+                <span className="stat-value">{result.statistics.nObservations}</span>
+              </div>
+              <div className="stat">
+                <span className="stat-label">Parameters</span>
+                <span className="stat-value">{result.statistics.nParameters}</span>
+              </div>
+            </div>
+          </div>
+
+          <table className="limiting-shifts">
+            <tbody>
+              {pKaKeys.map(key => (
+                <tr key={key}>
+                  <td>{result.parameters[key].name}</td>
+                  <td>
+                    {result.parameters[key].value.toFixed(3)} ± {result.parameters[key].uncertainty.toFixed(3)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!result.fitted.enthalpy && (
+            <p className="hint">The data are at a single temperature, so ΔH and temperature coefficients are not fitted.</p>
+          )}
+
+          <CalibrationResiduals residuals={result.residuals} />
+
+          <button type="button" className="editor-save" onClick={() => onApply(result)}>
+            Use in entry
+          </button>
+          <span className="hint">Replaces the ionisation states, pKa values and resonances of the entry.</span>
+        </>
+      )}
+    </fieldset>
+  );
+}
+
+export default CalibrationPanel;
@@ -0,0 +1,84 @@
+import { useMemo } from 'react';
+import Plot from 'react-plotly.js';
+
+/**
+ * ResidualPlot component.
+ * Residuals of one resonance against pH with their standard uncertainties,
+ * coloured by temperature when the data span more than one.
+ */
+function ResidualPlot({ resonance }) {
+  const { nucleus, resonance_id: resonanceId, points } = resonance;
+
+  const traces = useMemo(() => {
+    const temperatures = points.map(p => p.temperature);
+    const spansTemperature = Math.max(...temperatures) - Math.min(...temperatures) > 0.5;
+
+    return [{
+      x: points.map(p => p.pH),
+      y: points.map(p => p.residual),
+      error_y: {
+        type: 'data',
+        array: points.map(p => p.uncertainty),
+        visible: true,
+        thickness: 1,
+        color: 'rgba(0, 0, 0, 0.3)'
+      },
+      customdata: points.map(p => [p.temperature, p.ionicStrength, p.observed, p.predicted]),
+      type: 'scatter',
+      mode: 'markers',
+      marker: spansTemperature
+        ? { color: temperatures, colorscale: 'Portland', size: 7, colorbar: { title: 'T (K)', thickness: 12 } }
+        : { color: '#1f77b4', size: 7 },
+      hovertemplate: 'pH: %{x:.2f}<br>T: %{customdata[0]:.1f} K<br>I: %{customdata[1]:.3f} M<br>' +
+        'δ obs: %{customdata[2]:.4f}<br>δ fit: %{customdata[3]:.4f}<br>residual: %{y:.4f} ppm<extra></extra>'
+    }];
+  }, [points]);
+
+  const layout = useMemo(() => ({
+    title: {
+      text: `<sup>${nucleus.match(/^\d+/)?.[0] || ''}</sup>${nucleus.replace(/^\d+/, '')} ${resonanceId}`,
+      font: { size: 14 }
+    },
+    xaxis: { title: 'pH', showgrid: true, gridcolor: '#eee' },
+    yaxis: { title: 'Residual (ppm)', showgrid: true, gridcolor: '#eee', zeroline: true, zerolinecolor: '#999' },
+    margin: { t: 40, r: 20, b: 45, l: 70 },
+    hovermode: 'closest',
+    showlegend: false
+  }), [nucleus, resonanceId]);
+
+  const config = {
+    responsive: true,
+    displayModeBar: true,
+    modeBarButtonsToRemove: ['lasso2d', 'select2d'],
+    toImageButtonOptions: {
+      format: 'svg',
+      filename: `${nucleus}_${resonanceId}_calibration_residuals`
+    }
+  };
+
+  return (
+    <Plot
+      data={traces}
+      layout={layout}
+      config={config}
+      style={{ width: '100%', height: 260 }}
+      useResizeHandler
+    />
+  );
+}
+
+/**
+ * CalibrationResiduals component.
+ * Residual plots of a calibration fit, one for each resonance.
+ */
+export function CalibrationResiduals({ residuals }) {
+  return (
+    <div className="calibration-residuals">
+      {residuals.filter(r => r.points.length > 0).map(resonance => (
+        <ResidualPlot key={`${resonance.nucleus}:${resonance.resonance_id}`} resonance={resonance} />
+      ))}
+    </div>
+  );
+}
+
+export default CalibrationResiduals;
@@ -0,0 +1,74 @@
+import { useState, useMemo } from 'react';
+import { ChemicalShiftPlot } from '../ChemicalShiftPlot';
+
+/**
+ * EntryPreview component.
+ * Shift-versus-pH curves of the buffer being edited, for each nucleus, at
+ * a chosen temperature and ionic strength (initially the sample reference
+ * conditions). The curves update as the entry is edited.
+ */
+export function EntryPreview({ buffer, sample }) {
+  const [temperature, setTemperature] = useState('');
+  const [ionicStrength, setIonicStrength] = useState('');
+
+  const samplesMap = useMemo(
+    () => new Map(sample ? [[sample.sample_id, sample]] : []),
+    [sample]
+  );
+  const buffers = useMemo(() => [buffer], [buffer]);
+
+  const previewTemperature = parseFloat(temperature) || sample?.reference_temperature_K || 298.15;
+  const previewIonicStrength = ionicStrength !== '' && !isNaN(parseFloat(ionicStrength))
+    ? parseFloat(ionicStrength)
+    : sample?.reference_ionic_strength_M ?? 0;
+  const pHRange = [
+    sample?.measurement_ranges?.pH?.min ?? 2,
+    sample?.measurement_ranges?.pH?.max ?? 12
+  ];
+
+  const nuclei = Object.keys(buffer.chemical_shifts);
+
+  return (
+    <div className="entry-preview">
+      <h4>Preview</h4>
+      <div className="editor-row">
+        <label>
+          Temperature (K)
+          <input
+            type="number"
+            value={temperature}
+            placeholder={previewTemperature.toFixed(2)}
+            onChange={(e) => setTemperature(e.target.value)}
+          />
+        </label>
+        <label>
+          Ionic strength (M)
+          <input
+            type="number"
+            value={ionicStrength}
+            placeholder={previewIonicStrength.toFixed(3)}
+            step="0.01"
+            onChange={(e) => setIonicStrength(e.target.value)}
+          />
+        </label>
+      </div>
+
+      {nuclei.length === 0 && <p className="hint">Add a resonance to preview its shift curve.</p>}
+
+      {nuclei.map(nucleus => (
+        <ChemicalShiftPlot
+          key={nucleus}
+          nucleus={nucleus}
+          buffers={buffers}
+          samplesMap={samplesMap}
+          temperature={previewTemperature}
+          ionicStrength={previewIonicStrength}
+          pHRange={pHRange}
+          height={300}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default EntryPreview;
@@ -0,0 +1,105 @@
+import { ValueInput } from './ValueInput';
+import { setPKaCount } from '../../database/entryEditing';
+
+/**
+ * Ionic strength models of the buffer model, with the default first.
+ */
+const IONIC_STRENGTH_MODELS = {
+  davies: 'Davies',
+  extended_debye_huckel: 'Extended Debye-Hückel',
+  empirical: 'Empirical coefficient',
+  none: 'None'
+};
+
+/**
+ * PKaFields component.
+ * Editor for the pKa values of a buffer with their temperature (ΔH, ΔCp)
+ * and ionic strength dependence. Changing the number of pKa values also
+ * changes the ionisation states of every resonance.
+ */
+export function PKaFields({ buffer, onChange }) {
+  const updatePKa = (index, field, value) => {
+    onChange({
+      ...buffer,
+      pKa_parameters: buffer.pKa_parameters.map((p, i) => {
+        if (i !== index) return p;
+        const updated = { ...p, [field]: value };
+        if (value === undefined) delete updated[field];
+        return updated;
+      })
+    });
+  };
+
+  return (
+    <fieldset className="editor-fieldset">
+      <legend>Ionisation</legend>
+
+      <label className="editor-count">
+        Number of pKa values
+        <input
+          type="number"
+          min="1"
+          max="6"
+          value={buffer.pKa_parameters.length}
+          onChange={(e) => {
+            const count = parseInt(e.target.value, 10);
+            if (count >= 1 && count <= 6) onChange(setPKaCount(buffer, count));
+          }}
+        />
+      </label>
+      <span className="hint"> {buffer.ionisation_states} ionisation states, 0 = most protonated</span>
+
+      {buffer.pKa_parameters.map((p, index) => {
+        const model = p.ionic_strength_model ?? 'davies';
+
+        return (
+          <div key={p.pKa_index} className="editor-group">
+            <h5>pKa{p.pKa_index} (state {index} → {index + 1})</h5>
+            <div className="editor-row">
+              <ValueInput label="pKa" value={p.pKa} step="0.01" onChange={(value) => updatePKa(index, 'pKa', value ?? 7)} />
+              <ValueInput label="ΔH (kJ/mol)" value={p.dH_kJ_mol} onChange={(value) => updatePKa(index, 'dH_kJ_mol', value)} />
+              <ValueInput label="ΔCp (J/mol/K)" value={p.dCp_J_mol_K} onChange={(value) => updatePKa(index, 'dCp_J_mol_K', value)} />
+            </div>
+            <div className="editor-row">
+              <ValueInput
+                label="Charge of protonated form"
+                value={p.protonated_charge}
+                step="1"
+                withUncertainty={false}
+                onChange={(value) => updatePKa(index, 'protonated_charge', value === undefined ? undefined : Math.round(value))}
+              />
+              <label>
+                Ionic strength model
+                <select
+                  value={model}
+                  onChange={(e) => updatePKa(index, 'ionic_strength_model', e.target.value)}
+                >
+                  {Object.entries(IONIC_STRENGTH_MODELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {model === 'extended_debye_huckel' && (
+                <ValueInput
+                  label="Ion size (Å)"
+                  value={p.ion_size_angstrom}
+                  withUncertainty={false}
+                  onChange={(value) => updatePKa(index, 'ion_size_angstrom', value)}
+                />
+              )}
+              {model === 'empirical' && (
+                <ValueInput
+                  label="Coefficient (per M)"
+                  value={p.ionic_strength_coefficient_per_M}
+                  onChange={(value) => updatePKa(index, 'ionic_strength_coefficient_per_M', value)}
+                />
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </fieldset>
+  );
+}
+
+export default PKaFields;
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { ValueInput } from './ValueInput';
+import { addResonance } from '../../database/entryEditing';
+
+/**
+ * Nuclei allowed by the database schema.
+ */
+const NUCLEI = ['1H', '13C', '15N', '19F', '31P'];
+
+/**
+ * Multiplicities allowed by the database schema.
+ */
+const MULTIPLICITIES = ['singlet', 'doublet', 'triplet', 'quartet', 'multiplet'];
+
+/**
+ * ResonanceFields component.
+ * Editor for the resonances of a buffer, grouped by nucleus, with the
+ * limiting shift and its temperature and ionic strength coefficients in
+ * every ionisation state.
+ */
+export function ResonanceFields({ buffer, onChange }) {
+  const [newNucleus, setNewNucleus] = useState('1H');
+
+  const setResonances = (nucleus, resonances) => {
+    const chemicalShifts = { ...buffer.chemical_shifts, [nucleus]: resonances };
+    if (resonances.length === 0) delete chemicalShifts[nucleus];
+    onChange({ ...buffer, chemical_shifts: chemicalShifts });
+  };
+
+  const updateResonance = (nucleus, index, field, value) => {
+    setResonances(nucleus, buffer.chemical_shifts[nucleus].map((r, i) => {
+      if (i !== index) return r;
+      const updated = { ...r, [field]: value };
+      if (value === undefined || value === '') delete updated[field];
+      return updated;
+    }));
+  };
+
+  const updateLimitingShift = (nucleus, index, state, field, value) => {
+    const resonance = buffer.chemical_shifts[nucleus][index];
+    updateResonance(nucleus, index, 'limiting_shifts', resonance.limiting_shifts.map(s => {
+      if (s.ionisation_state !== state) return s;
+      const updated = { ...s, [field]: value };
+      if (value === undefined) delete updated[field];
+      return updated;
+    }));
+  };
+
+  const bondedOptions = nucleus => nucleus === '1H'
+    ? ['13C', '15N'].flatMap(n => (buffer.chemical_shifts[n] ?? []).map(r => `${n}:${r.resonance_id}`))
+    : [];
+
+  return (
+    <fieldset className="editor-fieldset">
+      <legend>Resonances</legend>
+
+      {Object.entries(buffer.chemical_shifts).map(([nucleus, resonances]) => (
+        <div key={nucleus} className="editor-nucleus">
+          <h5><sup>{nucleus.match(/^\d+/)?.[0]}</sup>{nucleus.replace(/^\d+/, '')}</h5>
+
+          {resonances.map((resonance, index) => (
+            <div key={index} className="editor-group">
+              <div className="editor-row">
+                <label>
+                  Resonance ID
+                  <input
+                    type="text"
+                    value={resonance.resonance_id}
+                    onChange={(e) => updateResonance(nucleus, index, 'resonance_id', e.target.value)}
+                  />
+                </label>
+                <label>
+                  Description
+                  <input
+                    type="text"
+                    value={resonance.description ?? ''}
+                    onChange={(e) => updateResonance(nucleus, index, 'description', e.target.value)}
+                  />
+                </label>
+                <label>
+                  Multiplicity
+                  <select
+                    value={resonance.multiplicity ?? ''}
+                    onChange={(e) => updateResonance(nucleus, index, 'multiplicity', e.target.value)}
+                  >
+                    <option value="">—</option>
+                    {MULTIPLICITIES.map(m => <option key={m} value={m}>{m}</option>)}
+                  </select>
+                </label>
+                {bondedOptions(nucleus).length > 0 && (
+                  <label>
+                    Bonded to
+                    <select
+                      value={resonance.bonded_to ? `${resonance.bonded_to.nucleus}:${resonance.bonded_to.resonance_id}` : ''}
+                      onChange={(e) => {
+                        const [partnerNucleus, resonanceId] = e.target.value.split(':');
+                        updateResonance(nucleus, index, 'bonded_to', e.target.value
+                          ? { nucleus: partnerNucleus, resonance_id: resonanceId }
+                          : undefined);
+                      }}
+                    >
+                      <option value="">—</option>
+                      {bondedOptions(nucleus).map(option => <option key={option} value={option}>{option}</option>)}
+                    </select>
+                  </label>
+                )}
+                <button
+                  type="button"
+                  className="editor-remove"
+                  onClick={() => setResonances(nucleus, resonances.filter((_, i) => i !== index))}
+                >
+                  Remove
+                </button>
+              </div>
+
+              <table className="limiting-shifts">
+                <thead>
+                  <tr>
+                    <th>State</th>
+                    <th>Shift (ppm)</th>
+                    <th>Temperature coefficient (ppm/K)</th>
+                    <th>Ionic strength coefficient (ppm/M)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {resonance.limiting_shifts.map(s => (
+                    <tr key={s.ionisation_state}>
+                      <td>{s.ionisation_state}</td>
+                      <td>
+                        <ValueInput
+                          value={s.shift_ppm}
+                          onChange={(value) => updateLimitingShift(nucleus, index, s.ionisation_state, 'shift_ppm', value ?? 0)}
+                        />
+                      </td>
+                      <td>
+                        <ValueInput
+                          value={s.temperature_coefficient_ppm_per_K}
+                          onChange={(value) => updateLimitingShift(
+                            nucleus, index, s.ionisation_state, 'temperature_coefficient_ppm_per_K', value
+                          )}
+                        />
+                      </td>
+                      <td>
+                        <ValueInput
+                          value={s.ionic_strength_coefficient_ppm_per_M}
+                          onChange={(value) => updateLimitingShift(
+                            nucleus, index, s.ionisation_state, 'ionic_strength_coefficient_ppm_per_M', value
+                          )}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div className="editor-row">
+        <select value={newNucleus} onChange={(e) => setNewNucleus(e.target.value)}>
+          {NUCLEI.map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+        <button type="button" className="editor-add" onClick={() => onChange(addResonance(buffer, newNucleus))}>
+          Add resonance
+        </button>
+      </div>
+    </fieldset>
+  );
+}
+
+export default ResonanceFields;
@@ -0,0 +1,175 @@
+import { ValueInput } from './ValueInput';
+
+/**
+ * Solvents allowed by the database schema.
+ */
+const SOLVENTS = {
+  '10pct_D2O': '10% D₂O',
+  '100pct_D2O': '100% D₂O',
+  H2O: 'H₂O',
+  other: 'Other'
+};
+
+/**
+ * Measurement ranges of a sample, with their units.
+ */
+const RANGES = {
+  pH: 'pH',
+  temperature_K: 'Temperature (K)',
+  ionic_strength_M: 'Ionic strength (M)'
+};
+
+/**
+ * Text fields of a sample describing how it was calibrated.
+ */
+const CALIBRATION_FIELDS = {
+  temperature_calibration: 'Temperature calibration',
+  pH_calibration: 'pH calibration',
+  ionic_strength_control: 'Ionic strength control'
+};
+
+/**
+ * SampleFields component.
+ * Editor for the metadata of a sample: solvent, authors, reference
+ * conditions, measurement ranges and calibration notes.
+ */
+export function SampleFields({ sample, onChange }) {
+  const update = (field, value) => {
+    const updated = { ...sample, [field]: value };
+    if (value === undefined || value === '') {
+      delete updated[field];
+    }
+    onChange(updated);
+  };
+
+  const updateAuthor = (index, field, value) => {
+    update('authors', sample.authors.map((author, i) => {
+      if (i !== index) return author;
+      const updated = { ...author, [field]: value };
+      if (field === 'orcid' && !value) delete updated.orcid;
+      return updated;
+    }));
+  };
+
+  const updateRange = (quantity, bound, value) => {
+    update('measurement_ranges', {
+      ...sample.measurement_ranges,
+      [quantity]: { ...sample.measurement_ranges?.[quantity], [bound]: value }
+    });
+  };
+
+  return (
+    <fieldset className="editor-fieldset">
+      <legend>Sample</legend>
+
+      <div className="editor-row">
+        <label>
+          Sample ID
+          <input type="text" value={sample.sample_id} onChange={(e) => update('sample_id', e.target.value)} />
+        </label>
+        <label>
+          Solvent
+          <select value={sample.solvent} onChange={(e) => update('solvent', e.target.value)}>
+            {Object.entries(SOLVENTS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Date measured
+          <input
+            type="date"
+            value={sample.date_measured ?? ''}
+            onChange={(e) => update('date_measured', e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="editor-row">
+        <ValueInput
+          label="Reference temperature (K)"
+          value={sample.reference_temperature_K}
+          onChange={(value) => update('reference_temperature_K', value)}
+          withUncertainty={false}
+        />
+        <ValueInput
+          label="Reference ionic strength (M)"
+          value={sample.reference_ionic_strength_M}
+          onChange={(value) => update('reference_ionic_strength_M', value)}
+          withUncertainty={false}
+        />
+      </div>
+
+      <h5>Authors</h5>
+      {sample.authors.map((author, index) => (
+        <div key={index} className="editor-row">
+          <label>
+            Name
+            <input type="text" value={author.name} onChange={(e) => updateAuthor(index, 'name', e.target.value)} />
+          </label>
+          <label>
+            Affiliation
+            <input
+              type="text"
+              value={author.affiliation}
+              onChange={(e) => updateAuthor(index, 'affiliation', e.target.value)}
+            />
+          </label>
+          <label>
+            ORCID
+            <input
+              type="text"
+              value={author.orcid ?? ''}
+              placeholder="0000-0000-0000-0000"
+              onChange={(e) => updateAuthor(index, 'orcid', e.target.value)}
+            />
+          </label>
+          <button
+            type="button"
+            className="editor-remove"
+            disabled={sample.authors.length === 1}
+            onClick={() => update('authors', sample.authors.filter((_, i) => i !== index))}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="editor-add"
+        onClick={() => update('authors', [...sample.authors, { name: '', affiliation: '' }])}
+      >
+        Add author
+      </button>
+
+      <h5>Measurement ranges</h5>
+      {Object.entries(RANGES).map(([quantity, label]) => (
+        <div key={quantity} className="editor-row">
+          <span className="editor-row-label">{label}</span>
+          <ValueInput
+            label="from"
+            value={sample.measurement_ranges?.[quantity]?.min}
+            onChange={(value) => updateRange(quantity, 'min', value)}
+            withUncertainty={false}
+          />
+          <ValueInput
+            label="to"
+            value={sample.measurement_ranges?.[quantity]?.max}
+            onChange={(value) => updateRange(quantity, 'max', value)}
+            withUncertainty={false}
+          />
+        </div>
+      ))}
+
+      <h5>Calibration</h5>
+      {Object.entries(CALIBRATION_FIELDS).map(([field, label]) => (
+        <label key={field} className="editor-text">
+          {label}
+          <input type="text" value={sample[field] ?? ''} onChange={(e) => update(field, e.target.value)} />
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+export default SampleFields;
@@ -0,0 +1,53 @@
+import { getValue, getUncertainty } from '../../numerical/bufferModel';
+import { toValueWithUncertainty } from '../../database/entryEditing';
+
+/**
+ * Parse a number input, giving null when it is empty or incomplete.
+ */
+function parseInput(text) {
+  const value = parseFloat(text);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * ValueInput component.
+ * Number input for a database value with an optional uncertainty, stored as
+ * a number or [value, uncertainty]. Clearing the value removes it (undefined),
+ * for optional fields.
+ */
+export function ValueInput({ label, value, onChange, step = 'any', withUncertainty = true }) {
+  const current = value !== undefined ? getValue(value) : null;
+  const uncertainty = value !== undefined ? getUncertainty(value) : 0;
+
+  const update = (newValue, newUncertainty) => {
+    onChange(newValue === null ? undefined : toValueWithUncertainty(newValue, newUncertainty));
+  };
+
+  return (
+    <label className="value-input">
+      {label && <span className="value-label">{label}</span>}
+      <input
+        type="number"
+        value={current ?? ''}
+        step={step}
+        onChange={(e) => update(parseInput(e.target.value), uncertainty)}
+      />
+      {withUncertainty && (
+        <>
+          <span className="plus-minus">±</span>
+          <input
+            type="number"
+            value={uncertainty > 0 ? uncertainty : ''}
+            step={step}
+            min="0"
+            placeholder="σ"
+            disabled={current === null}
+            onChange={(e) => update(current, parseInput(e.target.value) ?? 0)}
+          />
+        </>
+      )}
+    </label>
+  );
+}
+
+export default ValueInput;
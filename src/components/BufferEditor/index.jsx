@@ -0,0 +1,265 @@
+import { useState, useMemo } from 'react';
+import { useDatabase } from '../DatabaseLoader';
+import { DatabaseReport } from '../DatabaseReport';
+import { SampleFields } from './SampleFields';
+import { PKaFields } from './PKaFields';
+import { ResonanceFields } from './ResonanceFields';
+import { EntryPreview } from './EntryPreview';
+import { CalibrationPanel } from './CalibrationPanel';
+import {
+  createBufferEntry,
+  createSampleEntry,
+  cloneBufferEntry,
+  getUnusedId,
+  stripProvenance,
+  validateEntry,
+  applyCalibration,
+  exportEntries
+} from '../../database/entryEditing';
+import { saveBrowserEntry, deleteBrowserEntry } from '../../database/browserStore';
+import databaseSchema from '../../../draft-schema.json';
+
+/**
+ * BufferEditor component.
+ * Creates, clones and edits buffer entries, validated against the schema as
+ * they are edited, with a live preview of the shift curves. The parameters
+ * can also be fitted from titration data. Entries are saved in the browser,
+ * where they join the database, and can be exported as a database file for
+ * submission to the community database.
+ */
+export function BufferEditor() {
+  const { database, browserEntries, reloadBrowserEntries } = useDatabase();
+  const [draft, setDraft] = useState(null);
+  const [cloneId, setCloneId] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const savedBuffers = browserEntries?.buffers ?? [];
+  const savedSamples = browserEntries?.samples ?? [];
+
+  // The sample of the draft: its own new sample, or one from the database
+  const draftSample = draft
+    ? draft.sample ?? database.samplesMap.get(draft.buffer.sample_id) ?? null
+    : null;
+
+  const report = useMemo(
+    () => draft ? validateEntry(draft.buffer, draftSample, databaseSchema) : null,
+    [draft, draftSample]
+  );
+  const hasErrors = report ? report.issues.some(issue => issue.errors.length > 0) : false;
+
+  const startNew = () => {
+    const bufferId = getUnusedId('new_buffer', database.buffersMap.keys());
+    const sampleId = getUnusedId('new_sample', database.samplesMap.keys());
+    setDraft({ buffer: createBufferEntry(bufferId, sampleId), sample: createSampleEntry(sampleId), savedId: null });
+    setMessage(null);
+  };
+
+  const startClone = () => {
+    const buffer = database.buffersMap.get(cloneId);
+    if (!buffer) return;
+    setDraft({ buffer: cloneBufferEntry(buffer, database.buffersMap.keys()), sample: null, savedId: null });
+    setMessage(null);
+  };
+
+  const startEdit = (buffer) => {
+    const sample = savedSamples.find(s => s.sample_id === buffer.sample_id) ?? null;
+    setDraft({ buffer: stripProvenance(buffer), sample: sample && stripProvenance(sample), savedId: buffer.buffer_id });
+    setMessage(null);
+  };
+
+  const setSampleMode = (useNewSample) => {
+    if (useNewSample) {
+      const sampleId = getUnusedId('new_sample', database.samplesMap.keys());
+      setDraft({ ...draft, sample: createSampleEntry(sampleId), buffer: { ...draft.buffer, sample_id: sampleId } });
+    } else {
+      setDraft({ ...draft, sample: null, buffer: { ...draft.buffer, sample_id: database.samples[0]?.sample_id ?? '' } });
+    }
+  };
+
+  const handleSampleChange = (sample) => {
+    setDraft({ ...draft, sample, buffer: { ...draft.buffer, sample_id: sample.sample_id } });
+  };
+
+  // The fit covers the measured ranges, which a new sample records
+  const handleCalibration = (result) => {
+    setDraft({
+      ...draft,
+      buffer: applyCalibration(draft.buffer, result.entry),
+      sample: draft.sample && { ...draft.sample, measurement_ranges: result.measurementRanges }
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      if (draft.savedId && draft.savedId !== draft.buffer.buffer_id) {
+        await deleteBrowserEntry('buffers', draft.savedId);
+      }
+      if (draft.sample) {
+        await saveBrowserEntry('samples', draft.sample);
+      }
+      await saveBrowserEntry('buffers', draft.buffer);
+      await reloadBrowserEntries();
+      setDraft({ ...draft, savedId: draft.buffer.buffer_id });
+      setMessage({ error: false, text: `Saved ${draft.buffer.buffer_id} in this browser` });
+    } catch (err) {
+      setMessage({ error: true, text: `Could not save: ${err.message}` });
+    }
+  };
+
+  const handleDelete = async (buffer) => {
+    try {
+      await deleteBrowserEntry('buffers', buffer.buffer_id);
+
+      // Remove the sample too once no saved buffer refers to it
+      const sampleInUse = savedBuffers.some(b => b.buffer_id !== buffer.buffer_id && b.sample_id === buffer.sample_id);
+      if (!sampleInUse && savedSamples.some(s => s.sample_id === buffer.sample_id)) {
+        await deleteBrowserEntry('samples', buffer.sample_id);
+      }
+
+      await reloadBrowserEntries();
+      if (draft?.savedId === buffer.buffer_id) setDraft(null);
+    } catch (err) {
+      setMessage({ error: true, text: `Could not delete: ${err.message}` });
+    }
+  };
+
+  // Export the saved buffers with every sample they refer to
+  const handleExport = () => {
+    const sampleIds = new Set(savedBuffers.map(b => b.sample_id));
+    const samples = [...sampleIds]
+      .map(id => savedSamples.find(s => s.sample_id === id) ?? database.samplesMap.get(id))
+      .filter(Boolean);
+
+    const json = JSON.stringify(exportEntries(samples, savedBuffers), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'nmr-ph-buffer-entries.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="buffer-editor">
+      <h2>Buffer Editor</h2>
+
+      <div className="editor-saved">
+        <h3>Entries saved in this browser</h3>
+        {savedBuffers.length === 0 ? (
+          <p className="hint">No saved entries yet.</p>
+        ) : (
+          <ul>
+            {savedBuffers.map(buffer => (
+              <li key={buffer.buffer_id}>
+                {buffer.buffer_name || buffer.buffer_id} <span className="hint">({buffer.buffer_id})</span>
+                <button type="button" className="editor-add" onClick={() => startEdit(buffer)}>Edit</button>
+                <button type="button" className="editor-remove" onClick={() => handleDelete(buffer)}>Delete</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="editor-row">
+          <button type="button" onClick={startNew}>New buffer</button>
+          <select value={cloneId} onChange={(e) => setCloneId(e.target.value)}>
+            <option value="">Clone a buffer…</option>
+            {database.buffers.map(b => (
+              <option key={b.buffer_id} value={b.buffer_id}>
+                {b.buffer_name} ({b.provenance?.label ?? b.buffer_id})
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={startClone} disabled={!cloneId}>Clone</button>
+          <button type="button" onClick={handleExport} disabled={savedBuffers.length === 0}>
+            Export saved entries
+          </button>
+        </div>
+        {message && <p className={message.error ? 'import-error' : 'import-status'}>{message.text}</p>}
+      </div>
+
+      {draft && (
+        <div className="editor-main">
+          <div className="editor-form">
+            <fieldset className="editor-fieldset">
+              <legend>Buffer</legend>
+              <div className="editor-row">
+                <label>
+                  Buffer ID
+                  <input
+                    type="text"
+                    value={draft.buffer.buffer_id}
+                    onChange={(e) => setDraft({ ...draft, buffer: { ...draft.buffer, buffer_id: e.target.value } })}
+                  />
+                </label>
+                <label>
+                  Name
+                  <input
+                    type="text"
+                    value={draft.buffer.buffer_name}
+                    onChange={(e) => setDraft({ ...draft, buffer: { ...draft.buffer, buffer_name: e.target.value } })}
+                  />
+                </label>
+                <label>
+                  Family
+                  <input
+                    type="text"
+                    value={draft.buffer.buffer_family}
+                    onChange={(e) => setDraft({ ...draft, buffer: { ...draft.buffer, buffer_family: e.target.value } })}
+                  />
+                </label>
+                <label>
+                  Version
+                  <input
+                    type="text"
+                    value={draft.buffer.version ?? ''}
+                    onChange={(e) => setDraft({ ...draft, buffer: { ...draft.buffer, version: e.target.value } })}
+                  />
+                </label>
+              </div>
+              <div className="editor-row">
+                <label>
+                  <input type="radio" checked={!draft.sample} onChange={() => setSampleMode(false)} />
+                  Existing sample
+                </label>
+                <label>
+                  <input type="radio" checked={Boolean(draft.sample)} onChange={() => setSampleMode(true)} />
+                  New sample
+                </label>
+                {!draft.sample && (
+                  <select
+                    value={draft.buffer.sample_id}
+                    onChange={(e) => setDraft({ ...draft, buffer: { ...draft.buffer, sample_id: e.target.value } })}
+                  >
+                    {database.samples.map(s => (
+                      <option key={s.sample_id} value={s.sample_id}>{s.sample_id}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            </fieldset>
+
+            {draft.sample && <SampleFields sample={draft.sample} onChange={handleSampleChange} />}
+            <CalibrationPanel buffer={draft.buffer} sample={draftSample} onApply={handleCalibration} />
+            <PKaFields buffer={draft.buffer} onChange={(buffer) => setDraft({ ...draft, buffer })} />
+            <ResonanceFields buffer={draft.buffer} onChange={(buffer) => setDraft({ ...draft, buffer })} />
+
+            <DatabaseReport
+              report={report}
+              summary={hasErrors ? 'This entry has errors and cannot be saved' : 'This entry has warnings'}
+            />
+            <button type="button" className="editor-save" onClick={handleSave} disabled={hasErrors || !draft.buffer.buffer_id}>
+              Save in browser
+            </button>
+            <button type="button" onClick={() => setDraft(null)}>Close</button>
+          </div>
+
+          {hasErrors
+            ? <p className="hint">Fix the errors above to preview the shift curves.</p>
+            : <EntryPreview buffer={draft.buffer} sample={draftSample} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BufferEditor;
@@ -29,7 +29,7 @@ function NucleusIcon({ nucleus }) {
 
 /**
  * BufferTile component.
- * Clickable tile for a single buffer.
+ * Clickable tile for a single buffer, showing the database source it came from.
  */
 function BufferTile({ buffer, selected, onToggle }) {
   // Get available nuclei
@@ -57,6 +57,11 @@ function BufferTile({ buffer, selected, onToggle }) {
         ))}
       </div>
       <div className="buffer-pka">{pKaDisplay}</div>
+      {buffer.provenance && (
+        <div className={`buffer-source source-${buffer.provenance.source}`}>
+          {buffer.provenance.label}
+        </div>
+      )}
     </button>
   );
 }
@@ -6,7 +6,9 @@ export function CalculateButton({
   onClick,
   loading = false,
   disabled = false,
-  disabledReason = ''
+  disabledReason = '',
+  monteCarlo = false,
+  onMonteCarloChange
 }) {
   return (
     <div className="calculate-button-container">
@@ -25,6 +27,17 @@ export function CalculateButton({
           'Calculate pH'
         )}
       </button>
+      {onMonteCarloChange && (
+        <label className="monte-carlo-option">
+          <input
+            type="checkbox"
+            checked={monteCarlo}
+            onChange={(e) => onMonteCarloChange(e.target.checked)}
+            disabled={loading}
+          />
+          Propagate calibration uncertainty (Monte Carlo)
+        </label>
+      )}
       {disabled && disabledReason && (
         <p className="disabled-reason">{disabledReason}</p>
       )}
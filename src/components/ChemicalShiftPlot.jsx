@@ -1,6 +1,7 @@
 import { useMemo } from 'react';
 import Plot from 'react-plotly.js';
 import { generateShiftCurves } from '../numerical/bufferModel';
+import { downsampleSpectrum } from '../spectra/downsample';
 
 /**
  * Color palette for buffers.
@@ -17,9 +18,18 @@ function getBufferColor(index) {
   return BUFFER_COLORS[index % BUFFER_COLORS.length];
 }
 
+/**
+ * Fraction of the plot height used by the spectrum overlay, at the bottom.
+ */
+const SPECTRUM_HEIGHT_FRACTION = 0.3;
+
 /**
  * ChemicalShiftPlot component.
  * Displays chemical shift vs pH curves for selected buffers.
+ * The pH band uses the (possibly asymmetric) interval when given,
+ * otherwise the symmetric uncertainty. A loaded spectrum is drawn
+ * underneath on a secondary intensity axis, with the lineshape fit
+ * over it when there is one.
  */
 export function ChemicalShiftPlot({
   nucleus,
@@ -30,7 +40,10 @@ export function ChemicalShiftPlot({
   observedShifts = [],
   fittedPH = null,
   phUncertainty = null,
+  phInterval = null,
   assignments = null,
+  spectrum = null,
+  spectrumModel = null,
   pHRange = [2, 12],
   height = 400
 }) {
@@ -62,10 +75,59 @@ export function ChemicalShiftPlot({
     return allCurves;
   }, [buffers, samplesMap, nucleus, temperature, ionicStrength, pHRange]);
 
+  // Spectrum over the shift range of the curves and observed peaks
+  const spectrumData = useMemo(() => {
+    if (!spectrum) return null;
+
+    const shifts = [...curveData.flatMap(c => c.shifts), ...observedShifts];
+    if (shifts.length === 0) return null;
+
+    const low = Math.min(...shifts);
+    const high = Math.max(...shifts);
+    const margin = Math.max(0.1 * (high - low), 0.2);
+    const data = downsampleSpectrum(spectrum, low - margin, high + margin);
+
+    return data.ppm.length > 0 ? data : null;
+  }, [spectrum, curveData, observedShifts]);
+
   // Build Plotly traces
   const traces = useMemo(() => {
     const plotTraces = [];
 
+    // Experimental spectrum, drawn first so it sits under the curves
+    if (spectrumData) {
+      plotTraces.push({
+        x: spectrumData.ppm,
+        y: spectrumData.intensity,
+        yaxis: 'y2',
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Spectrum',
+        line: {
+          color: 'rgba(80, 80, 80, 0.6)',
+          width: 1
+        },
+        hoverinfo: 'skip'
+      });
+
+      if (spectrumModel) {
+        plotTraces.push({
+          x: spectrumModel.ppm,
+          y: spectrumModel.intensity,
+          yaxis: 'y2',
+          type: 'scatter',
+          mode: 'lines',
+          name: 'Lineshape fit',
+          line: {
+            color: 'rgba(214, 39, 40, 0.8)',
+            width: 1,
+            dash: 'dot'
+          },
+          hoverinfo: 'skip'
+        });
+      }
+    }
+
     // Add buffer curves
     curveData.forEach((curve, i) => {
       plotTraces.push({
@@ -105,18 +167,19 @@ export function ChemicalShiftPlot({
     // Add fitted pH horizontal line
     if (fittedPH !== null) {
       // Uncertainty band
-      if (phUncertainty !== null && phUncertainty > 0) {
+      const band = phInterval
+        ? [phInterval.lower, phInterval.upper]
+        : (phUncertainty !== null && phUncertainty > 0
+          ? [fittedPH - phUncertainty, fittedPH + phUncertainty]
+          : null);
+
+      if (band) {
         const shiftMin = Math.min(...curveData.flatMap(c => c.shifts));
         const shiftMax = Math.max(...curveData.flatMap(c => c.shifts));
 
         plotTraces.push({
           x: [shiftMin, shiftMax, shiftMax, shiftMin],
-          y: [
-            fittedPH - phUncertainty,
-            fittedPH - phUncertainty,
-            fittedPH + phUncertainty,
-            fittedPH + phUncertainty
-          ],
+          y: [band[0], band[0], band[1], band[1]],
           type: 'scatter',
           fill: 'toself',
           fillcolor: 'rgba(255, 0, 0, 0.1)',
@@ -182,7 +245,21 @@ export function ChemicalShiftPlot({
     }
 
     return plotTraces;
-  }, [curveData, observedShifts, fittedPH, phUncertainty, assignments, pHRange]);
+  }, [curveData, spectrumData, spectrumModel, observedShifts, fittedPH, phUncertainty, phInterval, assignments, pHRange]);
+
+  // Secondary axis range placing the spectrum in the bottom part of the plot
+  const spectrumRange = useMemo(() => {
+    if (!spectrumData) return null;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const y of spectrumData.intensity) {
+      if (y < min) min = y;
+      if (y > max) max = y;
+    }
+    const span = max > min ? max - min : 1;
+    return [min, min + span / SPECTRUM_HEIGHT_FRACTION];
+  }, [spectrumData]);
 
   // Layout configuration
   const layout = useMemo(() => ({
@@ -202,6 +279,16 @@ export function ChemicalShiftPlot({
       showgrid: true,
       gridcolor: '#eee'
     },
+    ...(spectrumRange && {
+      yaxis2: {
+        overlaying: 'y',
+        side: 'right',
+        range: spectrumRange,
+        showticklabels: false,
+        showgrid: false,
+        zeroline: false
+      }
+    }),
     legend: {
       orientation: 'h',
       yanchor: 'bottom',
@@ -212,7 +299,7 @@ export function ChemicalShiftPlot({
     margin: { t: 60, r: 20, b: 50, l: 60 },
     hovermode: 'closest',
     showlegend: true
-  }), [nucleus, pHRange]);
+  }), [nucleus, pHRange, spectrumRange]);
 
   const config = {
     responsive: true,
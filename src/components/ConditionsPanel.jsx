@@ -1,17 +1,46 @@
+import { useState } from 'react';
+import { readAcquisitionFiles } from '../spectra/fileImport';
+
+/**
+ * Temperatures below this (K) are taken to have been typed in °C.
+ */
+const CELSIUS_SUSPECT_BELOW = 200;
+
 /**
  * ConditionsPanel component.
  * Input fields for temperature and ionic strength with refinement toggles.
+ * The temperature can be read from Bruker acquisition parameters (TE), and a
+ * value that looks like °C is flagged with the Kelvin equivalent.
  */
 export function ConditionsPanel({
   temperature,
+  temperatureSource = null,
   ionicStrength,
   refineTemperature,
   refineIonicStrength,
   onTemperatureChange,
   onIonicStrengthChange,
   onRefineTemperatureChange,
-  onRefineIonicStrengthChange
+  onRefineIonicStrengthChange,
+  onAcquisitionLoad
 }) {
+  const [acquisitionError, setAcquisitionError] = useState(null);
+
+  const handleAcquisitionFiles = async (files) => {
+    if (!files?.length) return;
+    try {
+      const acquisition = await readAcquisitionFiles(files);
+      if (!acquisition) {
+        setAcquisitionError('Select an acqus or acqu2s file');
+        return;
+      }
+      setAcquisitionError(null);
+      onAcquisitionLoad(acquisition);
+    } catch (error) {
+      setAcquisitionError(error.message);
+    }
+  };
+
   const handleTemperatureChange = (e) => {
     const value = parseFloat(e.target.value);
     if (!isNaN(value)) {
@@ -54,6 +83,34 @@ export function ConditionsPanel({
           </label>
         </div>
       </div>
+      {temperature < CELSIUS_SUSPECT_BELOW && (
+        <div className="temperature-warning">
+          {temperature} K looks like a temperature in °C.{' '}
+          <button type="button" onClick={() => onTemperatureChange(temperature + 273.15)}>
+            Use {(temperature + 273.15).toFixed(2)} K
+          </button>
+        </div>
+      )}
+      <div className="acquisition-import">
+        <label className="file-select">
+          Read from acqus
+          <input
+            type="file"
+            onChange={(e) => {
+              handleAcquisitionFiles(e.target.files);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        {temperatureSource && (
+          <span className="hint">
+            TE from {temperatureSource.dataset
+              ? `${temperatureSource.dataset}/${temperatureSource.expno}`
+              : temperatureSource.file}
+          </span>
+        )}
+        {acquisitionError && <span className="import-error">{acquisitionError}</span>}
+      </div>
 
       <div className="condition-row">
         <div className="condition-input">
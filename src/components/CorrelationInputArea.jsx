@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useDebounce } from '../hooks/useDebounce';
+import { parseCorrelationEntries } from '../spectra/shiftEntry';
+
+/**
+ * Stable empty cross peak list, so unchanged input doesn't emit a new value.
+ */
+const NO_PEAKS = [];
+
+/**
+ * CorrelationInputArea component.
+ * Text area for entering 2D cross peaks between 1H and a directly bonded
+ * heteronucleus (HSQC or HMQC), one "δH δX" pair per line. A "#" comment
+ * excludes a cross peak. Changes are reported as onChange(nucleus, peaks).
+ */
+export function CorrelationInputArea({
+  nucleus,
+  value,
+  onChange,
+  debounceMs = 500
+}) {
+  const [text, setText] = useState(() => value.map(([h, x]) => `${h} ${x}`).join('\n'));
+  const [previousValue, setPreviousValue] = useState(value);
+
+  const debouncedText = useDebounce(text, debounceMs);
+
+  // Replace the text when the cross peaks are set from outside (e.g. cleared)
+  if (value !== previousValue) {
+    setPreviousValue(value);
+    const { peaks } = parseCorrelationEntries(debouncedText);
+    const same = peaks.length === value.length &&
+      peaks.every(([h, x], i) => h === value[i][0] && x === value[i][1]);
+    if (!same) {
+      setText(value.map(([h, x]) => `${h} ${x}`).join('\n'));
+    }
+  }
+
+  // Parse and propagate changes after debounce
+  useEffect(() => {
+    const { peaks } = parseCorrelationEntries(debouncedText);
+    onChange(nucleus, peaks.length > 0 ? peaks : NO_PEAKS);
+  }, [debouncedText, onChange, nucleus]);
+
+  const handleChange = useCallback((e) => {
+    setText(e.target.value);
+  }, []);
+
+  const mass = nucleus.match(/^\d+/)?.[0];
+  const element = nucleus.replace(/^\d+/, '');
+  const { peaks, excluded, invalid } = parseCorrelationEntries(text);
+
+  return (
+    <div className="shift-input-area correlation-input-area">
+      <label htmlFor={`correlations-${nucleus}`}>
+        <sup>1</sup>H–<sup>{mass}</sup>{element} cross peaks (δH δ{element}, ppm)
+      </label>
+      <textarea
+        id={`correlations-${nucleus}`}
+        value={text}
+        onChange={handleChange}
+        placeholder={'Enter HSQC/HMQC cross peaks, one per line:\n3.42 42.35\n3.21 43.10 # impurity'}
+        rows={6}
+        spellCheck={false}
+      />
+      <div className="shift-count">
+        {peaks.length} cross peaks entered
+        {excluded > 0 && ` (${excluded} excluded)`}
+      </div>
+      {invalid > 0 && (
+        <div className="shift-label-warning">
+          {invalid} {invalid === 1 ? 'line does' : 'lines do'} not hold a δH δ{element} pair and {invalid === 1 ? 'is' : 'are'} ignored
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CorrelationInputArea;
@@ -0,0 +1,93 @@
+/**
+ * Format a database value for a change list: [value, uncertainty] as
+ * "value ± uncertainty", entries by their ID.
+ */
+function formatValue(value) {
+  if (Array.isArray(value) && value.length === 2 && value.every(x => typeof x === 'number')) {
+    return `${value[0]} ± ${value[1]}`;
+  }
+  if (value && typeof value === 'object') {
+    return value.resonance_id ?? (value.pKa_index !== undefined ? `pKa ${formatValue(value.pKa)}` : JSON.stringify(value));
+  }
+  return String(value);
+}
+
+/**
+ * ChangeList component.
+ * Changes within one entry, by path.
+ */
+function ChangeList({ changes }) {
+  return (
+    <ul className="change-list">
+      {changes.map((change, i) => (
+        <li key={i} className={`change-${change.type}`}>
+          <span className="change-path">{change.path.join(' › ')}</span>{' '}
+          {change.type === 'changed' && <>{formatValue(change.from)} → {formatValue(change.to)}</>}
+          {change.type === 'added' && <>added ({formatValue(change.to)})</>}
+          {change.type === 'removed' && <>removed ({formatValue(change.from)})</>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * EntryChanges component.
+ * Added, removed and changed entries of one kind.
+ */
+function EntryChanges({ title, diff, nameOf }) {
+  if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="entry-changes">
+      <h5>{title}</h5>
+      <ul>
+        {diff.added.map(entry => (
+          <li key={`added:${nameOf(entry)}`} className="change-added">Added {nameOf(entry)}</li>
+        ))}
+        {diff.removed.map(entry => (
+          <li key={`removed:${nameOf(entry)}`} className="change-removed">Removed {nameOf(entry)}</li>
+        ))}
+        {diff.changed.map(({ id, entry, changes }) => (
+          <li key={`changed:${id}`}>
+            Changed {nameOf(entry)}
+            <ChangeList changes={changes} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * DatabaseDiff component.
+ * Differences between two database versions: buffers and samples added or
+ * removed, and within each changed entry the pKa values, limiting shifts
+ * and resonances that changed, with old and new values.
+ */
+export function DatabaseDiff({ diff }) {
+  return (
+    <div className="database-diff">
+      <h4>
+        {diff.from.database_version} → {diff.to.database_version}
+        {diff.to.last_updated && <span className="hint"> ({diff.to.last_updated})</span>}
+      </h4>
+      {diff.nChanges === 0 ? (
+        <p className="hint">No differences in samples or buffers.</p>
+      ) : (
+        <>
+          <EntryChanges
+            title="Buffers"
+            diff={diff.buffers}
+            nameOf={buffer => buffer.buffer_name ? `${buffer.buffer_name} (${buffer.buffer_id})` : buffer.buffer_id}
+          />
+          <EntryChanges title="Samples" diff={diff.samples} nameOf={sample => sample.sample_id} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DatabaseDiff;
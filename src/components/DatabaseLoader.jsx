@@ -1,4 +1,18 @@
-import { useState, useEffect, createContext, useContext } from 'react';
+import { useState, useEffect, useMemo, useCallback, createContext, useContext } from 'react';
+import { checkDatabaseStructure, validateDatabase } from '../database/databaseValidation';
+import { mergeDatabases } from '../database/databaseMerge';
+import {
+  loadBrowserEntries,
+  loadLocalFile,
+  saveLocalFile,
+  clearLocalFile,
+  loadVersionFiles,
+  saveVersionFile,
+  deleteVersionFile
+} from '../database/browserStore';
+import { hashContent } from '../database/databaseVersions';
+import { DatabaseReport } from './DatabaseReport';
+import databaseSchema from '../../draft-schema.json';
 
 /**
  * Context for database access throughout the app.
@@ -21,14 +35,59 @@ export function useDatabase() {
  */
 const DEFAULT_DATABASE_URL = './draft-database.json';
 
+/**
+ * Index of released database versions bundled with the app.
+ */
+const DEFAULT_ARCHIVE_URL = './database-archive.json';
+
+/**
+ * localStorage key of the pinned database version.
+ */
+const PIN_STORAGE_KEY = 'nmr-ph-database-pin';
+
+/**
+ * Merge the database sources, validate the result and build maps for quick
+ * lookup. Entries that fail validation are left out; the report lists them.
+ */
+function prepareDatabase(layers) {
+  const { database: merged, sources, conflicts } = mergeDatabases(layers);
+  const { database, report } = validateDatabase(merged, databaseSchema);
+
+  if (!report.valid) {
+    console.warn('Database entries quarantined:', report.quarantined);
+  }
+
+  return {
+    ...database,
+    samplesMap: new Map(database.samples.map(s => [s.sample_id, s])),
+    buffersMap: new Map(database.buffers.map(b => [b.buffer_id, b])),
+    validation: report,
+    sources,
+    conflicts
+  };
+}
+
 /**
  * DatabaseLoader component.
- * Fetches the buffer database and provides it via context.
+ * Fetches the community buffer database, layers a local database file and
+ * entries stored in the browser on top, validates the result, and provides
+ * it via context. The community database can be pinned to an earlier
+ * version, from the bundled archive or an uploaded file, in place of the
+ * latest.
  */
-export function DatabaseLoader({ children, databaseUrl = DEFAULT_DATABASE_URL }) {
-  const [database, setDatabase] = useState(null);
+export function DatabaseLoader({ children, databaseUrl = DEFAULT_DATABASE_URL, archiveUrl = DEFAULT_ARCHIVE_URL }) {
+  const [community, setCommunity] = useState(null);
+  const [localFile, setLocalFile] = useState(null);
+  const [browserEntries, setBrowserEntries] = useState(null);
+  const [archive, setArchive] = useState(null);
+  const [versionFiles, setVersionFiles] = useState(null);
+  const [archiveData, setArchiveData] = useState({});
+  const [pinnedId, setPinnedId] = useState(() => localStorage.getItem(PIN_STORAGE_KEY));
+  const [pinLoadError, setPinLoadError] = useState(null);
+  const [hashed, setHashed] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [storeError, setStoreError] = useState(null);
 
   useEffect(() => {
     let cancelled = false;
@@ -46,17 +105,10 @@ export function DatabaseLoader({ children, databaseUrl = DEFAULT_DATABASE_URL })
         }
 
         const data = await response.json();
+        checkDatabaseStructure(data);
 
         if (!cancelled) {
-          // Build maps for quick lookup
-          const samplesMap = new Map(data.samples.map(s => [s.sample_id, s]));
-          const buffersMap = new Map(data.buffers.map(b => [b.buffer_id, b]));
-
-          setDatabase({
-            ...data,
-            samplesMap,
-            buffersMap
-          });
+          setCommunity(data);
           setLoading(false);
 
           // Cache in localStorage for offline use
@@ -75,15 +127,10 @@ export function DatabaseLoader({ children, databaseUrl = DEFAULT_DATABASE_URL })
           const cached = localStorage.getItem('nmr-ph-database');
           if (cached) {
             const data = JSON.parse(cached);
-            const samplesMap = new Map(data.samples.map(s => [s.sample_id, s]));
-            const buffersMap = new Map(data.buffers.map(b => [b.buffer_id, b]));
+            checkDatabaseStructure(data);
 
             if (!cancelled) {
-              setDatabase({
-                ...data,
-                samplesMap,
-                buffersMap
-              });
+              setCommunity(data);
               setLoading(false);
               setError('Using cached database (could not fetch latest)');
             }
@@ -107,6 +154,228 @@ export function DatabaseLoader({ children, databaseUrl = DEFAULT_DATABASE_URL })
     };
   }, [databaseUrl]);
 
+  // Load the index of released versions; without it only the latest is offered
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadArchive() {
+      try {
+        const response = await fetch(archiveUrl);
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const index = await response.json();
+        if (!cancelled) {
+          setArchive(index.versions ?? []);
+        }
+      } catch (err) {
+        console.warn('Database archive unavailable:', err);
+        if (!cancelled) {
+          setArchive([]);
+        }
+      }
+    }
+
+    loadArchive();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [archiveUrl]);
+
+  // Load private sources stored in the browser
+  const reloadBrowserEntries = useCallback(async () => {
+    try {
+      const [file, entries, versions] = await Promise.all([loadLocalFile(), loadBrowserEntries(), loadVersionFiles()]);
+      setLocalFile(file);
+      setBrowserEntries(entries);
+      setVersionFiles(versions);
+      setStoreError(null);
+    } catch (err) {
+      console.warn('Browser database load failed:', err);
+      setVersionFiles(previous => previous ?? []);
+      setStoreError(`Could not read entries stored in the browser: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    reloadBrowserEntries();
+  }, [reloadBrowserEntries]);
+
+  // Versions of the community database: the latest, the archive and uploads
+  const versions = useMemo(() => [
+    ...(community ? [{
+      id: 'latest',
+      origin: 'latest',
+      database_version: community.database_version,
+      last_updated: community.last_updated ?? null,
+      label: `Latest (${community.database_version})`
+    }] : []),
+    ...(archive ?? []).map(entry => ({
+      id: `archive:${entry.database_version}`,
+      origin: 'archive',
+      database_version: entry.database_version,
+      last_updated: entry.last_updated ?? null,
+      notes: entry.notes ?? null,
+      url: entry.url,
+      label: `${entry.database_version}${entry.last_updated ? ` (${entry.last_updated})` : ''}`
+    })),
+    ...(versionFiles ?? []).map(file => ({
+      id: file.id,
+      origin: 'upload',
+      database_version: file.data.database_version,
+      last_updated: file.data.last_updated ?? null,
+      name: file.name,
+      label: `${file.data.database_version} (${file.name})`
+    }))
+  ], [community, archive, versionFiles]);
+
+  // Database of a version, fetching archived versions on first use
+  const loadVersion = useCallback(async (id) => {
+    const version = versions.find(v => v.id === id);
+    if (!version) {
+      throw new Error(`Unknown database version ${id}`);
+    }
+    if (version.origin === 'latest') return community;
+    if (version.origin === 'upload') return versionFiles.find(file => file.id === id).data;
+    if (archiveData[id]) return archiveData[id];
+
+    const response = await fetch(version.url);
+    if (!response.ok) {
+      throw new Error(`Failed to load database version ${version.database_version}: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    checkDatabaseStructure(data);
+    setArchiveData(previous => ({ ...previous, [id]: data }));
+    return data;
+  }, [versions, community, versionFiles, archiveData]);
+
+  const pinned = pinnedId ? versions.find(v => v.id === pinnedId) ?? null : null;
+  const pinnedData = pinned?.origin === 'archive'
+    ? archiveData[pinned.id]
+    : pinned?.origin === 'upload' ? versionFiles.find(file => file.id === pinned.id)?.data : null;
+
+  // The pinned version once loaded, otherwise the latest
+  const activeCommunity = pinnedData ?? community;
+
+  // Fetch a pinned archive version remembered from an earlier session
+  useEffect(() => {
+    if (pinned?.origin === 'archive' && !archiveData[pinned.id]) {
+      loadVersion(pinned.id).catch(err => {
+        console.warn('Pinned database version unavailable:', err);
+        setPinLoadError(`Pinned database version ${pinned.database_version} could not be loaded: ${err.message}`);
+      });
+    }
+  }, [pinned, archiveData, loadVersion]);
+
+  // A pinned version that is missing or failed to load, so the latest is used instead
+  const versionsLoaded = archive !== null && versionFiles !== null;
+  const pinError = pinnedId && !pinnedData
+    ? pinLoadError ?? (versionsLoaded && !pinned ? `Pinned database version ${pinnedId} is no longer available` : null)
+    : null;
+
+  useEffect(() => {
+    if (!activeCommunity) return;
+    let cancelled = false;
+
+    hashContent(activeCommunity)
+      .then(hash => {
+        if (!cancelled) setHashed({ data: activeCommunity, hash });
+      })
+      .catch(err => console.warn('Database hash failed:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeCommunity]);
+
+  const database = useMemo(() => {
+    if (!activeCommunity) return null;
+
+    const layers = [{
+      source: 'community',
+      name: pinnedData ? `version ${pinnedData.database_version} (pinned)` : null,
+      data: activeCommunity
+    }];
+    if (localFile) {
+      layers.push({ source: 'file', name: localFile.name, data: localFile.data });
+    }
+    if (browserEntries) {
+      layers.push({ source: 'browser', data: browserEntries });
+    }
+    return prepareDatabase(layers);
+  }, [activeCommunity, pinnedData, localFile, browserEntries]);
+
+  // Use a local database file as a source, keeping it for later sessions
+  const loadLocalDatabase = async (file) => {
+    const data = JSON.parse(await file.text());
+    checkDatabaseStructure(data);
+    setLocalFile({ name: file.name, data });
+
+    try {
+      await saveLocalFile(file.name, data);
+    } catch (err) {
+      console.warn('Failed to store local database:', err);
+    }
+  };
+
+  const removeLocalDatabase = async () => {
+    setLocalFile(null);
+
+    try {
+      await clearLocalFile();
+    } catch (err) {
+      console.warn('Failed to remove stored local database:', err);
+    }
+  };
+
+  // Use a version of the community database in place of the latest
+  const pinVersion = async (id) => {
+    if (!id || id === 'latest') {
+      setPinnedId(null);
+      setPinLoadError(null);
+      localStorage.removeItem(PIN_STORAGE_KEY);
+      return;
+    }
+
+    await loadVersion(id);
+    setPinnedId(id);
+    setPinLoadError(null);
+    localStorage.setItem(PIN_STORAGE_KEY, id);
+  };
+
+  // Add an uploaded database file as a version, keeping it for later sessions
+  const addVersionFile = async (file) => {
+    const data = JSON.parse(await file.text());
+    checkDatabaseStructure(data);
+    if (!data.database_version) {
+      throw new Error('The file does not state its database_version');
+    }
+
+    const id = `upload:${file.name}`;
+    setVersionFiles(previous => [...(previous ?? []).filter(v => v.id !== id), { id, name: file.name, data }]);
+
+    try {
+      await saveVersionFile(id, file.name, data);
+    } catch (err) {
+      console.warn('Failed to store database version:', err);
+    }
+    return id;
+  };
+
+  const removeVersionFile = async (id) => {
+    setVersionFiles(previous => (previous ?? []).filter(v => v.id !== id));
+    if (pinnedId === id) {
+      await pinVersion(null);
+    }
+
+    try {
+      await deleteVersionFile(id);
+    } catch (err) {
+      console.warn('Failed to remove stored database version:', err);
+    }
+  };
+
   // Get available solvents from database
   const solvents = database
     ? [...new Set(database.samples.map(s => s.solvent))].filter(Boolean)
@@ -136,6 +405,26 @@ export function DatabaseLoader({ children, databaseUrl = DEFAULT_DATABASE_URL })
     database,
     loading,
     error,
+    validation: database?.validation ?? null,
+    sources: database?.sources ?? [],
+    conflicts: database?.conflicts ?? [],
+    loadLocalDatabase,
+    removeLocalDatabase,
+    versions,
+    databaseVersion: activeCommunity ? {
+      id: pinnedData ? pinned.id : 'latest',
+      database_version: activeCommunity.database_version,
+      last_updated: activeCommunity.last_updated ?? null,
+      pinned: Boolean(pinnedData),
+      hash: hashed?.data === activeCommunity ? hashed.hash : null,
+      data: activeCommunity
+    } : null,
+    loadVersion,
+    pinVersion,
+    addVersionFile,
+    removeVersionFile,
+    browserEntries,
+    reloadBrowserEntries,
     solvents,
     getBuffersForSolvent,
     getNucleiForBuffers,
@@ -174,6 +463,21 @@ export function DatabaseLoader({ children, databaseUrl = DEFAULT_DATABASE_URL })
           <span className="warning-icon">&#9888;</span> {error}
         </div>
       )}
+      {storeError && (
+        <div className="database-warning">
+          <span className="warning-icon">&#9888;</span> {storeError}
+        </div>
+      )}
+      {pinError && (
+        <div className="database-warning">
+          <span className="warning-icon">&#9888;</span> {pinError}. The latest database version is used
+          instead.{' '}
+          <button type="button" className="source-remove" onClick={() => pinVersion(null)}>
+            Clear pin
+          </button>
+        </div>
+      )}
+      <DatabaseReport report={database.validation} />
       {children}
     </DatabaseContext.Provider>
   );
@@ -0,0 +1,49 @@
+/**
+ * DatabaseReport component.
+ * Lists the problems found when validating the buffer database: entries
+ * that were quarantined, with the reasons, and warnings about entries that
+ * were kept. The summary line can be replaced, e.g. when a single entry
+ * is being edited.
+ */
+export function DatabaseReport({ report, summary = null }) {
+  if (!report || report.issues.length === 0) {
+    return null;
+  }
+
+  const { quarantined, nSamples, nBuffers } = report;
+  const nQuarantined = quarantined.samples.length + quarantined.buffers.length;
+
+  const entryLabel = issue => issue.entry === 'database'
+    ? 'Database'
+    : `${issue.entry === 'sample' ? 'Sample' : 'Buffer'} ${issue.id}` +
+      (issue.provenance ? ` (${issue.provenance.label})` : '');
+
+  return (
+    <details className={`database-report ${report.valid ? '' : 'invalid'}`} open={!report.valid}>
+      <summary>
+        <span className="warning-icon">&#9888;</span>{' '}
+        {summary ?? (nQuarantined > 0
+          ? `${quarantined.buffers.length} of ${nBuffers} buffers and ${quarantined.samples.length} of ${nSamples} samples failed validation and are not used`
+          : 'The buffer database has warnings')}
+      </summary>
+      <ul>
+        {report.issues.map((issue, index) => (
+          <li key={`${issue.entry}:${issue.id}:${index}`}>
+            <strong>{entryLabel(issue)}</strong>
+            {issue.errors.length > 0 && ' (quarantined)'}
+            <ul>
+              {issue.errors.map((message, i) => (
+                <li key={`error-${i}`} className="report-error">{message}</li>
+              ))}
+              {issue.warnings.map((message, i) => (
+                <li key={`warning-${i}`} className="report-warning">{message}</li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+export default DatabaseReport;
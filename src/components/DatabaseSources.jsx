@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { useDatabase } from './DatabaseLoader';
+
+/**
+ * DatabaseSources component.
+ * Lists the sources the buffer database is merged from, with the entries
+ * each contributes, and lets a local database file be added or removed.
+ * Entries from later sources replace those with the same ID from earlier
+ * ones; the replacements are listed.
+ */
+export function DatabaseSources() {
+  const { sources, conflicts, loadLocalDatabase, removeLocalDatabase } = useDatabase();
+  const [loadError, setLoadError] = useState(null);
+
+  const hasLocalFile = sources.some(s => s.source === 'file');
+
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    try {
+      await loadLocalDatabase(file);
+      setLoadError(null);
+    } catch (err) {
+      setLoadError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <details className="database-sources">
+      <summary>Database sources ({sources.length})</summary>
+
+      <ul className="source-list">
+        {sources.map(source => (
+          <li key={source.source} className={`source-${source.source}`}>
+            <span className="source-badge">{source.label}</span>
+            {source.name && <span className="source-name"> {source.name}</span>}
+            {' '}– {source.nBuffers} buffers, {source.nSamples} samples
+            {source.source === 'file' && (
+              <button type="button" className="source-remove" onClick={removeLocalDatabase}>
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <label className="file-select">
+        {hasLocalFile ? 'Replace local database file' : 'Add local database file'}
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => {
+            handleFile(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+        />
+      </label>
+      <p className="hint">
+        Local files and browser entries stay on this computer and take precedence
+        over the community database where IDs coincide.
+      </p>
+
+      {loadError && <p className="import-error">{loadError}</p>}
+
+      {conflicts.length > 0 && (
+        <ul className="source-conflicts">
+          {conflicts.map(conflict => (
+            <li key={`${conflict.entry}:${conflict.id}`}>
+              {conflict.entry === 'sample' ? 'Sample' : 'Buffer'} {conflict.id}:{' '}
+              {conflict.used.label} replaces {conflict.overridden.map(p => p.label).join(', ')}
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
+
+export default DatabaseSources;
@@ -0,0 +1,216 @@
+import { useState } from 'react';
+import { useDatabase } from './DatabaseLoader';
+import { DatabaseDiff } from './DatabaseDiff';
+import { buildChangelog, diffDatabases, hashContent } from '../database/databaseVersions';
+
+/**
+ * DatabaseVersions component.
+ * Shows the version and content hash of the community database in use and
+ * lets an earlier version be pinned, from the bundled archive or an uploaded
+ * file, or the version recorded in a result file. Two versions can be
+ * compared, and the changelog lists the differences between successive
+ * versions.
+ */
+export function DatabaseVersions() {
+  const {
+    versions,
+    databaseVersion,
+    loadVersion,
+    pinVersion,
+    addVersionFile,
+    removeVersionFile
+  } = useDatabase();
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('latest');
+  const [diff, setDiff] = useState(null);
+  const [changelog, setChangelog] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Run an action that may load versions, reporting failures
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setMessage({ error: true, text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePin = (id) => run(async () => {
+    await pinVersion(id);
+    setMessage(null);
+  });
+
+  const handleVersionFile = (file) => run(async () => {
+    const id = await addVersionFile(file);
+    setMessage({ error: false, text: `Added ${file.name}` });
+    setCompareFrom(id);
+  });
+
+  // Pin the version whose content matches the hash recorded in a result
+  const handleResultFile = (file) => run(async () => {
+    const record = JSON.parse(await file.text()).database;
+    if (!record?.content_hash) {
+      throw new Error(`${file.name} does not record the database it was computed with`);
+    }
+
+    for (const version of versions) {
+      const data = await loadVersion(version.id);
+      if (await hashContent(data) === record.content_hash) {
+        await pinVersion(version.id);
+        setMessage({ error: false, text: `Pinned version ${version.label}, as used for ${file.name}` });
+        return;
+      }
+    }
+
+    throw new Error(
+      `Database version ${record.database_version} (${record.content_hash.slice(0, 12)}…) used for ${file.name} ` +
+      'is not available; add its database file to recompute the result'
+    );
+  });
+
+  const handleCompare = () => run(async () => {
+    const [older, newer] = await Promise.all([loadVersion(compareFrom), loadVersion(compareTo)]);
+    setDiff(diffDatabases(older, newer));
+  });
+
+  // Successive released versions, and uploaded ones, without repeats of the latest
+  const handleChangelog = () => run(async () => {
+    const databases = [];
+    const seen = new Set();
+    for (const version of versions) {
+      const data = await loadVersion(version.id);
+      const hash = await hashContent(data);
+      if (!seen.has(hash ?? version.id)) {
+        seen.add(hash ?? version.id);
+        databases.push(data);
+      }
+    }
+    setChangelog(buildChangelog(databases));
+  });
+
+  if (!databaseVersion) {
+    return null;
+  }
+
+  const uploads = versions.filter(v => v.origin === 'upload');
+  const archived = versions.filter(v => v.origin === 'archive');
+
+  return (
+    <details className="database-versions">
+      <summary>
+        Database version {databaseVersion.database_version}
+        {databaseVersion.pinned && ' (pinned)'}
+      </summary>
+
+      <p className="hint">
+        Content hash (SHA-256):{' '}
+        <code>{databaseVersion.hash ? `${databaseVersion.hash.slice(0, 16)}…` : 'unavailable'}</code>.
+        Results record the version and hash, so they can be recomputed with the same parameters.
+      </p>
+
+      <div className="version-controls">
+        <label>
+          Use version
+          <select value={databaseVersion.id} onChange={(e) => handlePin(e.target.value)} disabled={busy}>
+            {versions.map(v => (
+              <option key={v.id} value={v.id}>{v.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="file-select">
+          Add a version file
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              if (e.target.files?.[0]) handleVersionFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <label className="file-select">
+          Use the version of a result
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              if (e.target.files?.[0]) handleResultFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      {message && <p className={message.error ? 'import-error' : 'import-status'}>{message.text}</p>}
+
+      {archived.some(v => v.notes) && (
+        <ul className="version-notes">
+          {archived.map(v => (
+            <li key={v.id}><strong>{v.label}</strong>{v.notes && ` – ${v.notes}`}</li>
+          ))}
+        </ul>
+      )}
+
+      {uploads.length > 0 && (
+        <ul className="source-list">
+          {uploads.map(v => (
+            <li key={v.id}>
+              {v.label}
+              <button type="button" className="source-remove" onClick={() => removeVersionFile(v.id)}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="version-controls">
+        <label>
+          Compare
+          <select value={compareFrom} onChange={(e) => setCompareFrom(e.target.value)}>
+            <option value="">Choose a version…</option>
+            {versions.map(v => (
+              <option key={v.id} value={v.id}>{v.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          with
+          <select value={compareTo} onChange={(e) => setCompareTo(e.target.value)}>
+            {versions.map(v => (
+              <option key={v.id} value={v.id}>{v.label}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" onClick={handleCompare} disabled={busy || !compareFrom || compareFrom === compareTo}>
+          Compare
+        </button>
+        <button type="button" onClick={handleChangelog} disabled={busy}>
+          Show changelog
+        </button>
+      </div>
+
+      {diff && <DatabaseDiff diff={diff} />}
+
+      {changelog && (
+        <div className="changelog">
+          <h4>Changelog</h4>
+          {changelog.length === 0
+            ? <p className="hint">Only one version is available.</p>
+            : changelog.map(entry => (
+              <DatabaseDiff
+                key={`${entry.from.database_version}:${entry.to.database_version}:${entry.to.last_updated}`}
+                diff={entry}
+              />
+            ))}
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default DatabaseVersions;
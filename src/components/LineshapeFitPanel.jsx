@@ -0,0 +1,170 @@
+import { useState, useMemo } from 'react';
+import { generatePredictions, getLockKey } from '../numerical/peakAssignment';
+import { seedLineshapeComponents, fitLineshapes } from '../spectra/lineshapeFitting';
+
+/**
+ * LineshapeFitPanel component.
+ * Fits Lorentzian or Gaussian multiplets to a window of a loaded spectrum,
+ * starting from the buffer shifts predicted at the current pH estimate and
+ * the multiplicities in the database. The fitted centres replace the
+ * observed shifts in the window, with their uncertainties as per-peak
+ * measurement precision.
+ */
+export function LineshapeFitPanel({
+  nucleus,
+  spectrum,
+  buffers,
+  samplesMap,
+  temperature,
+  ionicStrength,
+  pH = null,
+  observedShifts = [],
+  onApply,
+  onModelChange
+}) {
+  const [ppmMin, setPpmMin] = useState('');
+  const [ppmMax, setPpmMax] = useState('');
+  const [lineshape, setLineshape] = useState('lorentzian');
+  const [fit, setFit] = useState(null);
+  const [previousSpectrum, setPreviousSpectrum] = useState(spectrum);
+
+  // A new spectrum invalidates the fit
+  if (spectrum !== previousSpectrum) {
+    setPreviousSpectrum(spectrum);
+    setFit(null);
+  }
+
+  const predictions = useMemo(
+    () => generatePredictions(buffers, samplesMap, pH ?? 7, temperature, ionicStrength)[nucleus] ?? [],
+    [buffers, samplesMap, pH, temperature, ionicStrength, nucleus]
+  );
+
+  // Default window: the predicted shifts with a margin
+  const defaultWindow = useMemo(() => {
+    if (predictions.length === 0) return null;
+    const shifts = predictions.map(p => p.predicted_shift);
+    const low = Math.min(...shifts);
+    const high = Math.max(...shifts);
+    const margin = Math.max(0.1 * (high - low), 0.1);
+    return [low - margin, high + margin];
+  }, [predictions]);
+
+  const windowMin = ppmMin !== '' ? parseFloat(ppmMin) : defaultWindow?.[0];
+  const windowMax = ppmMax !== '' ? parseFloat(ppmMax) : defaultWindow?.[1];
+  const windowValid = Number.isFinite(windowMin) && Number.isFinite(windowMax) && windowMin < windowMax;
+
+  const handleFit = () => {
+    const components = seedLineshapeComponents(spectrum, predictions, windowMin, windowMax);
+    const result = fitLineshapes(spectrum, components, windowMin, windowMax, { lineshape });
+    setFit({ ...result, ppmMin: windowMin, ppmMax: windowMax });
+    onModelChange(result.success ? result.model : null);
+  };
+
+  const handleApply = () => {
+    const fitted = fit.components.filter(c => c.buffer_id);
+    const outside = observedShifts.filter(s => s < fit.ppmMin || s > fit.ppmMax);
+    const uncertainties = Object.fromEntries(
+      fitted
+        .filter(c => c.centreUncertainty > 0)
+        .map(c => [getLockKey(c.centre), c.centreUncertainty])
+    );
+
+    onApply([...outside, ...fitted.map(c => c.centre)].sort((a, b) => a - b), uncertainties);
+  };
+
+  return (
+    <div className="lineshape-fit">
+      <h4>Lineshape fitting</h4>
+      <div className="lineshape-controls">
+        <label>
+          From (ppm):
+          <input
+            type="number"
+            value={ppmMin}
+            onChange={(e) => setPpmMin(e.target.value)}
+            placeholder={defaultWindow ? defaultWindow[0].toFixed(2) : ''}
+            step="0.01"
+          />
+        </label>
+        <label>
+          To (ppm):
+          <input
+            type="number"
+            value={ppmMax}
+            onChange={(e) => setPpmMax(e.target.value)}
+            placeholder={defaultWindow ? defaultWindow[1].toFixed(2) : ''}
+            step="0.01"
+          />
+        </label>
+        <label>
+          Lineshape:
+          <select value={lineshape} onChange={(e) => setLineshape(e.target.value)}>
+            <option value="lorentzian">Lorentzian</option>
+            <option value="gaussian">Gaussian</option>
+          </select>
+        </label>
+        <button type="button" onClick={handleFit} disabled={!windowValid}>
+          Fit lineshapes
+        </button>
+      </div>
+      <p className="hint">
+        Starting positions are the shifts predicted at pH {(pH ?? 7).toFixed(2)}
+        {pH === null && ' (no fit yet)'}.
+      </p>
+
+      {fit && !fit.success && (
+        <p className="import-error">Lineshape fit failed: {fit.error}</p>
+      )}
+
+      {fit?.success && (
+        <>
+          {!fit.converged && (
+            <p className="import-error">
+              The lineshape fit did not converge within {fit.iterations} iterations; check the window and
+              starting multiplets before using the fitted shifts.
+            </p>
+          )}
+          <table className="lineshape-table">
+            <thead>
+              <tr>
+                <th>Peak</th>
+                <th>Multiplicity</th>
+                <th>Centre (ppm)</th>
+                <th>J (Hz)</th>
+                <th>Width (Hz)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fit.components.map(c => (
+                <tr key={c.id} className={c.buffer_id ? '' : 'other-peak'}>
+                  <td>{c.label}</td>
+                  <td>{c.multiplicity}</td>
+                  <td>{c.centre.toFixed(4)} ± {c.centreUncertainty.toFixed(4)}</td>
+                  <td>
+                    {c.coupling !== null
+                      ? `${c.coupling.toFixed(1)} ± ${c.couplingUncertainty.toFixed(1)}`
+                      : '—'}
+                  </td>
+                  <td>{c.widthHz.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="hint">
+            RMS residual {fit.rmsResidual.toPrecision(3)} (noise {fit.noise.toPrecision(3)}).
+            Other peaks are fitted so they do not distort the buffer peaks, but are not used.
+          </p>
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={!fit.components.some(c => c.buffer_id)}
+          >
+            Use fitted shifts
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LineshapeFitPanel;
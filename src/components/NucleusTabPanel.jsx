@@ -1,10 +1,37 @@
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { ChemicalShiftPlot } from './ChemicalShiftPlot';
 import { ShiftInputArea } from './ShiftInputArea';
+import { CorrelationInputArea } from './CorrelationInputArea';
+import { LineshapeFitPanel } from './LineshapeFitPanel';
+import { DEFAULT_MEASUREMENT_UNCERTAINTIES } from '../numerical/fitting';
+import { getHzConversion } from '../numerical/referencing';
+import { getBondedPairs } from '../numerical/peakAssignment';
+import { filterPeaksByIntensity } from '../spectra/peakList';
+import { pickPeaks } from '../spectra/peakPicking';
+import { readSpectrumFiles } from '../spectra/fileImport';
+
+/**
+ * Stable empty shift list, so inputs without shifts don't see a new value each render.
+ */
+const NO_SHIFTS = [];
+
+/**
+ * Stable empty cross peak list.
+ */
+const NO_PEAKS = [];
 
 /**
  * NucleusTabPanel component.
  * Tabbed interface for each nucleus type with plot and input area.
+ * A TopSpin peak list or a spectrum (Bruker 1r + procs, JCAMP-DX) dropped on
+ * a tab is routed to the nucleus named in the file, or to that tab if the file
+ * does not say, or to the observed nucleus of acquisition parameters (acqus)
+ * dropped with it; these also prefill the conditions. Spectra are peak-picked with a noise-based threshold, and
+ * overlapping buffer peaks can be refined by lineshape fitting. Shifts can
+ * also be typed in Hz from the carrier (SFO1 or O1) and are converted to ppm
+ * with the nucleus's Ξ ratio. Heteronuclei with directly bonded 1H in the
+ * selected buffers can instead take 2D cross peaks (δH, δX), which are
+ * assigned to bonded pairs as a whole.
  */
 export function NucleusTabPanel({
   nuclei,
@@ -14,11 +41,134 @@ export function NucleusTabPanel({
   ionicStrength,
   observedShifts,
   onShiftsChange,
+  observedCorrelations = {},
+  onCorrelationsChange,
+  measurementUncertainties = {},
+  onMeasurementUncertaintyChange,
+  onShiftUncertaintiesChange,
   fittedPH = null,
   phUncertainty = null,
-  assignments = null
+  phInterval = null,
+  assignments = null,
+  protonFrequency = null,
+  onAcquisitionLoad
 }) {
   const [activeTab, setActiveTab] = useState(nuclei[0] || null);
+  const [intensityThreshold, setIntensityThreshold] = useState(5);
+  const [importMessage, setImportMessage] = useState(null);
+  const [dragTarget, setDragTarget] = useState(null);
+
+  const [snrThreshold, setSnrThreshold] = useState(10);
+  const [spectra, setSpectra] = useState({});
+  const [lineshapeModels, setLineshapeModels] = useState({});
+  const [hzSettings, setHzSettings] = useState({});
+  const [inputModes, setInputModes] = useState({});
+
+  // Cross-peak coordinates are plotted with the 1D shifts of their nuclei
+  const plotShifts = useMemo(() => {
+    const combined = { ...observedShifts };
+    for (const [nucleus, peaks] of Object.entries(observedCorrelations)) {
+      if (peaks.length === 0) continue;
+      combined['1H'] = [...(combined['1H'] ?? []), ...peaks.map(([h]) => h)];
+      combined[nucleus] = [...(combined[nucleus] ?? []), ...peaks.map(([, x]) => x)];
+    }
+    return combined;
+  }, [observedShifts, observedCorrelations]);
+
+  // Nuclei with directly bonded 1H, which can take 2D cross peaks
+  const correlatedNuclei = useMemo(
+    () => nuclei.filter(nucleus => nucleus !== '1H' && getBondedPairs(buffers, nucleus).length > 0),
+    [nuclei, buffers]
+  );
+  const inputModeOf = nucleus => (correlatedNuclei.includes(nucleus) ? inputModes[nucleus] ?? '1D' : '1D');
+
+  const hzConversions = useMemo(
+    () => Object.fromEntries(nuclei.map(nucleus => {
+      const settings = hzSettings[nucleus];
+      const value = parseFloat(settings?.carrierValue);
+      const conversion = settings?.units === 'Hz' && Number.isFinite(value)
+        ? getHzConversion(nucleus, { type: settings.carrierType, value }, protonFrequency)
+        : null;
+      return [nucleus, conversion];
+    })),
+    [nuclei, hzSettings, protonFrequency]
+  );
+
+  const updateHzSettings = (nucleus, changes) => {
+    setHzSettings(prev => ({
+      ...prev,
+      [nucleus]: { units: 'ppm', carrierType: 'sfo1', carrierValue: '', ...prev[nucleus], ...changes }
+    }));
+  };
+
+  // Shifts from files and fits are in ppm, so the input switches back to ppm
+  const setImportedShifts = (nucleus, shifts) => {
+    if (hzSettings[nucleus]?.units === 'Hz') {
+      updateHzSettings(nucleus, { units: 'ppm' });
+    }
+    onShiftsChange(nucleus, shifts);
+  };
+
+  // Pick peaks in a spectrum and use them as the observed shifts
+  const applyPeakPicking = (nucleus, name, spectrum, threshold) => {
+    const { peaks, noise } = pickPeaks(spectrum, { snrThreshold: threshold });
+    setImportedShifts(nucleus, peaks.map(p => p.shift));
+    setImportMessage({
+      error: false,
+      text: `${name}: ${peaks.length} peaks picked above ${threshold} × noise (${noise.toPrecision(3)}) for ${nucleus}`
+    });
+  };
+
+  const handleFiles = async (files, tabNucleus) => {
+    if (!files?.length) return;
+    const label = Array.from(files).map(f => f.name).join(', ');
+
+    try {
+      const imported = await readSpectrumFiles(files);
+      const nucleus = imported.nucleus ?? tabNucleus;
+
+      if (imported.acquisition) {
+        onAcquisitionLoad(imported.acquisition);
+      }
+
+      if (!nuclei.includes(nucleus)) {
+        setImportMessage({ error: true, text: `${label}: no selected buffer has ${nucleus} resonances` });
+        return;
+      }
+
+      setActiveTab(nucleus);
+
+      if (imported.acquisition?.sfo1) {
+        updateHzSettings(nucleus, { carrierType: 'sfo1', carrierValue: String(imported.acquisition.sfo1) });
+      }
+
+      if (imported.kind === 'acquisition') {
+        setImportMessage({ error: false, text: `${label}: acquisition parameters read for ${nucleus}` });
+        return;
+      }
+
+      if (imported.kind === 'spectrum') {
+        setSpectra(prev => ({ ...prev, [nucleus]: { name: imported.name, spectrum: imported.spectrum } }));
+        setLineshapeModels(prev => ({ ...prev, [nucleus]: null }));
+        applyPeakPicking(nucleus, imported.name, imported.spectrum, snrThreshold);
+        return;
+      }
+
+      if (imported.peaks.length === 0) {
+        setImportMessage({ error: true, text: `${label}: no peaks found` });
+        return;
+      }
+
+      const kept = filterPeaksByIntensity(imported.peaks, intensityThreshold / 100);
+      setImportedShifts(nucleus, kept.map(p => p.shift).sort((a, b) => a - b));
+      setImportMessage({
+        error: false,
+        text: `${label}: ${kept.length} of ${imported.peaks.length} peaks imported to ${nucleus}`
+      });
+    } catch (error) {
+      setImportMessage({ error: true, text: `${label}: ${error.message}` });
+    }
+  };
 
   // Ensure active tab is valid
   if (activeTab && !nuclei.includes(activeTab)) {
@@ -66,19 +216,204 @@ export function NucleusTabPanel({
                   samplesMap={samplesMap}
                   temperature={temperature}
                   ionicStrength={ionicStrength}
-                  observedShifts={observedShifts[nucleus] || []}
+                  observedShifts={plotShifts[nucleus] || NO_SHIFTS}
                   fittedPH={fittedPH}
                   phUncertainty={phUncertainty}
+                  phInterval={phInterval}
                   assignments={assignments?.[nucleus]}
+                  spectrum={spectra[nucleus]?.spectrum ?? null}
+                  spectrumModel={lineshapeModels[nucleus] ?? null}
                 />
               </div>
 
-              <div className="input-section">
-                <ShiftInputArea
-                  nucleus={nucleus}
-                  value={observedShifts[nucleus] || []}
-                  onChange={(shifts) => onShiftsChange(nucleus, shifts)}
-                />
+              <div
+                className={`input-section ${dragTarget === nucleus ? 'drag-over' : ''}`}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragTarget(nucleus);
+                }}
+                onDragLeave={() => setDragTarget(null)}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  setDragTarget(null);
+                  handleFiles(e.dataTransfer.files, nucleus);
+                }}
+              >
+                {correlatedNuclei.includes(nucleus) && (
+                  <div className="input-mode">
+                    <label>
+                      Input:
+                      <select
+                        value={inputModeOf(nucleus)}
+                        onChange={(e) => setInputModes(prev => ({ ...prev, [nucleus]: e.target.value }))}
+                      >
+                        <option value="1D">1D shifts</option>
+                        <option value="2D">¹H–{nucleus} HSQC/HMQC cross peaks</option>
+                      </select>
+                    </label>
+                  </div>
+                )}
+                {inputModeOf(nucleus) === '2D' && (
+                  <>
+                    <CorrelationInputArea
+                      nucleus={nucleus}
+                      value={observedCorrelations[nucleus] || NO_PEAKS}
+                      onChange={onCorrelationsChange}
+                    />
+                    <p className="hint">
+                      Each cross peak is assigned to a directly bonded <sup>1</sup>H–{nucleus} pair
+                      of one buffer, and both shifts are fitted.
+                      {(observedShifts[nucleus]?.length ?? 0) > 0 &&
+                        ` The ${observedShifts[nucleus].length} 1D shifts entered are used as well.`}
+                    </p>
+                  </>
+                )}
+                <div style={{ display: inputModeOf(nucleus) === '2D' ? 'none' : 'block' }}>
+                  <ShiftInputArea
+                    nucleus={nucleus}
+                    value={observedShifts[nucleus] || NO_SHIFTS}
+                    onChange={(shifts, annotations) => onShiftsChange(nucleus, shifts, annotations)}
+                    buffers={buffers}
+                    units={hzSettings[nucleus]?.units ?? 'ppm'}
+                    hzConversion={hzConversions[nucleus]}
+                  />
+                  <div className="shift-units">
+                    <label>
+                      Units:
+                      <select
+                        value={hzSettings[nucleus]?.units ?? 'ppm'}
+                        onChange={(e) => updateHzSettings(nucleus, { units: e.target.value })}
+                      >
+                        <option value="ppm">ppm</option>
+                        <option value="Hz">Hz from carrier</option>
+                      </select>
+                    </label>
+                    {hzSettings[nucleus]?.units === 'Hz' && (
+                      <>
+                        <label>
+                          Carrier:
+                          <select
+                            value={hzSettings[nucleus].carrierType}
+                            onChange={(e) => updateHzSettings(nucleus, { carrierType: e.target.value })}
+                          >
+                            <option value="sfo1">SFO1 (MHz)</option>
+                            <option value="o1">O1 (Hz)</option>
+                          </select>
+                        </label>
+                        <input
+                          type="number"
+                          value={hzSettings[nucleus].carrierValue}
+                          onChange={(e) => updateHzSettings(nucleus, { carrierValue: e.target.value })}
+                          placeholder={hzSettings[nucleus].carrierType === 'sfo1' ? 'e.g. 564.7260' : 'e.g. -47050'}
+                          step="any"
+                        />
+                        {hzConversions[nucleus] && (
+                          <span className="hint">
+                            carrier at {hzConversions[nucleus].offset.toFixed(4)} ppm,
+                            {' '}{(1 / hzConversions[nucleus].ppmPerHz).toFixed(4)} Hz/ppm
+                          </span>
+                        )}
+                      </>
+                    )}
+                  </div>
+                </div>
+                <div className="peak-list-import">
+                  <p className="hint">
+                    Drop a TopSpin peak list (peaklist.xml or text export), a processed
+                    spectrum (1r with procs) or a JCAMP-DX file here, with acqus to
+                    prefill the conditions, or{' '}
+                    <label className="file-select">
+                      choose files
+                      <input
+                        type="file"
+                        multiple
+                        onChange={(e) => {
+                          handleFiles(e.target.files, nucleus);
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                  </p>
+                  <label>
+                    Minimum intensity (% of largest):
+                    <input
+                      type="number"
+                      value={intensityThreshold}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        setIntensityThreshold(value >= 0 ? value : 0);
+                      }}
+                      min="0"
+                      max="100"
+                      step="1"
+                    />
+                  </label>
+                  <label>
+                    Peak picking threshold (× noise):
+                    <input
+                      type="number"
+                      value={snrThreshold}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        setSnrThreshold(value > 0 ? value : 1);
+                      }}
+                      min="1"
+                      step="1"
+                    />
+                  </label>
+                  {spectra[nucleus] && (
+                    <button
+                      type="button"
+                      className="repick-button"
+                      onClick={() => applyPeakPicking(
+                        nucleus,
+                        spectra[nucleus].name,
+                        spectra[nucleus].spectrum,
+                        snrThreshold
+                      )}
+                    >
+                      Re-pick peaks
+                    </button>
+                  )}
+                  {importMessage && (
+                    <p className={importMessage.error ? 'import-error' : 'import-status'}>
+                      {importMessage.text}
+                    </p>
+                  )}
+                </div>
+                {spectra[nucleus] && (
+                  <LineshapeFitPanel
+                    nucleus={nucleus}
+                    spectrum={spectra[nucleus].spectrum}
+                    buffers={buffers}
+                    samplesMap={samplesMap}
+                    temperature={temperature}
+                    ionicStrength={ionicStrength}
+                    pH={fittedPH}
+                    observedShifts={observedShifts[nucleus] || NO_SHIFTS}
+                    onApply={(shifts, uncertainties) => {
+                      setImportedShifts(nucleus, shifts);
+                      onShiftUncertaintiesChange(nucleus, uncertainties);
+                    }}
+                    onModelChange={(model) => setLineshapeModels(prev => ({ ...prev, [nucleus]: model }))}
+                  />
+                )}
+                <div className="measurement-precision">
+                  <label>
+                    Measurement precision (ppm):
+                    <input
+                      type="number"
+                      value={measurementUncertainties[nucleus] ?? ''}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        onMeasurementUncertaintyChange(nucleus, value > 0 ? value : undefined);
+                      }}
+                      placeholder={String(DEFAULT_MEASUREMENT_UNCERTAINTIES[nucleus] ?? 0.01)}
+                      min="0"
+                      step="0.001"
+                    />
+                  </label>
+                </div>
               </div>
             </div>
           </div>
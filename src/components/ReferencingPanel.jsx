@@ -3,26 +3,7 @@
  * Configure chemical shift referencing for each nucleus.
  */
 
-/**
- * IUPAC Ξ ratios relative to DSS (1H at 0 ppm).
- * Used to calculate reference frequencies for other nuclei.
- */
-const XI_RATIOS = {
-  '1H': 100.000000,
-  '13C': 25.145020,
-  '15N': 10.136767,
-  '19F': 94.094011,
-  '31P': 40.480742
-};
-
-/**
- * Calculate reference frequency for a nucleus given 1H frequency.
- */
-function calculateReferenceFrequency(nucleus, protonFrequencyMHz) {
-  const xiRatio = XI_RATIOS[nucleus];
-  if (!xiRatio) return null;
-  return (protonFrequencyMHz * xiRatio) / 100;
-}
+import { calculateReferenceFrequency, indirectReferenceOffset } from '../numerical/referencing';
 
 /**
  * Single nucleus referencing configuration.
@@ -31,6 +12,8 @@ function NucleusReferencing({
   nucleus,
   config,
   protonFrequency,
+  dssShift,
+  hasProton,
   onChange
 }) {
   const handleModeChange = (e) => {
@@ -41,11 +24,11 @@ function NucleusReferencing({
     });
   };
 
-  const handleDssShiftChange = (e) => {
+  const handleReferenceFrequencyChange = (e) => {
     const value = parseFloat(e.target.value);
     onChange({
       ...config,
-      dssShift: isNaN(value) ? '' : value
+      referenceFrequency: isNaN(value) ? '' : value
     });
   };
 
@@ -56,11 +39,33 @@ function NucleusReferencing({
     });
   };
 
+  const handleOffsetModelChange = (e) => {
+    onChange({
+      ...config,
+      refineOffset: e.target.value === 'refine',
+      referenceFree: e.target.value === 'differences'
+    });
+  };
+
+  const handleReportOffsetChange = (e) => {
+    onChange({
+      ...config,
+      reportOffset: e.target.checked
+    });
+  };
+
+  const offsetModel = config.referenceFree ? 'differences' : config.refineOffset ? 'refine' : 'fixed';
+
   // Calculate expected frequency if proton frequency is set
   const expectedFreq = nucleus !== '1H' && protonFrequency
     ? calculateReferenceFrequency(nucleus, protonFrequency)
     : null;
 
+  // Offset carried over from the 1H DSS shift
+  const derivedOffset = nucleus !== '1H' && typeof dssShift === 'number'
+    ? indirectReferenceOffset(nucleus, dssShift, protonFrequency)
+    : null;
+
   return (
     <div className="nucleus-referencing">
       <div className="nucleus-label">
@@ -74,22 +79,46 @@ function NucleusReferencing({
           onChange={handleModeChange}
         >
           <option value="referenced">Referenced to DSS</option>
+          {nucleus !== '1H' && (
+            <option value="indirect">Indirectly referenced via ¹H</option>
+          )}
           <option value="not_referenced">Not referenced</option>
         </select>
 
-        {config.mode === 'referenced' && (
-          <div className="dss-input">
-            <label>
-              DSS shift (ppm):
+        {derivedOffset !== null && (config.mode === 'referenced' || config.refineOffset || config.referenceFree) && (
+          <div className="derived-offset">
+            From <sup>1</sup>H DSS: {derivedOffset >= 0 ? '+' : ''}{derivedOffset.toFixed(3)} ppm
+            {config.mode === 'referenced' ? ' (applied)' : ' (cross-check)'}
+          </div>
+        )}
+
+        {config.mode === 'indirect' && (
+          <div className="unreferenced-options">
+            <label className="reference-frequency">
+              0 ppm frequency (MHz):
               <input
                 type="number"
-                value={config.dssShift ?? ''}
-                onChange={handleDssShiftChange}
-                placeholder="0.00"
-                step="0.001"
+                value={config.referenceFrequency ?? ''}
+                onChange={handleReferenceFrequencyChange}
+                placeholder={expectedFreq ? expectedFreq.toFixed(6) : 'optional'}
+                step="0.000001"
               />
             </label>
-            <span className="hint">Optional: for validation</span>
+            <span className="hint">
+              {config.referenceFrequency && !protonFrequency
+                ? <>Enter the <sup>1</sup>H frequency to use this value</>
+                : <>Offset follows the <sup>1</sup>H offset via Ξ</>}
+            </span>
+            {!hasProton && (
+              <label className="refine-checkbox">
+                <input
+                  type="checkbox"
+                  checked={config.refineOffset}
+                  onChange={handleRefineChange}
+                />
+                Fit shared <sup>1</sup>H reference offset
+              </label>
+            )}
           </div>
         )}
 
@@ -100,14 +129,24 @@ function NucleusReferencing({
                 Expected: {expectedFreq.toFixed(3)} MHz
               </div>
             )}
-            <label className="refine-checkbox">
-              <input
-                type="checkbox"
-                checked={config.refineOffset}
-                onChange={handleRefineChange}
-              />
-              Fit reference offset
+            <label className="offset-model">
+              Offset:
+              <select value={offsetModel} onChange={handleOffsetModelChange}>
+                <option value="refine">Fit reference offset</option>
+                <option value="differences">Use shift differences (reference-free)</option>
+                <option value="fixed">Assume none</option>
+              </select>
             </label>
+            {config.referenceFree && (
+              <label className="refine-checkbox">
+                <input
+                  type="checkbox"
+                  checked={Boolean(config.reportOffset)}
+                  onChange={handleReportOffsetChange}
+                />
+                Back out the implied offset
+              </label>
+            )}
           </div>
         )}
       </div>
@@ -122,8 +161,10 @@ export function ReferencingPanel({
   nuclei,
   referenceConfigs,
   protonFrequency,
+  dssShift,
   onConfigChange,
-  onProtonFrequencyChange
+  onProtonFrequencyChange,
+  onDssShiftChange
 }) {
   if (nuclei.length === 0) {
     return null;
@@ -147,6 +188,25 @@ export function ReferencingPanel({
         <span className="hint">Used to calculate expected frequencies for other nuclei</span>
       </div>
 
+      <div className="dss-shift">
+        <label>
+          DSS shift in <sup>1</sup>H (ppm):
+          <input
+            type="number"
+            value={dssShift ?? ''}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              onDssShiftChange(isNaN(value) ? null : value);
+            }}
+            placeholder="0.00"
+            step="0.001"
+          />
+        </label>
+        <span className="hint">
+          Optional: applied as a reference correction, or a cross-check for fitted offsets, also without <sup>1</sup>H peaks
+        </span>
+      </div>
+
       <div className="nuclei-references">
         {nuclei.map(nucleus => (
           <NucleusReferencing
@@ -154,6 +214,8 @@ export function ReferencingPanel({
             nucleus={nucleus}
             config={referenceConfigs[nucleus] || { mode: 'referenced', refineOffset: false }}
             protonFrequency={protonFrequency}
+            dssShift={dssShift}
+            hasProton={nuclei.includes('1H')}
             onChange={(config) => onConfigChange(nucleus, config)}
           />
         ))}
@@ -0,0 +1,69 @@
+/**
+ * AssignmentHypotheses component.
+ * Lists the best-ranked assignment hypotheses with their relative likelihoods.
+ * Only shown when alternative assignments were fitted.
+ */
+export function AssignmentHypotheses({ hypotheses }) {
+  if (!hypotheses || hypotheses.ranked.length < 2) {
+    return null;
+  }
+
+  const nucleusLabel = (nucleus) => (
+    <>
+      <sup>{nucleus.match(/^\d+/)?.[0]}</sup>
+      {nucleus.replace(/^\d+/, '')}
+    </>
+  );
+
+  const uncertain = hypotheses.ranked[0].relativeLikelihood < 0.95;
+
+  return (
+    <div className="assignment-hypotheses">
+      <h3>Assignment Hypotheses</h3>
+
+      <p className="hypotheses-hint">
+        {hypotheses.nTested} assignment sets fitted, ranked by BIC.
+        {uncertain
+          ? ' The assignment is uncertain: alternatives fit the data comparably well.'
+          : ' The best assignment is clearly preferred.'}
+      </p>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Rank</th>
+            <th>Changes from automatic assignment</th>
+            <th>pH</th>
+            <th>χ²</th>
+            <th>ΔBIC</th>
+            <th>Relative likelihood</th>
+          </tr>
+        </thead>
+        <tbody>
+          {hypotheses.ranked.map(h => (
+            <tr key={h.rank} className={h.rank === 1 ? 'best' : ''}>
+              <td>{h.rank}</td>
+              <td>
+                {h.changes.length === 0 ? (
+                  <span className="automatic">Automatic assignment</span>
+                ) : (
+                  h.changes.map((change, i) => (
+                    <div key={i}>
+                      {nucleusLabel(change.nucleus)} {change.observed_shift.toFixed(3)}: {change.from} → {change.to}
+                    </div>
+                  ))
+                )}
+              </td>
+              <td>{h.pH.toFixed(2)}</td>
+              <td>{h.chiSquared.toFixed(2)}</td>
+              <td>{h.deltaBIC.toFixed(1)}</td>
+              <td>{(h.relativeLikelihood * 100).toFixed(1)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default AssignmentHypotheses;
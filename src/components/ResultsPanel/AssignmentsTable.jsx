@@ -1,12 +1,67 @@
+import { getLockKey } from '../../numerical/peakAssignment';
+
+/**
+ * Encode a lock as a select value.
+ */
+function lockToValue(lock) {
+  if (!lock) return '';
+  if (lock.action === 'pin') return `pin:${JSON.stringify([lock.buffer_id, lock.resonance_id])}`;
+  return lock.action;
+}
+
+/**
+ * Decode a select value into a lock (null for automatic assignment).
+ */
+function valueToLock(value) {
+  if (!value) return null;
+  if (value.startsWith('pin:')) {
+    const [buffer_id, resonance_id] = JSON.parse(value.slice(4));
+    return { action: 'pin', buffer_id, resonance_id };
+  }
+  return { action: value };
+}
+
+/**
+ * Describe the annotations of a typed shift entry briefly, e.g. "t, J = 7.0 Hz, ± 0.002".
+ */
+function formatAnnotation(annotation) {
+  if (!annotation) return '';
+  const parts = [];
+  if (annotation.multiplicity) parts.push(annotation.multiplicity === 'multiplet' ? 'm' : annotation.multiplicity[0]);
+  if (annotation.coupling !== null) parts.push(`J = ${annotation.coupling.toFixed(1)} Hz`);
+  if (annotation.uncertainty !== null) parts.push(`± ${annotation.uncertainty}`);
+  if (annotation.comment) parts.push(annotation.comment);
+  return parts.join(', ');
+}
+
+/**
+ * Describe the other coordinate of a cross peak, e.g. "HSQC with 13C 42.35".
+ */
+function formatCorrelation(correlation) {
+  const digits = correlation.nucleus === '1H' ? 3 : 2;
+  return `HSQC with ${correlation.nucleus} ${correlation.observed_shift.toFixed(digits)}`;
+}
+
 /**
  * AssignmentsTable component.
- * Displays peak assignments in a table format.
+ * Displays peak assignments in a table format, with optional manual overrides
+ * (pin to a resonance, ignore as an impurity, or leave unassigned) for 1D
+ * peaks. Cross-peak coordinates are shown with their partner shift.
  */
-export function AssignmentsTable({ assignments }) {
+export function AssignmentsTable({ assignments, buffers = [], locks = {}, onLockChange }) {
   if (!assignments) {
     return null;
   }
 
+  // Resonances available for pinning, by nucleus
+  const resonancesFor = (nucleus) => buffers.flatMap(buffer =>
+    (buffer.chemical_shifts[nucleus] ?? []).map(resonance => ({
+      buffer_id: buffer.buffer_id,
+      buffer_name: buffer.buffer_name,
+      resonance_id: resonance.resonance_id
+    }))
+  );
+
   // Flatten assignments into a single array
   const rows = [];
   for (const [nucleus, nucleusAssignments] of Object.entries(assignments)) {
@@ -22,6 +77,16 @@ export function AssignmentsTable({ assignments }) {
     return null;
   }
 
+  // For each row, the resonances pinned to other 1D peaks of its nucleus,
+  // which can't be pinned again
+  const pinnedElsewhere = rows.map(row => new Set(
+    rows
+      .filter(r => r.nucleus === row.nucleus && !r.correlation && r.observed_shift !== row.observed_shift)
+      .map(r => locks[r.nucleus]?.[getLockKey(r.observed_shift)])
+      .filter(lock => lock?.action === 'pin')
+      .map(lockToValue)
+  ));
+
   return (
     <div className="assignments-table">
       <h3>Peak Assignments</h3>
@@ -35,6 +100,7 @@ export function AssignmentsTable({ assignments }) {
             <th>Predicted (ppm)</th>
             <th>Residual (ppm)</th>
             <th>Confidence</th>
+            {onLockChange && <th>Override</th>}
           </tr>
         </thead>
         <tbody>
@@ -42,7 +108,8 @@ export function AssignmentsTable({ assignments }) {
             <tr
               key={index}
               className={`
-                ${!row.assigned ? 'unassigned' : ''}
+                ${!row.assigned && !row.ignored ? 'unassigned' : ''}
+                ${row.ignored ? 'ignored' : ''}
                 ${row.confidence === 'low' ? 'low-confidence' : ''}
                 ${row.alternatives?.length > 0 ? 'ambiguous' : ''}
               `}
@@ -51,16 +118,33 @@ export function AssignmentsTable({ assignments }) {
                 <sup>{row.nucleus.match(/^\d+/)?.[0]}</sup>
                 {row.nucleus.replace(/^\d+/, '')}
               </td>
-              <td>{row.observed_shift.toFixed(3)}</td>
+              <td>
+                {row.observed_shift.toFixed(3)}
+                {formatAnnotation(row.annotation) && (
+                  <>
+                    <br />
+                    <small>{formatAnnotation(row.annotation)}</small>
+                  </>
+                )}
+                {row.correlation && (
+                  <>
+                    <br />
+                    <small>{formatCorrelation(row.correlation)}</small>
+                  </>
+                )}
+              </td>
               <td>
                 {row.assigned ? (
                   <>
                     {row.buffer_name}
                     <br />
-                    <small>{row.resonance_id}</small>
+                    <small>
+                      {row.resonance_id}
+                      {row.multiplicity && ` (${row.multiplicity})`}
+                    </small>
                   </>
                 ) : (
-                  <span className="unassigned-text">Unassigned</span>
+                  <span className="unassigned-text">{row.ignored ? 'Ignored' : 'Unassigned'}</span>
                 )}
               </td>
               <td>
@@ -83,6 +167,29 @@ export function AssignmentsTable({ assignments }) {
                   </span>
                 )}
               </td>
+              {onLockChange && row.correlation && <td>-</td>}
+              {onLockChange && !row.correlation && (
+                <td>
+                  <select
+                    className="assignment-override"
+                    value={lockToValue(locks[row.nucleus]?.[getLockKey(row.observed_shift)])}
+                    onChange={(e) => onLockChange(row.nucleus, row.observed_shift, valueToLock(e.target.value))}
+                  >
+                    <option value="">Automatic</option>
+                    {resonancesFor(row.nucleus).map(r => {
+                      const value = lockToValue({ action: 'pin', ...r });
+                      const taken = pinnedElsewhere[index].has(value);
+                      return (
+                        <option key={`${r.buffer_id}:${r.resonance_id}`} value={value} disabled={taken}>
+                          Pin to {r.buffer_name} {r.resonance_id}{taken && ' (pinned to another peak)'}
+                        </option>
+                      );
+                    })}
+                    <option value="unassign">Unassign</option>
+                    <option value="ignore">Ignore (impurity)</option>
+                  </select>
+                </td>
+              )}
             </tr>
           ))}
         </tbody>
@@ -93,9 +200,14 @@ export function AssignmentsTable({ assignments }) {
         <span className="assigned-count">
           {rows.filter(r => r.assigned).length} assigned
         </span>
-        {rows.some(r => !r.assigned) && (
+        {rows.some(r => !r.assigned && !r.ignored) && (
           <span className="unassigned-count">
-            {rows.filter(r => !r.assigned).length} unassigned
+            {rows.filter(r => !r.assigned && !r.ignored).length} unassigned
+          </span>
+        )}
+        {rows.some(r => r.ignored) && (
+          <span className="ignored-count">
+            {rows.filter(r => r.ignored).length} ignored
           </span>
         )}
         {rows.some(r => r.confidence === 'low') && (
@@ -104,6 +216,13 @@ export function AssignmentsTable({ assignments }) {
           </span>
         )}
       </div>
+
+      {onLockChange && (
+        <p className="hint">
+          Overrides apply on the next calculation. Labels and # comments in the shift
+          list act as overrides too; edit the list to remove them.
+        </p>
+      )}
     </div>
   );
 }
@@ -2,23 +2,60 @@ import { jsPDF } from 'jspdf';
 
 /**
  * Generate JSON data for download.
+ * Shift annotations include the originally typed values and units, so that
+ * shifts entered in Hz can be converted again. The experiments the data came
+ * from are recorded from their acquisition parameters, where these were read,
+ * and the database by its version and content hash. The inputs of the fit
+ * (conditions and fitting options, including referencing, assignment locks,
+ * per-peak uncertainties and weighting) are recorded as they were passed to
+ * the fit, so that the result can be recomputed.
  */
-function generateJSON(result, conditions, buffers, observedShifts) {
+function generateJSON(
+  result,
+  conditions,
+  buffers,
+  observedShifts,
+  shiftAnnotations,
+  observedCorrelations,
+  acquisitions
+) {
   return JSON.stringify({
     timestamp: new Date().toISOString(),
+    database: result.database ?? null,
+    fit: result.inputs ?? null,
+    metadata: {
+      experiments: Object.values(acquisitions).map(a => ({
+        nucleus: a.nucleus,
+        experiment: a.experiment,
+        pulseProgram: a.pulseProgram,
+        date: a.date,
+        dataset: a.dataset,
+        expno: a.expno,
+        temperature: a.temperature
+      }))
+    },
     input: {
       conditions,
       observedShifts,
+      shiftAnnotations,
+      observedCorrelations,
       buffers: buffers.map(b => ({
         buffer_id: b.buffer_id,
-        buffer_name: b.buffer_name
+        buffer_name: b.buffer_name,
+        source: b.provenance?.source ?? null
       }))
     },
     output: result.success ? {
       parameters: result.parameters,
+      derivedParameters: result.derivedParameters,
       conditions: result.conditions,
       statistics: result.statistics,
-      assignments: result.assignments
+      calibrationUncertainty: result.calibrationUncertainty,
+      assignments: result.assignments,
+      hypotheses: result.hypotheses,
+      competingMinima: result.globalSearch?.competingMinima,
+      pHUnidentifiable: result.globalSearch?.unidentifiable ?? null,
+      profileInterval: result.profileInterval
     } : {
       error: result.error
     }
@@ -28,7 +65,7 @@ function generateJSON(result, conditions, buffers, observedShifts) {
 /**
  * Generate PDF report.
  */
-function generatePDF(result, conditions, buffers, samplesMap) {
+function generatePDF(result, conditions, buffers, samplesMap, acquisitions = {}) {
   const doc = new jsPDF();
   let y = 20;
 
@@ -40,7 +77,21 @@ function generatePDF(result, conditions, buffers, samplesMap) {
   // Timestamp
   doc.setFontSize(10);
   doc.text(`Generated: ${new Date().toLocaleString()}`, 20, y);
-  y += 15;
+  y += 7;
+
+  for (const a of Object.values(acquisitions)) {
+    const source = a.dataset ? `${a.dataset}/${a.expno}` : a.file;
+    const date = a.date ? `, acquired ${new Date(a.date).toLocaleString()}` : '';
+    doc.text(`${a.nucleus}: ${a.experiment ?? a.pulseProgram ?? 'experiment'} (${source}${date})`, 20, y);
+    y += 7;
+  }
+
+  if (result.database) {
+    const hash = result.database.content_hash ? `, SHA-256 ${result.database.content_hash.slice(0, 16)}` : '';
+    doc.text(`Buffer database version ${result.database.database_version}${hash}`, 20, y);
+    y += 7;
+  }
+  y += 8;
 
   // Results
   if (result.success) {
@@ -51,9 +102,31 @@ function generatePDF(result, conditions, buffers, samplesMap) {
     doc.setFontSize(11);
     const params = result.parameters;
 
-    doc.text(`pH: ${params.pH.value.toFixed(2)} ± ${params.pH.uncertainty.toFixed(2)}`, 25, y);
+    doc.text(result.globalSearch?.unidentifiable
+      ? 'pH: not identifiable from these shifts'
+      : `pH: ${params.pH.value.toFixed(2)} ± ${params.pH.uncertainty.toFixed(2)}`, 25, y);
     y += 7;
 
+    if (result.profileInterval?.success) {
+      doc.text(
+        `68% profile interval: ${result.profileInterval.lower.toFixed(2)} – ${result.profileInterval.upper.toFixed(2)}`,
+        25, y
+      );
+      y += 7;
+    }
+
+    const mcPH = result.calibrationUncertainty?.success
+      ? result.calibrationUncertainty.parameters.pH
+      : null;
+    if (mcPH) {
+      doc.text(
+        `pH uncertainty budget: measurement ± ${mcPH.measurement.toFixed(2)}, ` +
+        `calibration ± ${mcPH.calibration.toFixed(2)}, total ± ${mcPH.total.toFixed(2)}`,
+        25, y
+      );
+      y += 7;
+    }
+
     if (params.temperature) {
       doc.text(`Temperature: ${params.temperature.value.toFixed(1)} ± ${params.temperature.uncertainty.toFixed(1)} K`, 25, y);
       y += 7;
@@ -81,6 +154,10 @@ function generatePDF(result, conditions, buffers, samplesMap) {
     const stats = result.statistics;
     doc.text(`RMSD: ${stats.rmsd.toFixed(4)} ppm`, 25, y);
     y += 7;
+    if (stats.weighted) {
+      doc.text(`Chi-squared (weighted): ${stats.chiSquared.toFixed(2)}`, 25, y);
+      y += 7;
+    }
     doc.text(`Reduced chi-squared: ${stats.reducedChiSquared.toFixed(3)}`, 25, y);
     y += 7;
     doc.text(`Observations: ${stats.nObservations}`, 25, y);
@@ -97,7 +174,8 @@ function generatePDF(result, conditions, buffers, samplesMap) {
 
     doc.setFontSize(11);
     for (const buffer of buffers) {
-      doc.text(`- ${buffer.buffer_name} (${buffer.buffer_id})`, 25, y);
+      const source = buffer.provenance && buffer.provenance.source !== 'community' ? `, ${buffer.provenance.label}` : '';
+      doc.text(`- ${buffer.buffer_name} (${buffer.buffer_id}${source})`, 25, y);
       y += 7;
     }
   } else {
@@ -119,14 +197,17 @@ export function DownloadButtons({
   conditions,
   buffers,
   samplesMap,
-  observedShifts
+  observedShifts,
+  shiftAnnotations = {},
+  observedCorrelations = {},
+  acquisitions = {}
 }) {
   if (!result) {
     return null;
   }
 
   const downloadJSON = () => {
-    const json = generateJSON(result, conditions, buffers, observedShifts);
+    const json = generateJSON(result, conditions, buffers, observedShifts, shiftAnnotations, observedCorrelations, acquisitions);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -137,7 +218,7 @@ export function DownloadButtons({
   };
 
   const downloadPDF = () => {
-    const doc = generatePDF(result, conditions, buffers, samplesMap);
+    const doc = generatePDF(result, conditions, buffers, samplesMap, acquisitions);
     doc.save('nmr-ph-report.pdf');
   };
 
@@ -1,3 +1,61 @@
+/**
+ * Number of decimal places for each parameter in the uncertainty budget.
+ */
+const BUDGET_DECIMALS = {
+  pH: 2,
+  temperature: 1,
+  ionicStrength: 3
+};
+
+/**
+ * UncertaintyBudget component.
+ * Separates measurement and calibration contributions from a Monte Carlo run.
+ */
+function UncertaintyBudget({ calibrationUncertainty }) {
+  if (!calibrationUncertainty?.success) {
+    return null;
+  }
+
+  const { parameters, nSamples, nSuccessful } = calibrationUncertainty;
+
+  return (
+    <div className="uncertainty-budget">
+      <h4>Uncertainty Budget</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>Parameter</th>
+            <th>Measurement</th>
+            <th>Calibration</th>
+            <th>Total</th>
+            <th>95% interval</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(parameters).map(([key, param]) => {
+            const decimals = BUDGET_DECIMALS[key] ?? 3;
+            return (
+              <tr key={key}>
+                <td>{param.name}</td>
+                <td>± {param.measurement.toFixed(decimals)}</td>
+                <td>± {param.calibration.toFixed(decimals)}</td>
+                <td><strong>± {param.total.toFixed(decimals)}</strong></td>
+                <td>
+                  {param.distribution.lower.toFixed(decimals)} – {param.distribution.upper.toFixed(decimals)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="hint">
+        Calibration uncertainty from {nSuccessful} of {nSamples} Monte Carlo refits
+        with buffer parameters sampled from the database uncertainties.
+      </p>
+    </div>
+  );
+}
+
 /**
  * FittedParameters component.
  * Displays fitted parameter values with uncertainties.
@@ -25,12 +83,43 @@ export function FittedParameters({ result, nominalConditions }) {
         {/* pH - always shown */}
         <div className="parameter-row primary">
           <span className="parameter-name">pH</span>
-          <span className="parameter-value">
-            {parameters.pH.value.toFixed(2)}
-            {parameters.pH.uncertainty > 0 && (
-              <span className="uncertainty"> ± {parameters.pH.uncertainty.toFixed(2)}</span>
-            )}
-          </span>
+          {result.globalSearch?.unidentifiable ? (
+            <span className="parameter-value warning-text">Not identifiable (see warnings)</span>
+          ) : (
+            <span className="parameter-value">
+              {parameters.pH.value.toFixed(2)}
+              {parameters.pH.uncertainty > 0 && (
+                <span className="uncertainty"> ± {parameters.pH.uncertainty.toFixed(2)}</span>
+              )}
+            </span>
+          )}
+          {result.profileInterval?.success && !result.globalSearch?.unidentifiable && (
+            <span className="profile-interval">
+              68% profile interval:{' '}
+              {result.profileInterval.lower.toFixed(2)} – {result.profileInterval.upper.toFixed(2)}
+              {' '}
+              <span className="uncertainty">
+                (−{(parameters.pH.value - result.profileInterval.lower).toFixed(2)}
+                /+{(result.profileInterval.upper - parameters.pH.value).toFixed(2)})
+              </span>
+              {(result.profileInterval.lowerOpen || result.profileInterval.upperOpen) && (
+                <span className="warning-text">
+                  {' '}Not bounded by the data at the
+                  {result.profileInterval.lowerOpen ? ' acidic' : ''}
+                  {result.profileInterval.lowerOpen && result.profileInterval.upperOpen ? ' and' : ''}
+                  {result.profileInterval.upperOpen ? ' basic' : ''} end
+                </span>
+              )}
+            </span>
+          )}
+          {result.globalSearch?.competingMinima.length > 0 && (
+            <span className="competing-minima">
+              Competing minima:{' '}
+              {result.globalSearch.competingMinima
+                .map(m => `pH ${m.pH.toFixed(2)} (Δχ² ${m.deltaChiSquared.toFixed(1)})`)
+                .join(', ')}
+            </span>
+          )}
         </div>
 
         {/* Temperature */}
@@ -109,8 +198,65 @@ export function FittedParameters({ result, nominalConditions }) {
               </div>
             );
           })}
+
+        {/* Reference offsets tied to 1H via Ξ, or implied by shift differences */}
+        {Object.entries(result.derivedParameters ?? {}).map(([key, param]) => {
+          const nucleus = key.slice(4);
+          return (
+            <div key={key} className="parameter-row">
+              <span className="parameter-name">
+                <sup>{nucleus.match(/^\d+/)?.[0]}</sup>
+                {nucleus.replace(/^\d+/, '')} Reference Offset
+              </span>
+              <span className="parameter-value">
+                {param.value >= 0 ? '+' : ''}{param.value.toFixed(3)} ppm
+                {param.uncertainty > 0 && (
+                  <span className="uncertainty"> ± {param.uncertainty.toFixed(3)} ppm</span>
+                )}
+              </span>
+              <span className="nominal">
+                {param.derivedFrom === 'differences'
+                  ? '(implied by shift differences)'
+                  : <>(via Ξ from <sup>1</sup>H)</>}
+              </span>
+            </div>
+          );
+        })}
+
+        {/* Reference-free nuclei whose implied offset is not reported */}
+        {(result.referenceFree ?? [])
+          .filter(nucleus => !result.derivedParameters?.[`ref_${nucleus}`])
+          .map(nucleus => (
+            <div key={`free_${nucleus}`} className="parameter-row fixed">
+              <span className="parameter-name">
+                <sup>{nucleus.match(/^\d+/)?.[0]}</sup>
+                {nucleus.replace(/^\d+/, '')} Reference Offset
+              </span>
+              <span className="parameter-value">reference-free (shift differences)</span>
+            </div>
+          ))}
+
+        {/* Fixed reference corrections (e.g. from DSS) */}
+        {Object.entries(conditions.referenceOffsets ?? {})
+          .filter(([nucleus, offset]) =>
+            !parameters[`ref_${nucleus}`] && !result.derivedParameters?.[`ref_${nucleus}`] &&
+            !result.referenceFree?.includes(nucleus) && offset !== 0
+          )
+          .map(([nucleus, offset]) => (
+            <div key={`fixed_${nucleus}`} className="parameter-row fixed">
+              <span className="parameter-name">
+                <sup>{nucleus.match(/^\d+/)?.[0]}</sup>
+                {nucleus.replace(/^\d+/, '')} Reference Offset
+              </span>
+              <span className="parameter-value">
+                {offset >= 0 ? '+' : ''}{offset.toFixed(3)} ppm (fixed, from DSS)
+              </span>
+            </div>
+          ))}
       </div>
 
+      <UncertaintyBudget calibrationUncertainty={result.calibrationUncertainty} />
+
       {/* Fit statistics */}
       <div className="fit-statistics">
         <h4>Fit Quality</h4>
@@ -119,6 +265,12 @@ export function FittedParameters({ result, nominalConditions }) {
             <span className="stat-label">RMSD</span>
             <span className="stat-value">{statistics.rmsd.toFixed(4)} ppm</span>
           </div>
+          {statistics.weighted && (
+            <div className="stat">
+              <span className="stat-label">χ²</span>
+              <span className="stat-value">{statistics.chiSquared.toFixed(2)}</span>
+            </div>
+          )}
           <div className="stat">
             <span className="stat-label">χ² / DoF</span>
             <span className="stat-value">{statistics.reducedChiSquared.toFixed(3)}</span>
@@ -11,6 +11,39 @@ export function WarningsDisplay({ result, validation }) {
     errors.push(result.error);
   }
 
+  if (result?.calibrationUncertainty && !result.calibrationUncertainty.success) {
+    warnings.push(result.calibrationUncertainty.error);
+  }
+
+  if (result?.success && result.convergence && !result.convergence.converged) {
+    warnings.push(
+      `The fit did not converge within ${result.convergence.iterations} iterations: ` +
+      'the parameters may not be at the minimum of χ²'
+    );
+  }
+
+  if (result?.profileInterval?.success && !result.profileInterval.converged) {
+    warnings.push(
+      `The profile re-optimisation did not converge at ${result.profileInterval.nUnconverged} pH values: ` +
+      'the profile-likelihood interval may be inaccurate'
+    );
+  }
+
+  if (result?.success && result.globalSearch?.unidentifiable) {
+    warnings.push(result.globalSearch.unidentifiable === 'flat'
+      ? 'The pH is not identifiable: χ² hardly changes over the whole pH range, ' +
+        'so the selected buffers do not titrate near the sample pH'
+      : 'The pH is not identifiable: the shifts do not bound it on one side, ' +
+        'so the sample pH lies beyond the titration range of the selected buffers');
+  }
+
+  for (const minimum of result?.globalSearch?.competingMinima ?? []) {
+    warnings.push(
+      `Competing pH solution at ${minimum.pH.toFixed(2)} ` +
+      `(Δχ² = ${minimum.deltaChiSquared.toFixed(1)}): the pH may be ambiguous`
+    );
+  }
+
   if (validation) {
     // Parameter validation issues
     if (validation.issues) {
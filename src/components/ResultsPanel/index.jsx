@@ -1,5 +1,6 @@
 import { FittedParameters } from './FittedParameters';
 import { AssignmentsTable } from './AssignmentsTable';
+import { AssignmentHypotheses } from './AssignmentHypotheses';
 import { WarningsDisplay } from './WarningsDisplay';
 import { CitationsSection } from './CitationsSection';
 import { DownloadButtons } from './DownloadButtons';
@@ -14,7 +15,14 @@ export function ResultsPanel({
   conditions,
   buffers,
   samplesMap,
-  observedShifts
+  observedShifts,
+  shiftAnnotations = {},
+  observedCorrelations = {},
+  acquisitions = {},
+  assignmentLocks,
+  hasAssignmentOverrides = false,
+  onAssignmentLockChange,
+  onClearAssignmentOverrides
 }) {
   if (!result) {
     return null;
@@ -26,10 +34,26 @@ export function ResultsPanel({
 
       <WarningsDisplay result={result} validation={validation} />
 
+      {/* Without a fit there is no assignments table to undo overrides in */}
+      {!result.success && hasAssignmentOverrides && (
+        <div className="overrides-reset">
+          Manual assignment overrides from an earlier fit are in place.
+          <button type="button" onClick={onClearAssignmentOverrides}>
+            Clear overrides
+          </button>
+        </div>
+      )}
+
       {result.success && (
         <>
           <FittedParameters result={result} nominalConditions={conditions} />
-          <AssignmentsTable assignments={result.assignments} />
+          <AssignmentsTable
+            assignments={result.assignments}
+            buffers={buffers}
+            locks={assignmentLocks}
+            onLockChange={onAssignmentLockChange}
+          />
+          <AssignmentHypotheses hypotheses={result.hypotheses} />
           <CitationsSection buffers={buffers} samplesMap={samplesMap} />
           <DownloadButtons
             result={result}
@@ -37,6 +61,9 @@ export function ResultsPanel({
             buffers={buffers}
             samplesMap={samplesMap}
             observedShifts={observedShifts}
+            shiftAnnotations={shiftAnnotations}
+            observedCorrelations={observedCorrelations}
+            acquisitions={acquisitions}
           />
         </>
       )}
@@ -46,6 +73,7 @@ export function ResultsPanel({
 
 export { FittedParameters } from './FittedParameters';
 export { AssignmentsTable } from './AssignmentsTable';
+export { AssignmentHypotheses } from './AssignmentHypotheses';
 export { WarningsDisplay } from './WarningsDisplay';
 export { CitationsSection } from './CitationsSection';
 export { DownloadButtons } from './DownloadButtons';
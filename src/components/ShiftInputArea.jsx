@@ -1,43 +1,46 @@
 import { useState, useEffect, useCallback } from 'react';
+import { useDebounce } from '../hooks/useDebounce';
+import { getAnnotationLocks, getAnnotations, parseShiftEntries } from '../spectra/shiftEntry';
 
 /**
- * Debounce hook.
+ * Parse shift entries from text input, in ppm.
+ * One peak per line; the lines of a multiplet on one line give its centre.
+ * Hz positions cannot be used until their conversion is known.
  */
-function useDebounce(value, delay) {
-  const [debouncedValue, setDebouncedValue] = useState(value);
-
-  useEffect(() => {
-    const timer = setTimeout(() => setDebouncedValue(value), delay);
-    return () => clearTimeout(timer);
-  }, [value, delay]);
-
-  return debouncedValue;
+function parseEntries(text, units, hzConversion) {
+  if (units === 'Hz' && !hzConversion) return [];
+  return parseShiftEntries(text, units === 'Hz' ? hzConversion : null);
 }
 
 /**
- * Parse chemical shifts from text input.
- * One shift per line, numbers only.
+ * Entries that can be used, leaving out lines flagged by the parser.
  */
-function parseShifts(text) {
-  return text
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0)
-    .map(line => parseFloat(line))
-    .filter(value => !isNaN(value));
+function usableEntries(text, units, hzConversion) {
+  return parseEntries(text, units, hzConversion).filter(entry => entry.warning === null);
 }
 
 /**
  * ShiftInputArea component.
  * Text area for entering observed chemical shifts for a single nucleus.
+ * Besides a shift, a line may hold the lines of one multiplet
+ * ("3.41 3.42 3.43"), a multiplicity and coupling constant ("3.42 t J=7.0"),
+ * an uncertainty ("± 0.002"), an assignment label ("tris:H_alpha"), an
+ * intensity ("I=1.2e6") and a "#" comment that excludes the peak. These
+ * annotations are passed on with the shifts. Lines whose numbers are too
+ * far apart for one multiplet are left out with a warning. Positions may
+ * be typed in Hz from the carrier, given the conversion to ppm.
  */
 export function ShiftInputArea({
   nucleus,
   value,
   onChange,
+  buffers = [],
+  units = 'ppm',
+  hzConversion = null,
   debounceMs = 500
 }) {
   const [text, setText] = useState('');
+  const [previousValue, setPreviousValue] = useState(value);
 
   // Initialize text from value
   useEffect(() => {
@@ -48,11 +51,22 @@ export function ShiftInputArea({
 
   const debouncedText = useDebounce(text, debounceMs);
 
+  // Replace the text when shifts are set from outside (e.g. an imported peak list),
+  // rather than echoed back from our own debounced edits
+  if (value !== previousValue) {
+    setPreviousValue(value);
+    const emitted = usableEntries(debouncedText, units, hzConversion).map(entry => entry.shift);
+    const same = emitted.length === value.length && emitted.every((shift, i) => shift === value[i]);
+    if (!same) {
+      setText(value.join('\n'));
+    }
+  }
+
   // Parse and propagate changes after debounce
   useEffect(() => {
-    const shifts = parseShifts(debouncedText);
-    onChange(shifts);
-  }, [debouncedText, onChange]);
+    const parsed = usableEntries(debouncedText, units, hzConversion);
+    onChange(parsed.map(entry => entry.shift), getAnnotations(parsed));
+  }, [debouncedText, onChange, units, hzConversion]);
 
   const handleChange = useCallback((e) => {
     setText(e.target.value);
@@ -60,25 +74,53 @@ export function ShiftInputArea({
 
   const nucleusLabel = nucleus.replace(/(\d+)/, '<sup>$1</sup>');
 
+  const parsed = parseEntries(text, units, hzConversion);
+  const entries = parsed.filter(entry => entry.warning === null);
+  const flagged = parsed.filter(entry => entry.warning !== null);
+  const { unresolved } = getAnnotationLocks({ [nucleus]: getAnnotations(entries) }, buffers);
+  const summary = [
+    [entries.filter(entry => entry.multiplicity).length, 'multiplets'],
+    [entries.filter(entry => entry.label && entry.comment === null).length, 'labelled'],
+    [entries.filter(entry => entry.uncertainty !== null).length, 'with uncertainties'],
+    [entries.filter(entry => entry.comment !== null).length, 'excluded']
+  ].filter(([count]) => count > 0).map(([count, what]) => `${count} ${what}`);
+
   return (
     <div className="shift-input-area">
       <label
         htmlFor={`shifts-${nucleus}`}
         dangerouslySetInnerHTML={{
-          __html: `<sup>${nucleus.match(/^\d+/)?.[0] || ''}</sup>${nucleus.replace(/^\d+/, '')} Chemical Shifts (ppm)`
+          __html: `<sup>${nucleus.match(/^\d+/)?.[0] || ''}</sup>${nucleus.replace(/^\d+/, '')} Chemical Shifts (${units === 'Hz' ? 'Hz from carrier' : 'ppm'})`
         }}
       />
       <textarea
         id={`shifts-${nucleus}`}
         value={text}
         onChange={handleChange}
-        placeholder={`Enter ${nucleus} shifts, one per line:\n2.45\n3.82\n3.15`}
+        placeholder={`Enter ${nucleus} shifts, one per line:\n2.45 ± 0.002\n3.81 3.82 3.83\n3.15 d J=7.2 tris:H_alpha\n7.21 # protein`}
         rows={6}
         spellCheck={false}
       />
       <div className="shift-count">
-        {parseShifts(text).length} peaks entered
+        {entries.length} peaks entered
+        {summary.length > 0 && ` (${summary.join(', ')})`}
       </div>
+      {units === 'Hz' && !hzConversion && text.trim() !== '' && (
+        <div className="shift-label-warning">
+          Enter the carrier and the spectrometer <sup>1</sup>H frequency (Referencing) to convert Hz to ppm
+        </div>
+      )}
+      {flagged.map(({ warning }, i) => (
+        <div key={i} className="shift-label-warning">
+          {warning}
+        </div>
+      ))}
+      {unresolved.map(({ shift, label, matches }) => (
+        <div key={shift} className="shift-label-warning">
+          {label.buffer}:{label.resonance} at {shift.toFixed(3)} ppm{' '}
+          {matches === 0 ? 'matches no selected resonance' : 'is ambiguous'} and is not applied
+        </div>
+      ))}
     </div>
   );
 }
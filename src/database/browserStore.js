@@ -0,0 +1,200 @@
+/**
+ * Browser Store Module
+ *
+ * Persistence of private database sources in the browser's IndexedDB: a
+ * local database file, individual sample and buffer entries, and uploaded
+ * versions of the community database. Entries stay on the user's machine
+ * and are never uploaded.
+ */
+
+const DB_NAME = 'nmr-ph';
+const DB_VERSION = 1;
+
+/**
+ * Object stores: entries keyed by their ID, and uploaded database files.
+ */
+const STORES = {
+  samples: 'sample_id',
+  buffers: 'buffer_id',
+  files: 'key'
+};
+
+/**
+ * Key of the local database file in the files store.
+ */
+const LOCAL_FILE_KEY = 'local';
+
+/**
+ * Prefix of the keys of uploaded database versions in the files store.
+ */
+const VERSION_KEY_PREFIX = 'version:';
+
+/**
+ * Check whether IndexedDB is available (it is not in some private modes).
+ *
+ * @returns {boolean} True if available
+ */
+export function isBrowserStoreAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the database, creating the object stores on first use.
+ *
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openStore() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    for (const [name, keyPath] of Object.entries(STORES)) {
+      if (!request.result.objectStoreNames.contains(name)) {
+        request.result.createObjectStore(name, { keyPath });
+      }
+    }
+  };
+
+  return promisify(request);
+}
+
+/**
+ * Run one operation on an object store and close the database afterwards.
+ *
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - store -> IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openStore();
+  try {
+    return await promisify(operation(db.transaction(storeName, mode).objectStore(storeName)));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load the sample and buffer entries stored in the browser.
+ *
+ * @returns {Promise<Object>} { samples, buffers }, empty if IndexedDB is unavailable
+ */
+export async function loadBrowserEntries() {
+  if (!isBrowserStoreAvailable()) {
+    return { samples: [], buffers: [] };
+  }
+
+  const [samples, buffers] = await Promise.all([
+    withStore('samples', 'readonly', store => store.getAll()),
+    withStore('buffers', 'readonly', store => store.getAll())
+  ]);
+
+  return { samples, buffers };
+}
+
+/**
+ * Load the local database file stored in the browser.
+ *
+ * @returns {Promise<Object|null>} { name, data }, or null if none is stored
+ */
+export async function loadLocalFile() {
+  if (!isBrowserStoreAvailable()) {
+    return null;
+  }
+
+  const record = await withStore('files', 'readonly', store => store.get(LOCAL_FILE_KEY));
+  return record ? { name: record.name, data: record.data } : null;
+}
+
+/**
+ * Store a local database file, replacing any stored before.
+ *
+ * @param {string} name - File name
+ * @param {Object} data - Parsed database JSON
+ * @returns {Promise<void>}
+ */
+export async function saveLocalFile(name, data) {
+  await withStore('files', 'readwrite', store => store.put({ key: LOCAL_FILE_KEY, name, data }));
+}
+
+/**
+ * Remove the stored local database file.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearLocalFile() {
+  await withStore('files', 'readwrite', store => store.delete(LOCAL_FILE_KEY));
+}
+
+/**
+ * Store a sample or buffer entry, replacing any stored under the same ID.
+ *
+ * @param {string} kind - 'samples' or 'buffers'
+ * @param {Object} entry - Entry, without provenance
+ * @returns {Promise<void>}
+ */
+export async function saveBrowserEntry(kind, entry) {
+  await withStore(kind, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Remove a stored sample or buffer entry.
+ *
+ * @param {string} kind - 'samples' or 'buffers'
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+export async function deleteBrowserEntry(kind, id) {
+  await withStore(kind, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Load the uploaded database versions stored in the browser.
+ *
+ * @returns {Promise<Array<Object>>} [{ id, name, data }], empty if IndexedDB is unavailable
+ */
+export async function loadVersionFiles() {
+  if (!isBrowserStoreAvailable()) {
+    return [];
+  }
+
+  const records = await withStore('files', 'readonly', store => store.getAll());
+  return records
+    .filter(record => record.key.startsWith(VERSION_KEY_PREFIX))
+    .map(record => ({ id: record.key.slice(VERSION_KEY_PREFIX.length), name: record.name, data: record.data }));
+}
+
+/**
+ * Store an uploaded database version, replacing any stored under the same ID.
+ *
+ * @param {string} id - Version ID
+ * @param {string} name - File name
+ * @param {Object} data - Parsed database JSON
+ * @returns {Promise<void>}
+ */
+export async function saveVersionFile(id, name, data) {
+  await withStore('files', 'readwrite', store => store.put({ key: `${VERSION_KEY_PREFIX}${id}`, name, data }));
+}
+
+/**
+ * Remove a stored database version.
+ *
+ * @param {string} id - Version ID
+ * @returns {Promise<void>}
+ */
+export async function deleteVersionFile(id) {
+  await withStore('files', 'readwrite', store => store.delete(`${VERSION_KEY_PREFIX}${id}`));
+}
@@ -0,0 +1,81 @@
+/**
+ * Database Merge Module
+ *
+ * Layering of several buffer database sources - the community database, a
+ * local database file and entries stored in the browser - into the single
+ * database the application uses, with the source of every entry recorded.
+ */
+
+/**
+ * Database sources, in increasing order of precedence. An entry from a
+ * source replaces entries with the same ID from sources before it, so that
+ * a group's own calibrations take precedence over the community database.
+ */
+export const DATABASE_SOURCES = {
+  community: { label: 'Community', precedence: 0 },
+  file: { label: 'Local file', precedence: 1 },
+  browser: { label: 'Browser', precedence: 2 }
+};
+
+/**
+ * Merge database sources into one database.
+ *
+ * Every sample and buffer is tagged with provenance { source, label }. Where
+ * sources share a sample_id or buffer_id, the entries of the source with the
+ * highest precedence (see DATABASE_SOURCES) are kept and the conflict is
+ * recorded. IDs repeated within one source are left for validation to report.
+ * Buffers may refer to samples from any source. Top-level fields, such as
+ * the database version, are those of the community database.
+ *
+ * @param {Array<Object>} layers - Sources [{ source, name, data: { samples, buffers } }],
+ *   where the optional name identifies the source, e.g. a file name
+ * @returns {Object} { database, sources: [{ source, label, name, nSamples, nBuffers }],
+ *   conflicts: [{ entry: 'sample'|'buffer', id, used, overridden }] }, where used and
+ *   overridden are provenance tags
+ */
+export function mergeDatabases(layers) {
+  const ordered = [...layers].sort(
+    (a, b) => DATABASE_SOURCES[a.source].precedence - DATABASE_SOURCES[b.source].precedence
+  );
+  const conflicts = [];
+
+  const mergeEntries = (listName, idKey) => {
+    const merged = new Map();
+
+    for (const { source, data } of ordered) {
+      const provenance = { source, label: DATABASE_SOURCES[source].label };
+      const entries = (data[listName] ?? []).map(entry => ({ ...entry, provenance }));
+
+      for (const id of new Set(entries.map(e => e[idKey]))) {
+        const previous = merged.get(id);
+        if (previous) {
+          conflicts.push({
+            entry: listName.slice(0, -1),
+            id,
+            used: provenance,
+            overridden: [...new Set(previous.map(e => e.provenance))]
+          });
+        }
+        merged.set(id, entries.filter(e => e[idKey] === id));
+      }
+    }
+
+    return [...merged.values()].flat();
+  };
+
+  const samples = mergeEntries('samples', 'sample_id');
+  const buffers = mergeEntries('buffers', 'buffer_id');
+  const base = ordered.find(layer => layer.source === 'community')?.data ?? ordered[0]?.data ?? {};
+
+  return {
+    database: { ...base, samples, buffers },
+    sources: ordered.map(({ source, name, data }) => ({
+      source,
+      label: DATABASE_SOURCES[source].label,
+      name: name ?? null,
+      nSamples: data.samples?.length ?? 0,
+      nBuffers: data.buffers?.length ?? 0
+    })),
+    conflicts
+  };
+}
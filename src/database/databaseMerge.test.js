@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { mergeDatabases } from './databaseMerge.js';
+
+// A community database with one sample and buffer
+const community = {
+  database_version: '1.0',
+  samples: [{ sample_id: 'sample', solvent: 'H2O' }],
+  buffers: [{ buffer_id: 'buffer', sample_id: 'sample', notes: 'Community calibration' }]
+};
+
+// A group's own calibration of the community buffer, and a buffer of its own
+const local = {
+  samples: [],
+  buffers: [
+    { buffer_id: 'buffer', sample_id: 'sample', notes: 'Recalibrated locally' },
+    { buffer_id: 'local_buffer', sample_id: 'sample' }
+  ]
+};
+
+describe('mergeDatabases', () => {
+  it('keeps the entries of the source with the highest precedence', () => {
+    // Layers in any order: browser entries outrank the file, which outranks the community database
+    const browser = { buffers: [{ buffer_id: 'buffer', sample_id: 'sample', notes: 'Edited in the browser' }] };
+    const { database, conflicts } = mergeDatabases([
+      { source: 'browser', data: browser },
+      { source: 'community', data: community },
+      { source: 'file', name: 'lab.json', data: local }
+    ]);
+
+    const merged = database.buffers.find(b => b.buffer_id === 'buffer');
+    expect(merged.notes).toBe('Edited in the browser');
+    expect(merged.provenance).toEqual({ source: 'browser', label: 'Browser' });
+    expect(conflicts.map(c => [c.used.source, c.overridden.map(p => p.source)])).toEqual([
+      ['file', ['community']],
+      ['browser', ['file']]
+    ]);
+  });
+
+  it('tags every entry with its source and keeps the community top-level fields', () => {
+    const { database, sources } = mergeDatabases([
+      { source: 'community', data: community },
+      { source: 'file', name: 'lab.json', data: local }
+    ]);
+
+    expect(database.database_version).toBe('1.0');
+    expect(database.samples.map(s => s.provenance.source)).toEqual(['community']);
+    expect(database.buffers.map(b => [b.buffer_id, b.provenance.source])).toEqual([
+      ['buffer', 'file'],
+      ['local_buffer', 'file']
+    ]);
+    expect(sources).toEqual([
+      { source: 'community', label: 'Community', name: null, nSamples: 1, nBuffers: 1 },
+      { source: 'file', label: 'Local file', name: 'lab.json', nSamples: 0, nBuffers: 2 }
+    ]);
+  });
+
+  it('leaves IDs repeated within one source for validation', () => {
+    const [buffer] = community.buffers;
+    const { database, conflicts } = mergeDatabases([{ source: 'file', data: { samples: [], buffers: [buffer, buffer] } }]);
+
+    expect(database.buffers).toHaveLength(2);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('does not modify the source entries', () => {
+    mergeDatabases([{ source: 'community', data: community }]);
+    expect(community.buffers[0].provenance).toBeUndefined();
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Database Validation Module
+ *
+ * Checks of a loaded buffer database against its JSON schema and for the
+ * consistency the buffer model relies on. Entries that fail are quarantined:
+ * they are removed from the database that is used, and listed in a report.
+ * Problems confined to descriptive metadata are reported without quarantine.
+ */
+
+import { validateAgainstSchema } from './schema.js';
+
+/**
+ * Nuclei the buffer model supports.
+ */
+const SUPPORTED_NUCLEI = ['1H', '13C', '15N', '19F', '31P'];
+
+/**
+ * Entry fields that describe provenance but do not enter the buffer model.
+ */
+const METADATA_FIELDS = [
+  'authors',
+  'date_measured',
+  'temperature_calibration',
+  'pH_calibration',
+  'ionic_strength_control',
+  'raw_data_repository',
+  'version',
+  'notes'
+];
+
+/**
+ * Check that the min and max of each measurement range are in order.
+ *
+ * @param {Object} sample - Sample entry (schema-valid)
+ * @returns {Array<string>} Problems found
+ */
+function checkSample(sample) {
+  return Object.entries(sample.measurement_ranges ?? {})
+    .filter(([, range]) => range.min > range.max)
+    .map(([quantity, range]) => `measurement range of ${quantity} is reversed (min ${range.min} > max ${range.max})`);
+}
+
+/**
+ * Check a buffer entry for consistency of its ionisation model, limiting
+ * shifts and references.
+ *
+ * @param {Object} buffer - Buffer entry (schema-valid)
+ * @param {Set<string>} sampleIds - IDs of valid samples
+ * @returns {Array<string>} Problems found
+ */
+function checkBuffer(buffer, sampleIds) {
+  const problems = [];
+  const nStates = buffer.ionisation_states;
+  const nPKa = buffer.pKa_parameters.length;
+
+  if (!sampleIds.has(buffer.sample_id)) {
+    problems.push(`sample ${buffer.sample_id} is missing or invalid`);
+  }
+
+  if (nStates !== nPKa + 1) {
+    problems.push(`${nStates} ionisation states need ${nStates - 1} pKa values, but ${nPKa} are given`);
+  }
+
+  const indices = buffer.pKa_parameters.map(p => p.pKa_index).sort((a, b) => a - b);
+  if (indices.some((index, i) => index !== i + 1)) {
+    problems.push(`pKa indices should run from 1 to ${nPKa}, found ${indices.join(', ')}`);
+  }
+
+  for (const [nucleus, resonances] of Object.entries(buffer.chemical_shifts)) {
+    if (!SUPPORTED_NUCLEI.includes(nucleus)) {
+      problems.push(`nucleus ${nucleus} is not supported`);
+      continue;
+    }
+
+    const seen = new Set();
+    for (const resonance of resonances) {
+      const name = `${nucleus} ${resonance.resonance_id}`;
+
+      if (seen.has(resonance.resonance_id)) {
+        problems.push(`${name} is listed more than once`);
+      }
+      seen.add(resonance.resonance_id);
+
+      const states = resonance.limiting_shifts.map(s => s.ionisation_state);
+      const missing = [...Array(nStates).keys()].filter(state => !states.includes(state));
+      const unknown = states.filter(state => state >= nStates);
+      const repeated = states.filter((state, i) => states.indexOf(state) !== i);
+
+      if (missing.length > 0) {
+        problems.push(`${name} has no limiting shift for ionisation state ${missing.join(', ')}`);
+      }
+      if (unknown.length > 0) {
+        problems.push(`${name} has limiting shifts for unknown ionisation state ${unknown.join(', ')}`);
+      }
+      if (repeated.length > 0) {
+        problems.push(`${name} repeats ionisation state ${[...new Set(repeated)].join(', ')}`);
+      }
+
+      const partner = resonance.bonded_to;
+      if (partner && !(buffer.chemical_shifts[partner.nucleus] ?? []).some(r => r.resonance_id === partner.resonance_id)) {
+        problems.push(`${name} is bonded to ${partner.nucleus} ${partner.resonance_id}, which is not in the buffer`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Find the IDs that occur more than once.
+ *
+ * @param {Array<string>} ids - IDs
+ * @returns {Set<string>} Repeated IDs
+ */
+function findDuplicates(ids) {
+  return new Set(ids.filter((id, i) => ids.indexOf(id) !== i));
+}
+
+/**
+ * Check that parsed JSON has the lists of samples and buffers of a database.
+ *
+ * @param {Object} data - Parsed database JSON
+ * @throws {Error} If either list is missing
+ */
+export function checkDatabaseStructure(data) {
+  if (!Array.isArray(data?.samples) || !Array.isArray(data?.buffers)) {
+    throw new Error('Invalid database: expected lists of samples and buffers');
+  }
+}
+
+/**
+ * Validate a loaded database and quarantine the entries that fail.
+ *
+ * Samples and buffers are checked against the item schemas, then for
+ * consistency: unique IDs, ordered measurement ranges, a pKa per ionisation
+ * step, limiting shifts for every ionisation state, and references to
+ * samples and bonded resonances that resolve. A buffer whose sample is
+ * quarantined is quarantined with it. Schema errors in METADATA_FIELDS are
+ * warnings only.
+ *
+ * @param {Object} data - Parsed database JSON
+ * @param {Object} schema - Database JSON schema
+ * @returns {Object} { database, report }: the database without quarantined entries, and
+ *   { valid, issues: [{ entry: 'database'|'sample'|'buffer', id, provenance, errors, warnings }],
+ *     quarantined: { samples, buffers }, nSamples, nBuffers }; entries with errors are quarantined
+ * @throws {Error} If the database lacks its sample or buffer list
+ */
+export function validateDatabase(data, schema) {
+  checkDatabaseStructure(data);
+
+  const issues = [];
+
+  // Top-level fields other than the entry lists
+  const { samples: sampleSchema, buffers: bufferSchema, ...otherProperties } = schema.properties;
+  const topLevelErrors = validateAgainstSchema(
+    { ...data, samples: [], buffers: [] },
+    { ...schema, properties: otherProperties },
+    schema,
+    'database'
+  );
+  if (topLevelErrors.length > 0) {
+    issues.push({ entry: 'database', id: null, provenance: null, errors: [], warnings: topLevelErrors.map(e => e.message) });
+  }
+
+  const validateEntries = (entries, entrySchema, listName, idKey, check) => {
+    const duplicates = findDuplicates(entries.map(e => e?.[idKey]));
+
+    return entries.filter((entry, i) => {
+      const prefix = `${listName}[${i}].`;
+      const isMetadata = error => METADATA_FIELDS.includes(error.path.slice(prefix.length).split(/[.[]/)[0]);
+      const schemaErrors = validateAgainstSchema(entry, entrySchema.items, schema, `${listName}[${i}]`);
+      const modelErrors = schemaErrors.filter(e => !isMetadata(e));
+
+      // Consistency checks assume the entry has the structure of the schema
+      const errors = modelErrors.length > 0 ? modelErrors.map(e => e.message) : check(entry);
+      const warnings = schemaErrors.filter(isMetadata).map(e => e.message);
+
+      if (duplicates.has(entry?.[idKey])) {
+        errors.push(`${idKey} ${entry[idKey]} is used by more than one entry`);
+      }
+      if (errors.length > 0 || warnings.length > 0) {
+        issues.push({
+          entry: listName.slice(0, -1),
+          id: entry?.[idKey] ?? `${listName}[${i}]`,
+          provenance: entry?.provenance ?? null,
+          errors,
+          warnings
+        });
+      }
+      return errors.length === 0;
+    });
+  };
+
+  const samples = validateEntries(data.samples, sampleSchema, 'samples', 'sample_id', checkSample);
+  const sampleIds = new Set(samples.map(s => s.sample_id));
+  const buffers = validateEntries(
+    data.buffers,
+    bufferSchema,
+    'buffers',
+    'buffer_id',
+    buffer => checkBuffer(buffer, sampleIds)
+  );
+
+  const quarantinedIds = entry => issues.filter(i => i.entry === entry && i.errors.length > 0).map(i => i.id);
+  const quarantined = { samples: quarantinedIds('sample'), buffers: quarantinedIds('buffer') };
+
+  return {
+    database: { ...data, samples, buffers },
+    report: {
+      valid: quarantined.samples.length === 0 && quarantined.buffers.length === 0,
+      issues,
+      quarantined,
+      nSamples: data.samples.length,
+      nBuffers: data.buffers.length
+    }
+  };
+}
@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+import { checkDatabaseStructure, validateDatabase } from './databaseValidation.js';
+import schema from '../../draft-schema.json';
+import communityDatabase from '../../draft-database.json';
+
+// One sample and a two-step buffer with a 1H resonance bonded to a 13C one
+const resonance = (resonance_id, shifts) => ({
+  resonance_id,
+  limiting_shifts: shifts.map((shift, state) => ({ ionisation_state: state, shift_ppm: [shift, 0.005] }))
+});
+const createDatabase = () => ({
+  database_version: '1.0',
+  samples: [{
+    sample_id: 'sample',
+    solvent: 'H2O',
+    authors: [{ name: 'A. Author', affiliation: 'Somewhere' }],
+    reference_temperature_K: 298.15,
+    reference_ionic_strength_M: 0
+  }],
+  buffers: [{
+    buffer_id: 'buffer',
+    buffer_name: 'Buffer',
+    buffer_family: 'amine',
+    sample_id: 'sample',
+    ionisation_states: 3,
+    pKa_parameters: [{ pKa_index: 1, pKa: [3.1, 0.02] }, { pKa_index: 2, pKa: [8.9, 0.02] }],
+    chemical_shifts: {
+      '1H': [{ ...resonance('H1', [3.4, 3.2, 3.0]), bonded_to: { nucleus: '13C', resonance_id: 'C1' } }],
+      '13C': [resonance('C1', [43.6, 42.4, 40.9])]
+    }
+  }]
+});
+
+// Errors reported for the first buffer of a validated database
+const bufferErrors = report => report.issues.find(issue => issue.entry === 'buffer')?.errors ?? [];
+
+describe('validateDatabase', () => {
+  it('accepts the bundled community database without errors or warnings', () => {
+    const { database, report } = validateDatabase(structuredClone(communityDatabase), schema);
+
+    expect(report.valid).toBe(true);
+    expect(report.issues).toEqual([]);
+    expect(database.buffers).toHaveLength(communityDatabase.buffers.length);
+  });
+
+  it('accepts a resonance bonded to one in the same buffer', () => {
+    const data = createDatabase();
+    const { database, report } = validateDatabase(data, schema);
+
+    expect(report.issues).toEqual([]);
+    expect(database.buffers).toHaveLength(1);
+    expect(report.nSamples).toBe(1);
+  });
+
+  it('quarantines a buffer bonded to a resonance it does not have', () => {
+    const data = createDatabase();
+    delete data.buffers[0].chemical_shifts['13C'];
+    const { database, report } = validateDatabase(data, schema);
+
+    expect(report.valid).toBe(false);
+    expect(report.quarantined.buffers).toEqual(['buffer']);
+    expect(database.buffers).toEqual([]);
+    expect(bufferErrors(report)).toEqual(['1H H1 is bonded to 13C C1, which is not in the buffer']);
+  });
+
+  it('requires one pKa per ionisation step', () => {
+    const data = createDatabase();
+    data.buffers[0].ionisation_states = 4;
+    const errors = bufferErrors(validateDatabase(data, schema).report);
+
+    expect(errors).toContain('4 ionisation states need 3 pKa values, but 2 are given');
+    expect(errors).toContain('1H H1 has no limiting shift for ionisation state 3');
+  });
+
+  it('requires pKa indices to run from 1', () => {
+    const data = createDatabase();
+    data.buffers[0].pKa_parameters[1].pKa_index = 3;
+
+    expect(bufferErrors(validateDatabase(data, schema).report)).toContain('pKa indices should run from 1 to 2, found 1, 3');
+  });
+
+  it('requires a limiting shift for every ionisation state', () => {
+    const data = createDatabase();
+    const [proton] = data.buffers[0].chemical_shifts['1H'];
+    proton.limiting_shifts = proton.limiting_shifts.filter(s => s.ionisation_state !== 1);
+
+    expect(bufferErrors(validateDatabase(data, schema).report)).toEqual(['1H H1 has no limiting shift for ionisation state 1']);
+  });
+
+  it('quarantines repeated IDs and buffers whose sample is missing', () => {
+    const data = createDatabase();
+    data.buffers.push(structuredClone(data.buffers[0]));
+    data.samples = [];
+    const { report } = validateDatabase(data, schema);
+
+    expect(report.quarantined.buffers).toEqual(['buffer', 'buffer']);
+    expect(bufferErrors(report)).toEqual([
+      'sample sample is missing or invalid',
+      'buffer_id buffer is used by more than one entry'
+    ]);
+  });
+
+  it('reports schema errors in metadata as warnings without quarantine', () => {
+    const data = createDatabase();
+    data.samples[0].authors[0].orcid = '0000-0002-XXXX-XXXX';
+    const { report } = validateDatabase(data, schema);
+
+    expect(report.valid).toBe(true);
+    const [issue] = report.issues;
+    expect(issue).toMatchObject({ entry: 'sample', id: 'sample', errors: [] });
+    expect(issue.warnings).toEqual([expect.stringMatching(/^samples\[0\]\.authors\[0\]\.orcid/)]);
+  });
+});
+
+describe('checkDatabaseStructure', () => {
+  it('rejects data without the entry lists', () => {
+    expect(() => checkDatabaseStructure({ samples: [] })).toThrow(/expected lists of samples and buffers/);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Database Versions Module
+ *
+ * Identification of buffer database versions by a hash of their content,
+ * and the differences between versions - changed pKa values and limiting
+ * shifts, added and removed resonances, samples and buffers - for pinning a
+ * version and reading its changelog.
+ */
+
+/**
+ * Lists within entries whose items are matched by a key rather than by
+ * position, with the label of an item in a change path.
+ */
+const KEYED_LISTS = {
+  pKa_parameters: { key: 'pKa_index', label: item => `pKa${item.pKa_index}` },
+  limiting_shifts: { key: 'ionisation_state', label: item => `state ${item.ionisation_state}` },
+  authors: { key: 'name', label: item => item.name }
+};
+
+/**
+ * Resonances, the lists held under each nucleus of chemical_shifts.
+ */
+const RESONANCE_LIST = { key: 'resonance_id', label: item => item.resonance_id };
+
+/**
+ * Fields whose items are named in change paths by their own label, so that
+ * the field name itself is left out.
+ */
+const CONTAINER_FIELDS = new Set(['pKa_parameters', 'chemical_shifts', 'limiting_shifts']);
+
+/**
+ * Serialise a value as JSON with object keys in sorted order and provenance
+ * left out, so that equal content gives equal text whatever its source.
+ *
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => key !== 'provenance' && value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * SHA-256 hash of the canonical JSON of a value. Identifies the exact
+ * parameters a result was computed with, independently of formatting.
+ *
+ * @param {*} value - JSON value, e.g. a database or the entries used in a fit
+ * @returns {Promise<string|null>} Hexadecimal hash, or null where the browser
+ *   offers no Web Crypto (pages not served over HTTPS)
+ */
+export async function hashContent(value) {
+  if (!globalThis.crypto?.subtle) {
+    return null;
+  }
+
+  const bytes = new TextEncoder().encode(canonicalJSON(value));
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare database version strings, numerically part by part ("1.10"
+ * follows "1.9"), then by the date of the last update.
+ *
+ * @param {Object} a - { database_version, last_updated }
+ * @param {Object} b - { database_version, last_updated }
+ * @returns {number} Negative if a precedes b, positive if it follows, else 0
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a.database_version ?? '').split(/[.-]/);
+  const partsB = String(b.database_version ?? '').split(/[.-]/);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const x = partsA[i] ?? '';
+    const y = partsB[i] ?? '';
+    const order = /^\d+$/.test(x) && /^\d+$/.test(y)
+      ? Number(x) - Number(y)
+      : x.localeCompare(y);
+    if (order !== 0) return order;
+  }
+
+  return String(a.last_updated ?? '').localeCompare(String(b.last_updated ?? ''));
+}
+
+/**
+ * Record the differences between two values into a change list.
+ *
+ * Objects are compared field by field and keyed lists item by item (see
+ * KEYED_LISTS); anything else, including [value, uncertainty] pairs, is
+ * compared as a whole.
+ *
+ * @param {*} older - Value in the older version (undefined if absent)
+ * @param {*} newer - Value in the newer version (undefined if absent)
+ * @param {Array<string>} path - Path of the value, e.g. ['pKa1', 'pKa']
+ * @param {string|null} name - Field name of the value
+ * @param {Object|null} list - Keyed list description, if the value is one
+ * @param {Array<Object>} changes - Change list to add to
+ */
+function diffValues(older, newer, path, name, list, changes) {
+  if (canonicalJSON(older) === canonicalJSON(newer)) return;
+
+  if (older === undefined) {
+    changes.push({ type: 'added', path, to: newer });
+    return;
+  }
+  if (newer === undefined) {
+    changes.push({ type: 'removed', path, from: older });
+    return;
+  }
+
+  if (list && Array.isArray(older) && Array.isArray(newer)) {
+    const olderItems = new Map(older.map(item => [item[list.key], item]));
+    const newerItems = new Map(newer.map(item => [item[list.key], item]));
+    const keys = [...new Set([...olderItems.keys(), ...newerItems.keys()])];
+
+    for (const key of keys) {
+      const item = newerItems.get(key) ?? olderItems.get(key);
+      diffValues(olderItems.get(key), newerItems.get(key), [...path, list.label(item)], null, null, changes);
+    }
+    return;
+  }
+
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(older) && isObject(newer)) {
+    const keys = [...new Set([...Object.keys(older), ...Object.keys(newer)])].filter(key => key !== 'provenance');
+
+    for (const key of keys) {
+      const childList = name === 'chemical_shifts' ? RESONANCE_LIST : KEYED_LISTS[key] ?? null;
+      const childPath = CONTAINER_FIELDS.has(key) ? path : [...path, key];
+      diffValues(older[key], newer[key], childPath, key, childList, changes);
+    }
+    return;
+  }
+
+  changes.push({ type: 'changed', path, from: older, to: newer });
+}
+
+/**
+ * Differences between the entries of one kind in two database versions.
+ *
+ * @param {Array<Object>} older - Entries of the older version
+ * @param {Array<Object>} newer - Entries of the newer version
+ * @param {string} idKey - ID field, e.g. 'buffer_id'
+ * @returns {Object} { added: [entry], removed: [entry], changed: [{ id, entry, changes }] }
+ */
+function diffEntries(older, newer, idKey) {
+  const olderEntries = new Map(older.map(entry => [entry[idKey], entry]));
+  const newerEntries = new Map(newer.map(entry => [entry[idKey], entry]));
+
+  const changed = [];
+  for (const [id, entry] of newerEntries) {
+    const previous = olderEntries.get(id);
+    if (!previous) continue;
+
+    const changes = [];
+    diffValues(previous, entry, [], null, null, changes);
+    if (changes.length > 0) {
+      changed.push({ id, entry, changes });
+    }
+  }
+
+  return {
+    added: [...newerEntries.values()].filter(entry => !olderEntries.has(entry[idKey])),
+    removed: [...olderEntries.values()].filter(entry => !newerEntries.has(entry[idKey])),
+    changed
+  };
+}
+
+/**
+ * Differences between two database versions.
+ *
+ * Changes within an entry are listed with their path, e.g.
+ * ['pKa1', 'pKa'] or ['1H', 'CH2', 'state 1', 'shift_ppm'], and the old and
+ * new values; a resonance or pKa added or removed is a single change.
+ *
+ * @param {Object} older - Older database { database_version, samples, buffers }
+ * @param {Object} newer - Newer database
+ * @returns {Object} { from, to, samples, buffers, nChanges }, where samples and
+ *   buffers are { added, removed, changed: [{ id, entry, changes: [{ type, path, from, to }] }] }
+ */
+export function diffDatabases(older, newer) {
+  const samples = diffEntries(older.samples ?? [], newer.samples ?? [], 'sample_id');
+  const buffers = diffEntries(older.buffers ?? [], newer.buffers ?? [], 'buffer_id');
+  const count = diff => diff.added.length + diff.removed.length + diff.changed.length;
+
+  return {
+    from: { database_version: older.database_version, last_updated: older.last_updated ?? null },
+    to: { database_version: newer.database_version, last_updated: newer.last_updated ?? null },
+    samples,
+    buffers,
+    nChanges: count(samples) + count(buffers)
+  };
+}
+
+/**
+ * Changelog of a series of database versions: the differences between each
+ * version and the one before it, newest first.
+ *
+ * @param {Array<Object>} databases - Databases, in any order
+ * @returns {Array<Object>} Differences (see diffDatabases)
+ */
+export function buildChangelog(databases) {
+  const ordered = [...databases].sort(compareVersions);
+  return ordered.slice(1).map((database, i) => diffDatabases(ordered[i], database)).reverse();
+}
+
+/**
+ * Record of the database a result was computed with: the version and
+ * content hash of the community database, any other sources merged over it,
+ * and a hash of the buffer and sample entries the fit used. The version and
+ * hash let the result be recomputed against the same parameters later.
+ *
+ * @param {Object} community - Community database in use (possibly a pinned version)
+ * @param {Array<Object>} sources - Merged sources (see mergeDatabases)
+ * @param {Array<Object>} buffers - Buffer entries used
+ * @param {Array<Object>} samples - Sample entries used
+ * @returns {Promise<Object>} { database_version, last_updated, content_hash, sources, entries_hash }
+ */
+export async function createDatabaseRecord(community, sources, buffers, samples) {
+  const [contentHash, entriesHash] = await Promise.all([
+    hashContent(community),
+    hashContent({ buffers, samples })
+  ]);
+
+  return {
+    database_version: community.database_version ?? null,
+    last_updated: community.last_updated ?? null,
+    content_hash: contentHash,
+    sources: sources.map(({ source, name }) => ({ source, name })),
+    entries_hash: entriesHash
+  };
+}
@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import { buildChangelog, canonicalJSON, compareVersions, diffDatabases, hashContent } from './databaseVersions.js';
+
+// A database with one two-step buffer, in the form of a released version
+const resonance = (resonance_id, acid, base) => ({
+  resonance_id,
+  limiting_shifts: [
+    { ionisation_state: 0, shift_ppm: [acid, 0.005] },
+    { ionisation_state: 1, shift_ppm: [base, 0.005] }
+  ]
+});
+const createDatabase = (database_version = '1.0') => ({
+  database_version,
+  samples: [{ sample_id: 'sample', solvent: 'H2O' }],
+  buffers: [{
+    buffer_id: 'buffer',
+    sample_id: 'sample',
+    ionisation_states: 2,
+    pKa_parameters: [{ pKa_index: 1, pKa: [6.45, 0.02] }],
+    chemical_shifts: { '1H': [resonance('H1', 3.42, 3.10)] }
+  }]
+});
+
+describe('canonicalJSON', () => {
+  it('sorts object keys and leaves out provenance', () => {
+    const a = { b: [1, { d: 2, c: 3 }], a: 'x', provenance: { source: 'file' } };
+    const b = { a: 'x', b: [1, { c: 3, d: 2 }] };
+
+    expect(canonicalJSON(a)).toBe('{"a":"x","b":[1,{"c":3,"d":2}]}');
+    expect(canonicalJSON(a)).toBe(canonicalJSON(b));
+  });
+});
+
+describe('hashContent', () => {
+  it('gives equal hashes for equal content, whatever its key order', async () => {
+    const hash = await hashContent({ a: 1, b: 2 });
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(await hashContent({ b: 2, a: 1 })).toBe(hash);
+    expect(await hashContent({ a: 1, b: 3 })).not.toBe(hash);
+  });
+});
+
+describe('compareVersions', () => {
+  it('compares version parts numerically, then by date', () => {
+    expect(compareVersions({ database_version: '1.10' }, { database_version: '1.9' })).toBeGreaterThan(0);
+    expect(compareVersions({ database_version: '1.0' }, { database_version: '1.0.1' })).toBeLessThan(0);
+    expect(compareVersions(
+      { database_version: '1.0', last_updated: '2024-01-01' },
+      { database_version: '1.0', last_updated: '2024-06-01' }
+    )).toBeLessThan(0);
+  });
+});
+
+describe('diffDatabases', () => {
+  const older = createDatabase('1.0');
+
+  it('finds no changes between equal versions', () => {
+    expect(diffDatabases(older, createDatabase('1.0')).nChanges).toBe(0);
+  });
+
+  it('lists changed pKa values and limiting shifts by path', () => {
+    const newer = createDatabase('1.1');
+    const [buffer] = newer.buffers;
+    buffer.pKa_parameters[0].pKa = [6.5, 0.02];
+    buffer.chemical_shifts['1H'][0].limiting_shifts[1].shift_ppm = [3.43, 0.005];
+
+    const diff = diffDatabases(older, newer);
+
+    expect(diff.from.database_version).toBe('1.0');
+    expect(diff.to.database_version).toBe('1.1');
+    expect(diff.nChanges).toBe(1);
+    const [changed] = diff.buffers.changed;
+    expect(changed.id).toBe('buffer');
+    expect(changed.changes).toEqual([
+      { type: 'changed', path: ['pKa1', 'pKa'], from: [6.45, 0.02], to: [6.5, 0.02] },
+      { type: 'changed', path: ['1H', 'H1', 'state 1', 'shift_ppm'], from: [3.10, 0.005], to: [3.43, 0.005] }
+    ]);
+  });
+
+  it('reports an added resonance as a single change', () => {
+    const newer = createDatabase();
+    const [buffer] = newer.buffers;
+    buffer.chemical_shifts['1H'][0].bonded_to = { nucleus: '13C', resonance_id: 'C1' };
+    buffer.chemical_shifts['13C'] = [resonance('C1', 43.6, 42.4)];
+    const changes = diffDatabases(older, newer).buffers.changed[0].changes;
+
+    expect(changes.map(c => [c.type, c.path])).toEqual([
+      ['added', ['1H', 'H1', 'bonded_to']],
+      ['added', ['13C']]
+    ]);
+  });
+
+  it('reports added and removed entries', () => {
+    const newer = createDatabase();
+    newer.buffers[0].buffer_id = 'renamed';
+    const { buffers, nChanges } = diffDatabases(older, newer);
+
+    expect(buffers.added.map(b => b.buffer_id)).toEqual(['renamed']);
+    expect(buffers.removed.map(b => b.buffer_id)).toEqual(['buffer']);
+    expect(nChanges).toBe(2);
+  });
+});
+
+describe('buildChangelog', () => {
+  it('lists the differences between successive versions, newest first', () => {
+    const versions = ['1.1', '1.0', '1.2'].map(createDatabase);
+    const changelog = buildChangelog(versions);
+
+    expect(changelog.map(diff => [diff.from.database_version, diff.to.database_version])).toEqual([
+      ['1.1', '1.2'],
+      ['1.0', '1.1']
+    ]);
+  });
+});
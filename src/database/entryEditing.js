@@ -0,0 +1,247 @@
+/**
+ * Entry Editing Module
+ *
+ * Creation and modification of sample and buffer entries for the buffer
+ * editor, and export of edited entries as a database file that conforms to
+ * the schema, for submission to the community database.
+ */
+
+import { validateDatabase } from './databaseValidation.js';
+
+/**
+ * Strip application bookkeeping (provenance) from an entry, giving the
+ * entry as it appears in a database file.
+ *
+ * @param {Object} entry - Sample or buffer entry
+ * @returns {Object} Deep copy of the entry without provenance
+ */
+export function stripProvenance(entry) {
+  const { provenance: _provenance, ...rest } = entry;
+  return structuredClone(rest);
+}
+
+/**
+ * Create an empty sample entry.
+ *
+ * @param {string} sampleId - Sample ID
+ * @returns {Object} Sample entry at 298.15 K and zero ionic strength
+ */
+export function createSampleEntry(sampleId) {
+  return {
+    sample_id: sampleId,
+    solvent: 'H2O',
+    authors: [{ name: '', affiliation: '' }],
+    reference_temperature_K: 298.15,
+    reference_ionic_strength_M: 0,
+    measurement_ranges: {
+      pH: { min: 2, max: 12 },
+      temperature_K: { min: 278, max: 318 },
+      ionic_strength_M: { min: 0, max: 0.5 }
+    }
+  };
+}
+
+/**
+ * Create a buffer entry with a single pKa and no resonances.
+ *
+ * @param {string} bufferId - Buffer ID
+ * @param {string} sampleId - ID of the sample the buffer was measured in
+ * @returns {Object} Buffer entry
+ */
+export function createBufferEntry(bufferId, sampleId) {
+  return {
+    buffer_id: bufferId,
+    buffer_name: '',
+    buffer_family: '',
+    sample_id: sampleId,
+    version: '1.0',
+    ionisation_states: 2,
+    pKa_parameters: [{ pKa_index: 1, pKa: 7 }],
+    chemical_shifts: {}
+  };
+}
+
+/**
+ * Find an ID, based on the given one, that is not yet in use.
+ *
+ * @param {string} baseId - Preferred ID
+ * @param {Set<string>|Array<string>} usedIds - IDs in use
+ * @returns {string} baseId, or baseId with a numeric suffix
+ */
+export function getUnusedId(baseId, usedIds) {
+  const used = new Set(usedIds);
+  if (!used.has(baseId)) return baseId;
+
+  let n = 2;
+  while (used.has(`${baseId}_${n}`)) n++;
+  return `${baseId}_${n}`;
+}
+
+/**
+ * Clone a buffer entry under a new ID, e.g. to recalibrate a community buffer.
+ *
+ * @param {Object} buffer - Buffer entry
+ * @param {Set<string>|Array<string>} usedIds - Buffer IDs in use
+ * @returns {Object} Copy of the entry with an unused buffer_id
+ */
+export function cloneBufferEntry(buffer, usedIds) {
+  return {
+    ...stripProvenance(buffer),
+    buffer_id: getUnusedId(`${buffer.buffer_id}_copy`, usedIds)
+  };
+}
+
+/**
+ * Combine a value and its uncertainty into the database representation:
+ * a number, or [value, uncertainty] when an uncertainty is given.
+ *
+ * @param {number} value - Value
+ * @param {number|null} uncertainty - Standard uncertainty
+ * @returns {number|Array<number>} Value with uncertainty
+ */
+export function toValueWithUncertainty(value, uncertainty) {
+  return uncertainty > 0 ? [value, uncertainty] : value;
+}
+
+/**
+ * Change the number of pKa values of a buffer. The number of ionisation
+ * states follows, and every resonance gains or loses the limiting shifts of
+ * the states added or removed; new limiting shifts copy the last state.
+ *
+ * @param {Object} buffer - Buffer entry
+ * @param {number} count - Number of pKa values (at least 1)
+ * @returns {Object} Updated buffer entry
+ */
+export function setPKaCount(buffer, count) {
+  // New pKa values start 2 units apart above the last one
+  const lastPKa = getLastPKa(buffer);
+  const pKaParameters = Array.from({ length: count }, (_, i) =>
+    buffer.pKa_parameters[i] ?? { pKa_index: i + 1, pKa: lastPKa + 2 * (i + 1 - buffer.pKa_parameters.length) }
+  );
+
+  const chemicalShifts = Object.fromEntries(
+    Object.entries(buffer.chemical_shifts).map(([nucleus, resonances]) => [
+      nucleus,
+      resonances.map(resonance => ({
+        ...resonance,
+        limiting_shifts: Array.from({ length: count + 1 }, (_, state) =>
+          resonance.limiting_shifts.find(s => s.ionisation_state === state) ??
+            { ...resonance.limiting_shifts.at(-1), ionisation_state: state }
+        )
+      }))
+    ])
+  );
+
+  return {
+    ...buffer,
+    ionisation_states: count + 1,
+    pKa_parameters: pKaParameters,
+    chemical_shifts: chemicalShifts
+  };
+}
+
+/**
+ * Value of the highest-index pKa of a buffer.
+ *
+ * @param {Object} buffer - Buffer entry
+ * @returns {number} pKa, or 5 if there is none
+ */
+function getLastPKa(buffer) {
+  const last = buffer.pKa_parameters.at(-1)?.pKa;
+  return Array.isArray(last) ? last[0] : last ?? 5;
+}
+
+/**
+ * Add a resonance to a buffer, with a zero limiting shift for every
+ * ionisation state.
+ *
+ * @param {Object} buffer - Buffer entry
+ * @param {string} nucleus - Nucleus
+ * @returns {Object} Updated buffer entry
+ */
+export function addResonance(buffer, nucleus) {
+  const resonances = buffer.chemical_shifts[nucleus] ?? [];
+  const resonanceId = getUnusedId(`${nucleus.replace(/^\d+/, '')}_${resonances.length + 1}`, resonances.map(r => r.resonance_id));
+
+  return {
+    ...buffer,
+    chemical_shifts: {
+      ...buffer.chemical_shifts,
+      [nucleus]: [
+        ...resonances,
+        {
+          resonance_id: resonanceId,
+          limiting_shifts: Array.from({ length: buffer.ionisation_states }, (_, state) => ({
+            ionisation_state: state,
+            shift_ppm: 0
+          }))
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Replace the fitted fields of a buffer entry with those of a calibration:
+ * ionisation states, pKa parameters and limiting shifts. Resonances already
+ * in the entry under the same nucleus and ID keep their description,
+ * multiplicity and bonded partner; resonances not in the calibration are
+ * dropped, since their limiting shifts no longer match the ionisation states.
+ *
+ * @param {Object} buffer - Buffer entry
+ * @param {Object} calibrated - { ionisation_states, pKa_parameters, chemical_shifts } from fitCalibration
+ * @returns {Object} Updated buffer entry
+ */
+export function applyCalibration(buffer, calibrated) {
+  const chemicalShifts = Object.fromEntries(
+    Object.entries(calibrated.chemical_shifts).map(([nucleus, resonances]) => [
+      nucleus,
+      resonances.map(resonance => {
+        const existing = buffer.chemical_shifts[nucleus]?.find(r => r.resonance_id === resonance.resonance_id);
+        const { limiting_shifts: _limitingShifts, ...annotations } = existing ?? {};
+        return { ...annotations, ...structuredClone(resonance) };
+      })
+    ])
+  );
+
+  return {
+    ...buffer,
+    ionisation_states: calibrated.ionisation_states,
+    pKa_parameters: structuredClone(calibrated.pKa_parameters),
+    chemical_shifts: chemicalShifts
+  };
+}
+
+/**
+ * Validate a buffer entry together with its sample, as a database of one
+ * entry each (see validateDatabase).
+ *
+ * @param {Object} buffer - Buffer entry
+ * @param {Object|null} sample - Sample entry the buffer refers to
+ * @param {Object} schema - Database JSON schema
+ * @returns {Object} Validation report
+ */
+export function validateEntry(buffer, sample, schema) {
+  const { report } = validateDatabase(
+    { database_version: 'draft', samples: sample ? [sample] : [], buffers: [buffer] },
+    schema
+  );
+  return report;
+}
+
+/**
+ * Export entries as a database file conforming to the schema.
+ *
+ * @param {Array<Object>} samples - Sample entries
+ * @param {Array<Object>} buffers - Buffer entries
+ * @param {string} [databaseVersion] - Version recorded in the file
+ * @returns {Object} Database JSON { database_version, last_updated, samples, buffers }
+ */
+export function exportEntries(samples, buffers, databaseVersion = 'draft') {
+  return {
+    database_version: databaseVersion,
+    last_updated: new Date().toISOString().slice(0, 10),
+    samples: samples.map(stripProvenance),
+    buffers: buffers.map(stripProvenance)
+  };
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addResonance,
+  applyCalibration,
+  cloneBufferEntry,
+  createBufferEntry,
+  createSampleEntry,
+  exportEntries,
+  getUnusedId,
+  setPKaCount,
+  validateEntry
+} from './entryEditing.js';
+import { validateDatabase } from './databaseValidation.js';
+import schema from '../../draft-schema.json';
+
+// A sample and a two-pKa buffer with one 1H resonance, as built in the editor
+const createEntries = () => {
+  const sample = {
+    ...createSampleEntry('lab_sample'),
+    authors: [{ name: 'A. Author', affiliation: 'Somewhere' }],
+    provenance: { source: 'browser', label: 'Browser' }
+  };
+  const buffer = {
+    ...addResonance(setPKaCount(createBufferEntry('lab_buffer', 'lab_sample'), 2), '1H'),
+    buffer_name: 'Lab buffer',
+    buffer_family: 'amine',
+    provenance: { source: 'browser', label: 'Browser' }
+  };
+  return { sample, buffer };
+};
+
+describe('exportEntries', () => {
+  it('round-trips edited entries to a schema-valid database without provenance', () => {
+    const { sample, buffer } = createEntries();
+    const exported = JSON.parse(JSON.stringify(exportEntries([sample], [buffer], '1.1')));
+
+    expect(exported.database_version).toBe('1.1');
+    expect(exported.last_updated).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+    const { database, report } = validateDatabase(exported, schema);
+    expect(report.issues).toEqual([]);
+
+    const { provenance: _bufferProvenance, ...bufferEntry } = buffer;
+    expect(database.buffers).toEqual([bufferEntry]);
+    expect(database.samples[0]).not.toHaveProperty('provenance');
+  });
+});
+
+describe('validateEntry', () => {
+  it('reports a buffer without its sample', () => {
+    const { buffer } = createEntries();
+    const report = validateEntry(buffer, null, schema);
+
+    expect(report.valid).toBe(false);
+    expect(report.issues[0].errors).toContain('sample lab_sample is missing or invalid');
+  });
+});
+
+describe('setPKaCount', () => {
+  it('adds ionisation states and copies the last limiting shift to them', () => {
+    const buffer = setPKaCount(addResonance(createBufferEntry('b', 's'), '19F'), 3);
+    const [resonance] = buffer.chemical_shifts['19F'];
+
+    expect(buffer.ionisation_states).toBe(4);
+    expect(buffer.pKa_parameters.map(p => [p.pKa_index, p.pKa])).toEqual([[1, 7], [2, 9], [3, 11]]);
+    expect(resonance.limiting_shifts.map(s => s.ionisation_state)).toEqual([0, 1, 2, 3]);
+  });
+});
+
+describe('cloneBufferEntry', () => {
+  it('copies a buffer under an unused ID without its provenance', () => {
+    const { buffer } = createEntries();
+    const clone = cloneBufferEntry(buffer, ['lab_buffer', 'lab_buffer_copy']);
+
+    expect(clone.buffer_id).toBe('lab_buffer_copy_2');
+    expect(clone).not.toHaveProperty('provenance');
+    expect(clone.chemical_shifts).toEqual(buffer.chemical_shifts);
+    expect(clone.chemical_shifts).not.toBe(buffer.chemical_shifts);
+  });
+
+  it('keeps an ID that is free', () => {
+    expect(getUnusedId('tris', ['hepes'])).toBe('tris');
+  });
+});
+
+describe('applyCalibration', () => {
+  it('replaces the fitted fields and keeps the annotations of matching resonances', () => {
+    const buffer = createBufferEntry('b', 's');
+    buffer.chemical_shifts = {
+      '1H': [
+        { resonance_id: 'H1', description: 'CH2', limiting_shifts: [] },
+        { resonance_id: 'H2', limiting_shifts: [] }
+      ]
+    };
+    const limitingShifts = [{ ionisation_state: 0, shift_ppm: [3.4, 0.001] }, { ionisation_state: 1, shift_ppm: [3.0, 0.001] }];
+    const calibrated = {
+      ionisation_states: 2,
+      pKa_parameters: [{ pKa_index: 1, pKa: [5.8, 0.01] }],
+      chemical_shifts: { '1H': [{ resonance_id: 'H1', limiting_shifts: limitingShifts }] }
+    };
+
+    expect(applyCalibration(buffer, calibrated)).toMatchObject({
+      pKa_parameters: [{ pKa_index: 1, pKa: [5.8, 0.01] }],
+      chemical_shifts: { '1H': [{ resonance_id: 'H1', description: 'CH2', limiting_shifts: limitingShifts }] }
+    });
+  });
+});
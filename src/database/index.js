@@ -0,0 +1,14 @@
+/**
+ * Database Module
+ *
+ * Validation of the buffer database, merging of its sources, editing of
+ * entries, and comparison of database versions.
+ * No UI or React dependencies.
+ */
+
+export * from './schema.js';
+export * from './databaseValidation.js';
+export * from './databaseMerge.js';
+export * from './browserStore.js';
+export * from './entryEditing.js';
+export * from './databaseVersions.js';
@@ -0,0 +1,145 @@
+/**
+ * Schema Module
+ *
+ * Validation of JSON values against a JSON Schema (draft-07). Covers the
+ * keywords used by the buffer database schema: type, enum, required,
+ * properties, patternProperties, items, minItems, maxItems, minimum,
+ * pattern, oneOf and local $ref. Other keywords (such as format) are ignored.
+ */
+
+/**
+ * Check a value against a JSON Schema type name.
+ *
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Resolve a local reference such as "#/$defs/valueWithUncertainty".
+ *
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+
+  const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+  if (!target) {
+    throw new Error(`Unresolved schema reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Format a JSON path for messages, e.g. buffers[0].chemical_shifts.1H.
+ *
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema for the value
+ * @param {Object} [root] - Root schema, for resolving $ref (defaults to schema)
+ * @param {string} [path] - Path of the value, for messages
+ * @returns {Array<Object>} Errors [{ path, message }], empty if valid
+ */
+export function validateAgainstSchema(value, schema, root = schema, path = '') {
+  if (schema.$ref) {
+    return validateAgainstSchema(value, resolveRef(root, schema.$ref), root, path);
+  }
+
+  const where = path || 'value';
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(option => validateAgainstSchema(value, option, root, path).length === 0);
+    if (matching.length !== 1) {
+      return [{
+        path,
+        message: matching.length === 0
+          ? `${where} does not match any allowed form`
+          : `${where} matches more than one allowed form`
+      }];
+    }
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return [{ path, message: `${where} should be of type ${schema.type}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `${where} should be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `${where} should be at least ${schema.minimum}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `${where} is not in the expected format` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `${where} should have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `${where} should have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateAgainstSchema(item, schema.items, root, childPath(path, i)));
+      });
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) {
+        errors.push({ path: childPath(path, key), message: `${where} is missing ${key}` });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validateAgainstSchema(child, schema.properties[key], root, childPath(path, key)));
+      }
+      for (const [pattern, patternSchema] of Object.entries(schema.patternProperties ?? {})) {
+        if (new RegExp(pattern).test(key)) {
+          errors.push(...validateAgainstSchema(child, patternSchema, root, childPath(path, key)));
+        }
+      }
+    }
+  }
+
+  return errors;
+}
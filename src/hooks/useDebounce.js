@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Debounce hook: returns the value once it has been unchanged for the delay.
+ *
+ * @param {*} value - Value to debounce
+ * @param {number} delay - Delay (ms)
+ * @returns {*} Debounced value
+ */
+export function useDebounce(value, delay) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
@@ -10,10 +10,22 @@ const R = 8.314462618; // Gas constant (J/mol/K)
 const LN10 = Math.log(10);
 
 /**
- * Davies equation coefficient A at 25°C
- * A = 0.5085 for water at 25°C
+ * Debye-Hückel prefactors for A and B in terms of solvent dielectric constant ε,
+ * density ρ (g/cm³) and temperature T (K):
+ *   A = 1.82483×10⁶ √ρ / (εT)^(3/2)   (kg^½ mol^-½)
+ *   B = 50.2916 √ρ / (εT)^(1/2)        (Å⁻¹ kg^½ mol^-½)
  */
-const DAVIES_A = 0.5085;
+const DH_A_PREFACTOR = 1.82483e6;
+const DH_B_PREFACTOR = 50.2916;
+
+/**
+ * Fraction of D₂O in each database solvent system.
+ */
+const SOLVENT_D2O_FRACTION = {
+  'H2O': 0,
+  '10pct_D2O': 0.1,
+  '100pct_D2O': 1.0
+};
 
 /**
  * Extract value from a value that may include uncertainty.
@@ -42,6 +54,102 @@ export function getUncertainty(valueWithUncertainty) {
   return 0;
 }
 
+/**
+ * Dielectric constant of H₂O as a function of temperature.
+ * Malmberg & Maryott (1956), valid 0-100 °C.
+ *
+ * @param {number} temperature - Temperature (K)
+ * @returns {number} Relative permittivity
+ */
+export function waterDielectricConstant(temperature) {
+  const t = temperature - 273.15;
+  return 87.740 - 0.40008 * t + 9.398e-4 * t * t - 1.410e-6 * t * t * t;
+}
+
+/**
+ * Dielectric constant of D₂O as a function of temperature.
+ * Malmberg (1958), valid 4-100 °C.
+ *
+ * @param {number} temperature - Temperature (K)
+ * @returns {number} Relative permittivity
+ */
+export function heavyWaterDielectricConstant(temperature) {
+  const t = temperature - 273.15;
+  return 87.48 - 0.40509 * t + 9.638e-4 * t * t - 1.333e-6 * t * t * t;
+}
+
+/**
+ * Density of H₂O as a function of temperature.
+ * Tanaka et al. (2001), valid 0-40 °C.
+ *
+ * @param {number} temperature - Temperature (K)
+ * @returns {number} Density (g/cm³)
+ */
+export function waterDensity(temperature) {
+  const t = temperature - 273.15;
+  const a1 = -3.983035;
+  const a2 = 301.797;
+  const a3 = 522528.9;
+  const a4 = 69.34881;
+  const a5 = 0.99997495;
+  return a5 * (1 - ((t + a1) ** 2 * (t + a2)) / (a3 * (t + a4)));
+}
+
+/**
+ * Density of D₂O as a function of temperature.
+ * Approximated by the H₂O curve shifted to the D₂O density maximum
+ * (1.10600 g/cm³ at 11.2 °C), accurate to ~1×10⁻⁴ g/cm³ over 5-40 °C.
+ *
+ * @param {number} temperature - Temperature (K)
+ * @returns {number} Density (g/cm³)
+ */
+export function heavyWaterDensity(temperature) {
+  return 1.10603 * waterDensity(temperature - 7.2);
+}
+
+/**
+ * Dielectric constant and density of a solvent system at a given temperature.
+ * H₂O/D₂O mixtures are interpolated linearly in D₂O fraction.
+ *
+ * @param {number} temperature - Temperature (K)
+ * @param {string} [solvent] - Solvent code from database (e.g., '10pct_D2O')
+ * @returns {Object} { dielectricConstant, density }
+ */
+export function solventProperties(temperature, solvent = 'H2O') {
+  const d2oFraction = SOLVENT_D2O_FRACTION[solvent] ?? 0;
+
+  const dielectricConstant = (1 - d2oFraction) * waterDielectricConstant(temperature)
+    + d2oFraction * heavyWaterDielectricConstant(temperature);
+  const density = (1 - d2oFraction) * waterDensity(temperature)
+    + d2oFraction * heavyWaterDensity(temperature);
+
+  return { dielectricConstant, density };
+}
+
+/**
+ * Debye-Hückel A constant at a given temperature (≈ 0.51 for water at 25°C).
+ *
+ * @param {number} [temperature] - Temperature (K)
+ * @param {string} [solvent] - Solvent code from database
+ * @returns {number} A (kg^½ mol^-½)
+ */
+export function debyeHuckelA(temperature = 298.15, solvent = 'H2O') {
+  const { dielectricConstant, density } = solventProperties(temperature, solvent);
+  return DH_A_PREFACTOR * Math.sqrt(density) / Math.pow(dielectricConstant * temperature, 1.5);
+}
+
+/**
+ * Debye-Hückel B constant at a given temperature (≈ 0.33 Å⁻¹ for water at 25°C).
+ *
+ * @param {number} [temperature] - Temperature (K)
+ * @param {string} [solvent] - Solvent code from database
+ * @returns {number} B (Å⁻¹ kg^½ mol^-½)
+ */
+export function debyeHuckelB(temperature = 298.15, solvent = 'H2O') {
+  const { dielectricConstant, density } = solventProperties(temperature, solvent);
+  return DH_B_PREFACTOR * Math.sqrt(density) / Math.sqrt(dielectricConstant * temperature);
+}
+
 /**
  * Calculate pKa at a given temperature using van't Hoff equation with heat capacity correction.
  *
@@ -82,15 +190,17 @@ export function calculatePKaTemperature(pKaParams, temperature, referenceTempera
 /**
  * Calculate pKa correction for ionic strength using Davies equation.
  *
- * ΔpKa = A × Δz² × (√I/(1+√I) - 0.3I)
+ * ΔpKa = A(T) × Δz² × (√I/(1+√I) - 0.3I)
  *
  * where Δz² = z_acid² - z_base² (change in squared charge upon deprotonation)
  *
  * @param {Object} pKaParams - pKa parameters object
  * @param {number} ionicStrength - Ionic strength (M)
+ * @param {number} [temperature] - Temperature (K)
+ * @param {string} [solvent] - Solvent code from database
  * @returns {number} pKa correction to add
  */
-export function calculatePKaIonicStrengthDavies(pKaParams, ionicStrength) {
+export function calculatePKaIonicStrengthDavies(pKaParams, ionicStrength, temperature = 298.15, solvent = 'H2O') {
   if (ionicStrength <= 0) return 0;
 
   const protonatedCharge = pKaParams.protonated_charge ?? 0;
@@ -104,17 +214,21 @@ export function calculatePKaIonicStrengthDavies(pKaParams, ionicStrength) {
   const sqrtI = Math.sqrt(ionicStrength);
   const daviesTerm = sqrtI / (1 + sqrtI) - 0.3 * ionicStrength;
 
-  return DAVIES_A * deltaZSquared * daviesTerm;
+  return debyeHuckelA(temperature, solvent) * deltaZSquared * daviesTerm;
 }
 
 /**
  * Calculate pKa correction for ionic strength using extended Debye-Hückel equation.
  *
+ * ΔpKa = A(T) × Δz² × √I/(1 + B(T)·a·√I)
+ *
  * @param {Object} pKaParams - pKa parameters object
  * @param {number} ionicStrength - Ionic strength (M)
+ * @param {number} [temperature] - Temperature (K)
+ * @param {string} [solvent] - Solvent code from database
  * @returns {number} pKa correction to add
  */
-export function calculatePKaIonicStrengthExtendedDH(pKaParams, ionicStrength) {
+export function calculatePKaIonicStrengthExtendedDH(pKaParams, ionicStrength, temperature = 298.15, solvent = 'H2O') {
   if (ionicStrength <= 0) return 0;
 
   const protonatedCharge = pKaParams.protonated_charge ?? 0;
@@ -124,11 +238,10 @@ export function calculatePKaIonicStrengthExtendedDH(pKaParams, ionicStrength) {
   const deltaZSquared = 1 + deprotonatedCharge * deprotonatedCharge - protonatedCharge * protonatedCharge;
 
   const sqrtI = Math.sqrt(ionicStrength);
-  // B ≈ 0.328 Å⁻¹ at 25°C for water
-  const B = 0.328;
+  const B = debyeHuckelB(temperature, solvent);
   const dhTerm = sqrtI / (1 + B * ionSize * sqrtI);
 
-  return DAVIES_A * deltaZSquared * dhTerm;
+  return debyeHuckelA(temperature, solvent) * deltaZSquared * dhTerm;
 }
 
 /**
@@ -150,9 +263,10 @@ export function calculatePKaIonicStrengthEmpirical(pKaParams, ionicStrength) {
  * @param {number} temperature - Temperature (K)
  * @param {number} ionicStrength - Ionic strength (M)
  * @param {number} referenceTemperature - Reference temperature (K)
+ * @param {string} [solvent] - Solvent code from database, for Debye-Hückel constants
  * @returns {number} Corrected pKa value
  */
-export function calculatePKa(pKaParams, temperature, ionicStrength, referenceTemperature = 298.15) {
+export function calculatePKa(pKaParams, temperature, ionicStrength, referenceTemperature = 298.15, solvent = 'H2O') {
   // Temperature correction
   let pKa = calculatePKaTemperature(pKaParams, temperature, referenceTemperature);
 
@@ -161,10 +275,10 @@ export function calculatePKa(pKaParams, temperature, ionicStrength, referenceTem
 
   switch (model) {
     case 'davies':
-      pKa += calculatePKaIonicStrengthDavies(pKaParams, ionicStrength);
+      pKa += calculatePKaIonicStrengthDavies(pKaParams, ionicStrength, temperature, solvent);
       break;
     case 'extended_debye_huckel':
-      pKa += calculatePKaIonicStrengthExtendedDH(pKaParams, ionicStrength);
+      pKa += calculatePKaIonicStrengthExtendedDH(pKaParams, ionicStrength, temperature, solvent);
       break;
     case 'empirical':
       pKa += calculatePKaIonicStrengthEmpirical(pKaParams, ionicStrength);
@@ -241,6 +355,37 @@ export function calculateLimitingShift(
   return shift;
 }
 
+/**
+ * Calculate the variance of a corrected limiting shift from the database uncertainties.
+ * Uncertainties in the base shift and its temperature and ionic strength coefficients
+ * are treated as independent.
+ *
+ * σ² = σ_δ² + (ΔT × σ_T)² + (ΔI × σ_I)²
+ *
+ * @param {Object} limitingShift - Limiting shift object from database
+ * @param {number} temperature - Temperature (K)
+ * @param {number} ionicStrength - Ionic strength (M)
+ * @param {number} referenceTemperature - Reference temperature (K)
+ * @param {number} referenceIonicStrength - Reference ionic strength (M)
+ * @returns {number} Variance of the corrected shift (ppm²)
+ */
+export function calculateLimitingShiftVariance(
+  limitingShift,
+  temperature,
+  ionicStrength,
+  referenceTemperature = 298.15,
+  referenceIonicStrength = 0
+) {
+  const shiftSd = getUncertainty(limitingShift.shift_ppm);
+  const tempCoeffSd = getUncertainty(limitingShift.temperature_coefficient_ppm_per_K ?? 0);
+  const ionicCoeffSd = getUncertainty(limitingShift.ionic_strength_coefficient_ppm_per_M ?? 0);
+
+  const dT = temperature - referenceTemperature;
+  const dI = ionicStrength - referenceIonicStrength;
+
+  return shiftSd ** 2 + (dT * tempCoeffSd) ** 2 + (dI * ionicCoeffSd) ** 2;
+}
+
 /**
  * Predict the observed chemical shift for a resonance at given conditions.
  * The observed shift is a population-weighted average of limiting shifts.
@@ -289,6 +434,47 @@ export function predictShift(
   return observedShift;
 }
 
+/**
+ * Propagate limiting shift uncertainties into the variance of a predicted shift.
+ * Since δ_obs = Σ(f_i × δ_i), the variance is Σ(f_i² × σ_i²).
+ *
+ * @param {Object} resonance - Resonance object from database
+ * @param {Array<number>} pKaValues - Corrected pKa values at current conditions
+ * @param {number} pH - The pH value
+ * @param {number} temperature - Temperature (K)
+ * @param {number} ionicStrength - Ionic strength (M)
+ * @param {number} referenceTemperature - Reference temperature (K)
+ * @param {number} referenceIonicStrength - Reference ionic strength (M)
+ * @returns {number} Variance of the predicted chemical shift (ppm²)
+ */
+export function predictShiftVariance(
+  resonance,
+  pKaValues,
+  pH,
+  temperature,
+  ionicStrength,
+  referenceTemperature = 298.15,
+  referenceIonicStrength = 0
+) {
+  const fractions = ionisationFractions(pH, pKaValues);
+
+  let variance = 0;
+
+  for (const limitingShift of resonance.limiting_shifts) {
+    const fraction = fractions[limitingShift.ionisation_state] ?? 0;
+
+    variance += fraction * fraction * calculateLimitingShiftVariance(
+      limitingShift,
+      temperature,
+      ionicStrength,
+      referenceTemperature,
+      referenceIonicStrength
+    );
+  }
+
+  return variance;
+}
+
 /**
  * Get all corrected pKa values for a buffer at given conditions.
  *
@@ -296,11 +482,12 @@ export function predictShift(
  * @param {number} temperature - Temperature (K)
  * @param {number} ionicStrength - Ionic strength (M)
  * @param {number} referenceTemperature - Reference temperature (K)
+ * @param {string} [solvent] - Solvent code from database
  * @returns {Array<number>} Array of corrected pKa values (sorted)
  */
-export function getBufferPKaValues(buffer, temperature, ionicStrength, referenceTemperature = 298.15) {
+export function getBufferPKaValues(buffer, temperature, ionicStrength, referenceTemperature = 298.15, solvent = 'H2O') {
   return buffer.pKa_parameters
-    .map(p => calculatePKa(p, temperature, ionicStrength, referenceTemperature))
+    .map(p => calculatePKa(p, temperature, ionicStrength, referenceTemperature, solvent))
     .sort((a, b) => a - b);
 }
 
@@ -318,13 +505,14 @@ export function predictBufferShifts(buffer, pH, temperature, ionicStrength, samp
   const refTemp = sample?.reference_temperature_K ?? 298.15;
   const refIonic = sample?.reference_ionic_strength_M ?? 0;
 
-  const pKaValues = getBufferPKaValues(buffer, temperature, ionicStrength, refTemp);
+  const pKaValues = getBufferPKaValues(buffer, temperature, ionicStrength, refTemp, sample?.solvent);
   const predictions = {};
 
   for (const [nucleus, resonances] of Object.entries(buffer.chemical_shifts)) {
     predictions[nucleus] = resonances.map(resonance => ({
       resonance_id: resonance.resonance_id,
       description: resonance.description,
+      multiplicity: resonance.multiplicity,
       shift: predictShift(resonance, pKaValues, pH, temperature, ionicStrength, refTemp, refIonic)
     }));
   }
@@ -358,7 +546,7 @@ export function generateShiftCurves(
   const refTemp = sample?.reference_temperature_K ?? 298.15;
   const refIonic = sample?.reference_ionic_strength_M ?? 0;
 
-  const pKaValues = getBufferPKaValues(buffer, temperature, ionicStrength, refTemp);
+  const pKaValues = getBufferPKaValues(buffer, temperature, ionicStrength, refTemp, sample?.solvent);
   const resonances = buffer.chemical_shifts[nucleus] ?? [];
 
   const curves = [];
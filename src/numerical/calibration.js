@@ -0,0 +1,675 @@
+/**
+ * Calibration Module
+ *
+ * Global fit of the buffer model to titration data, the observed shifts of
+ * a buffer's resonances at known pH, temperature and ionic strength. Gives
+ * the pKa values with their temperature and ionic strength dependence and
+ * the limiting shifts of every resonance, with uncertainties, as a buffer
+ * entry for the database.
+ */
+
+import { getBufferPKaValues, ionisationFractions, predictShift } from './bufferModel.js';
+import { DEFAULT_MEASUREMENT_UNCERTAINTIES } from './fitting.js';
+import { minimiseChiSquared } from './optimiser.js';
+import { calculateParameterUncertainties } from './uncertainty.js';
+
+/**
+ * Default calibration options.
+ */
+const DEFAULT_CALIBRATION_OPTIONS = {
+  pKaCount: 1,
+  initialPKa: null, // [pKa], starting values; found by a grid search when null
+  protonatedCharge: 0, // Charge of the most protonated form (state 0)
+  ionicStrengthModel: 'davies',
+  ionSize: null, // Å, for the extended Debye-Hückel model
+  referenceTemperature: 298.15,
+  referenceIonicStrength: 0,
+  solvent: 'H2O',
+  fitEnthalpy: null, // null: when the data span more than one temperature
+  fitHeatCapacity: false,
+  fitShiftTemperatureCoefficients: null, // null: when the data span more than one temperature
+  fitShiftIonicStrengthCoefficients: null, // null: when the data span more than one ionic strength
+  measurementUncertainties: {}, // { nucleus: ppm }, overrides defaults
+  pHUncertainty: 0.02, // Uncertainty of the measured pH, propagated through the slope of each curve
+  maxIterations: 100,
+  tolerance: 1e-8 // Relative χ² change at convergence
+};
+
+/**
+ * Smallest spread of temperature (K) and ionic strength (M) in the data
+ * for which their dependence is fitted by default.
+ */
+const MIN_TEMPERATURE_SPAN = 0.5;
+const MIN_IONIC_STRENGTH_SPAN = 0.001;
+
+/**
+ * Population below which an ionisation state counts as not covered by the
+ * data, so that its limiting shifts are extrapolated.
+ */
+const MIN_STATE_POPULATION = 0.2;
+
+/**
+ * Step of the pKa grid searched for starting values.
+ */
+const PKA_GRID_STEP = 0.1;
+
+/**
+ * Bounds and finite-difference steps of each kind of parameter.
+ */
+const PARAMETER_KINDS = {
+  pKa: { min: 0, max: 14, step: 1e-4 },
+  dH: { min: -200, max: 200, step: 1e-3 },
+  dCp: { min: -2000, max: 2000, step: 1e-2 },
+  ionicCoefficient: { min: -20, max: 20, step: 1e-4 },
+  shift: { min: -1000, max: 1000, step: 1e-4 },
+  temperatureCoefficient: { min: -1, max: 1, step: 1e-6 },
+  ionicStrengthCoefficient: { min: -100, max: 100, step: 1e-4 }
+};
+
+/**
+ * Fields of the buffer entry set by each kind of parameter.
+ */
+const PARAMETER_FIELDS = {
+  pKa: 'pKa',
+  dH: 'dH_kJ_mol',
+  dCp: 'dCp_J_mol_K',
+  ionicCoefficient: 'ionic_strength_coefficient_per_M',
+  shift: 'shift_ppm',
+  temperatureCoefficient: 'temperature_coefficient_ppm_per_K',
+  ionicStrengthCoefficient: 'ionic_strength_coefficient_ppm_per_M'
+};
+
+/**
+ * Decide which parameters the data determine, from the options and the
+ * spread of temperature and ionic strength in the data.
+ *
+ * @param {Array<Object>} points - Titration points
+ * @param {Object} opts - Calibration options
+ * @returns {Object} { enthalpy, heatCapacity, ionicCoefficient, shiftTemperature, shiftIonicStrength }
+ */
+function getFittedDependences(points, opts) {
+  const span = values => Math.max(...values) - Math.min(...values);
+  const spansTemperature = span(points.map(p => p.temperature)) > MIN_TEMPERATURE_SPAN;
+  const spansIonicStrength = span(points.map(p => p.ionicStrength)) > MIN_IONIC_STRENGTH_SPAN;
+
+  const enthalpy = opts.fitEnthalpy ?? spansTemperature;
+
+  return {
+    enthalpy,
+    heatCapacity: enthalpy && opts.fitHeatCapacity,
+    ionicCoefficient: opts.ionicStrengthModel === 'empirical' && spansIonicStrength,
+    shiftTemperature: opts.fitShiftTemperatureCoefficients ?? spansTemperature,
+    shiftIonicStrength: opts.fitShiftIonicStrengthCoefficients ?? spansIonicStrength
+  };
+}
+
+/**
+ * Lay out the parameter vector of a calibration: the pKa parameters, then
+ * the limiting shift parameters of each resonance and ionisation state.
+ *
+ * @param {Array<Object>} resonances - [{ nucleus, resonance_id }]
+ * @param {number} pKaCount - Number of pKa values
+ * @param {Object} dependences - Fitted dependences (see getFittedDependences)
+ * @returns {Array<Object>} [{ key, name, kind, pKa, resonance, state }]
+ */
+export function buildCalibrationLayout(resonances, pKaCount, dependences) {
+  const layout = [];
+
+  for (let k = 0; k < pKaCount; k++) {
+    layout.push({ key: `pKa${k + 1}`, name: `pKa${k + 1}`, kind: 'pKa', pKa: k });
+    if (dependences.enthalpy) {
+      layout.push({ key: `dH${k + 1}`, name: `ΔH${k + 1} (kJ/mol)`, kind: 'dH', pKa: k });
+    }
+    if (dependences.heatCapacity) {
+      layout.push({ key: `dCp${k + 1}`, name: `ΔCp${k + 1} (J/mol/K)`, kind: 'dCp', pKa: k });
+    }
+    if (dependences.ionicCoefficient) {
+      layout.push({ key: `kI${k + 1}`, name: `pKa${k + 1} ionic strength coefficient (per M)`, kind: 'ionicCoefficient', pKa: k });
+    }
+  }
+
+  resonances.forEach((resonance, r) => {
+    const label = `${resonance.nucleus} ${resonance.resonance_id}`;
+    for (let state = 0; state <= pKaCount; state++) {
+      const key = `${resonance.nucleus}:${resonance.resonance_id}:${state}`;
+      layout.push({ key: `${key}:shift`, name: `${label} δ${state} (ppm)`, kind: 'shift', resonance: r, state });
+      if (dependences.shiftTemperature) {
+        layout.push({ key: `${key}:dT`, name: `${label} δ${state} temperature coefficient (ppm/K)`, kind: 'temperatureCoefficient', resonance: r, state });
+      }
+      if (dependences.shiftIonicStrength) {
+        layout.push({ key: `${key}:dI`, name: `${label} δ${state} ionic strength coefficient (ppm/M)`, kind: 'ionicStrengthCoefficient', resonance: r, state });
+      }
+    }
+  });
+
+  return layout;
+}
+
+/**
+ * Build the buffer described by a parameter vector, in the form used by the
+ * buffer model. Each value is a number, or [value, uncertainty] when
+ * uncertainties are given.
+ *
+ * @param {Array<number>} params - Parameter values
+ * @param {Array<Object>} layout - Parameter layout (see buildCalibrationLayout)
+ * @param {Array<Object>} resonances - [{ nucleus, resonance_id }]
+ * @param {Object} opts - Calibration options
+ * @param {Array<number>|null} [uncertainties] - Standard uncertainties of the parameters
+ * @returns {Object} { buffer, resonanceEntries } with the resonances in input order
+ */
+export function buildCalibrationBuffer(params, layout, resonances, opts, uncertainties = null) {
+  const pKaParameters = Array.from({ length: opts.pKaCount }, (_, k) => ({
+    pKa_index: k + 1,
+    pKa: 7,
+    protonated_charge: opts.protonatedCharge - k,
+    ionic_strength_model: opts.ionicStrengthModel,
+    ...(opts.ionicStrengthModel === 'extended_debye_huckel' && opts.ionSize && { ion_size_angstrom: opts.ionSize })
+  }));
+
+  const resonanceEntries = resonances.map(resonance => ({
+    resonance_id: resonance.resonance_id,
+    limiting_shifts: Array.from({ length: opts.pKaCount + 1 }, (_, state) => ({
+      ionisation_state: state,
+      shift_ppm: 0
+    }))
+  }));
+
+  layout.forEach((parameter, i) => {
+    const target = parameter.resonance === undefined
+      ? pKaParameters[parameter.pKa]
+      : resonanceEntries[parameter.resonance].limiting_shifts[parameter.state];
+    target[PARAMETER_FIELDS[parameter.kind]] = uncertainties
+      ? roundWithUncertainty(params[i], uncertainties[i])
+      : params[i];
+  });
+
+  const chemicalShifts = {};
+  resonances.forEach((resonance, r) => {
+    (chemicalShifts[resonance.nucleus] ??= []).push(resonanceEntries[r]);
+  });
+
+  return {
+    buffer: {
+      ionisation_states: opts.pKaCount + 1,
+      pKa_parameters: pKaParameters,
+      chemical_shifts: chemicalShifts
+    },
+    resonanceEntries
+  };
+}
+
+/**
+ * Round a fitted value to the precision of its uncertainty, given to two
+ * significant figures.
+ *
+ * @param {number} value - Value
+ * @param {number} uncertainty - Standard uncertainty
+ * @returns {number|Array<number>} [value, uncertainty], or the value alone
+ *   when the uncertainty could not be determined
+ */
+function roundWithUncertainty(value, uncertainty) {
+  if (!(uncertainty > 0) || !isFinite(uncertainty)) {
+    return Number(value.toPrecision(6));
+  }
+
+  const decimals = Math.max(0, 1 - Math.floor(Math.log10(uncertainty)));
+  const round = x => Number(x.toFixed(Math.min(decimals, 12)));
+  return [round(value), Number(uncertainty.toPrecision(2))];
+}
+
+/**
+ * Flatten titration points into observations, one per observed shift.
+ *
+ * @param {Array<Object>} points - Titration points
+ * @param {Array<Object>} resonances - [{ nucleus, resonance_id }]
+ * @returns {Array<Object>} [{ point, resonance, nucleus, observed }]
+ */
+function getObservations(points, resonances) {
+  const observations = [];
+  points.forEach((point, p) => {
+    point.shifts.forEach((observed, r) => {
+      if (observed !== null && isFinite(observed)) {
+        observations.push({ point: p, resonance: r, nucleus: resonances[r].nucleus, observed });
+      }
+    });
+  });
+  return observations;
+}
+
+/**
+ * Predict the observed shifts of a calibration buffer.
+ *
+ * @param {Object} buffer - Buffer (see buildCalibrationBuffer)
+ * @param {Array<Object>} resonanceEntries - Resonances of the buffer in input order
+ * @param {Array<Object>} points - Titration points
+ * @param {Array<Object>} observations - Observations (see getObservations)
+ * @param {Object} opts - Calibration options
+ * @param {number} [pHShift] - Added to every pH, for slopes
+ * @returns {Array<number>} Predicted shift of each observation (ppm)
+ */
+function predictObservations(buffer, resonanceEntries, points, observations, opts, pHShift = 0) {
+  const pKaValues = points.map(point => getBufferPKaValues(
+    buffer,
+    point.temperature,
+    point.ionicStrength,
+    opts.referenceTemperature,
+    opts.solvent
+  ));
+
+  return observations.map(obs => {
+    const point = points[obs.point];
+    return predictShift(
+      resonanceEntries[obs.resonance],
+      pKaValues[obs.point],
+      point.pH + pHShift,
+      point.temperature,
+      point.ionicStrength,
+      opts.referenceTemperature,
+      opts.referenceIonicStrength
+    );
+  });
+}
+
+/**
+ * Standard uncertainty of each observation: the measurement precision of
+ * its nucleus combined with the pH uncertainty times the slope of the curve.
+ *
+ * @param {Array<number>} params - Parameter values
+ * @param {Object} model - { layout, resonances, points, observations, opts }
+ * @returns {Array<number>} Standard uncertainties (ppm)
+ */
+function getObservationUncertainties(params, model) {
+  const { layout, resonances, points, observations, opts } = model;
+  const { buffer, resonanceEntries } = buildCalibrationBuffer(params, layout, resonances, opts);
+  const h = 1e-3;
+  const above = predictObservations(buffer, resonanceEntries, points, observations, opts, h);
+  const below = predictObservations(buffer, resonanceEntries, points, observations, opts, -h);
+
+  return observations.map((obs, i) => {
+    const measurement = opts.measurementUncertainties[obs.nucleus]
+      ?? DEFAULT_MEASUREMENT_UNCERTAINTIES[obs.nucleus]
+      ?? 0.01;
+    const slope = (above[i] - below[i]) / (2 * h);
+    return Math.sqrt(measurement ** 2 + (slope * opts.pHUncertainty) ** 2);
+  });
+}
+
+/**
+ * Solve a small linear least-squares problem through its normal equations,
+ * regularised towards given values so that parameters the data do not
+ * determine stay at them.
+ *
+ * @param {Array<Array<number>>} rows - Design matrix
+ * @param {Array<number>} targets - Observations
+ * @param {Array<number>} priors - Values the parameters are drawn towards
+ * @returns {Object} { solution, sumSquares }
+ */
+function solveRegularisedLeastSquares(rows, targets, priors) {
+  const n = priors.length;
+  const ridge = 1e-8 * Math.max(1, rows.length);
+
+  // Augmented normal equations [AᵀA + λI | Aᵀb + λ·prior]
+  const matrix = Array.from({ length: n }, (_, i) => {
+    const row = new Array(n + 1).fill(0);
+    for (let k = 0; k < rows.length; k++) {
+      for (let j = 0; j < n; j++) row[j] += rows[k][i] * rows[k][j];
+      row[n] += rows[k][i] * targets[k];
+    }
+    row[i] += ridge;
+    row[n] += ridge * priors[i];
+    return row;
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const factor = matrix[r][col] / matrix[col][col];
+      for (let c = col; c <= n; c++) matrix[r][c] -= factor * matrix[col][c];
+    }
+  }
+
+  const solution = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = matrix[i][n];
+    for (let j = i + 1; j < n; j++) sum -= matrix[i][j] * solution[j];
+    solution[i] = sum / matrix[i][i];
+  }
+
+  const sumSquares = rows.reduce((sum, row, k) => {
+    const predicted = row.reduce((s, a, j) => s + a * solution[j], 0);
+    return sum + (targets[k] - predicted) ** 2;
+  }, 0);
+
+  return { solution, sumSquares };
+}
+
+/**
+ * Starting parameters for given pKa values. The model is linear in the
+ * limiting shifts and their coefficients once the pKa values are fixed, so
+ * these are solved for directly, resonance by resonance.
+ *
+ * @param {Array<number>} pKaValues - pKa values at the reference conditions
+ * @param {Object} model - { layout, resonances, points, observations, opts }
+ * @returns {Object} { params, sumSquares }, sumSquares normalised by the measurement precision
+ */
+function getLinearStartingParameters(pKaValues, model) {
+  const { layout, resonances, points, observations, opts } = model;
+  const params = layout.map(parameter => parameter.kind === 'pKa' ? pKaValues[parameter.pKa] : 0);
+
+  // Ionisation fractions at each point from the starting pKa parameters
+  const { buffer } = buildCalibrationBuffer(params, layout, resonances, opts);
+  const fractions = points.map(point => ionisationFractions(
+    point.pH,
+    getBufferPKaValues(buffer, point.temperature, point.ionicStrength, opts.referenceTemperature, opts.solvent)
+  ));
+
+  let sumSquares = 0;
+
+  resonances.forEach((resonance, r) => {
+    const indices = layout
+      .map((parameter, i) => parameter.resonance === r ? i : -1)
+      .filter(i => i >= 0);
+    const resonanceObservations = observations.filter(obs => obs.resonance === r);
+    if (resonanceObservations.length === 0) return;
+
+    const rows = resonanceObservations.map(obs => {
+      const point = points[obs.point];
+      return indices.map(i => {
+        const { kind, state } = layout[i];
+        const f = fractions[obs.point][state];
+        if (kind === 'temperatureCoefficient') return f * (point.temperature - opts.referenceTemperature);
+        if (kind === 'ionicStrengthCoefficient') return f * (point.ionicStrength - opts.referenceIonicStrength);
+        return f;
+      });
+    });
+    const targets = resonanceObservations.map(obs => obs.observed);
+    const meanShift = targets.reduce((sum, x) => sum + x, 0) / targets.length;
+    const priors = indices.map(i => layout[i].kind === 'shift' ? meanShift : 0);
+
+    const result = solveRegularisedLeastSquares(rows, targets, priors);
+    indices.forEach((i, j) => { params[i] = result.solution[j]; });
+
+    const measurement = opts.measurementUncertainties[resonance.nucleus]
+      ?? DEFAULT_MEASUREMENT_UNCERTAINTIES[resonance.nucleus]
+      ?? 0.01;
+    sumSquares += result.sumSquares / measurement ** 2;
+  });
+
+  return { params, sumSquares };
+}
+
+/**
+ * Find starting pKa values. One or two pKa values are searched on a grid
+ * spanning the pH range of the data; more are spread evenly over it.
+ *
+ * @param {Object} model - { layout, resonances, points, observations, opts }
+ * @returns {Array<number>} Starting parameter vector
+ */
+function findStartingParameters(model) {
+  const { points, opts } = model;
+  const pHValues = points.map(p => p.pH);
+  const low = Math.min(...pHValues) - 0.5;
+  const high = Math.max(...pHValues) + 0.5;
+
+  if (opts.initialPKa) {
+    return getLinearStartingParameters(opts.initialPKa, model).params;
+  }
+
+  if (opts.pKaCount > 2) {
+    const spacing = (high - low) / (opts.pKaCount + 1);
+    const pKaValues = Array.from({ length: opts.pKaCount }, (_, k) => low + spacing * (k + 1));
+    return getLinearStartingParameters(pKaValues, model).params;
+  }
+
+  const grid = [];
+  for (let pKa = low; pKa <= high + 1e-9; pKa += PKA_GRID_STEP) grid.push(pKa);
+
+  let best = null;
+  const consider = pKaValues => {
+    const candidate = getLinearStartingParameters(pKaValues, model);
+    if (!best || candidate.sumSquares < best.sumSquares) best = candidate;
+  };
+
+  if (opts.pKaCount === 1) {
+    grid.forEach(pKa => consider([pKa]));
+  } else {
+    // Coarser grid for pairs, keeping the pKa values in order
+    const coarse = grid.filter((_, i) => i % 2 === 0);
+    coarse.forEach((pKa1, i) => coarse.slice(i + 1).forEach(pKa2 => consider([pKa1, pKa2])));
+  }
+
+  return best.params;
+}
+
+/**
+ * Fit buffer parameters to titration data.
+ *
+ * Every observed shift is modelled with the buffer model: pKa values
+ * corrected for temperature (van't Hoff with ΔH and ΔCp) and ionic strength,
+ * and limiting shifts with linear temperature and ionic strength
+ * coefficients. Observations are weighted by their measurement precision
+ * combined with the pH uncertainty propagated through the slope of the curve,
+ * re-evaluated once at the fitted parameters. Parameter uncertainties are
+ * inflated by the reduced chi-squared when the scatter exceeds that expected.
+ *
+ * @param {Object} titration - { resonances: [{ nucleus, resonance_id }],
+ *   points: [{ pH, temperature, ionicStrength, shifts: [ppm|null] }] }
+ * @param {Object} [options] - Calibration options
+ * @returns {Object} Calibration results: the buffer fields (entry) with
+ *   uncertainties, parameters, residuals by resonance, measurement ranges
+ *   and fit statistics, or { success: false, error }
+ */
+export function fitCalibration(titration, options = {}) {
+  const opts = {
+    ...DEFAULT_CALIBRATION_OPTIONS,
+    ...options,
+    measurementUncertainties: { ...DEFAULT_CALIBRATION_OPTIONS.measurementUncertainties, ...options.measurementUncertainties }
+  };
+  const { resonances, points } = titration;
+
+  if (points.length === 0 || resonances.length === 0) {
+    return { success: false, error: 'No titration data to fit' };
+  }
+  if (opts.initialPKa && opts.initialPKa.length !== opts.pKaCount) {
+    return { success: false, error: `${opts.pKaCount} starting pKa values are needed` };
+  }
+
+  const observations = getObservations(points, resonances);
+  const dependences = getFittedDependences(points, opts);
+  const layout = buildCalibrationLayout(resonances, opts.pKaCount, dependences);
+  const model = { layout, resonances, points, observations, opts };
+
+  const nObs = observations.length;
+  const nParams = layout.length;
+  const dof = nObs - nParams;
+
+  if (dof < 0) {
+    return {
+      success: false,
+      error: `Underdetermined system: ${nObs} observations, ${nParams} parameters (DoF = ${dof})`,
+      nObservations: nObs,
+      nParameters: nParams,
+      degreesOfFreedom: dof
+    };
+  }
+
+  const modelFn = params => {
+    const { buffer, resonanceEntries } = buildCalibrationBuffer(params, layout, resonances, opts);
+    return predictObservations(buffer, resonanceEntries, points, observations, opts);
+  };
+  const xData = observations.map((_, i) => i);
+  const yData = observations.map(obs => obs.observed);
+
+  // Weighted by scaling data and model by 1/σ, as in fitParameters
+  const runOptimiser = (startParams, sigmas) => minimiseChiSquared(
+    { x: xData, y: yData.map((y, i) => y / sigmas[i]) },
+    params => {
+      const predicted = modelFn(params);
+      return x => predicted[x] / sigmas[x];
+    },
+    {
+      initialValues: startParams,
+      minValues: layout.map(parameter => PARAMETER_KINDS[parameter.kind].min),
+      maxValues: layout.map(parameter => PARAMETER_KINDS[parameter.kind].max),
+      gradientDifference: layout.map(parameter => PARAMETER_KINDS[parameter.kind].step),
+      centralDifference: true,
+      maxIterations: opts.maxIterations,
+      tolerance: opts.tolerance
+    }
+  );
+
+  try {
+    const startParams = findStartingParameters(model);
+
+    let sigmas = getObservationUncertainties(startParams, model);
+    let result = runOptimiser(startParams, sigmas);
+    let iterations = result.iterations;
+
+    // The slopes depend on the parameters, so re-weight at the fit and polish
+    sigmas = getObservationUncertainties(result.parameterValues, model);
+    result = runOptimiser(result.parameterValues, sigmas);
+    iterations += result.iterations;
+
+    const fittedParams = result.parameterValues;
+    const predicted = modelFn(fittedParams);
+    const residuals = observations.map((obs, i) => obs.observed - predicted[i]);
+    const weightedResidualFn = params => modelFn(params).map((p, i) => (yData[i] - p) / sigmas[i]);
+
+    const sumSquares = residuals.reduce((sum, r) => sum + r * r, 0);
+    const rmsd = Math.sqrt(sumSquares / nObs);
+    const chiSquared = weightedResidualFn(fittedParams).reduce((sum, r) => sum + r * r, 0);
+    const reducedChiSquared = dof > 0 ? chiSquared / dof : chiSquared;
+
+    const uncertainties = calculateParameterUncertainties(
+      fittedParams,
+      weightedResidualFn,
+      Math.max(1, reducedChiSquared)
+    );
+
+    const parameters = {};
+    layout.forEach((parameter, i) => {
+      parameters[parameter.key] = {
+        value: fittedParams[i],
+        uncertainty: uncertainties[i],
+        name: parameter.name
+      };
+    });
+
+    const { buffer: entry } = buildCalibrationBuffer(fittedParams, layout, resonances, opts, uncertainties);
+
+    // Residuals of each resonance in point order, for plotting
+    const residualsByResonance = resonances.map((resonance, r) => ({
+      nucleus: resonance.nucleus,
+      resonance_id: resonance.resonance_id,
+      points: observations
+        .map((obs, i) => ({ obs, i }))
+        .filter(({ obs }) => obs.resonance === r)
+        .map(({ obs, i }) => ({
+          pH: points[obs.point].pH,
+          temperature: points[obs.point].temperature,
+          ionicStrength: points[obs.point].ionicStrength,
+          observed: obs.observed,
+          predicted: predicted[i],
+          residual: residuals[i],
+          uncertainty: sigmas[i]
+        }))
+    }));
+
+    return {
+      success: true,
+      entry,
+      parameters,
+      residuals: residualsByResonance,
+      measurementRanges: getMeasurementRanges(points),
+      referenceConditions: {
+        temperature: opts.referenceTemperature,
+        ionicStrength: opts.referenceIonicStrength
+      },
+      fitted: dependences,
+      warnings: [
+        ...(result.converged ? [] : [`The fit did not converge within ${iterations} iterations`]),
+        ...getCalibrationWarnings(fittedParams, model, uncertainties)
+      ],
+      statistics: {
+        nObservations: nObs,
+        nParameters: nParams,
+        degreesOfFreedom: dof,
+        weighted: true,
+        sumSquares,
+        rmsd,
+        chiSquared,
+        reducedChiSquared,
+        iterations
+      },
+      convergence: {
+        converged: result.converged,
+        iterations
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Calibration failed: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Ranges of pH, temperature and ionic strength covered by titration data,
+ * in the form of the measurement_ranges of a sample entry.
+ *
+ * @param {Array<Object>} points - Titration points
+ * @returns {Object} { pH, temperature_K, ionic_strength_M }, each { min, max }
+ */
+export function getMeasurementRanges(points) {
+  const range = values => ({ min: Math.min(...values), max: Math.max(...values) });
+  return {
+    pH: range(points.map(p => p.pH)),
+    temperature_K: range(points.map(p => p.temperature)),
+    ionic_strength_M: range(points.map(p => p.ionicStrength))
+  };
+}
+
+/**
+ * Warn about parts of a calibration the data do not determine well.
+ *
+ * @param {Array<number>} params - Fitted parameters
+ * @param {Object} model - { layout, resonances, points, observations, opts }
+ * @param {Array<number>} uncertainties - Parameter uncertainties
+ * @returns {Array<string>} Warning messages
+ */
+function getCalibrationWarnings(params, model, uncertainties) {
+  const { layout, resonances, points, opts } = model;
+  const warnings = [];
+
+  const { buffer } = buildCalibrationBuffer(params, layout, resonances, opts);
+  const maxPopulations = new Array(opts.pKaCount + 1).fill(0);
+  for (const point of points) {
+    const fractions = ionisationFractions(
+      point.pH,
+      getBufferPKaValues(buffer, point.temperature, point.ionicStrength, opts.referenceTemperature, opts.solvent)
+    );
+    fractions.forEach((f, state) => { maxPopulations[state] = Math.max(maxPopulations[state], f); });
+  }
+
+  maxPopulations.forEach((population, state) => {
+    if (population < MIN_STATE_POPULATION) {
+      warnings.push(
+        `Ionisation state ${state} reaches only ${(100 * population).toFixed(0)}% population over the pH range of ` +
+        'the data, so its limiting shifts are extrapolated'
+      );
+    }
+  });
+
+  if (uncertainties.every(u => u === 0)) {
+    warnings.push('Parameter uncertainties could not be calculated; some parameters are not determined by the data');
+  }
+
+  return warnings;
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { fitCalibration } from './calibration.js';
+import { getBufferPKaValues, predictShift } from './bufferModel.js';
+
+// Synthetic two-step buffer with temperature and ionic strength dependence
+const truth = {
+  pKa_parameters: [
+    { pKa_index: 1, pKa: 4.5, dH_kJ_mol: 5, protonated_charge: 1, ionic_strength_model: 'davies' },
+    { pKa_index: 2, pKa: 8.1, dH_kJ_mol: 45, protonated_charge: 0, ionic_strength_model: 'davies' }
+  ],
+  chemical_shifts: {
+    '1H': [{
+      resonance_id: 'H1',
+      limiting_shifts: [
+        { ionisation_state: 0, shift_ppm: 3.8, temperature_coefficient_ppm_per_K: -0.001 },
+        { ionisation_state: 1, shift_ppm: 3.5 },
+        { ionisation_state: 2, shift_ppm: 3.2 }
+      ]
+    }],
+    '19F': [{
+      resonance_id: 'F1',
+      limiting_shifts: [
+        { ionisation_state: 0, shift_ppm: -76.0 },
+        { ionisation_state: 1, shift_ppm: -75.4 },
+        { ionisation_state: 2, shift_ppm: -75.1, temperature_coefficient_ppm_per_K: 0.004 }
+      ]
+    }]
+  }
+};
+
+const resonances = [
+  { nucleus: '1H', resonance_id: 'H1' },
+  { nucleus: '19F', resonance_id: 'F1' }
+];
+
+// Deterministic errors within the default measurement precision
+const error = (i, size) => size * Math.sin(12.9898 * i);
+
+function titration(temperatures, ionicStrengths) {
+  const points = [];
+  for (const temperature of temperatures) {
+    for (const ionicStrength of ionicStrengths) {
+      const pKaValues = getBufferPKaValues(truth, temperature, ionicStrength, 298.15);
+      for (let pH = 2.5; pH <= 10.5; pH += 0.5) {
+        const i = points.length;
+        points.push({
+          pH,
+          temperature,
+          ionicStrength,
+          shifts: [
+            predictShift(truth.chemical_shifts['1H'][0], pKaValues, pH, temperature, ionicStrength, 298.15, 0) + error(i, 0.001),
+            predictShift(truth.chemical_shifts['19F'][0], pKaValues, pH, temperature, ionicStrength, 298.15, 0) + error(i + 0.5, 0.005)
+          ]
+        });
+      }
+    }
+  }
+  return { resonances, points };
+}
+
+describe('fitCalibration', () => {
+  const result = fitCalibration(titration([288.15, 298.15, 310.15], [0.05, 0.2]), { pKaCount: 2, protonatedCharge: 1 });
+
+  it('recovers the parameters of synthetic titration data', () => {
+    expect(result.success).toBe(true);
+    expect(result.convergence.converged).toBe(true);
+    expect(result.fitted.enthalpy).toBe(true);
+
+    const { pKa1, pKa2, dH1, dH2 } = result.parameters;
+    expect(pKa1.value).toBeCloseTo(4.5, 1);
+    expect(pKa2.value).toBeCloseTo(8.1, 1);
+    expect(Math.abs(dH1.value - 5)).toBeLessThan(3);
+    expect(Math.abs(dH2.value - 45)).toBeLessThan(3);
+    expect(pKa1.uncertainty).toBeGreaterThan(0);
+
+    const limiting = nucleus => result.entry.chemical_shifts[nucleus][0].limiting_shifts.map(s => s.shift_ppm[0]);
+    limiting('1H').forEach((shift, i) => expect(shift).toBeCloseTo([3.8, 3.5, 3.2][i], 2));
+    limiting('19F').forEach((shift, i) => expect(shift).toBeCloseTo([-76.0, -75.4, -75.1][i], 1));
+  });
+
+  it('returns the fitted values as a schema-form entry', () => {
+    expect(result.entry.ionisation_states).toBe(3);
+    expect(result.entry.pKa_parameters).toHaveLength(2);
+    for (const parameter of result.entry.pKa_parameters) {
+      expect(parameter.pKa).toHaveLength(2);
+    }
+  });
+
+  it('leaves ΔH out for data at a single temperature', () => {
+    const isothermal = fitCalibration(titration([298.15], [0.1]), { pKaCount: 2, protonatedCharge: 1 });
+
+    expect(isothermal.success).toBe(true);
+    expect(isothermal.fitted.enthalpy).toBe(false);
+    expect(isothermal.parameters.dH1).toBeUndefined();
+  });
+});
@@ -5,10 +5,18 @@
  * Estimates pH, temperature, ionic strength, and reference offsets from chemical shifts.
  */
 
-import { levenbergMarquardt } from 'ml-levenberg-marquardt';
-import { predictBufferShifts, getBufferPKaValues, predictShift } from './bufferModel.js';
-import { assignPeaks, getAssignedPeaksForFitting } from './peakAssignment.js';
-import { calculateParameterUncertainties } from './uncertainty.js';
+import { predictBufferShifts, getBufferPKaValues, predictShift, predictShiftVariance } from './bufferModel.js';
+import {
+  assignPeaks,
+  getAssignedPeaksForFitting,
+  getAssignmentTolerance,
+  getLockKey,
+  isMultiplicityCompatible,
+  updateAssignmentPredictions
+} from './peakAssignment.js';
+import { calculateFullUncertainties, calculateJacobian, calculateParameterUncertainties } from './uncertainty.js';
+import { indirectReferenceOffset } from './referencing.js';
+import { minimiseChiSquared } from './optimiser.js';
 
 /**
  * Default fitting options.
@@ -17,11 +25,39 @@ const DEFAULT_OPTIONS = {
   refineTemperature: false,
   refineIonicStrength: false,
   refineReferences: {}, // { nucleus: boolean }
+  indirectReferences: {}, // { nucleus: reference frequency (MHz) or null }, offsets follow 1H via Ξ
+  protonFrequency: null, // Spectrometer 1H frequency (MHz), for indirect referencing
+  tolerances: {}, // { nucleus: ppm }, assignment tolerances
+  assignments: null, // Fixed assignments to fit instead of automatic assignment
+  assignmentLocks: {}, // { nucleus: { lockKey: { action, buffer_id, resonance_id } } }, manual overrides
+  annotations: {}, // { nucleus: { lockKey: { multiplicity, coupling, ... } } }, typed peak annotations
+  correlations: {}, // { heteronucleus: [[δH, δX]] }, 2D cross peaks of directly bonded pairs
+  referenceFree: {}, // { nucleus: boolean }, fit shift differences; true reports the implied offset
+  weighted: true,
+  measurementUncertainties: {}, // { nucleus: ppm }, overrides defaults
+  shiftUncertainties: {}, // { nucleus: { lockKey: ppm } }, per-peak precision, e.g. from lineshape fits
   maxIterations: 100,
-  tolerance: 1e-8,
+  tolerance: 1e-8, // Relative χ² change at convergence
   initialPH: 7.0
 };
 
+/**
+ * Bounds of the fitted pH.
+ */
+const PH_LIMITS = { min: 0, max: 14 };
+
+/**
+ * Default measurement precision of observed shifts (ppm).
+ * Varies by nucleus - combined with database uncertainties to weight the fit.
+ */
+export const DEFAULT_MEASUREMENT_UNCERTAINTIES = {
+  '1H': 0.002,
+  '13C': 0.02,
+  '15N': 0.02,
+  '19F': 0.01,
+  '31P': 0.01
+};
+
 /**
  * Build parameter vector from conditions.
  *
@@ -49,9 +85,10 @@ export function buildParameterVector(conditions, options) {
     index++;
   }
 
-  // Reference offsets per nucleus
+  // Reference offsets per nucleus (indirectly referenced nuclei follow 1H,
+  // reference-free nuclei have none)
   for (const [nucleus, refine] of Object.entries(options.refineReferences)) {
-    if (refine) {
+    if (refine && !(nucleus in (options.indirectReferences ?? {})) && !(nucleus in (options.referenceFree ?? {}))) {
       params.push(conditions.referenceOffsets?.[nucleus] ?? 0);
       parameterMap[`ref_${nucleus}`] = { index, name: `${nucleus} reference offset (ppm)` };
       index++;
@@ -66,7 +103,7 @@ export function buildParameterVector(conditions, options) {
  *
  * @param {Array<number>} params - Parameter vector
  * @param {Object} parameterMap - Map of parameter names to indices
- * @param {Object} baseConditions - Base conditions for fixed parameters
+ * @param {Object} baseConditions - Base conditions for fixed parameters and indirect referencing
  * @returns {Object} Conditions object
  */
 export function extractConditions(params, parameterMap, baseConditions) {
@@ -89,113 +126,268 @@ export function extractConditions(params, parameterMap, baseConditions) {
     }
   }
 
+  // Derive offsets of indirectly referenced nuclei from the 1H offset
+  for (const [nucleus, referenceFrequency] of Object.entries(baseConditions.indirectReferences ?? {})) {
+    conditions.referenceOffsets[nucleus] = indirectReferenceOffset(
+      nucleus,
+      conditions.referenceOffsets['1H'] ?? 0,
+      baseConditions.protonFrequency,
+      referenceFrequency
+    ) ?? 0;
+  }
+
   return conditions;
 }
 
+/**
+ * Predict the shifts of assigned peaks at the given conditions.
+ * Reference offsets are added except for reference-free nuclei, whose
+ * reference is unknown (see getImpliedReferenceOffsets).
+ *
+ * @param {Array<Object>} assignedPeaks - Assigned peaks for fitting
+ * @param {Map<string, Object>} buffersMap - Map of buffer_id to buffer object
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} conditions - Conditions (pH, temperature, ionicStrength, referenceOffsets)
+ * @param {Object} referenceFree - Reference-free nuclei, as keys
+ * @returns {Array<number>} Predicted shifts (ppm), one per peak
+ */
+function predictAssignedShifts(assignedPeaks, buffersMap, samplesMap, conditions, referenceFree) {
+  return assignedPeaks.map(peak => {
+    const buffer = buffersMap.get(peak.buffer_id);
+
+    if (!buffer) {
+      throw new Error(`Buffer not found: ${peak.buffer_id}`);
+    }
+
+    const sample = samplesMap.get(buffer.sample_id);
+
+    // Find the resonance
+    const resonances = buffer.chemical_shifts[peak.nucleus] ?? [];
+    const resonance = resonances.find(r => r.resonance_id === peak.resonance_id);
+
+    if (!resonance) {
+      throw new Error(`Resonance not found: ${peak.resonance_id} in ${peak.buffer_id}`);
+    }
+
+    // Calculate predicted shift
+    const refTemp = sample?.reference_temperature_K ?? 298.15;
+    const refIonic = sample?.reference_ionic_strength_M ?? 0;
+    const pKaValues = getBufferPKaValues(buffer, conditions.temperature, conditions.ionicStrength, refTemp, sample?.solvent);
+
+    const predictedShift = predictShift(
+      resonance,
+      pKaValues,
+      conditions.pH,
+      conditions.temperature,
+      conditions.ionicStrength,
+      refTemp,
+      refIonic
+    );
+
+    // Apply reference offset if applicable
+    const refOffset = peak.nucleus in referenceFree ? 0 : conditions.referenceOffsets[peak.nucleus] ?? 0;
+    return predictedShift + refOffset;
+  });
+}
+
+/**
+ * Find the reference offsets implied by the residuals of reference-free nuclei.
+ *
+ * The offset of each such nucleus is the weighted mean of its residuals, the
+ * best common offset at the current parameters. Residuals taken relative to
+ * it depend only on the shift differences between the peaks of the nucleus,
+ * so no offset parameter is needed: k peaks give k - 1 observations, with
+ * the same χ² as their differences under their full covariance.
+ *
+ * @param {Array<Object>} assignedPeaks - Assigned peaks for fitting
+ * @param {Array<number>} residuals - Observed - predicted shifts without offsets (ppm)
+ * @param {Object} referenceFree - Reference-free nuclei, as keys
+ * @param {Array<number>|null} [sigmas] - Peak standard uncertainties, for weights 1/σ²
+ * @returns {Object} Implied offset (ppm) by nucleus, for nuclei with assigned peaks
+ */
+export function getImpliedReferenceOffsets(assignedPeaks, residuals, referenceFree, sigmas = null) {
+  const sums = {};
+
+  assignedPeaks.forEach((peak, i) => {
+    if (!(peak.nucleus in referenceFree)) return;
+    const weight = sigmas ? 1 / sigmas[i] ** 2 : 1;
+    const sum = sums[peak.nucleus] ?? { weight: 0, weighted: 0 };
+    sums[peak.nucleus] = { weight: sum.weight + weight, weighted: sum.weighted + weight * residuals[i] };
+  });
+
+  return Object.fromEntries(
+    Object.entries(sums).map(([nucleus, sum]) => [nucleus, sum.weighted / sum.weight])
+  );
+}
+
+/**
+ * Count the observations lost to reference-free nuclei: one per nucleus
+ * with assigned peaks, as only their differences are used.
+ *
+ * @param {Array<Object>} assignedPeaks - Assigned peaks for fitting
+ * @param {Object} [referenceFree] - Reference-free nuclei, as keys
+ * @returns {number} Number of reference-free nuclei with assigned peaks
+ */
+export function countReferenceFreeNuclei(assignedPeaks, referenceFree = {}) {
+  return new Set(assignedPeaks.map(p => p.nucleus).filter(nucleus => nucleus in referenceFree)).size;
+}
+
 /**
  * Create residual function for fitting.
+ * Residuals of reference-free nuclei are taken relative to their implied
+ * reference offset.
  *
  * @param {Array<Object>} assignedPeaks - Assigned peaks for fitting
  * @param {Map<string, Object>} buffersMap - Map of buffer_id to buffer object
  * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
  * @param {Object} parameterMap - Map of parameter names to indices
  * @param {Object} baseConditions - Base conditions for fixed parameters
+ * @param {Array<number>|null} [sigmas] - Peak standard uncertainties, weighting the implied offsets
  * @returns {Function} Residual function for optimizer
  */
-export function createResidualFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions) {
+export function createResidualFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions, sigmas = null) {
+  const referenceFree = baseConditions.referenceFree ?? {};
+
   return function(params) {
     const conditions = extractConditions(params, parameterMap, baseConditions);
-    const residuals = [];
+    const predicted = predictAssignedShifts(assignedPeaks, buffersMap, samplesMap, conditions, referenceFree);
 
-    for (const peak of assignedPeaks) {
-      const buffer = buffersMap.get(peak.buffer_id);
-      const sample = samplesMap.get(buffer.sample_id);
+    // Residual = observed - predicted
+    const residuals = assignedPeaks.map((peak, i) => peak.observed_shift - predicted[i]);
+    const offsets = getImpliedReferenceOffsets(assignedPeaks, residuals, referenceFree, sigmas);
 
-      if (!buffer) {
-        throw new Error(`Buffer not found: ${peak.buffer_id}`);
-      }
+    return residuals.map((r, i) => r - (offsets[assignedPeaks[i].nucleus] ?? 0));
+  };
+}
 
-      // Find the resonance
-      const resonances = buffer.chemical_shifts[peak.nucleus] ?? [];
-      const resonance = resonances.find(r => r.resonance_id === peak.resonance_id);
+/**
+ * Calculate the standard uncertainty of a single assigned peak.
+ * Combines the measurement precision of the peak (its own, if known, otherwise
+ * that of the nucleus; cross-peak coordinates use that of the nucleus) with
+ * the database uncertainty of the predicted shift at the given conditions.
+ *
+ * @param {Object} peak - Assigned peak ({ nucleus, observed_shift, buffer_id, resonance_id })
+ * @param {Map<string, Object>} buffersMap - Map of buffer_id to buffer object
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} conditions - Conditions (pH, temperature, ionicStrength)
+ * @param {Object} [measurementUncertainties] - Measurement precision by nucleus (ppm)
+ * @param {Object} [shiftUncertainties] - Measurement precision by nucleus and lock key (ppm)
+ * @returns {number} Standard uncertainty (ppm)
+ */
+export function calculatePeakUncertainty(
+  peak,
+  buffersMap,
+  samplesMap,
+  conditions,
+  measurementUncertainties = {},
+  shiftUncertainties = {}
+) {
+  const ownMeasurement = peak.correlation
+    ? undefined
+    : shiftUncertainties[peak.nucleus]?.[getLockKey(peak.observed_shift)];
+  const measurement = ownMeasurement
+    ?? measurementUncertainties[peak.nucleus]
+    ?? DEFAULT_MEASUREMENT_UNCERTAINTIES[peak.nucleus]
+    ?? 0.01;
 
-      if (!resonance) {
-        throw new Error(`Resonance not found: ${peak.resonance_id} in ${peak.buffer_id}`);
-      }
+  const buffer = buffersMap.get(peak.buffer_id);
+  const resonance = buffer?.chemical_shifts[peak.nucleus]?.find(r => r.resonance_id === peak.resonance_id);
 
-      // Calculate predicted shift
-      const refTemp = sample?.reference_temperature_K ?? 298.15;
-      const refIonic = sample?.reference_ionic_strength_M ?? 0;
-      const pKaValues = getBufferPKaValues(buffer, conditions.temperature, conditions.ionicStrength, refTemp);
-
-      let predictedShift = predictShift(
-        resonance,
-        pKaValues,
-        conditions.pH,
-        conditions.temperature,
-        conditions.ionicStrength,
-        refTemp,
-        refIonic
-      );
+  if (!resonance) {
+    return measurement;
+  }
 
-      // Apply reference offset if applicable
-      const refOffset = conditions.referenceOffsets[peak.nucleus] ?? 0;
-      predictedShift += refOffset;
+  const sample = samplesMap.get(buffer.sample_id);
+  const refTemp = sample?.reference_temperature_K ?? 298.15;
+  const refIonic = sample?.reference_ionic_strength_M ?? 0;
+  const pKaValues = getBufferPKaValues(buffer, conditions.temperature, conditions.ionicStrength, refTemp, sample?.solvent);
 
-      // Residual = observed - predicted
-      residuals.push(peak.observed_shift - predictedShift);
-    }
+  const modelVariance = predictShiftVariance(
+    resonance,
+    pKaValues,
+    conditions.pH,
+    conditions.temperature,
+    conditions.ionicStrength,
+    refTemp,
+    refIonic
+  );
 
-    return residuals;
-  };
+  return Math.sqrt(measurement * measurement + modelVariance);
+}
+
+/**
+ * Calculate standard uncertainties for all assigned peaks.
+ *
+ * @param {Array<Object>} assignedPeaks - Assigned peaks for fitting
+ * @param {Map<string, Object>} buffersMap - Map of buffer_id to buffer object
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} conditions - Conditions (pH, temperature, ionicStrength)
+ * @param {Object} [measurementUncertainties] - Measurement precision by nucleus (ppm)
+ * @param {Object} [shiftUncertainties] - Measurement precision by nucleus and lock key (ppm)
+ * @returns {Array<number>} Standard uncertainties (ppm), one per peak
+ */
+export function calculatePeakUncertainties(
+  assignedPeaks,
+  buffersMap,
+  samplesMap,
+  conditions,
+  measurementUncertainties = {},
+  shiftUncertainties = {}
+) {
+  return assignedPeaks.map(peak =>
+    calculatePeakUncertainty(peak, buffersMap, samplesMap, conditions, measurementUncertainties, shiftUncertainties)
+  );
 }
 
 /**
  * Create model function for Levenberg-Marquardt.
- * Returns predicted shifts given parameters.
+ * Returns predicted shifts given parameters; those of reference-free nuclei
+ * include their implied reference offset.
  *
  * @param {Array<Object>} assignedPeaks - Assigned peaks for fitting
  * @param {Map<string, Object>} buffersMap - Map of buffer_id to buffer object
  * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
  * @param {Object} parameterMap - Map of parameter names to indices
  * @param {Object} baseConditions - Base conditions for fixed parameters
+ * @param {Array<number>|null} [sigmas] - Peak standard uncertainties, weighting the implied offsets
  * @returns {Function} Model function
  */
-export function createModelFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions) {
+export function createModelFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions, sigmas = null) {
+  const referenceFree = baseConditions.referenceFree ?? {};
+
   // ml-levenberg-marquardt expects a function that takes (params) and returns array of predicted values
   // It minimizes the sum of squares of (data - predicted)
   return function(params) {
     const conditions = extractConditions(params, parameterMap, baseConditions);
-    const predicted = [];
-
-    for (const peak of assignedPeaks) {
-      const buffer = buffersMap.get(peak.buffer_id);
-      const sample = samplesMap.get(buffer.sample_id);
-
-      const resonances = buffer.chemical_shifts[peak.nucleus] ?? [];
-      const resonance = resonances.find(r => r.resonance_id === peak.resonance_id);
-
-      const refTemp = sample?.reference_temperature_K ?? 298.15;
-      const refIonic = sample?.reference_ionic_strength_M ?? 0;
-      const pKaValues = getBufferPKaValues(buffer, conditions.temperature, conditions.ionicStrength, refTemp);
-
-      let predictedShift = predictShift(
-        resonance,
-        pKaValues,
-        conditions.pH,
-        conditions.temperature,
-        conditions.ionicStrength,
-        refTemp,
-        refIonic
-      );
+    const predicted = predictAssignedShifts(assignedPeaks, buffersMap, samplesMap, conditions, referenceFree);
 
-      const refOffset = conditions.referenceOffsets[peak.nucleus] ?? 0;
-      predictedShift += refOffset;
+    const residuals = assignedPeaks.map((peak, i) => peak.observed_shift - predicted[i]);
+    const offsets = getImpliedReferenceOffsets(assignedPeaks, residuals, referenceFree, sigmas);
 
-      predicted.push(predictedShift);
-    }
+    return predicted.map((shift, i) => shift + (offsets[assignedPeaks[i].nucleus] ?? 0));
+  };
+}
+
+/**
+ * Create a function giving the reference offsets implied at the given
+ * parameters for reference-free nuclei (see getImpliedReferenceOffsets).
+ *
+ * @param {Array<Object>} assignedPeaks - Assigned peaks for fitting
+ * @param {Map<string, Object>} buffersMap - Map of buffer_id to buffer object
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} parameterMap - Map of parameter names to indices
+ * @param {Object} baseConditions - Base conditions, with referenceFree
+ * @param {Array<number>|null} [sigmas] - Peak standard uncertainties, for weighting
+ * @returns {Function} params -> { nucleus: offset (ppm) }
+ */
+export function createImpliedOffsetFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions, sigmas = null) {
+  const referenceFree = baseConditions.referenceFree ?? {};
 
-    return predicted;
+  return function(params) {
+    const conditions = extractConditions(params, parameterMap, baseConditions);
+    const predicted = predictAssignedShifts(assignedPeaks, buffersMap, samplesMap, conditions, referenceFree);
+    const residuals = assignedPeaks.map((peak, i) => peak.observed_shift - predicted[i]);
+    return getImpliedReferenceOffsets(assignedPeaks, residuals, referenceFree, sigmas);
   };
 }
 
@@ -212,17 +404,35 @@ export function createModelFunction(assignedPeaks, buffersMap, samplesMap, param
 export function fitParameters(observedShifts, buffers, samplesMap, initialConditions, options = {}) {
   const opts = { ...DEFAULT_OPTIONS, ...options };
 
-  // Initial assignment at initial conditions
-  let assignments = assignPeaks(
+  // Build parameter vector
+  const baseConditions = {
+    temperature: initialConditions.temperature,
+    ionicStrength: initialConditions.ionicStrength,
+    referenceOffsets: initialConditions.referenceOffsets ?? {},
+    indirectReferences: opts.indirectReferences,
+    protonFrequency: opts.protonFrequency,
+    referenceFree: opts.referenceFree,
+    pH: opts.initialPH ?? initialConditions.pH ?? 7.0
+  };
+
+  const { params: initialParams, parameterMap } = buildParameterVector(baseConditions, opts);
+
+  // Initial assignment at initial conditions, unless assignments are fixed
+  let assignments = opts.assignments ?? assignPeaks(
     observedShifts,
     buffers,
     samplesMap,
     opts.initialPH ?? initialConditions.pH ?? 7.0,
     initialConditions.temperature,
-    initialConditions.ionicStrength
+    initialConditions.ionicStrength,
+    opts.tolerances,
+    extractConditions(initialParams, parameterMap, baseConditions).referenceOffsets,
+    opts.assignmentLocks,
+    opts.annotations,
+    opts.correlations
   );
 
-  let assignedPeaks = getAssignedPeaksForFitting(assignments);
+  let assignedPeaks = getAssignedPeaksForFitting(assignments, opts.assignmentLocks);
 
   if (assignedPeaks.length === 0) {
     return {
@@ -235,19 +445,9 @@ export function fitParameters(observedShifts, buffers, samplesMap, initialCondit
   // Build maps for quick lookup
   const buffersMap = new Map(buffers.map(b => [b.buffer_id, b]));
 
-  // Build parameter vector
-  const baseConditions = {
-    temperature: initialConditions.temperature,
-    ionicStrength: initialConditions.ionicStrength,
-    referenceOffsets: initialConditions.referenceOffsets ?? {},
-    pH: opts.initialPH ?? initialConditions.pH ?? 7.0
-  };
-
-  const { params: initialParams, parameterMap } = buildParameterVector(baseConditions, opts);
-
-  // Check degrees of freedom
+  // Check degrees of freedom; only differences are observed for reference-free nuclei
   const nParams = initialParams.length;
-  const nObs = assignedPeaks.length;
+  const nObs = assignedPeaks.length - countReferenceFreeNuclei(assignedPeaks, opts.referenceFree);
   const dof = nObs - nParams;
 
   if (dof < 0) {
@@ -261,77 +461,139 @@ export function fitParameters(observedShifts, buffers, samplesMap, initialCondit
     };
   }
 
-  // Create model function
-  const modelFn = createModelFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions);
-
   // Prepare data for ml-levenberg-marquardt
   // x values are just indices (we need them but they're not really used)
   const xData = assignedPeaks.map((_, i) => i);
   const yData = assignedPeaks.map(p => p.observed_shift);
 
-  // Wrap model function to match expected signature
-  const wrappedModel = params => (x => modelFn(params)[x]);
-
   // Set up parameter bounds
   const minValues = initialParams.map((_, i) => {
-    if (i === parameterMap.pH.index) return 0;
+    if (i === parameterMap.pH.index) return PH_LIMITS.min;
     if (parameterMap.temperature && i === parameterMap.temperature.index) return 273;
     if (parameterMap.ionicStrength && i === parameterMap.ionicStrength.index) return 0;
     return -10; // Reference offsets
   });
 
   const maxValues = initialParams.map((_, i) => {
-    if (i === parameterMap.pH.index) return 14;
+    if (i === parameterMap.pH.index) return PH_LIMITS.max;
     if (parameterMap.temperature && i === parameterMap.temperature.index) return 373;
     if (parameterMap.ionicStrength && i === parameterMap.ionicStrength.index) return 1;
     return 10; // Reference offsets
   });
 
-  try {
-    // Run Levenberg-Marquardt
-    const result = levenbergMarquardt(
-      { x: xData, y: yData },
-      wrappedModel,
+  // Per-peak standard uncertainties (unit weights for an unweighted fit)
+  const peakUncertaintiesAt = conditions => opts.weighted
+    ? calculatePeakUncertainties(
+      assignedPeaks,
+      buffersMap,
+      samplesMap,
+      conditions,
+      opts.measurementUncertainties,
+      opts.shiftUncertainties
+    )
+    : assignedPeaks.map(() => 1);
+
+  // Weights are applied by scaling data and model by 1/σ, so the optimiser
+  // minimises chi-squared directly with unit weights. The σ also weight the
+  // implied offsets of reference-free nuclei, so the model follows them.
+  const runOptimiser = (startParams, sigmas) => {
+    const modelFn = createModelFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions, sigmas);
+    return minimiseChiSquared(
+      { x: xData, y: yData.map((y, i) => y / sigmas[i]) },
+      params => (x => modelFn(params)[x] / sigmas[x]),
       {
-        initialValues: initialParams,
+        initialValues: startParams,
         minValues,
         maxValues,
         maxIterations: opts.maxIterations,
-        errorTolerance: opts.tolerance,
-        damping: 1.5,
-        dampingStepUp: 11,
-        dampingStepDown: 9
+        tolerance: opts.tolerance
       }
     );
+  };
+
+  try {
+    // Run Levenberg-Marquardt
+    let sigmas = peakUncertaintiesAt(baseConditions);
+    let result = runOptimiser(initialParams, sigmas);
+    let iterations = result.iterations;
+
+    if (opts.weighted) {
+      // Database uncertainties depend on pH, so re-weight at the fitted conditions and polish
+      sigmas = peakUncertaintiesAt(extractConditions(result.parameterValues, parameterMap, baseConditions));
+      result = runOptimiser(result.parameterValues, sigmas);
+      iterations += result.iterations;
+    }
 
     const fittedParams = result.parameterValues;
     const fittedConditions = extractConditions(fittedParams, parameterMap, baseConditions);
 
-    // Re-assign peaks with fitted conditions
-    const finalAssignments = assignPeaks(
-      observedShifts,
-      buffers,
-      samplesMap,
-      fittedConditions.pH,
-      fittedConditions.temperature,
-      fittedConditions.ionicStrength
+    // Align reference-free nuclei by their implied offsets, so that final
+    // assignments and predictions are on the observed scale
+    const impliedOffsetFn = createImpliedOffsetFunction(
+      assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions, sigmas
     );
+    const impliedOffsets = impliedOffsetFn(fittedParams);
+    Object.assign(fittedConditions.referenceOffsets, impliedOffsets);
+
+    // Re-assign peaks with fitted conditions (or update fixed assignments)
+    const finalAssignments = opts.assignments
+      ? updateAssignmentPredictions(
+        opts.assignments,
+        buffers,
+        samplesMap,
+        fittedConditions.pH,
+        fittedConditions.temperature,
+        fittedConditions.ionicStrength,
+        fittedConditions.referenceOffsets
+      )
+      : assignPeaks(
+        observedShifts,
+        buffers,
+        samplesMap,
+        fittedConditions.pH,
+        fittedConditions.temperature,
+        fittedConditions.ionicStrength,
+        opts.tolerances,
+        fittedConditions.referenceOffsets,
+        opts.assignmentLocks,
+        opts.annotations,
+        opts.correlations
+      );
+
+    if (opts.weighted) {
+      for (const [nucleus, nucleusAssignments] of Object.entries(finalAssignments)) {
+        for (const assignment of nucleusAssignments) {
+          if (assignment.assigned) {
+            assignment.uncertainty = calculatePeakUncertainty(
+              { nucleus, ...assignment },
+              buffersMap,
+              samplesMap,
+              fittedConditions,
+              opts.measurementUncertainties,
+              opts.shiftUncertainties
+            );
+          }
+        }
+      }
+    }
 
     // Calculate residuals at final parameters
-    const residualFn = createResidualFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions);
+    const residualFn = createResidualFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions, sigmas);
+    const weightedResidualFn = params => residualFn(params).map((r, i) => r / sigmas[i]);
     const residuals = residualFn(fittedParams);
     const sumSquares = residuals.reduce((sum, r) => sum + r * r, 0);
     const rmsd = Math.sqrt(sumSquares / residuals.length);
 
-    // Calculate chi-squared (assuming unit variance for now)
-    const chiSquared = sumSquares;
+    // Chi-squared from residuals normalised by their standard uncertainties
+    const chiSquared = weightedResidualFn(fittedParams).reduce((sum, r) => sum + r * r, 0);
     const reducedChiSquared = dof > 0 ? chiSquared / dof : chiSquared;
 
-    // Calculate parameter uncertainties
+    // Calculate parameter uncertainties. For a weighted fit the covariance is only
+    // inflated when the scatter exceeds that expected from the peak uncertainties.
     const uncertainties = calculateParameterUncertainties(
       fittedParams,
-      residualFn,
-      reducedChiSquared
+      weightedResidualFn,
+      opts.weighted ? Math.max(1, reducedChiSquared) : reducedChiSquared
     );
 
     // Build result object
@@ -344,25 +606,71 @@ export function fitParameters(observedShifts, buffers, samplesMap, initialCondit
       };
     }
 
+    // Offsets of indirectly referenced nuclei follow the 1H offset linearly,
+    // so its uncertainty scales by the slope of the Ξ transfer
+    const derivedParameters = {};
+    const protonOffset = fittedConditions.referenceOffsets['1H'] ?? 0;
+    for (const [nucleus, referenceFrequency] of Object.entries(opts.indirectReferences)) {
+      const slope = (indirectReferenceOffset(nucleus, protonOffset + 1, opts.protonFrequency, referenceFrequency) ?? 0)
+        - (indirectReferenceOffset(nucleus, protonOffset, opts.protonFrequency, referenceFrequency) ?? 0);
+
+      derivedParameters[`ref_${nucleus}`] = {
+        value: fittedConditions.referenceOffsets[nucleus],
+        uncertainty: Math.abs(slope) * (parameterResults.ref_1H?.uncertainty ?? 0),
+        name: `${nucleus} reference offset (ppm)`,
+        derivedFrom: '1H'
+      };
+    }
+
+    // Implied offsets of reference-free nuclei, if requested. Their variance is
+    // that of the weighted mean plus the propagated parameter covariance.
+    const residualVariance = opts.weighted ? Math.max(1, reducedChiSquared) : reducedChiSquared;
+    const reportedOffsets = Object.entries(impliedOffsets).filter(([nucleus]) => opts.referenceFree[nucleus]);
+    const { covariance } = reportedOffsets.length > 0
+      ? calculateFullUncertainties(fittedParams, weightedResidualFn, residualVariance)
+      : { covariance: null };
+
+    for (const [nucleus, value] of reportedOffsets) {
+      const [gradient] = calculateJacobian(params => [impliedOffsetFn(params)[nucleus]], fittedParams);
+      const propagated = covariance
+        ? gradient.reduce((sum, gj, j) => sum + gradient.reduce((inner, gk, k) => inner + gj * covariance[j][k] * gk, 0), 0)
+        : 0;
+      const weightSum = assignedPeaks.reduce(
+        (sum, peak, i) => peak.nucleus === nucleus ? sum + 1 / sigmas[i] ** 2 : sum,
+        0
+      );
+
+      derivedParameters[`ref_${nucleus}`] = {
+        value,
+        uncertainty: Math.sqrt(residualVariance / weightSum + propagated),
+        name: `${nucleus} reference offset (ppm)`,
+        derivedFrom: 'differences'
+      };
+    }
+
     return {
       success: true,
       parameters: parameterResults,
+      derivedParameters,
+      referenceFree: Object.keys(impliedOffsets),
       conditions: fittedConditions,
       assignments: finalAssignments,
       residuals,
+      residualUncertainties: sigmas,
       statistics: {
         nObservations: nObs,
         nParameters: nParams,
         degreesOfFreedom: dof,
+        weighted: opts.weighted,
         sumSquares,
         rmsd,
         chiSquared,
         reducedChiSquared,
-        iterations: result.iterations
+        iterations
       },
       convergence: {
-        converged: result.iterations < opts.maxIterations,
-        iterations: result.iterations
+        converged: result.converged,
+        iterations
       }
     };
   } catch (error) {
@@ -421,3 +729,455 @@ export function fitWithReassignment(
 
   return result;
 }
+
+/**
+ * Default global pH search options.
+ */
+const DEFAULT_SEARCH_OPTIONS = {
+  pHMin: 0,
+  pHMax: 14,
+  pHStep: 0.1,
+  maxStarts: 5, // Maximum number of local fits, best scan minima first
+  minSeparation: 0.05, // Solutions closer than this (pH units) are the same minimum
+  deltaChiSquared: 10 // Report competing minima within this Δχ² of the best
+};
+
+/**
+ * Scan χ² over a pH grid at fixed temperature, ionic strength and reference offsets.
+ * Peaks are reassigned at every grid point. A peak that cannot be assigned
+ * contributes (tolerance / σ)², the same cap used by the assignment itself,
+ * so that losing assignments does not lower χ². Manually locked peaks keep
+ * their lock at every grid point.
+ *
+ * @param {Object} observedShifts - Object mapping nucleus -> array of observed shifts
+ * @param {Array<Object>} buffers - Array of selected buffer objects
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} initialConditions - Nominal conditions (temperature, ionicStrength, referenceOffsets)
+ * @param {Object} [options] - Fitting options
+ * @param {Object} [searchOptions] - Grid options ({ pHMin, pHMax, pHStep })
+ * @returns {Array<Object>} Grid of { pH, chiSquared, nAssigned }
+ */
+export function scanPH(observedShifts, buffers, samplesMap, initialConditions, options = {}, searchOptions = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const { pHMin, pHMax, pHStep } = { ...DEFAULT_SEARCH_OPTIONS, ...searchOptions };
+
+  const baseConditions = {
+    temperature: initialConditions.temperature,
+    ionicStrength: initialConditions.ionicStrength,
+    referenceOffsets: initialConditions.referenceOffsets ?? {},
+    indirectReferences: opts.indirectReferences,
+    protonFrequency: opts.protonFrequency,
+    referenceFree: opts.referenceFree,
+    pH: 7.0
+  };
+  const { params, parameterMap } = buildParameterVector(baseConditions, opts);
+  const { referenceOffsets } = extractConditions(params, parameterMap, baseConditions);
+
+  const buffersMap = new Map(buffers.map(b => [b.buffer_id, b]));
+  const measurementSigma = nucleus => opts.weighted
+    ? opts.measurementUncertainties[nucleus] ?? DEFAULT_MEASUREMENT_UNCERTAINTIES[nucleus] ?? 0.01
+    : 1;
+
+  const scan = [];
+  const nSteps = Math.round((pHMax - pHMin) / pHStep);
+
+  for (let i = 0; i <= nSteps; i++) {
+    const pH = Math.round((pHMin + i * pHStep) * 1e6) / 1e6;
+    const conditions = { ...baseConditions, pH };
+    const assignments = assignPeaks(
+      observedShifts,
+      buffers,
+      samplesMap,
+      pH,
+      baseConditions.temperature,
+      baseConditions.ionicStrength,
+      opts.tolerances,
+      referenceOffsets,
+      opts.assignmentLocks,
+      opts.annotations,
+      opts.correlations
+    );
+
+    let chiSquared = 0;
+    let nAssigned = 0;
+
+    for (const [nucleus, nucleusAssignments] of Object.entries(assignments)) {
+      const assigned = nucleusAssignments.filter(a => a.assigned);
+      const sigmas = assigned.map(assignment => opts.weighted
+        ? calculatePeakUncertainty(
+          { nucleus, ...assignment },
+          buffersMap,
+          samplesMap,
+          conditions,
+          opts.measurementUncertainties,
+          opts.shiftUncertainties
+        )
+        : 1);
+
+      // Reference-free nuclei contribute their residuals about the implied offset
+      const residuals = assigned.map(a => a.residual);
+      const { [nucleus]: offset = 0 } = nucleus in opts.referenceFree
+        ? getImpliedReferenceOffsets(assigned.map(() => ({ nucleus })), residuals, opts.referenceFree, sigmas)
+        : {};
+
+      residuals.forEach((r, i) => {
+        chiSquared += ((r - offset) / sigmas[i]) ** 2;
+      });
+      nAssigned += assigned.length;
+
+      for (const assignment of nucleusAssignments) {
+        if (!assignment.assigned && !assignment.locked) {
+          chiSquared += (getAssignmentTolerance(nucleus, opts.tolerances) / measurementSigma(nucleus)) ** 2;
+        }
+      }
+    }
+
+    scan.push({ pH, chiSquared, nAssigned });
+  }
+
+  return scan;
+}
+
+/**
+ * Find local minima in a χ² scan, best first.
+ * Flat stretches count as a single minimum at their first point.
+ *
+ * @param {Array<Object>} scan - Grid of { pH, chiSquared } from scanPH
+ * @returns {Array<Object>} Local minima sorted by increasing χ²
+ */
+export function findScanMinima(scan) {
+  const minima = scan.filter((point, i) => {
+    const previous = scan[i - 1]?.chiSquared ?? Infinity;
+    const next = scan[i + 1]?.chiSquared ?? Infinity;
+    return point.chiSquared < previous && point.chiSquared <= next;
+  });
+
+  return minima.sort((a, b) => a.chiSquared - b.chiSquared);
+}
+
+/**
+ * Global pH search with multiple starting points.
+ *
+ * A coarse χ² scan over the pH range locates candidate minima. A full fit
+ * with reassignment is started from each, and the distinct solutions are
+ * ranked by χ². The best is returned together with any competing minima
+ * within the Δχ² threshold, which indicate an ambiguous pH.
+ *
+ * The pH is flagged as unidentifiable when the shifts do not determine it,
+ * as for buffers that do not titrate near the sample pH: 'flat' when χ²
+ * varies by less than Δχ² = 1 (scaled by the reduced χ² of an unweighted
+ * fit) over the whole scan, 'open' when the scan stays within Δχ² = 1 of
+ * the best fit from there to an end of the pH range, or when the best fit
+ * runs into a bound of the pH scale.
+ *
+ * @param {Object} observedShifts - Object mapping nucleus -> array of observed shifts
+ * @param {Array<Object>} buffers - Array of selected buffer objects
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} initialConditions - Nominal conditions
+ * @param {Object} [options] - Fitting options
+ * @param {Object} [searchOptions] - Search options (see DEFAULT_SEARCH_OPTIONS)
+ * @returns {Object} Best fitting result, with global search summary
+ *   { scan, starts, minima, competingMinima, deltaChiSquaredThreshold,
+ *     unidentifiable: null, 'flat' or 'open' }
+ */
+export function fitGlobalPH(observedShifts, buffers, samplesMap, initialConditions, options = {}, searchOptions = {}) {
+  const search = { ...DEFAULT_SEARCH_OPTIONS, ...searchOptions };
+
+  const scan = scanPH(observedShifts, buffers, samplesMap, initialConditions, options, search);
+  const starts = findScanMinima(scan).slice(0, search.maxStarts);
+
+  const fits = [];
+  let lastFailure = null;
+
+  for (const start of starts) {
+    const fit = fitWithReassignment(
+      observedShifts,
+      buffers,
+      samplesMap,
+      { ...initialConditions, pH: start.pH },
+      { ...options, initialPH: start.pH }
+    );
+
+    if (fit.success) {
+      fits.push({ fit, startPH: start.pH });
+    } else {
+      lastFailure = fit;
+    }
+  }
+
+  if (fits.length === 0) {
+    return lastFailure ?? fitWithReassignment(observedShifts, buffers, samplesMap, initialConditions, options);
+  }
+
+  // Keep one solution per distinct minimum
+  fits.sort((a, b) => a.fit.statistics.chiSquared - b.fit.statistics.chiSquared);
+  const solutions = [];
+  for (const candidate of fits) {
+    const duplicate = solutions.some(s =>
+      Math.abs(s.fit.conditions.pH - candidate.fit.conditions.pH) < search.minSeparation
+    );
+    if (!duplicate) {
+      solutions.push(candidate);
+    }
+  }
+
+  const best = solutions[0].fit;
+  const bestChiSquared = best.statistics.chiSquared;
+
+  const minima = solutions.map(({ fit, startPH }) => ({
+    pH: fit.conditions.pH,
+    uncertainty: fit.parameters.pH.uncertainty,
+    chiSquared: fit.statistics.chiSquared,
+    deltaChiSquared: fit.statistics.chiSquared - bestChiSquared,
+    startPH
+  }));
+
+  // Scan points within Δχ² = 1 of the best, either side of the best pH
+  const chiSquaredScale = best.statistics.weighted ? 1 : best.statistics.reducedChiSquared;
+  const threshold = Math.min(...scan.map(point => point.chiSquared)) + chiSquaredScale;
+  const nearest = scan.reduce((closest, point, i) =>
+    Math.abs(point.pH - best.conditions.pH) < Math.abs(scan[closest].pH - best.conditions.pH) ? i : closest, 0);
+  let lower = nearest;
+  let upper = nearest;
+  while (lower > 0 && scan[lower - 1].chiSquared <= threshold) lower--;
+  while (upper < scan.length - 1 && scan[upper + 1].chiSquared <= threshold) upper++;
+
+  const flat = scan.every(point => point.chiSquared <= threshold);
+  const open = lower === 0 || upper === scan.length - 1 ||
+    best.conditions.pH <= PH_LIMITS.min + search.minSeparation ||
+    best.conditions.pH >= PH_LIMITS.max - search.minSeparation;
+
+  return {
+    ...best,
+    globalSearch: {
+      scan,
+      starts: starts.map(s => s.pH),
+      minima,
+      competingMinima: minima.slice(1).filter(m => m.deltaChiSquared <= search.deltaChiSquared),
+      deltaChiSquaredThreshold: search.deltaChiSquared,
+      unidentifiable: flat ? 'flat' : open ? 'open' : null
+    }
+  };
+}
+
+/**
+ * Calculate the Bayesian information criterion for a fit.
+ * Weighted fits use χ² directly; unweighted fits use the residual sum of squares
+ * with the variance estimated from the data.
+ *
+ * @param {Object} statistics - Fit statistics from fitParameters
+ * @returns {number} BIC (lower is better)
+ */
+export function calculateBIC(statistics) {
+  const { nObservations: n, nParameters: k, chiSquared, sumSquares, weighted } = statistics;
+  const misfit = weighted
+    ? chiSquared
+    : n * Math.log(Math.max(sumSquares, Number.MIN_VALUE) / n);
+  return misfit + k * Math.log(n);
+}
+
+/**
+ * Collect alternative assignment moves from ambiguous peaks.
+ *
+ * A switch moves one peak to its listed alternative (an unassigned resonance).
+ * A swap exchanges the resonances of two peaks of the same nucleus when each
+ * peak would still be a reasonable match (within 60% of the tolerance) for the
+ * other's resonance and its observed multiplet fits that resonance's pattern;
+ * optimal matching never lists these as alternatives.
+ * Manually locked peaks and cross-peak coordinates are never moved.
+ *
+ * @param {Object} assignments - Assignment results by nucleus
+ * @param {Object} tolerances - Assignment tolerances by nucleus (ppm)
+ * @returns {Array<Object>} Moves sorted by increasing assignment cost
+ */
+function findAssignmentMoves(assignments, tolerances) {
+  const moves = [];
+  const target = a => ({
+    buffer_id: a.buffer_id,
+    buffer_name: a.buffer_name,
+    resonance_id: a.resonance_id,
+    multiplicity: a.multiplicity,
+    predicted_shift: a.predicted_shift
+  });
+
+  for (const [nucleus, nucleusAssignments] of Object.entries(assignments)) {
+    const tolerance = getAssignmentTolerance(nucleus, tolerances);
+    const cost = (observed, predicted) => ((observed - predicted) / tolerance) ** 2;
+
+    nucleusAssignments.forEach((a, i) => {
+      if (!a.assigned || a.locked || a.correlation) return;
+
+      for (const alternative of a.alternatives ?? []) {
+        moves.push({
+          changes: [{ nucleus, index: i, to: target(alternative) }],
+          cost: cost(a.observed_shift, alternative.predicted_shift) - cost(a.observed_shift, a.predicted_shift)
+        });
+      }
+
+      for (let j = i + 1; j < nucleusAssignments.length; j++) {
+        const b = nucleusAssignments[j];
+        if (!b.assigned || b.locked || b.correlation) continue;
+
+        const plausible = Math.abs(a.observed_shift - b.predicted_shift) < 0.6 * tolerance &&
+          Math.abs(b.observed_shift - a.predicted_shift) < 0.6 * tolerance &&
+          isMultiplicityCompatible(a.annotation, b.multiplicity) &&
+          isMultiplicityCompatible(b.annotation, a.multiplicity);
+
+        if (plausible) {
+          moves.push({
+            changes: [
+              { nucleus, index: i, to: target(b) },
+              { nucleus, index: j, to: target(a) }
+            ],
+            cost: cost(a.observed_shift, b.predicted_shift) + cost(b.observed_shift, a.predicted_shift) -
+              cost(a.observed_shift, a.predicted_shift) - cost(b.observed_shift, b.predicted_shift)
+          });
+        }
+      }
+    });
+  }
+
+  return moves.sort((a, b) => a.cost - b.cost);
+}
+
+/**
+ * Search alternative assignment hypotheses for ambiguous peaks.
+ *
+ * Starting from the automatic assignment (after a global pH search when no
+ * initial pH is given), every compatible combination of alternative moves
+ * (switches to listed alternatives and swaps between peaks) is fitted in full. Hypotheses are ranked by BIC and given relative likelihoods
+ * exp(-ΔBIC/2), normalised to sum to one.
+ *
+ * @param {Object} observedShifts - Object mapping nucleus -> array of observed shifts
+ * @param {Array<Object>} buffers - Array of selected buffer objects
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} initialConditions - Initial conditions
+ * @param {Object} [options] - Fitting options
+ * @param {Object} [searchOptions] - { maxMoves = 6, maxReported = 5 }
+ * @returns {Object} Best fitting result, with ranked hypotheses
+ */
+export function searchAssignmentHypotheses(
+  observedShifts,
+  buffers,
+  samplesMap,
+  initialConditions,
+  options = {},
+  searchOptions = {}
+) {
+  const { maxMoves = 6, maxReported = 5 } = searchOptions;
+
+  // Without a starting pH, search the whole pH range first
+  const base = options.initialPH == null
+    ? fitGlobalPH(observedShifts, buffers, samplesMap, initialConditions, options)
+    : fitWithReassignment(observedShifts, buffers, samplesMap, initialConditions, options);
+
+  if (!base.success) {
+    return base;
+  }
+
+  const moves = findAssignmentMoves(base.assignments, options.tolerances ?? {});
+  const searched = moves.slice(0, maxMoves);
+
+  const startConditions = { ...initialConditions, ...base.conditions };
+  const startOptions = { ...options, initialPH: base.conditions.pH };
+
+  const hypotheses = [];
+
+  for (let mask = 0; mask < (1 << searched.length); mask++) {
+    const selected = searched.filter((_, bit) => mask & (1 << bit));
+    const changes = selected.flatMap(move => move.changes);
+
+    // Each peak may only be moved once
+    const movedPeaks = new Set(changes.map(c => `${c.nucleus}:${c.index}`));
+    if (movedPeaks.size < changes.length) continue;
+
+    const assignments = {};
+    for (const [nucleus, nucleusAssignments] of Object.entries(base.assignments)) {
+      assignments[nucleus] = nucleusAssignments.map(a => ({ ...a }));
+    }
+
+    for (const { nucleus, index, to } of changes) {
+      const original = base.assignments[nucleus][index];
+      assignments[nucleus][index] = {
+        ...original,
+        ...to,
+        residual: original.observed_shift - to.predicted_shift,
+        alternatives: [{
+          buffer_id: original.buffer_id,
+          buffer_name: original.buffer_name,
+          resonance_id: original.resonance_id,
+          predicted_shift: original.predicted_shift,
+          distance: original.residual
+        }]
+      };
+    }
+
+    // Each resonance may only be assigned once (among 1D peaks and among cross
+    // peaks); the base fit is always kept as a candidate, whatever its assignments
+    const used = new Set();
+    let valid = true;
+    for (const [nucleus, nucleusAssignments] of Object.entries(assignments)) {
+      for (const a of nucleusAssignments) {
+        if (!a.assigned) continue;
+        const key = `${nucleus}:${a.correlation ? '2D:' : ''}${a.buffer_id}:${a.resonance_id}`;
+        if (used.has(key)) valid = false;
+        used.add(key);
+      }
+    }
+    if (!valid && mask !== 0) continue;
+
+    const fit = mask === 0
+      ? base
+      : fitParameters(observedShifts, buffers, samplesMap, startConditions, { ...startOptions, assignments });
+
+    if (fit.success) {
+      hypotheses.push({
+        fit,
+        changes: changes.map(({ nucleus, index, to }) => {
+          const original = base.assignments[nucleus][index];
+          return {
+            nucleus,
+            observed_shift: original.observed_shift,
+            from: `${original.buffer_name} ${original.resonance_id}`,
+            to: `${to.buffer_name} ${to.resonance_id}`
+          };
+        }),
+        bic: calculateBIC(fit.statistics)
+      });
+    }
+  }
+
+  if (hypotheses.length === 0) {
+    return {
+      success: false,
+      error: 'No assignment hypothesis gave a valid fit',
+      assignments: base.assignments
+    };
+  }
+
+  hypotheses.sort((a, b) => a.bic - b.bic);
+
+  const bestBIC = hypotheses[0].bic;
+  const totalWeight = hypotheses.reduce((sum, h) => sum + Math.exp(-(h.bic - bestBIC) / 2), 0);
+
+  const ranked = hypotheses.map((h, i) => ({
+    rank: i + 1,
+    changes: h.changes,
+    pH: h.fit.conditions.pH,
+    chiSquared: h.fit.statistics.chiSquared,
+    bic: h.bic,
+    deltaBIC: h.bic - bestBIC,
+    relativeLikelihood: Math.exp(-(h.bic - bestBIC) / 2) / totalWeight
+  }));
+
+  return {
+    ...hypotheses[0].fit,
+    globalSearch: base.globalSearch,
+    hypotheses: {
+      nMoves: moves.length,
+      nSearched: searched.length,
+      nTested: hypotheses.length,
+      ranked: ranked.slice(0, maxReported)
+    }
+  };
+}
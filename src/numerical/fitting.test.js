@@ -0,0 +1,180 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateBIC,
+  fitGlobalPH,
+  fitParameters,
+  getImpliedReferenceOffsets,
+  searchAssignmentHypotheses
+} from './fitting.js';
+import { predictBufferShifts } from './bufferModel.js';
+import { getLockKey } from './peakAssignment.js';
+
+// Single-step buffer with two 1H and two 19F resonances
+const sample = { sample_id: 'sample', solvent: 'H2O', reference_temperature_K: 298.15, reference_ionic_strength_M: 0 };
+const resonance = (resonance_id, acid, base) => ({
+  resonance_id,
+  limiting_shifts: [
+    { ionisation_state: 0, shift_ppm: [acid, 0.005] },
+    { ionisation_state: 1, shift_ppm: [base, 0.005] }
+  ]
+});
+const buffer = {
+  buffer_id: 'buffer',
+  buffer_name: 'Buffer',
+  sample_id: 'sample',
+  ionisation_states: 2,
+  pKa_parameters: [{ pKa_index: 1, pKa: [5.8, 0.02], protonated_charge: 1 }],
+  chemical_shifts: {
+    '1H': [resonance('H1', 3.40, 3.00), resonance('H2', 2.20, 1.90)],
+    '19F': [resonance('F1', -75.0, -76.2), resonance('F2', -61.0, -62.0)]
+  }
+};
+const samplesMap = new Map([['sample', sample]]);
+
+const truth = { pH: 5.6, temperature: 298.15, ionicStrength: 0.1 };
+const conditions = { temperature: 298.15, ionicStrength: 0.1, referenceOffsets: {} };
+
+// Predicted shifts at the true conditions with small alternating errors, so that χ² is not zero
+const observed = Object.fromEntries(
+  Object.entries(predictBufferShifts(buffer, truth.pH, truth.temperature, truth.ionicStrength, sample))
+    .map(([nucleus, predictions]) => [nucleus, predictions.map((p, i) => p.shift + (i % 2 ? 0.001 : -0.001))])
+);
+
+describe('fitParameters', () => {
+  it('minimises χ² of residuals normalised by their standard uncertainties', () => {
+    const result = fitParameters(observed, [buffer], samplesMap, conditions, { initialPH: 5.0 });
+
+    expect(result.success).toBe(true);
+    expect(result.conditions.pH).toBeCloseTo(truth.pH, 1);
+
+    const { residuals, residualUncertainties, statistics } = result;
+    const chiSquared = residuals.reduce((sum, r, i) => sum + (r / residualUncertainties[i]) ** 2, 0);
+    expect(statistics.weighted).toBe(true);
+    expect(statistics.chiSquared).toBeCloseTo(chiSquared, 10);
+    expect(statistics.reducedChiSquared).toBeCloseTo(chiSquared / statistics.degreesOfFreedom, 10);
+  });
+
+  it('reports convergence from the change in χ² rather than the iteration limit', () => {
+    const result = fitParameters(observed, [buffer], samplesMap, conditions, { initialPH: 5.0 });
+
+    expect(result.convergence.converged).toBe(true);
+    expect(result.convergence.iterations).toBeLessThan(2 * 100);
+  });
+
+  it('widens the uncertainty of a peak given its own precision', () => {
+    const [shift] = observed['19F'];
+    const shiftUncertainties = { '19F': { [getLockKey(shift)]: 0.5 } };
+
+    const plain = fitParameters(observed, [buffer], samplesMap, conditions, { initialPH: 5.0 });
+    const widened = fitParameters(observed, [buffer], samplesMap, conditions, { initialPH: 5.0, shiftUncertainties });
+
+    const largest = result => Math.max(...result.residualUncertainties);
+    expect(largest(plain)).toBeLessThan(0.1);
+    expect(largest(widened)).toBeGreaterThanOrEqual(0.5);
+  });
+
+  it('uses unit weights in an unweighted fit', () => {
+    const result = fitParameters(observed, [buffer], samplesMap, conditions, { initialPH: 5.0, weighted: false });
+
+    expect(result.success).toBe(true);
+    expect(result.residualUncertainties.every(sigma => sigma === 1)).toBe(true);
+    expect(result.statistics.chiSquared).toBeCloseTo(result.statistics.sumSquares, 12);
+  });
+});
+
+describe('getImpliedReferenceOffsets', () => {
+  it('takes the weighted mean residual of each reference-free nucleus', () => {
+    const peaks = [{ nucleus: '19F' }, { nucleus: '19F' }, { nucleus: '1H' }];
+    const offsets = getImpliedReferenceOffsets(peaks, [0.1, 0.4, 9], { '19F': true }, [0.1, 0.2, 0.1]);
+
+    expect(Object.keys(offsets)).toEqual(['19F']);
+    expect(offsets['19F']).toBeCloseTo((0.1 * 100 + 0.4 * 25) / 125, 12);
+  });
+});
+
+describe('fitParameters without a 19F reference', () => {
+  const shifted = { ...observed, '19F': observed['19F'].map(shift => shift + 0.5) };
+
+  it('fits the pH from the 19F shift differences and reports the implied offset', () => {
+    const referenced = fitParameters(observed, [buffer], samplesMap, conditions, { initialPH: 5.0 });
+    const result = fitParameters(shifted, [buffer], samplesMap, conditions, {
+      initialPH: 5.0,
+      referenceFree: { '19F': true }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.referenceFree).toEqual(['19F']);
+    expect(result.conditions.pH).toBeCloseTo(truth.pH, 1);
+    expect(result.derivedParameters.ref_19F.value).toBeCloseTo(0.5, 2);
+    expect(result.statistics.nObservations).toBe(referenced.statistics.nObservations - 1);
+  });
+});
+
+describe('calculateBIC', () => {
+  it('adds a penalty of ln(n) per parameter to χ²', () => {
+    const bic = calculateBIC({ nObservations: 10, nParameters: 2, chiSquared: 7, weighted: true });
+    expect(bic).toBeCloseTo(7 + 2 * Math.log(10), 12);
+  });
+});
+
+describe('searchAssignmentHypotheses', () => {
+  it('ranks hypotheses with relative likelihoods that sum to one', () => {
+    const result = searchAssignmentHypotheses(observed, [buffer], samplesMap, conditions, { initialPH: 5.0 });
+
+    expect(result.success).toBe(true);
+    const likelihoods = result.hypotheses.ranked.map(h => h.relativeLikelihood);
+    expect(likelihoods.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 10);
+    expect(result.hypotheses.ranked[0].deltaBIC).toBe(0);
+  });
+
+  it('keeps the fit of the initial assignment among the hypotheses', () => {
+    const result = searchAssignmentHypotheses(observed, [buffer], samplesMap, conditions, { initialPH: 5.0 });
+    expect(result.hypotheses.ranked.some(h => h.changes.length === 0)).toBe(true);
+  });
+
+  it('fits when two peaks are pinned to the same resonance', () => {
+    const [first, second] = observed['19F'];
+    const pin = { action: 'pin', buffer_id: 'buffer', resonance_id: 'F1' };
+    const assignmentLocks = { '19F': { [getLockKey(first)]: pin, [getLockKey(second)]: pin } };
+
+    const result = searchAssignmentHypotheses(observed, [buffer], samplesMap, conditions, { initialPH: 5.0, assignmentLocks });
+
+    expect(result.success).toBe(true);
+    const pinned = result.assignments['19F'].filter(a => a.assigned && a.resonance_id === 'F1');
+    expect(pinned).toHaveLength(1);
+  });
+});
+
+describe('fitGlobalPH', () => {
+  const shiftsAt = (fittedBuffer, pH) => Object.fromEntries(
+    Object.entries(predictBufferShifts(fittedBuffer, pH, truth.temperature, truth.ionicStrength, sample))
+      .map(([nucleus, predictions]) => [nucleus, predictions.map(p => p.shift)])
+  );
+
+  it('finds the pH from a full-range scan and reports it as identifiable', () => {
+    const result = fitGlobalPH(observed, [buffer], samplesMap, conditions);
+
+    expect(result.success).toBe(true);
+    expect(result.conditions.pH).toBeCloseTo(truth.pH, 1);
+    expect(result.globalSearch.unidentifiable).toBeNull();
+  });
+
+  it('flags a pH beyond the titration range of the buffer as unidentifiable', () => {
+    const result = fitGlobalPH(shiftsAt(buffer, 11), [buffer], samplesMap, conditions);
+
+    expect(result.success).toBe(true);
+    expect(result.globalSearch.unidentifiable).toBe('open');
+  });
+
+  it('flags a scan without any pH dependence as flat', () => {
+    const constant = structuredClone(buffer);
+    for (const resonances of Object.values(constant.chemical_shifts)) {
+      for (const { limiting_shifts: [acid, base] } of resonances) {
+        base.shift_ppm = acid.shift_ppm;
+      }
+    }
+    const result = fitGlobalPH(shiftsAt(constant, truth.pH), [constant], samplesMap, conditions);
+
+    expect(result.globalSearch.unidentifiable).toBe('flat');
+  });
+});
@@ -8,5 +8,10 @@
 export * from './bufferModel.js';
 export * from './peakAssignment.js';
 export * from './fitting.js';
+export * from './optimiser.js';
 export * from './uncertainty.js';
 export * from './validation.js';
+export * from './monteCarlo.js';
+export * from './referencing.js';
+export * from './profileLikelihood.js';
+export * from './calibration.js';
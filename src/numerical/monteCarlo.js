@@ -0,0 +1,240 @@
+/**
+ * Monte Carlo Module
+ *
+ * Propagates uncertainties in the calibration database (pKa, ΔH, ΔCp and
+ * limiting shifts) into fitted parameters by repeated sampling and refitting.
+ */
+
+import { getValue, getUncertainty } from './bufferModel.js';
+import { fitParameters } from './fitting.js';
+
+/**
+ * Default Monte Carlo options.
+ */
+const DEFAULT_MC_OPTIONS = {
+  nSamples: 200,
+  seed: 1
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ * A fixed seed makes Monte Carlo results reproducible between runs.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning uniform random numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a standard normal deviate using the Box-Muller transform.
+ *
+ * @param {Function} random - Uniform random number generator
+ * @returns {number} Normally distributed value (mean 0, SD 1)
+ */
+export function sampleNormal(random) {
+  const u1 = 1 - random(); // (0, 1] to avoid log(0)
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Sample a value from its normal distribution.
+ * Values without uncertainty are returned unchanged.
+ *
+ * @param {number|Array<number>} valueWithUncertainty - Value or [value, uncertainty]
+ * @param {Function|null} random - Uniform random number generator, or null for the nominal value
+ * @returns {number} Sampled value
+ */
+export function sampleValue(valueWithUncertainty, random) {
+  const value = getValue(valueWithUncertainty);
+  const sd = getUncertainty(valueWithUncertainty);
+
+  if (!random || sd <= 0) {
+    return value;
+  }
+
+  return value + sd * sampleNormal(random);
+}
+
+/**
+ * Sample a complete set of buffer parameters.
+ * All values with uncertainties are replaced by plain numbers, so the returned
+ * buffer carries no database uncertainty into a weighted fit.
+ *
+ * @param {Object} buffer - Buffer object from database
+ * @param {Function|null} random - Uniform random number generator, or null for nominal values
+ * @returns {Object} Buffer object with sampled parameters
+ */
+export function sampleBuffer(buffer, random) {
+  const sampleOptional = value => value === undefined ? undefined : sampleValue(value, random);
+
+  const pKa_parameters = buffer.pKa_parameters.map(p => ({
+    ...p,
+    pKa: sampleValue(p.pKa, random),
+    dH_kJ_mol: sampleOptional(p.dH_kJ_mol),
+    dCp_J_mol_K: sampleOptional(p.dCp_J_mol_K),
+    ionic_strength_coefficient_per_M: sampleOptional(p.ionic_strength_coefficient_per_M)
+  }));
+
+  const chemical_shifts = {};
+  for (const [nucleus, resonances] of Object.entries(buffer.chemical_shifts)) {
+    chemical_shifts[nucleus] = resonances.map(resonance => ({
+      ...resonance,
+      limiting_shifts: resonance.limiting_shifts.map(ls => ({
+        ...ls,
+        shift_ppm: sampleValue(ls.shift_ppm, random),
+        temperature_coefficient_ppm_per_K: sampleOptional(ls.temperature_coefficient_ppm_per_K),
+        ionic_strength_coefficient_ppm_per_M: sampleOptional(ls.ionic_strength_coefficient_ppm_per_M)
+      }))
+    }));
+  }
+
+  return {
+    ...buffer,
+    pKa_parameters,
+    chemical_shifts
+  };
+}
+
+/**
+ * Calculate a quantile of a sorted array by linear interpolation.
+ *
+ * @param {Array<number>} sorted - Values sorted in ascending order
+ * @param {number} q - Quantile (0-1)
+ * @returns {number} Quantile value
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summarise a set of Monte Carlo samples.
+ *
+ * @param {Array<number>} values - Sampled values
+ * @returns {Object} { mean, sd, median, lower, upper } with a 95% interval
+ */
+export function summariseSamples(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1
+    ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)
+    : 0;
+  const sorted = [...values].sort((a, b) => a - b);
+
+  return {
+    mean,
+    sd: Math.sqrt(variance),
+    median: quantile(sorted, 0.5),
+    lower: quantile(sorted, 0.025),
+    upper: quantile(sorted, 0.975)
+  };
+}
+
+/**
+ * Propagate calibration database uncertainties into fitted parameters.
+ *
+ * The measurement contribution is taken from a fit with nominal database values
+ * (no database uncertainty in the weights). The calibration contribution is the
+ * spread of refits with buffer parameters sampled from their distributions.
+ * The two are independent and combined in quadrature.
+ *
+ * @param {Object} observedShifts - Object mapping nucleus -> array of observed shifts
+ * @param {Array<Object>} buffers - Array of selected buffer objects
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} initialConditions - Initial conditions (pH, temperature, ionicStrength)
+ * @param {Object} [options] - Fitting options
+ * @param {Object} [mcOptions] - Monte Carlo options ({ nSamples, seed })
+ * @returns {Object} Monte Carlo results with per-parameter uncertainty budget
+ */
+export function propagateCalibrationUncertainty(
+  observedShifts,
+  buffers,
+  samplesMap,
+  initialConditions,
+  options = {},
+  mcOptions = {}
+) {
+  const { nSamples, seed } = { ...DEFAULT_MC_OPTIONS, ...mcOptions };
+  const random = createRandom(seed);
+
+  // Nominal fit: measurement uncertainty only
+  const nominalBuffers = buffers.map(b => sampleBuffer(b, null));
+  const nominal = fitParameters(observedShifts, nominalBuffers, samplesMap, initialConditions, options);
+
+  if (!nominal.success) {
+    return {
+      success: false,
+      error: nominal.error
+    };
+  }
+
+  // Start every refit from the nominal solution
+  const startOptions = { ...options, initialPH: nominal.conditions.pH };
+  const startConditions = { ...initialConditions, pH: nominal.conditions.pH };
+
+  const samples = {};
+  for (const key of Object.keys(nominal.parameters)) {
+    samples[key] = [];
+  }
+
+  let nFailed = 0;
+
+  for (let i = 0; i < nSamples; i++) {
+    const sampledBuffers = buffers.map(b => sampleBuffer(b, random));
+    const fit = fitParameters(observedShifts, sampledBuffers, samplesMap, startConditions, startOptions);
+
+    if (!fit.success) {
+      nFailed++;
+      continue;
+    }
+
+    for (const key of Object.keys(samples)) {
+      samples[key].push(fit.parameters[key]?.value);
+    }
+  }
+
+  const nSuccessful = nSamples - nFailed;
+
+  if (nSuccessful < 2) {
+    return {
+      success: false,
+      error: `Monte Carlo failed: only ${nSuccessful} of ${nSamples} refits converged`
+    };
+  }
+
+  const parameters = {};
+  for (const [key, values] of Object.entries(samples)) {
+    const summary = summariseSamples(values);
+    const measurement = nominal.parameters[key].uncertainty;
+    const calibration = summary.sd;
+
+    parameters[key] = {
+      name: nominal.parameters[key].name,
+      value: nominal.parameters[key].value,
+      measurement,
+      calibration,
+      total: Math.sqrt(measurement * measurement + calibration * calibration),
+      distribution: summary
+    };
+  }
+
+  return {
+    success: true,
+    nSamples,
+    nSuccessful,
+    seed,
+    parameters
+  };
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { createRandom, propagateCalibrationUncertainty, sampleBuffer, summariseSamples } from './monteCarlo.js';
+import { predictBufferShifts } from './bufferModel.js';
+
+const sample = { sample_id: 'sample', solvent: 'H2O', reference_temperature_K: 298.15, reference_ionic_strength_M: 0 };
+const samplesMap = new Map([['sample', sample]]);
+
+// Single-step buffer whose pKa and limiting shifts carry the given SDs
+const createBuffer = (pKaSD, shiftSD) => {
+  const resonance = (resonance_id, acid, base) => ({
+    resonance_id,
+    limiting_shifts: [
+      { ionisation_state: 0, shift_ppm: [acid, shiftSD] },
+      { ionisation_state: 1, shift_ppm: [base, shiftSD] }
+    ]
+  });
+  return {
+    buffer_id: 'buffer',
+    sample_id: 'sample',
+    ionisation_states: 2,
+    pKa_parameters: [{ pKa_index: 1, pKa: [5.8, pKaSD], protonated_charge: 1 }],
+    chemical_shifts: {
+      '1H': [resonance('H1', 3.40, 3.00), resonance('H2', 2.20, 1.90)],
+      '19F': [resonance('F1', -75.0, -76.2)]
+    }
+  };
+};
+
+const conditions = { temperature: 298.15, ionicStrength: 0.1, referenceOffsets: {} };
+const observed = Object.fromEntries(
+  Object.entries(predictBufferShifts(createBuffer(0, 0), 5.6, 298.15, 0.1, sample))
+    .map(([nucleus, predictions]) => [nucleus, predictions.map((p, i) => p.shift + (i % 2 ? 0.002 : -0.002))])
+);
+
+const propagate = buffer => propagateCalibrationUncertainty(
+  observed, [buffer], samplesMap, conditions, { initialPH: 5.6 }, { nSamples: 50, seed: 7 }
+);
+
+describe('sampleBuffer', () => {
+  it('replaces every value with uncertainty by a plain number', () => {
+    const sampled = sampleBuffer(createBuffer(0.02, 0.005), createRandom(1));
+
+    expect(typeof sampled.pKa_parameters[0].pKa).toBe('number');
+    expect(typeof sampled.chemical_shifts['1H'][0].limiting_shifts[0].shift_ppm).toBe('number');
+  });
+});
+
+describe('summariseSamples', () => {
+  it('gives the sample mean, SD and median', () => {
+    const summary = summariseSamples([1, 2, 3, 4, 5]);
+    expect(summary).toMatchObject({ mean: 3, median: 3 });
+    expect(summary.sd).toBeCloseTo(Math.sqrt(2.5), 12);
+  });
+});
+
+describe('propagateCalibrationUncertainty', () => {
+  it('finds no calibration spread for a database without SDs', () => {
+    const result = propagate(createBuffer(0, 0));
+
+    expect(result.success).toBe(true);
+    expect(result.parameters.pH.calibration).toBeCloseTo(0, 10);
+    expect(result.parameters.pH.total).toBeCloseTo(result.parameters.pH.measurement, 10);
+  });
+
+  it('widens the pH uncertainty with the database SDs', () => {
+    const small = propagate(createBuffer(0.01, 0.002)).parameters.pH;
+    const large = propagate(createBuffer(0.05, 0.01)).parameters.pH;
+
+    expect(small.calibration).toBeGreaterThan(0);
+    expect(large.calibration).toBeGreaterThan(2 * small.calibration);
+  });
+
+  it('combines measurement and calibration uncertainty in quadrature', () => {
+    const { measurement, calibration, total } = propagate(createBuffer(0.02, 0.005)).parameters.pH;
+    expect(total).toBeCloseTo(Math.hypot(measurement, calibration), 12);
+  });
+
+  it('gives the same result for the same seed', () => {
+    const buffer = createBuffer(0.02, 0.005);
+    expect(propagate(buffer).parameters.pH.calibration).toBe(propagate(buffer).parameters.pH.calibration);
+  });
+});
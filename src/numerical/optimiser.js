@@ -0,0 +1,118 @@
+/**
+ * Optimiser Module
+ *
+ * Levenberg-Marquardt minimisation with a convergence test that works at any
+ * scale of χ². ml-levenberg-marquardt only stops once the sum of squares falls
+ * below an absolute tolerance, which a weighted fit (χ² of the order of the
+ * number of observations) never reaches, so it would always run to its
+ * iteration limit. Here it takes one step at a time, with the damping carried
+ * between steps, and the fit stops when a step no longer changes χ² or the
+ * parameters appreciably.
+ */
+
+import { levenbergMarquardt } from 'ml-levenberg-marquardt';
+
+/**
+ * Default optimiser options.
+ */
+const DEFAULT_OPTIMISER_OPTIONS = {
+  maxIterations: 100,
+  tolerance: 1e-8, // Relative χ² change of an accepted step
+  stepTolerance: 1e-8, // Parameter change of an accepted step, relative to max(|value|, 1)
+  damping: 1.5,
+  dampingStepUp: 11,
+  dampingStepDown: 9
+};
+
+/**
+ * Largest damping. A step this short that still raises χ² means the
+ * parameters are at a minimum, to rounding.
+ */
+const MAX_DAMPING = 1e7;
+
+/**
+ * Minimum damping, as in ml-levenberg-marquardt.
+ */
+const MIN_DAMPING = 1e-7;
+
+/**
+ * Sum of squared residuals with unit weights.
+ *
+ * @param {Object} data - { x, y }
+ * @param {Function} parameterizedFunction - params -> (x -> model value)
+ * @param {Array<number>} params - Parameter values
+ * @returns {number} Sum of squares
+ */
+function sumOfSquares(data, parameterizedFunction, params) {
+  const fn = parameterizedFunction(params);
+  let sum = 0;
+  for (let i = 0; i < data.x.length; i++) {
+    sum += (data.y[i] - fn(data.x[i])) ** 2;
+  }
+  return sum;
+}
+
+/**
+ * Minimise the sum of squared residuals by Levenberg-Marquardt.
+ *
+ * Takes the data, model and options of ml-levenberg-marquardt (without
+ * weights: scale data and model by 1/σ for a weighted fit). The fit has
+ * converged when an accepted step lowers χ² by less than tolerance × χ²,
+ * or changes no parameter by more than stepTolerance × max(|value|, 1), or
+ * when no step, however short, lowers χ² any further.
+ *
+ * @param {Object} data - { x, y }
+ * @param {Function} parameterizedFunction - params -> (x -> model value)
+ * @param {Object} options - initialValues, minValues, maxValues, gradientDifference,
+ *   centralDifference, maxIterations, tolerance, stepTolerance and damping options
+ * @returns {Object} { parameterValues, parameterError, iterations, converged }
+ */
+export function minimiseChiSquared(data, parameterizedFunction, options) {
+  const { maxIterations, tolerance, stepTolerance, damping: initialDamping, dampingStepUp, dampingStepDown, ...stepOptions } = {
+    ...DEFAULT_OPTIMISER_OPTIONS,
+    ...options
+  };
+
+  let parameters = [...options.initialValues];
+  let chiSquared = sumOfSquares(data, parameterizedFunction, parameters);
+  let damping = initialDamping;
+  let converged = chiSquared === 0;
+  let iterations = 0;
+
+  while (!converged && iterations < maxIterations) {
+    // One step; the library keeps the starting values unless χ² falls
+    const step = levenbergMarquardt(data, parameterizedFunction, {
+      ...stepOptions,
+      initialValues: [...parameters],
+      damping,
+      maxIterations: 1,
+      errorTolerance: 0
+    });
+    iterations++;
+
+    if (!(step.parameterError < chiSquared)) {
+      damping *= dampingStepUp;
+      if (damping > MAX_DAMPING) {
+        converged = true;
+      }
+      continue;
+    }
+
+    const relativeChange = (chiSquared - step.parameterError) / chiSquared;
+    const largestStep = Math.max(...step.parameterValues.map(
+      (value, k) => Math.abs(value - parameters[k]) / Math.max(Math.abs(parameters[k]), 1)
+    ));
+
+    parameters = step.parameterValues;
+    chiSquared = step.parameterError;
+    damping = Math.max(damping / dampingStepDown, MIN_DAMPING);
+    converged = relativeChange <= tolerance || largestStep <= stepTolerance || chiSquared === 0;
+  }
+
+  return {
+    parameterValues: parameters,
+    parameterError: chiSquared,
+    iterations,
+    converged
+  };
+}
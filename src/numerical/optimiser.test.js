@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { minimiseChiSquared } from './optimiser.js';
+
+// Exponential decay with small, fixed errors, weighted by σ = 0.001, so that
+// χ² is of the order of the number of points rather than near zero
+const sigma = 0.001;
+const x = Array.from({ length: 20 }, (_, i) => i * 0.25);
+const errors = x.map((_, i) => (i % 3 - 1) * sigma);
+const y = x.map((t, i) => 2 * Math.exp(-0.7 * t) + errors[i]);
+const decay = ([amplitude, rate]) => t => amplitude * Math.exp(-rate * t) / sigma;
+
+describe('minimiseChiSquared', () => {
+  it('converges on a weighted fit well before the iteration limit', () => {
+    const result = minimiseChiSquared({ x, y: y.map(v => v / sigma) }, decay, { initialValues: [1, 0.2] });
+
+    expect(result.converged).toBe(true);
+    expect(result.iterations).toBeLessThan(50);
+    expect(result.parameterValues[0]).toBeCloseTo(2, 2);
+    expect(result.parameterValues[1]).toBeCloseTo(0.7, 2);
+    expect(result.parameterError).toBeGreaterThan(1);
+  });
+
+  it('reports no convergence when stopped by the iteration limit', () => {
+    const result = minimiseChiSquared({ x, y: y.map(v => v / sigma) }, decay, { initialValues: [1, 0.2], maxIterations: 2 });
+
+    expect(result.iterations).toBe(2);
+    expect(result.converged).toBe(false);
+  });
+
+  it('leaves the starting values unchanged', () => {
+    const initialValues = [1, 0.2];
+    minimiseChiSquared({ x, y: y.map(v => v / sigma) }, decay, { initialValues });
+    expect(initialValues).toEqual([1, 0.2]);
+  });
+});
@@ -1,7 +1,8 @@
 /**
  * Peak Assignment Module
  *
- * Handles automatic matching of observed chemical shifts to buffer resonances.
+ * Handles automatic matching of observed chemical shifts to buffer resonances,
+ * and of 2D cross peaks to directly bonded 1H–heteronucleus resonance pairs.
  */
 
 import { predictBufferShifts } from './bufferModel.js';
@@ -18,6 +19,17 @@ const DEFAULT_TOLERANCES = {
   '31P': 2.0
 };
 
+/**
+ * Get the assignment tolerance for a nucleus.
+ *
+ * @param {string} nucleus - Nucleus type (e.g., '19F')
+ * @param {Object} [tolerances] - Optional tolerance overrides by nucleus (ppm)
+ * @returns {number} Tolerance (ppm)
+ */
+export function getAssignmentTolerance(nucleus, tolerances = {}) {
+  return tolerances[nucleus] ?? DEFAULT_TOLERANCES[nucleus] ?? 1.0;
+}
+
 /**
  * Calculate assignment confidence based on distance and uniqueness.
  *
@@ -48,6 +60,27 @@ export function calculateConfidence(distance, tolerance, nextBestDistance = Infi
   return 'low';
 }
 
+/**
+ * Check whether an observed multiplet can belong to a resonance of the given
+ * database multiplicity.
+ *
+ * Peaks entered without a pattern match anything; a coupling constant alone
+ * rules out singlets. An unresolved 'multiplet' on either side matches any
+ * pattern other than a singlet.
+ *
+ * @param {Object} [observed] - Observed multiplet { multiplicity, coupling }
+ * @param {string} [predicted] - Database multiplicity of the resonance
+ * @returns {boolean} True if the pattern is consistent
+ */
+export function isMultiplicityCompatible(observed, predicted) {
+  if (!observed || !predicted) return true;
+  if (!observed.multiplicity) return observed.coupling == null || predicted !== 'singlet';
+  if (observed.multiplicity === 'multiplet' || predicted === 'multiplet') {
+    return (observed.multiplicity === 'singlet') === (predicted === 'singlet');
+  }
+  return observed.multiplicity === predicted;
+}
+
 /**
  * Generate all possible predictions for selected buffers at given conditions.
  *
@@ -76,6 +109,7 @@ export function generatePredictions(buffers, samplesMap, pH, temperature, ionicS
           buffer_name: buffer.buffer_name,
           resonance_id: pred.resonance_id,
           description: pred.description,
+          multiplicity: pred.multiplicity,
           predicted_shift: pred.shift
         });
       }
@@ -85,6 +119,69 @@ export function generatePredictions(buffers, samplesMap, pH, temperature, ionicS
   return allPredictions;
 }
 
+/**
+ * Describe the match between an observed shift and a chosen prediction.
+ *
+ * @param {number} observedShift - Observed chemical shift (ppm)
+ * @param {Object} match - Chosen prediction
+ * @param {Array<Object>} others - Other candidate predictions, for ambiguity checks
+ * @param {number} tolerance - Assignment tolerance (ppm)
+ * @returns {Object} Assignment object with match details
+ */
+function describeMatch(observedShift, match, others, tolerance) {
+  const distance = observedShift - match.predicted_shift;
+  const absDistance = Math.abs(distance);
+
+  // Closest alternative to the observed shift
+  let nextBest = null;
+  for (const pred of others) {
+    const d = Math.abs(observedShift - pred.predicted_shift);
+    if (!nextBest || d < nextBest.absDistance) {
+      nextBest = { ...pred, distance: observedShift - pred.predicted_shift, absDistance: d };
+    }
+  }
+  const nextBestDistance = nextBest ? nextBest.absDistance : Infinity;
+
+  const confidence = calculateConfidence(absDistance, tolerance, nextBestDistance);
+
+  if (confidence === 'none') {
+    return {
+      observed_shift: observedShift,
+      assigned: false,
+      confidence: 'none',
+      nearest: {
+        buffer_id: match.buffer_id,
+        buffer_name: match.buffer_name,
+        resonance_id: match.resonance_id,
+        predicted_shift: match.predicted_shift,
+        distance
+      },
+      message: `No prediction within tolerance (nearest: ${match.buffer_name} ${match.resonance_id} at ${match.predicted_shift.toFixed(3)} ppm)`
+    };
+  }
+
+  return {
+    observed_shift: observedShift,
+    assigned: true,
+    confidence,
+    buffer_id: match.buffer_id,
+    buffer_name: match.buffer_name,
+    resonance_id: match.resonance_id,
+    description: match.description,
+    multiplicity: match.multiplicity,
+    predicted_shift: match.predicted_shift,
+    residual: distance,
+    alternatives: confidence !== 'high' && nextBest && nextBest.absDistance < tolerance ? [{
+      buffer_id: nextBest.buffer_id,
+      buffer_name: nextBest.buffer_name,
+      resonance_id: nextBest.resonance_id,
+      multiplicity: nextBest.multiplicity,
+      predicted_shift: nextBest.predicted_shift,
+      distance: nextBest.distance
+    }] : []
+  };
+}
+
 /**
  * Assign a single observed shift to the best matching prediction.
  *
@@ -103,61 +200,475 @@ export function assignSingleShift(observedShift, predictions, tolerance) {
     };
   }
 
-  // Sort predictions by distance to observed shift
-  const withDistances = predictions.map(pred => ({
-    ...pred,
-    distance: observedShift - pred.predicted_shift,
-    absDistance: Math.abs(observedShift - pred.predicted_shift)
-  }));
+  // Find prediction nearest to observed shift
+  let bestIndex = 0;
+  for (let i = 1; i < predictions.length; i++) {
+    if (Math.abs(observedShift - predictions[i].predicted_shift)
+      < Math.abs(observedShift - predictions[bestIndex].predicted_shift)) {
+      bestIndex = i;
+    }
+  }
 
-  withDistances.sort((a, b) => a.absDistance - b.absDistance);
+  const others = predictions.filter((_, i) => i !== bestIndex);
+  return describeMatch(observedShift, predictions[bestIndex], others, tolerance);
+}
 
-  const best = withDistances[0];
-  const nextBest = withDistances[1];
-  const nextBestDistance = nextBest ? nextBest.absDistance : Infinity;
+/**
+ * Solve a rectangular assignment problem (Hungarian algorithm).
+ * Finds the row-to-column matching of minimum total cost, each column used at most once.
+ *
+ * @param {Array<Array<number>>} cost - Cost matrix (nRows x nCols), nRows <= nCols
+ * @returns {Array<number>} Column index assigned to each row
+ */
+export function solveAssignment(cost) {
+  const n = cost.length;
+  if (n === 0) return [];
+  const m = cost[0].length;
+
+  // Potentials and matching use 1-based indices; column 0 is a sentinel
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const rowForCol = new Array(m + 1).fill(0);
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    rowForCol[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = rowForCol[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
 
-  const confidence = calculateConfidence(best.absDistance, tolerance, nextBestDistance);
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[rowForCol[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+
+      j0 = j1;
+    } while (rowForCol[j0] !== 0);
+
+    // Augment along the alternating path
+    do {
+      const j1 = way[j0];
+      rowForCol[j0] = rowForCol[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const colForRow = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (rowForCol[j] !== 0) {
+      colForRow[rowForCol[j] - 1] = j - 1;
+    }
+  }
+
+  return colForRow;
+}
+
+/**
+ * Assign observed shifts for one nucleus by globally optimal matching.
+ *
+ * Minimises the total squared distance (in units of the tolerance) over all
+ * pairings. Each observed shift may instead stay unassigned at a cost equal
+ * to a match at the tolerance limit, so pairs beyond tolerance never form.
+ * Peaks entered as multiplets are only paired with resonances of a
+ * compatible multiplicity.
+ *
+ * @param {Array<number>} shifts - Observed shifts (ppm), in output order
+ * @param {Array<Object>} predictions - Predictions for this nucleus
+ * @param {number} tolerance - Assignment tolerance (ppm)
+ * @param {Object} [annotations] - Peak annotations by lock key ({ multiplicity, coupling })
+ * @returns {Array<Object>} Assignment objects, one per observed shift
+ */
+export function assignNucleusOptimal(shifts, predictions, tolerance, annotations = {}) {
+  if (predictions.length === 0) {
+    return shifts.map(shift => assignSingleShift(shift, predictions, tolerance));
+  }
+
+  const nPred = predictions.length;
+  const forbidden = 1e6;
+
+  // Columns: predictions, then one "unassigned" option per observed shift
+  const multipletOf = shift => annotations[getLockKey(shift)];
+  const compatible = (shift, pred) => isMultiplicityCompatible(multipletOf(shift), pred.multiplicity);
+
+  const cost = shifts.map((shift, i) => {
+    const row = predictions.map(pred => {
+      const d = Math.abs(shift - pred.predicted_shift) / tolerance;
+      return d <= 1 && compatible(shift, pred) ? d * d : forbidden;
+    });
+    for (let k = 0; k < shifts.length; k++) {
+      row.push(k === i ? 1 : forbidden);
+    }
+    return row;
+  });
+
+  const columns = solveAssignment(cost);
+
+  return shifts.map((shift, i) => {
+    const column = columns[i];
+
+    if (column < nPred) {
+      // Alternatives exclude predictions taken by other peaks or of another pattern
+      const others = predictions.filter((pred, j) =>
+        j !== column && !columns.some((c, k) => k !== i && c === j) && compatible(shift, pred)
+      );
+      return describeMatch(shift, predictions[column], others, tolerance);
+    }
+
+    // Left unassigned: report the nearest prediction for diagnostics
+    const single = assignSingleShift(shift, predictions, tolerance);
+    if (!single.assigned) {
+      return single;
+    }
+
+    if (!isMultiplicityCompatible(multipletOf(shift), single.multiplicity)) {
+      return {
+        observed_shift: shift,
+        assigned: false,
+        confidence: 'none',
+        nearest: {
+          buffer_id: single.buffer_id,
+          buffer_name: single.buffer_name,
+          resonance_id: single.resonance_id,
+          predicted_shift: single.predicted_shift,
+          distance: single.residual
+        },
+        message: `Observed ${multipletOf(shift).multiplicity ?? 'coupled peak'} does not match nearest prediction `
+          + `(${single.buffer_name} ${single.resonance_id}, ${single.multiplicity}, at ${single.predicted_shift.toFixed(3)} ppm)`
+      };
+    }
 
-  if (confidence === 'none') {
     return {
-      observed_shift: observedShift,
+      observed_shift: shift,
       assigned: false,
       confidence: 'none',
       nearest: {
-        buffer_id: best.buffer_id,
-        buffer_name: best.buffer_name,
-        resonance_id: best.resonance_id,
-        predicted_shift: best.predicted_shift,
-        distance: best.distance
+        buffer_id: single.buffer_id,
+        buffer_name: single.buffer_name,
+        resonance_id: single.resonance_id,
+        predicted_shift: single.predicted_shift,
+        distance: single.residual
       },
-      message: `No prediction within tolerance (nearest: ${best.buffer_name} ${best.resonance_id} at ${best.predicted_shift.toFixed(3)} ppm)`
+      message: `Nearest prediction (${single.buffer_name} ${single.resonance_id} at ${single.predicted_shift.toFixed(3)} ppm) is assigned to another peak`
     };
-  }
+  });
+}
+
+/**
+ * Find the directly bonded 1H–heteronucleus resonance pairs of the selected
+ * buffers, as recorded by the bonded_to field of their 1H resonances.
+ *
+ * @param {Array<Object>} buffers - Array of selected buffer objects
+ * @param {string} nucleus - Heteronucleus (e.g., '13C')
+ * @returns {Array<Object>} Pairs { buffer_id, proton, heteronucleus } of resonance IDs
+ */
+export function getBondedPairs(buffers, nucleus) {
+  return buffers.flatMap(buffer => (buffer.chemical_shifts['1H'] ?? [])
+    .filter(resonance =>
+      resonance.bonded_to?.nucleus === nucleus &&
+      (buffer.chemical_shifts[nucleus] ?? []).some(r => r.resonance_id === resonance.bonded_to.resonance_id)
+    )
+    .map(resonance => ({
+      buffer_id: buffer.buffer_id,
+      proton: resonance.resonance_id,
+      heteronucleus: resonance.bonded_to.resonance_id
+    }))
+  );
+}
 
+/**
+ * Build the assignment of one coordinate of a cross peak.
+ *
+ * @param {number} shift - Observed shift of this coordinate (ppm)
+ * @param {Object} prediction - Prediction of the resonance in this dimension
+ * @param {Object} correlation - Other coordinate { nucleus, observed_shift, resonance_id }
+ * @param {string} confidence - Confidence of the pair match
+ * @returns {Object} Assignment object
+ */
+function describeCorrelationMatch(shift, prediction, correlation, confidence) {
   return {
-    observed_shift: observedShift,
+    observed_shift: shift,
     assigned: true,
     confidence,
-    buffer_id: best.buffer_id,
-    buffer_name: best.buffer_name,
-    resonance_id: best.resonance_id,
-    description: best.description,
-    predicted_shift: best.predicted_shift,
-    residual: best.distance,
-    alternatives: confidence !== 'high' && nextBest && nextBest.absDistance < tolerance ? [{
-      buffer_id: nextBest.buffer_id,
-      buffer_name: nextBest.buffer_name,
-      resonance_id: nextBest.resonance_id,
-      predicted_shift: nextBest.predicted_shift,
-      distance: nextBest.distance
-    }] : []
+    buffer_id: prediction.buffer_id,
+    buffer_name: prediction.buffer_name,
+    resonance_id: prediction.resonance_id,
+    description: prediction.description,
+    multiplicity: prediction.multiplicity,
+    predicted_shift: prediction.predicted_shift,
+    residual: shift - prediction.predicted_shift,
+    alternatives: [],
+    correlation
+  };
+}
+
+/**
+ * Assign 2D cross peaks (δH, δX) jointly to bonded resonance pairs.
+ *
+ * A cross peak can only match a pair that lies within tolerance in both
+ * dimensions, so both coordinates always belong to the same buffer. Pairs
+ * are matched optimally as in assignNucleusOptimal, with the squared
+ * distances of both dimensions (in units of their tolerances) summed.
+ *
+ * @param {Array<Array<number>>} peaks - Cross peaks [δH, δX] (ppm)
+ * @param {Array<Object>} pairPredictions - Pairs { proton, heteronucleus } of predictions
+ * @param {string} nucleus - Heteronucleus (e.g., '13C')
+ * @param {number} protonTolerance - Assignment tolerance for 1H (ppm)
+ * @param {number} tolerance - Assignment tolerance for the heteronucleus (ppm)
+ * @returns {Array<Array<Object>>} [1H assignment, heteronucleus assignment] per cross peak,
+ *   each linked to the other coordinate by `correlation`
+ */
+export function assignCorrelationsOptimal(peaks, pairPredictions, nucleus, protonTolerance, tolerance) {
+  const forbidden = 1e6;
+  const nPairs = pairPredictions.length;
+
+  // Largest distance of the two dimensions, in units of their tolerances
+  const distance = ([h, x], pair) => Math.max(
+    Math.abs(h - pair.proton.predicted_shift) / protonTolerance,
+    Math.abs(x - pair.heteronucleus.predicted_shift) / tolerance
+  );
+
+  // Columns: pairs, then one "unassigned" option per cross peak
+  const cost = peaks.map(([h, x], i) => {
+    const row = pairPredictions.map(pair => distance([h, x], pair) <= 1
+      ? ((h - pair.proton.predicted_shift) / protonTolerance) ** 2 +
+        ((x - pair.heteronucleus.predicted_shift) / tolerance) ** 2
+      : forbidden
+    );
+    for (let k = 0; k < peaks.length; k++) {
+      row.push(k === i ? 2 : forbidden);
+    }
+    return row;
+  });
+
+  const columns = solveAssignment(cost);
+
+  return peaks.map(([h, x], i) => {
+    const column = columns[i];
+
+    if (column < nPairs) {
+      const pair = pairPredictions[column];
+      const free = pairPredictions.filter((_, j) => j !== column && !columns.includes(j));
+      const nextBest = Math.min(Infinity, ...free.map(other => distance([h, x], other)));
+      const confidence = calculateConfidence(distance([h, x], pair), 1, nextBest);
+
+      return [
+        describeCorrelationMatch(h, pair.proton, {
+          nucleus, observed_shift: x, resonance_id: pair.heteronucleus.resonance_id
+        }, confidence),
+        describeCorrelationMatch(x, pair.heteronucleus, {
+          nucleus: '1H', observed_shift: h, resonance_id: pair.proton.resonance_id
+        }, confidence)
+      ];
+    }
+
+    // Left unassigned: report the nearest pair for diagnostics
+    let nearest = null;
+    for (const pair of pairPredictions) {
+      if (!nearest || distance([h, x], pair) < distance([h, x], nearest)) {
+        nearest = pair;
+      }
+    }
+
+    let message = `No bonded 1H–${nucleus} pairs in the selected buffers`;
+    if (nearest) {
+      const where = `${nearest.proton.buffer_name} ${nearest.proton.resonance_id}/${nearest.heteronucleus.resonance_id} `
+        + `at ${nearest.proton.predicted_shift.toFixed(3)}, ${nearest.heteronucleus.predicted_shift.toFixed(2)} ppm`;
+      message = distance([h, x], nearest) <= 1
+        ? `Nearest bonded pair (${where}) is assigned to another cross peak`
+        : `No bonded pair within tolerance in both dimensions (nearest: ${where})`;
+    }
+
+    const unassigned = (shift, correlation) => ({
+      observed_shift: shift,
+      assigned: false,
+      confidence: 'none',
+      correlation,
+      message
+    });
+
+    return [
+      unassigned(h, { nucleus, observed_shift: x }),
+      unassigned(x, { nucleus: '1H', observed_shift: h })
+    ];
+  });
+}
+
+/**
+ * Key identifying an observed shift in the assignment locks.
+ * Shifts are matched to 4 decimal places, finer than any entered precision.
+ *
+ * @param {number} shift - Observed chemical shift (ppm)
+ * @returns {string} Lock key
+ */
+export function getLockKey(shift) {
+  return shift.toFixed(4);
+}
+
+/**
+ * Find resonances pinned to more than one observed shift. Each resonance can
+ * only be assigned once, so such locks contradict each other.
+ *
+ * @param {Object} observedShifts - Object mapping nucleus -> array of observed shifts
+ * @param {Object} locks - Manual locks: { nucleus: { lockKey: { action, buffer_id, resonance_id } } }
+ * @returns {Array<Object>} { nucleus, buffer_id, resonance_id, shifts } for each resonance pinned twice or more
+ */
+export function findDuplicatePins(observedShifts, locks) {
+  const duplicates = [];
+
+  for (const [nucleus, shifts] of Object.entries(observedShifts)) {
+    const pinned = new Map();
+    for (const shift of [...shifts].sort((a, b) => a - b)) {
+      const lock = locks[nucleus]?.[getLockKey(shift)];
+      if (lock?.action !== 'pin') continue;
+
+      const key = `${lock.buffer_id}:${lock.resonance_id}`;
+      if (!pinned.has(key)) {
+        pinned.set(key, { nucleus, buffer_id: lock.buffer_id, resonance_id: lock.resonance_id, shifts: [] });
+      }
+      pinned.get(key).shifts.push(shift);
+    }
+    duplicates.push(...[...pinned.values()].filter(pin => pin.shifts.length > 1));
+  }
+
+  return duplicates;
+}
+
+/**
+ * Find the resonances a "buffer:resonance" label can refer to.
+ *
+ * The buffer part may be the buffer ID, the buffer name or one word of the
+ * ID (e.g. "tfea" for "waudby_2024_tfea_10pctD2O"); both parts are matched
+ * without regard to case. A label is usable only if exactly one resonance matches.
+ *
+ * @param {Object} label - { buffer, resonance }
+ * @param {Array<Object>} buffers - Selected buffer objects
+ * @param {string} nucleus - Nucleus of the labelled peak
+ * @returns {Array<Object>} Matching { buffer_id, resonance_id }
+ */
+export function findResonancesByLabel(label, buffers, nucleus) {
+  const bufferKey = label.buffer.toLowerCase();
+  const resonanceKey = label.resonance.toLowerCase();
+
+  return buffers
+    .filter(buffer =>
+      buffer.buffer_id.toLowerCase() === bufferKey ||
+      buffer.buffer_name?.toLowerCase() === bufferKey ||
+      buffer.buffer_id.toLowerCase().split('_').includes(bufferKey)
+    )
+    .flatMap(buffer => (buffer.chemical_shifts[nucleus] ?? [])
+      .filter(resonance => resonance.resonance_id.toLowerCase() === resonanceKey)
+      .map(resonance => ({ buffer_id: buffer.buffer_id, resonance_id: resonance.resonance_id }))
+    );
+}
+
+/**
+ * Build the assignment for a manually locked observed shift.
+ *
+ * @param {number} shift - Observed chemical shift (ppm)
+ * @param {Object} lock - { action: 'pin' | 'ignore' | 'unassign', buffer_id, resonance_id }
+ * @param {Array<Object>} predictions - Predictions for this nucleus
+ * @param {Array<Object>} pinned - Assignments already pinned for this nucleus
+ * @returns {Object} Assignment object
+ */
+function applyLock(shift, lock, predictions, pinned) {
+  if (lock.action === 'ignore') {
+    return {
+      observed_shift: shift,
+      assigned: false,
+      confidence: 'none',
+      locked: 'ignore',
+      ignored: true,
+      message: `Peak at ${shift.toFixed(3)} ppm ignored`
+    };
+  }
+
+  if (lock.action === 'unassign') {
+    return {
+      observed_shift: shift,
+      assigned: false,
+      confidence: 'none',
+      locked: 'unassign',
+      message: `Peak at ${shift.toFixed(3)} ppm unassigned manually`
+    };
+  }
+
+  // A resonance can only be pinned once; later pins to it are not applied
+  const earlier = pinned.find(a => a.buffer_id === lock.buffer_id && a.resonance_id === lock.resonance_id);
+  if (earlier) {
+    return {
+      observed_shift: shift,
+      assigned: false,
+      confidence: 'none',
+      locked: 'pin',
+      message: `Resonance ${lock.resonance_id} of ${lock.buffer_id} is already pinned to the peak at ` +
+        `${earlier.observed_shift.toFixed(3)} ppm`
+    };
+  }
+
+  const prediction = predictions.find(p =>
+    p.buffer_id === lock.buffer_id && p.resonance_id === lock.resonance_id
+  );
+
+  if (!prediction) {
+    return {
+      observed_shift: shift,
+      assigned: false,
+      confidence: 'none',
+      locked: 'pin',
+      message: `Pinned resonance ${lock.resonance_id} of ${lock.buffer_id} is not among the selected buffers`
+    };
+  }
+
+  return {
+    observed_shift: shift,
+    assigned: true,
+    buffer_id: prediction.buffer_id,
+    buffer_name: prediction.buffer_name,
+    resonance_id: prediction.resonance_id,
+    description: prediction.description,
+    multiplicity: prediction.multiplicity,
+    predicted_shift: prediction.predicted_shift,
+    residual: shift - prediction.predicted_shift,
+    confidence: 'manual',
+    locked: 'pin',
+    alternatives: []
   };
 }
 
 /**
- * Assign all observed shifts to predictions using greedy matching.
+ * Assign all observed shifts to predictions using globally optimal matching.
  * Each prediction can only be assigned once.
  *
+ * Manual locks take precedence: pinned shifts keep their resonance (which is
+ * then unavailable to other peaks, and a second pin to it is not applied,
+ * see findDuplicatePins), and ignored or unassigned shifts are left
+ * out of the matching. Peak annotations (e.g. observed multiplets) are
+ * attached to their assignments. 2D cross peaks are assigned separately
+ * (see assignCorrelationsOptimal) and follow the 1D peaks of each nucleus.
+ *
  * @param {Object} observedShifts - Object mapping nucleus -> array of observed shifts
  * @param {Array<Object>} buffers - Array of selected buffer objects
  * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
@@ -165,6 +676,10 @@ export function assignSingleShift(observedShift, predictions, tolerance) {
  * @param {number} temperature - Temperature (K)
  * @param {number} ionicStrength - Ionic strength (M)
  * @param {Object} [tolerances] - Optional custom tolerances by nucleus
+ * @param {Object} [referenceOffsets] - Optional reference offsets by nucleus (ppm), added to predictions
+ * @param {Object} [locks] - Manual locks: { nucleus: { lockKey: { action, buffer_id, resonance_id } } }
+ * @param {Object} [annotations] - Peak annotations: { nucleus: { lockKey: { multiplicity, coupling, ... } } }
+ * @param {Object} [correlations] - 2D cross peaks: { heteronucleus: [[δH, δX], ...] }
  * @returns {Object} Assignment results by nucleus
  */
 export function assignPeaks(
@@ -174,45 +689,148 @@ export function assignPeaks(
   pH,
   temperature,
   ionicStrength,
-  tolerances = {}
+  tolerances = {},
+  referenceOffsets = {},
+  locks = {},
+  annotations = {},
+  correlations = {}
 ) {
   // Generate all predictions
   const predictions = generatePredictions(buffers, samplesMap, pH, temperature, ionicStrength);
+  const predictionsFor = nucleus => {
+    const refOffset = referenceOffsets[nucleus] ?? 0;
+    return (predictions[nucleus] ?? []).map(p =>
+      refOffset ? { ...p, predicted_shift: p.predicted_shift + refOffset } : p
+    );
+  };
 
   const assignments = {};
-  const usedPredictions = new Set();
 
   for (const [nucleus, shifts] of Object.entries(observedShifts)) {
-    const nucleusPredictions = predictions[nucleus] ?? [];
-    const tolerance = tolerances[nucleus] ?? DEFAULT_TOLERANCES[nucleus] ?? 1.0;
-
-    assignments[nucleus] = [];
+    const nucleusPredictions = predictionsFor(nucleus);
+    const tolerance = getAssignmentTolerance(nucleus, tolerances);
 
     // Sort observed shifts for consistent ordering
     const sortedShifts = [...shifts].sort((a, b) => a - b);
 
-    for (const observedShift of sortedShifts) {
-      // Filter out already-used predictions
-      const availablePredictions = nucleusPredictions.filter(
-        p => !usedPredictions.has(`${p.buffer_id}:${p.resonance_id}`)
-      );
-
-      const assignment = assignSingleShift(observedShift, availablePredictions, tolerance);
-
-      if (assignment.assigned) {
-        usedPredictions.add(`${assignment.buffer_id}:${assignment.resonance_id}`);
+    const nucleusLocks = locks[nucleus] ?? {};
+    const lockFor = shift => nucleusLocks[getLockKey(shift)];
+
+    const lockedAssignments = new Map();
+    const pinned = [];
+    for (const shift of sortedShifts) {
+      const lock = lockFor(shift);
+      if (lock) {
+        const assignment = applyLock(shift, lock, nucleusPredictions, pinned);
+        lockedAssignments.set(shift, assignment);
+        if (assignment.assigned) pinned.push(assignment);
       }
+    }
 
-      assignments[nucleus].push({
-        ...assignment,
-        nucleus
+    // Pinned resonances are unavailable to the automatic assignment
+    const freePredictions = nucleusPredictions.filter(p =>
+      !pinned.some(a => a.buffer_id === p.buffer_id && a.resonance_id === p.resonance_id)
+    );
+    const freeShifts = sortedShifts.filter(shift => !lockedAssignments.has(shift));
+    const nucleusAnnotations = annotations[nucleus] ?? {};
+    const automatic = assignNucleusOptimal(freeShifts, freePredictions, tolerance, nucleusAnnotations);
+
+    let nextAutomatic = 0;
+    assignments[nucleus] = sortedShifts
+      .map(shift => lockedAssignments.get(shift) ?? automatic[nextAutomatic++])
+      .map(assignment => {
+        const annotation = nucleusAnnotations[getLockKey(assignment.observed_shift)];
+        return {
+          ...assignment,
+          nucleus,
+          ...(annotation && { annotation })
+        };
       });
+  }
+
+  // Cross peaks are matched to bonded pairs in both dimensions at once, and
+  // each coordinate joins its nucleus as an observation linked to the other.
+  // They are not subject to locks or annotations, which belong to 1D peaks.
+  for (const [nucleus, peaks] of Object.entries(correlations)) {
+    const protonPredictions = predictionsFor('1H');
+    const heteroPredictions = predictionsFor(nucleus);
+    const pairPredictions = getBondedPairs(buffers, nucleus).map(pair => ({
+      proton: protonPredictions.find(p => p.buffer_id === pair.buffer_id && p.resonance_id === pair.proton),
+      heteronucleus: heteroPredictions.find(p => p.buffer_id === pair.buffer_id && p.resonance_id === pair.heteronucleus)
+    })).filter(pair => pair.proton && pair.heteronucleus);
+
+    const sortedPeaks = [...peaks].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const matched = assignCorrelationsOptimal(
+      sortedPeaks,
+      pairPredictions,
+      nucleus,
+      getAssignmentTolerance('1H', tolerances),
+      getAssignmentTolerance(nucleus, tolerances)
+    );
+
+    for (const [proton, heteronucleus] of matched) {
+      assignments['1H'] = [...(assignments['1H'] ?? []), { ...proton, nucleus: '1H' }];
+      assignments[nucleus] = [...(assignments[nucleus] ?? []), { ...heteronucleus, nucleus }];
     }
   }
 
   return assignments;
 }
 
+/**
+ * Update predicted shifts and residuals of existing assignments at new conditions.
+ * The pairing of observed shifts to resonances is kept unchanged.
+ *
+ * @param {Object} assignments - Assignment results by nucleus
+ * @param {Array<Object>} buffers - Array of selected buffer objects
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {number} pH - pH value for predictions
+ * @param {number} temperature - Temperature (K)
+ * @param {number} ionicStrength - Ionic strength (M)
+ * @param {Object} [referenceOffsets] - Optional reference offsets by nucleus (ppm), added to predictions
+ * @returns {Object} Updated assignment results by nucleus
+ */
+export function updateAssignmentPredictions(
+  assignments,
+  buffers,
+  samplesMap,
+  pH,
+  temperature,
+  ionicStrength,
+  referenceOffsets = {}
+) {
+  const predictions = generatePredictions(buffers, samplesMap, pH, temperature, ionicStrength);
+  const updated = {};
+
+  for (const [nucleus, nucleusAssignments] of Object.entries(assignments)) {
+    const refOffset = referenceOffsets[nucleus] ?? 0;
+
+    updated[nucleus] = nucleusAssignments.map(assignment => {
+      if (!assignment.assigned) {
+        return { ...assignment };
+      }
+
+      const prediction = (predictions[nucleus] ?? []).find(p =>
+        p.buffer_id === assignment.buffer_id && p.resonance_id === assignment.resonance_id
+      );
+
+      if (!prediction) {
+        return { ...assignment };
+      }
+
+      const predictedShift = prediction.predicted_shift + refOffset;
+
+      return {
+        ...assignment,
+        predicted_shift: predictedShift,
+        residual: assignment.observed_shift - predictedShift
+      };
+    });
+  }
+
+  return updated;
+}
+
 /**
  * Calculate assignment quality metrics.
  *
@@ -246,7 +864,7 @@ export function calculateAssignmentQuality(assignments) {
             lowConfidence++;
             break;
         }
-      } else {
+      } else if (!assignment.ignored) {
         totalUnassigned++;
       }
     }
@@ -269,22 +887,30 @@ export function calculateAssignmentQuality(assignments) {
 
 /**
  * Get flat array of all assignments for fitting.
+ * Peaks locked as ignored or unassigned are always excluded, even if the
+ * assignments were produced without the locks. Both coordinates of an
+ * assigned cross peak are included, each marked with its `correlation`.
  *
  * @param {Object} assignments - Assignment results from assignPeaks
+ * @param {Object} [locks] - Manual locks by nucleus and lock key
  * @returns {Array<Object>} Flat array of assigned peaks
  */
-export function getAssignedPeaksForFitting(assignments) {
+export function getAssignedPeaksForFitting(assignments, locks = {}) {
   const peaks = [];
 
   for (const [nucleus, nucleusAssignments] of Object.entries(assignments)) {
     for (const assignment of nucleusAssignments) {
-      if (assignment.assigned) {
+      const lock = !assignment.correlation && locks[nucleus]?.[getLockKey(assignment.observed_shift)];
+      const excluded = lock && lock.action !== 'pin';
+
+      if (assignment.assigned && !excluded) {
         peaks.push({
           nucleus,
           observed_shift: assignment.observed_shift,
           buffer_id: assignment.buffer_id,
           resonance_id: assignment.resonance_id,
-          predicted_shift: assignment.predicted_shift
+          predicted_shift: assignment.predicted_shift,
+          ...(assignment.correlation && { correlation: assignment.correlation })
         });
       }
     }
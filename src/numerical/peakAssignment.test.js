@@ -0,0 +1,167 @@
+import { describe, expect, it } from 'vitest';
+import {
+  assignCorrelationsOptimal,
+  assignNucleusOptimal,
+  assignPeaks,
+  findDuplicatePins,
+  getBondedPairs,
+  getLockKey,
+  solveAssignment
+} from './peakAssignment.js';
+import { predictBufferShifts } from './bufferModel.js';
+
+// Single-step buffer with two 1H and two 19F resonances
+const sample = { sample_id: 'sample', solvent: 'H2O', reference_temperature_K: 298.15, reference_ionic_strength_M: 0 };
+const resonance = (resonance_id, acid, base) => ({
+  resonance_id,
+  limiting_shifts: [
+    { ionisation_state: 0, shift_ppm: [acid, 0.005] },
+    { ionisation_state: 1, shift_ppm: [base, 0.005] }
+  ]
+});
+const buffer = {
+  buffer_id: 'buffer',
+  buffer_name: 'Buffer',
+  sample_id: 'sample',
+  ionisation_states: 2,
+  pKa_parameters: [{ pKa_index: 1, pKa: [5.8, 0.02], protonated_charge: 1 }],
+  chemical_shifts: {
+    '1H': [resonance('H1', 3.40, 3.00), resonance('H2', 2.20, 1.90)],
+    '19F': [resonance('F1', -75.0, -76.2), resonance('F2', -75.4, -75.9)]
+  }
+};
+const samplesMap = new Map([['sample', sample]]);
+
+const truth = { pH: 5.6, temperature: 298.15, ionicStrength: 0.1 };
+const observed = Object.fromEntries(
+  Object.entries(predictBufferShifts(buffer, truth.pH, truth.temperature, truth.ionicStrength, sample))
+    .map(([nucleus, predictions]) => [nucleus, predictions.map(p => p.shift)])
+);
+
+const prediction = (resonance_id, predicted_shift) => ({
+  buffer_id: 'buffer',
+  buffer_name: 'Buffer',
+  resonance_id,
+  predicted_shift
+});
+
+describe('solveAssignment', () => {
+  it('finds the matching of least total cost', () => {
+    // Greedy row-by-row choice (column 0 for row 0) costs 1 + 10 = 11
+    const cost = [
+      [1, 2, 9],
+      [2, 10, 9]
+    ];
+    expect(solveAssignment(cost)).toEqual([1, 0]);
+  });
+
+  it('uses each column at most once', () => {
+    const columns = solveAssignment([[1, 5], [1, 5]]);
+    expect(new Set(columns).size).toBe(2);
+  });
+});
+
+describe('assignNucleusOptimal', () => {
+  it('pairs peaks and resonances globally rather than by nearest prediction', () => {
+    // Both peaks are nearest to A, but only one can take it
+    const predictions = [prediction('A', 1.00), prediction('B', 1.05)];
+    const assignments = assignNucleusOptimal([1.01, 1.03], predictions, 0.1);
+
+    expect(assignments.map(a => a.resonance_id)).toEqual(['A', 'B']);
+  });
+
+  it('leaves peaks beyond the tolerance unassigned', () => {
+    const [assignment] = assignNucleusOptimal([2.0], [prediction('A', 1.0)], 0.1);
+    expect(assignment.assigned).toBe(false);
+  });
+});
+
+describe('getBondedPairs', () => {
+  it('pairs 1H resonances with the heteronuclear resonance they are bonded to', () => {
+    const bonded = {
+      buffer_id: 'bonded',
+      chemical_shifts: {
+        '1H': [
+          { resonance_id: 'H1', bonded_to: { nucleus: '13C', resonance_id: 'C1' } },
+          { resonance_id: 'H2', bonded_to: { nucleus: '13C', resonance_id: 'C9' } },
+          { resonance_id: 'H3' }
+        ],
+        '13C': [{ resonance_id: 'C1' }]
+      }
+    };
+
+    expect(getBondedPairs([bonded, buffer], '13C')).toEqual([{ buffer_id: 'bonded', proton: 'H1', heteronucleus: 'C1' }]);
+  });
+});
+
+describe('assignCorrelationsOptimal', () => {
+  const pairs = [
+    { proton: prediction('H1', 3.40), heteronucleus: prediction('C1', 60.0) },
+    { proton: prediction('H2', 3.42), heteronucleus: prediction('C2', 52.0) }
+  ];
+
+  it('matches both coordinates of a cross peak to the same bonded pair', () => {
+    // The 1H shift alone is closer to H2, the 13C shift decides
+    const [[proton, carbon]] = assignCorrelationsOptimal([[3.415, 59.8]], pairs, '13C', 0.05, 1.0);
+
+    expect(proton).toMatchObject({ assigned: true, resonance_id: 'H1', correlation: { nucleus: '13C', resonance_id: 'C1' } });
+    expect(carbon).toMatchObject({ assigned: true, resonance_id: 'C1', correlation: { nucleus: '1H', resonance_id: 'H1' } });
+  });
+
+  it('leaves a cross peak unassigned when one dimension is beyond tolerance', () => {
+    const [[proton, carbon]] = assignCorrelationsOptimal([[3.40, 70.0]], pairs, '13C', 0.05, 1.0);
+    expect(proton.assigned || carbon.assigned).toBe(false);
+  });
+});
+
+describe('findDuplicatePins', () => {
+  const [first, second] = observed['19F'];
+  const pin = { action: 'pin', buffer_id: 'buffer', resonance_id: 'F1' };
+
+  it('reports a resonance pinned to two peaks', () => {
+    const locks = { '19F': { [getLockKey(first)]: pin, [getLockKey(second)]: pin } };
+
+    expect(findDuplicatePins(observed, locks)).toEqual([{
+      nucleus: '19F',
+      buffer_id: 'buffer',
+      resonance_id: 'F1',
+      shifts: [first, second].sort((a, b) => a - b)
+    }]);
+  });
+
+  it('ignores locks of shifts that are no longer observed', () => {
+    const locks = { '19F': { [getLockKey(first)]: pin, [getLockKey(-100)]: pin } };
+    expect(findDuplicatePins(observed, locks)).toEqual([]);
+  });
+});
+
+describe('assignPeaks', () => {
+  const assign = locks => assignPeaks(
+    observed, [buffer], samplesMap, truth.pH, truth.temperature, truth.ionicStrength, {}, {}, locks
+  );
+
+  it('assigns every peak to its own resonance at the true conditions', () => {
+    const assignments = assign({});
+
+    for (const [nucleus, shifts] of Object.entries(observed)) {
+      const byShift = new Map(assignments[nucleus].map(a => [a.observed_shift, a.resonance_id]));
+      expect(shifts.map(shift => byShift.get(shift))).toEqual(buffer.chemical_shifts[nucleus].map(r => r.resonance_id));
+    }
+  });
+
+  it('applies only the first of two pins to the same resonance', () => {
+    const [low, high] = [...observed['19F']].sort((a, b) => a - b);
+    const pin = { action: 'pin', buffer_id: 'buffer', resonance_id: 'F2' };
+    const [first, second] = assign({ '19F': { [getLockKey(low)]: pin, [getLockKey(high)]: pin } })['19F'];
+
+    expect(first).toMatchObject({ observed_shift: low, assigned: true, resonance_id: 'F2', locked: 'pin' });
+    expect(second).toMatchObject({ observed_shift: high, assigned: false, locked: 'pin' });
+    expect(second.message).toMatch(/already pinned/);
+  });
+
+  it('keeps ignored peaks out of the assignment', () => {
+    const [shift] = observed['1H'];
+    const assignments = assign({ '1H': { [getLockKey(shift)]: { action: 'ignore' } } })['1H'];
+    expect(assignments.find(a => a.observed_shift === shift)).toMatchObject({ assigned: false, ignored: true });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Profile Likelihood Module
+ *
+ * Asymmetric confidence intervals for pH from the profile of χ²: pH is stepped
+ * away from the best fit while the nuisance parameters (temperature, ionic
+ * strength, reference offsets) are re-optimised at every step.
+ */
+
+import {
+  buildParameterVector,
+  createModelFunction,
+  calculatePeakUncertainties,
+  countReferenceFreeNuclei
+} from './fitting.js';
+import { minimiseChiSquared } from './optimiser.js';
+import { getAssignedPeaksForFitting } from './peakAssignment.js';
+
+/**
+ * Default profile options.
+ */
+const DEFAULT_PROFILE_OPTIONS = {
+  deltaChiSquared: 1, // Threshold for the interval (1 = 68% for one parameter)
+  initialStep: 0.02, // First pH step away from the best fit
+  maxStep: 0.5, // Largest pH step while searching for the crossing
+  bisections: 12,
+  maxIterations: 50
+};
+
+/**
+ * Create the profile χ² function for pH.
+ * Peak assignments and uncertainties are held at their best-fit values.
+ *
+ * @param {Object} fitResult - Successful result from fitParameters
+ * @param {Array<Object>} buffers - Array of selected buffer objects
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} options - Fitting options used for the fit
+ * @param {number} maxIterations - Maximum iterations for each nuisance re-optimisation
+ * @returns {Object} { profile: (pH, startNuisance) -> { chiSquared, nuisance, converged }, bestNuisance,
+ *   nObservations, nParameters }
+ */
+function createProfileFunction(fitResult, buffers, samplesMap, options, maxIterations) {
+  const opts = {
+    refineReferences: {},
+    indirectReferences: {},
+    referenceFree: {},
+    measurementUncertainties: {},
+    shiftUncertainties: {},
+    weighted: true,
+    ...options
+  };
+
+  const baseConditions = {
+    ...fitResult.conditions,
+    indirectReferences: opts.indirectReferences,
+    protonFrequency: opts.protonFrequency ?? null,
+    referenceFree: opts.referenceFree
+  };
+  const { params: bestParams, parameterMap } = buildParameterVector(baseConditions, opts);
+
+  const buffersMap = new Map(buffers.map(b => [b.buffer_id, b]));
+  const assignedPeaks = getAssignedPeaksForFitting(fitResult.assignments, opts.assignmentLocks);
+  const sigmas = opts.weighted
+    ? calculatePeakUncertainties(
+      assignedPeaks,
+      buffersMap,
+      samplesMap,
+      fitResult.conditions,
+      opts.measurementUncertainties,
+      opts.shiftUncertainties
+    )
+    : assignedPeaks.map(() => 1);
+
+  const modelFn = createModelFunction(assignedPeaks, buffersMap, samplesMap, parameterMap, baseConditions, sigmas);
+  const yData = assignedPeaks.map((p, i) => p.observed_shift / sigmas[i]);
+  const pHIndex = parameterMap.pH.index;
+
+  const withPH = (pH, nuisance) => {
+    const params = [...nuisance];
+    params.splice(pHIndex, 0, pH);
+    return params;
+  };
+  const chiSquaredAt = params => modelFn(params)
+    .reduce((sum, predicted, i) => sum + (yData[i] - predicted / sigmas[i]) ** 2, 0);
+
+  // Bounds of the nuisance parameters, as in fitParameters
+  const bounds = Object.entries(parameterMap)
+    .filter(([key]) => key !== 'pH')
+    .sort((a, b) => a[1].index - b[1].index)
+    .map(([key]) => {
+      if (key === 'temperature') return [273, 373];
+      if (key === 'ionicStrength') return [0, 1];
+      return [-10, 10];
+    });
+
+  const bestNuisance = bestParams.filter((_, i) => i !== pHIndex);
+
+  const profile = (pH, startNuisance = bestNuisance) => {
+    if (startNuisance.length === 0) {
+      return { chiSquared: chiSquaredAt([pH]), nuisance: [], converged: true };
+    }
+
+    const result = minimiseChiSquared(
+      { x: yData.map((_, i) => i), y: yData },
+      nuisance => {
+        const predicted = modelFn(withPH(pH, nuisance));
+        return x => predicted[x] / sigmas[x];
+      },
+      {
+        initialValues: startNuisance,
+        minValues: bounds.map(b => b[0]),
+        maxValues: bounds.map(b => b[1]),
+        maxIterations
+      }
+    );
+
+    return {
+      chiSquared: chiSquaredAt(withPH(pH, result.parameterValues)),
+      nuisance: result.parameterValues,
+      converged: result.converged
+    };
+  };
+
+  const nObservations = assignedPeaks.length - countReferenceFreeNuclei(assignedPeaks, opts.referenceFree);
+
+  return { profile, bestNuisance, nObservations, nParameters: bestParams.length };
+}
+
+/**
+ * Calculate a profile-likelihood confidence interval for pH.
+ *
+ * The profile is walked outwards from the best-fit pH with growing steps until
+ * Δχ² exceeds the threshold, then the crossing is located by bisection. If the
+ * scatter exceeds that expected from the peak uncertainties, Δχ² is scaled by
+ * the reduced χ², as for the Jacobian-based uncertainty. An interval that
+ * reaches pH 0 or 14 without crossing is reported as open at that end, and
+ * the number of profile points whose re-optimisation did not converge is
+ * reported with it.
+ *
+ * @param {Object} fitResult - Successful result from fitParameters
+ * @param {Array<Object>} buffers - Array of selected buffer objects
+ * @param {Map<string, Object>} samplesMap - Map of sample_id to sample object
+ * @param {Object} [options] - Fitting options used for the fit
+ * @param {Object} [profileOptions] - Profile options (see DEFAULT_PROFILE_OPTIONS)
+ * @returns {Object} { success, pH, lower, upper, lowerOpen, upperOpen, deltaChiSquared, profile, converged, nUnconverged }
+ */
+export function calculatePHProfileInterval(fitResult, buffers, samplesMap, options = {}, profileOptions = {}) {
+  const { deltaChiSquared, initialStep, maxStep, bisections, maxIterations } = {
+    ...DEFAULT_PROFILE_OPTIONS,
+    ...profileOptions
+  };
+
+  if (!fitResult?.success) {
+    return { success: false, error: 'No successful fit to profile' };
+  }
+
+  const { profile: profileAt, nObservations, nParameters } =
+    createProfileFunction(fitResult, buffers, samplesMap, options, maxIterations);
+
+  let nUnconverged = 0;
+  const profile = (pH, startNuisance) => {
+    const point = profileAt(pH, startNuisance);
+    if (!point.converged) nUnconverged++;
+    return point;
+  };
+
+  const pHBest = fitResult.conditions.pH;
+  const best = profile(pHBest);
+  const dof = nObservations - nParameters;
+  const reducedChiSquared = dof > 0 ? best.chiSquared / dof : 1;
+  const scale = options.weighted === false ? reducedChiSquared : Math.max(1, reducedChiSquared);
+
+  const points = [{ pH: pHBest, deltaChiSquared: 0 }];
+  const delta = chiSquared => (chiSquared - best.chiSquared) / scale;
+
+  const findBound = direction => {
+    const limit = direction > 0 ? 14 : 0;
+    let inside = { pH: pHBest, nuisance: best.nuisance };
+    let step = initialStep;
+
+    for (;;) {
+      const pH = direction > 0 ? Math.min(limit, inside.pH + step) : Math.max(limit, inside.pH - step);
+      const point = profile(pH, inside.nuisance);
+      const d = delta(point.chiSquared);
+      points.push({ pH, deltaChiSquared: d });
+
+      if (d >= deltaChiSquared) {
+        // Bisect between the last point inside and the first outside
+        let lo = inside;
+        let hi = { pH };
+        for (let i = 0; i < bisections; i++) {
+          const mid = (lo.pH + hi.pH) / 2;
+          const midPoint = profile(mid, lo.nuisance);
+          const dMid = delta(midPoint.chiSquared);
+          points.push({ pH: mid, deltaChiSquared: dMid });
+          if (dMid >= deltaChiSquared) {
+            hi = { pH: mid };
+          } else {
+            lo = { pH: mid, nuisance: midPoint.nuisance };
+          }
+        }
+        return { bound: (lo.pH + hi.pH) / 2, open: false };
+      }
+
+      if (pH === limit) {
+        return { bound: limit, open: true };
+      }
+
+      inside = { pH, nuisance: point.nuisance };
+      step = Math.min(maxStep, step * 2);
+    }
+  };
+
+  try {
+    const lower = findBound(-1);
+    const upper = findBound(1);
+
+    return {
+      success: true,
+      pH: pHBest,
+      lower: lower.bound,
+      upper: upper.bound,
+      lowerOpen: lower.open,
+      upperOpen: upper.open,
+      deltaChiSquared,
+      profile: points.sort((a, b) => a.pH - b.pH),
+      converged: nUnconverged === 0,
+      nUnconverged
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Profile likelihood failed: ${error.message}`
+    };
+  }
+}
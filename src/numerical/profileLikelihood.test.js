@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { calculatePHProfileInterval } from './profileLikelihood.js';
+import { fitParameters } from './fitting.js';
+import { predictBufferShifts } from './bufferModel.js';
+
+// Single-step buffer with two 1H and two 19F resonances
+const sample = { sample_id: 'sample', solvent: 'H2O', reference_temperature_K: 298.15, reference_ionic_strength_M: 0 };
+const resonance = (resonance_id, acid, base) => ({
+  resonance_id,
+  limiting_shifts: [
+    { ionisation_state: 0, shift_ppm: [acid, 0.005] },
+    { ionisation_state: 1, shift_ppm: [base, 0.005] }
+  ]
+});
+const buffer = {
+  buffer_id: 'buffer',
+  sample_id: 'sample',
+  ionisation_states: 2,
+  pKa_parameters: [{ pKa_index: 1, pKa: [5.8, 0.02], protonated_charge: 1 }],
+  chemical_shifts: {
+    '1H': [resonance('H1', 3.40, 3.00), resonance('H2', 2.20, 1.90)],
+    '19F': [resonance('F1', -75.0, -76.2), resonance('F2', -61.0, -62.0)]
+  }
+};
+const samplesMap = new Map([['sample', sample]]);
+const conditions = { temperature: 298.15, ionicStrength: 0.1, referenceOffsets: {} };
+
+// Shifts at a pH with alternating errors of the given size (ppm)
+const shiftsAt = (pH, error) => Object.fromEntries(
+  Object.entries(predictBufferShifts(buffer, pH, 298.15, 0.1, sample))
+    .map(([nucleus, predictions]) => [nucleus, predictions.map((p, i) => p.shift + (i % 2 ? error : -error))])
+);
+
+const fitAndProfile = (observed, options = {}) => {
+  const fit = fitParameters(observed, [buffer], samplesMap, conditions, options);
+  return { fit, interval: calculatePHProfileInterval(fit, [buffer], samplesMap, options) };
+};
+
+describe('calculatePHProfileInterval', () => {
+  it('matches ±σ from the Jacobian near the pKa', () => {
+    const { fit, interval } = fitAndProfile(shiftsAt(5.8, 0.001), { initialPH: 5.5 });
+    const { value, uncertainty } = fit.parameters.pH;
+
+    expect(interval.success).toBe(true);
+    expect(interval.converged).toBe(true);
+    expect(interval.lowerOpen || interval.upperOpen).toBe(false);
+    expect(interval.lower).toBeCloseTo(value - uncertainty, 2);
+    expect(interval.upper).toBeCloseTo(value + uncertainty, 2);
+  });
+
+  it('scales Δχ² by the reduced χ² when the scatter exceeds the uncertainties', () => {
+    const { fit, interval } = fitAndProfile(shiftsAt(5.8, 0.05), { initialPH: 5.5 });
+    const { value, uncertainty } = fit.parameters.pH;
+
+    expect(fit.statistics.reducedChiSquared).toBeGreaterThan(1);
+    expect(interval.upper - interval.lower).toBeCloseTo(2 * uncertainty, 2);
+    expect(interval.lower).toBeLessThan(value);
+  });
+
+  it('is open at pH 14 where the shifts no longer change', () => {
+    const { interval } = fitAndProfile(shiftsAt(11, 0.001), { initialPH: 11 });
+
+    expect(interval.success).toBe(true);
+    expect(interval.upperOpen).toBe(true);
+    expect(interval.upper).toBe(14);
+  });
+
+  it('fails without a successful fit', () => {
+    expect(calculatePHProfileInterval({ success: false }, [buffer], samplesMap).success).toBe(false);
+  });
+});
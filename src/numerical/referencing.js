@@ -0,0 +1,165 @@
+/**
+ * Referencing Module
+ *
+ * Chemical shift referencing: IUPAC Ξ ratios, reference offsets derived
+ * from a measured DSS shift, the offsets to fix or refine during fitting,
+ * and conversion of Hz peak positions to ppm.
+ */
+
+/**
+ * IUPAC Ξ ratios relative to DSS (1H at 0 ppm).
+ * Used to calculate reference frequencies for other nuclei.
+ */
+export const XI_RATIOS = {
+  '1H': 100.000000,
+  '13C': 25.145020,
+  '15N': 10.136767,
+  '19F': 94.094011,
+  '31P': 40.480742
+};
+
+/**
+ * Calculate reference frequency for a nucleus given 1H frequency.
+ *
+ * @param {string} nucleus - Nucleus type (e.g., '31P')
+ * @param {number} protonFrequencyMHz - Frequency of 1H at 0 ppm (MHz)
+ * @returns {number|null} Frequency of 0 ppm for this nucleus (MHz), or null if unknown
+ */
+export function calculateReferenceFrequency(nucleus, protonFrequencyMHz) {
+  const xiRatio = XI_RATIOS[nucleus];
+  if (!xiRatio) return null;
+  return (protonFrequencyMHz * xiRatio) / 100;
+}
+
+/**
+ * Conversion of peak positions given in Hz relative to the transmitter into ppm.
+ *
+ * The carrier is either its absolute frequency (SFO1, MHz) or its offset in Hz
+ * from the nucleus's 0 ppm frequency (O1, with the base frequency at 0 ppm).
+ * The 0 ppm frequency follows from the 1H frequency via Ξ, so
+ * ppm = (carrier + ν - ν0) / ν0, a linear function of ν.
+ *
+ * @param {string} nucleus - Nucleus type (e.g., '31P')
+ * @param {Object} carrier - { type: 'sfo1' (MHz) | 'o1' (Hz), value }
+ * @param {number|null} protonFrequencyMHz - Frequency of 1H at 0 ppm (MHz)
+ * @returns {Object|null} { offset (ppm), ppmPerHz, carrier, protonFrequency, referenceFrequency },
+ *   or null if the carrier, 1H frequency or Ξ ratio is missing
+ */
+export function getHzConversion(nucleus, carrier, protonFrequencyMHz) {
+  const referenceFrequency = protonFrequencyMHz ? calculateReferenceFrequency(nucleus, protonFrequencyMHz) : null;
+  if (!referenceFrequency || !carrier || typeof carrier.value !== 'number' || isNaN(carrier.value)) {
+    return null;
+  }
+
+  const offset = carrier.type === 'sfo1'
+    ? ((carrier.value - referenceFrequency) / referenceFrequency) * 1e6
+    : carrier.value / referenceFrequency;
+
+  return {
+    offset,
+    ppmPerHz: 1 / referenceFrequency,
+    carrier,
+    protonFrequency: protonFrequencyMHz,
+    referenceFrequency
+  };
+}
+
+/**
+ * Transfer a 1H reference offset to another nucleus via its Ξ ratio.
+ *
+ * The true zero of nucleus X lies at Ξ_X × ν(DSS). If the X axis was referenced
+ * from the same (offset) 1H zero, both frequencies scale by Ξ and the offset in ppm
+ * is carried over unchanged. If the spectrometer's own X reference frequency is
+ * known, the offset is calculated from the frequencies directly.
+ *
+ * @param {string} nucleus - Nucleus type (e.g., '31P')
+ * @param {number} protonOffset - 1H reference offset (ppm), e.g. the observed DSS shift
+ * @param {number|null} [protonFrequencyMHz] - Spectrometer frequency of 1H at 0 ppm (MHz)
+ * @param {number|null} [nucleusFrequencyMHz] - Spectrometer frequency of X at 0 ppm (MHz)
+ * @returns {number|null} Reference offset for this nucleus (ppm), or null if Ξ is unknown
+ */
+export function indirectReferenceOffset(nucleus, protonOffset, protonFrequencyMHz = null, nucleusFrequencyMHz = null) {
+  if (!XI_RATIOS[nucleus]) return null;
+
+  if (!protonFrequencyMHz || !nucleusFrequencyMHz) {
+    return protonOffset;
+  }
+
+  const dssFrequency = protonFrequencyMHz * (1 + protonOffset * 1e-6);
+  const trueZero = calculateReferenceFrequency(nucleus, dssFrequency);
+  return ((trueZero - nucleusFrequencyMHz) / nucleusFrequencyMHz) * 1e6;
+}
+
+/**
+ * Resolve referencing configuration into fitting inputs.
+ *
+ * A measured DSS shift is a known reference correction. It is applied as a
+ * fixed offset to 1H and to every nucleus referenced to DSS, carried over via Ξ,
+ * whether or not 1H resonances are among the fitted nuclei.
+ * Where an offset is refined instead, the DSS-derived value is used as the starting
+ * point and returned as an expected value for cross-checking the fit.
+ *
+ * Indirectly referenced nuclei have no offset of their own: they follow the 1H
+ * offset through Ξ. The 1H offset is refined if 1H is not referenced and set to
+ * refine, or - when no 1H resonances are present - if any indirectly referenced
+ * nucleus asks for refinement.
+ *
+ * An unreferenced nucleus may instead be fitted reference-free, from the
+ * differences between its shifts; this takes precedence over refining its
+ * offset. The offset implied by the fit can optionally be reported.
+ *
+ * @param {Object} referenceConfigs - Map of nucleus ->
+ *   { mode, refineOffset, referenceFree, reportOffset, referenceFrequency }
+ * @param {Array<string>} nuclei - Nuclei present in the selected buffers
+ * @param {number|null} [protonFrequencyMHz] - Spectrometer 1H frequency (MHz)
+ * @param {number|null} [dssShift] - Observed 1H shift of DSS (ppm)
+ * @returns {Object} { referenceOffsets, refineReferences, indirectReferences, referenceFree, expectedReferenceOffsets },
+ *   where referenceFree maps nucleus -> whether to report its implied offset
+ */
+export function resolveReferencing(referenceConfigs, nuclei, protonFrequencyMHz = null, dssShift = null) {
+  const hasDss = typeof dssShift === 'number' && !isNaN(dssShift);
+  const getConfig = nucleus => referenceConfigs[nucleus] ?? { mode: 'referenced', refineOffset: false };
+
+  const referenceOffsets = {};
+  const refineReferences = {};
+  const indirectReferences = {};
+  const referenceFree = {};
+  const expectedReferenceOffsets = {};
+
+  const isReferenceFree = config => config.mode === 'not_referenced' && Boolean(config.referenceFree);
+  const indirectNuclei = nuclei.filter(n => n !== '1H' && getConfig(n).mode === 'indirect');
+  const refineProtonOffset = nuclei.includes('1H')
+    ? getConfig('1H').mode === 'not_referenced' && getConfig('1H').refineOffset && !isReferenceFree(getConfig('1H'))
+    : indirectNuclei.some(n => getConfig(n).refineOffset);
+
+  for (const nucleus of nuclei) {
+    const config = getConfig(nucleus);
+    const expected = hasDss
+      ? (nucleus === '1H' ? dssShift : indirectReferenceOffset(nucleus, dssShift, protonFrequencyMHz))
+      : null;
+
+    if (config.mode === 'indirect' && nucleus !== '1H') {
+      indirectReferences[nucleus] = config.referenceFrequency || null;
+    } else if (isReferenceFree(config)) {
+      referenceFree[nucleus] = Boolean(config.reportOffset);
+      if (expected !== null) {
+        expectedReferenceOffsets[nucleus] = expected;
+      }
+    } else if (config.mode === 'not_referenced' && config.refineOffset) {
+      refineReferences[nucleus] = true;
+      referenceOffsets[nucleus] = expected ?? 0;
+      if (expected !== null) {
+        expectedReferenceOffsets[nucleus] = expected;
+      }
+    } else if (expected !== null && (nucleus === '1H' || config.mode === 'referenced')) {
+      referenceOffsets[nucleus] = expected;
+    }
+  }
+
+  if (refineProtonOffset) {
+    refineReferences['1H'] = true;
+    referenceOffsets['1H'] = referenceOffsets['1H'] ?? (hasDss ? dssShift : 0);
+  }
+
+  return { referenceOffsets, refineReferences, indirectReferences, referenceFree, expectedReferenceOffsets };
+}
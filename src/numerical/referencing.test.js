@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { calculateReferenceFrequency, getHzConversion, indirectReferenceOffset, resolveReferencing } from './referencing.js';
+
+const nuclei = ['1H', '19F'];
+
+describe('indirectReferenceOffset', () => {
+  it('carries a 1H offset over unchanged when the X axis follows 1H via Ξ', () => {
+    expect(indirectReferenceOffset('19F', 0.02)).toBe(0.02);
+  });
+
+  it('is zero for a spectrometer X frequency at the Ξ of an exact 1H zero', () => {
+    const referenceFrequency = calculateReferenceFrequency('19F', 600);
+    expect(indirectReferenceOffset('19F', 0, 600, referenceFrequency)).toBeCloseTo(0, 10);
+  });
+
+  it('is null for a nucleus without a Ξ ratio', () => {
+    expect(indirectReferenceOffset('2H', 0.02)).toBeNull();
+  });
+});
+
+describe('getHzConversion', () => {
+  it('converts Hz from an O1 carrier by the X reference frequency', () => {
+    const conversion = getHzConversion('19F', { type: 'o1', value: 0 }, 600);
+    expect(conversion.offset).toBe(0);
+    expect(conversion.ppmPerHz).toBeCloseTo(1 / calculateReferenceFrequency('19F', 600), 15);
+  });
+
+  it('places an SFO1 carrier at its ppm from the X zero frequency', () => {
+    const referenceFrequency = calculateReferenceFrequency('19F', 600);
+    const conversion = getHzConversion('19F', { type: 'sfo1', value: referenceFrequency * (1 - 75e-6) }, 600);
+    expect(conversion.offset).toBeCloseTo(-75, 6);
+  });
+
+  it('is null without the 1H frequency or a carrier value', () => {
+    expect(getHzConversion('19F', { type: 'o1', value: 0 }, null)).toBeNull();
+    expect(getHzConversion('19F', { type: 'o1', value: NaN }, 600)).toBeNull();
+  });
+});
+
+describe('resolveReferencing', () => {
+  it('fixes all offsets at zero for referenced nuclei without a DSS shift', () => {
+    expect(resolveReferencing({}, nuclei)).toEqual({
+      referenceOffsets: {},
+      refineReferences: {},
+      indirectReferences: {},
+      referenceFree: {},
+      expectedReferenceOffsets: {}
+    });
+  });
+
+  it('applies a measured DSS shift to 1H and, via Ξ, to referenced nuclei', () => {
+    const { referenceOffsets, refineReferences } = resolveReferencing({}, nuclei, null, 0.03);
+
+    expect(referenceOffsets).toEqual({ '1H': 0.03, '19F': 0.03 });
+    expect(refineReferences).toEqual({});
+  });
+
+  it('applies a DSS shift to heteronuclei when no 1H resonance is fitted', () => {
+    const { referenceOffsets } = resolveReferencing({}, ['19F'], null, 0.03);
+    expect(referenceOffsets).toEqual({ '19F': 0.03 });
+  });
+
+  it('starts a refined offset from the DSS value and returns it for cross-checking', () => {
+    const configs = { '19F': { mode: 'not_referenced', refineOffset: true } };
+    const { referenceOffsets, refineReferences, expectedReferenceOffsets } = resolveReferencing(configs, nuclei, null, 0.03);
+
+    expect(refineReferences).toEqual({ '19F': true });
+    expect(referenceOffsets['19F']).toBe(0.03);
+    expect(expectedReferenceOffsets['19F']).toBe(0.03);
+  });
+
+  it('ties indirectly referenced nuclei to 1H and refines 1H when it is unreferenced', () => {
+    const configs = {
+      '1H': { mode: 'not_referenced', refineOffset: true },
+      '19F': { mode: 'indirect', referenceFrequency: 564.5 }
+    };
+    const { referenceOffsets, refineReferences, indirectReferences } = resolveReferencing(configs, nuclei, 600);
+
+    expect(indirectReferences).toEqual({ '19F': 564.5 });
+    expect(refineReferences).toEqual({ '1H': true });
+    expect(referenceOffsets).toEqual({ '1H': 0 });
+  });
+
+  it('refines the 1H offset for indirect nuclei when no 1H resonance is present', () => {
+    const configs = { '19F': { mode: 'indirect', refineOffset: true } };
+    const { refineReferences, indirectReferences } = resolveReferencing(configs, ['19F']);
+
+    expect(indirectReferences).toEqual({ '19F': null });
+    expect(refineReferences).toEqual({ '1H': true });
+  });
+
+  it('starts the shared 1H offset from the DSS shift for indirect nuclei without 1H peaks', () => {
+    const configs = { '19F': { mode: 'indirect', refineOffset: true } };
+    const { referenceOffsets } = resolveReferencing(configs, ['19F'], null, 0.03);
+
+    expect(referenceOffsets).toEqual({ '1H': 0.03 });
+  });
+
+  it('fits reference-free nuclei from differences instead of refining their offset', () => {
+    const configs = { '19F': { mode: 'not_referenced', refineOffset: true, referenceFree: true, reportOffset: true } };
+    const { refineReferences, referenceFree } = resolveReferencing(configs, nuclei);
+
+    expect(referenceFree).toEqual({ '19F': true });
+    expect(refineReferences).toEqual({});
+  });
+});
@@ -125,12 +125,15 @@ export function validateAssignments(assignments) {
   const issues = [];
   let totalAssigned = 0;
   let totalUnassigned = 0;
+  let totalIgnored = 0;
   let lowConfidenceCount = 0;
   let ambiguousCount = 0;
 
   for (const [nucleus, nucleusAssignments] of Object.entries(assignments)) {
     for (const assignment of nucleusAssignments) {
-      if (assignment.assigned) {
+      if (assignment.ignored) {
+        totalIgnored++;
+      } else if (assignment.assigned) {
         totalAssigned++;
 
         if (assignment.confidence === 'low') {
@@ -152,6 +155,8 @@ export function validateAssignments(assignments) {
             message: `Ambiguous assignment: ${assignment.observed_shift.toFixed(3)} ppm could match multiple resonances`
           });
         }
+      } else if (assignment.locked === 'unassign') {
+        totalUnassigned++;
       } else {
         totalUnassigned++;
         issues.push({
@@ -168,6 +173,7 @@ export function validateAssignments(assignments) {
     valid: totalAssigned > 0,
     totalAssigned,
     totalUnassigned,
+    totalIgnored,
     lowConfidenceCount,
     ambiguousCount,
     issues,
@@ -180,7 +186,7 @@ export function validateAssignments(assignments) {
 /**
  * Validate residuals and identify outliers.
  *
- * @param {Array<Object>} assignments - Flat array of assignments with residuals
+ * @param {Object} assignments - Assignment results, optionally with per-peak uncertainty
  * @param {number} rmsd - Root mean square deviation
  * @param {number} [threshold=2] - Z-score threshold for outliers
  * @returns {Object} Residual validation results
@@ -212,10 +218,12 @@ export function validateResiduals(assignments, rmsd, threshold = 2) {
     residualStats.mean /= residualStats.count;
   }
 
-  // Identify outliers based on z-score
-  if (rmsd > 0) {
-    for (const assignment of flatAssignments) {
-      const zScore = Math.abs(assignment.residual) / rmsd;
+  // Identify outliers based on z-score, using per-peak uncertainties from a
+  // weighted fit where available and the RMSD otherwise
+  for (const assignment of flatAssignments) {
+    const scale = assignment.uncertainty > 0 ? assignment.uncertainty : rmsd;
+    if (scale > 0) {
+      const zScore = Math.abs(assignment.residual) / scale;
       if (zScore > threshold) {
         outliers.push({
           nucleus: assignment.nucleus,
@@ -339,11 +347,49 @@ export function checkDeviations(fitted, nominal) {
   };
 }
 
+/**
+ * Cross-check refined reference offsets against values expected from a measured DSS shift.
+ *
+ * @param {Object} parameters - Fitted parameters
+ * @param {Object} expectedOffsets - Map of nucleus -> expected reference offset (ppm)
+ * @param {number} [threshold=3] - Number of standard uncertainties treated as disagreement
+ * @param {number} [minimumDifference=0.005] - Differences below this (ppm) are never flagged
+ * @returns {Object} Reference consistency warnings
+ */
+export function checkReferenceConsistency(parameters, expectedOffsets, threshold = 3, minimumDifference = 0.005) {
+  const discrepancies = [];
+
+  for (const [nucleus, expected] of Object.entries(expectedOffsets)) {
+    const fitted = parameters[`ref_${nucleus}`];
+    if (!fitted) continue;
+
+    const difference = fitted.value - expected;
+    const limit = Math.max(threshold * fitted.uncertainty, minimumDifference);
+
+    if (Math.abs(difference) > limit) {
+      discrepancies.push({
+        nucleus,
+        expected,
+        fitted: fitted.value,
+        uncertainty: fitted.uncertainty,
+        difference,
+        message: `Fitted ${nucleus} reference offset (${fitted.value.toFixed(3)} ± ${fitted.uncertainty.toFixed(3)} ppm) ` +
+          `disagrees with DSS (${expected.toFixed(3)} ppm) by ${difference.toFixed(3)} ppm`
+      });
+    }
+  }
+
+  return {
+    hasDiscrepancies: discrepancies.length > 0,
+    discrepancies
+  };
+}
+
 /**
  * Perform comprehensive validation of fitting results.
  *
  * @param {Object} result - Fitting result from fitting.js
- * @param {Object} nominalConditions - Nominal conditions for comparison
+ * @param {Object} nominalConditions - Nominal conditions for comparison, with optional expectedReferenceOffsets
  * @param {Array<Object>} samples - Sample objects for extrapolation check
  * @returns {Object} Comprehensive validation report
  */
@@ -380,6 +426,15 @@ export function validateFitResult(result, nominalConditions, samples) {
     }
   }
 
+  // Cross-check refined (or implied) reference offsets against DSS
+  const referenceCheck = checkReferenceConsistency(
+    { ...result.derivedParameters, ...result.parameters },
+    nominalConditions.expectedReferenceOffsets ?? {}
+  );
+  if (referenceCheck.hasDiscrepancies) {
+    warnings.push(...referenceCheck.discrepancies.map(d => d.message));
+  }
+
   // Validate residuals
   const residualCheck = validateResiduals(result.assignments, result.statistics.rmsd);
   if (residualCheck.hasOutliers) {
@@ -396,6 +451,7 @@ export function validateFitResult(result, nominalConditions, samples) {
     residualCheck,
     parameterCheck: paramValidation,
     extrapolationCheck,
-    deviationCheck
+    deviationCheck,
+    referenceCheck
   };
 }
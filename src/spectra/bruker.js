@@ -0,0 +1,145 @@
+/**
+ * Bruker Module
+ *
+ * Reading of Bruker processed 1D data: the real spectrum (pdata/N/1r)
+ * and its processing parameters (procs), and of the acquisition
+ * parameters (acqus, acqu2s).
+ */
+
+import { XI_RATIOS } from '../numerical/referencing.js';
+
+/**
+ * Number of frequency channels recorded in acqus (NUC1 ... NUC8).
+ */
+const ACQUISITION_CHANNELS = 8;
+
+/**
+ * Parse a Bruker parameter file (procs, acqus) in JCAMP-DX style.
+ * Values are returned as numbers where possible, strings with angle
+ * brackets removed otherwise. Array parameters are returned as strings.
+ *
+ * @param {string} text - Parameter file contents
+ * @returns {Object} Map of parameter name (without ##$) -> value
+ */
+export function parseBrukerParameters(text) {
+  const parameters = {};
+
+  for (const match of text.matchAll(/^##\$?([^=]+)=\s*(.*)$/gm)) {
+    const name = match[1].trim();
+    const raw = match[2].trim();
+
+    if (/^<.*>$/.test(raw)) {
+      parameters[name] = raw.slice(1, -1);
+    } else if (raw !== '' && !isNaN(Number(raw))) {
+      parameters[name] = Number(raw);
+    } else {
+      parameters[name] = raw;
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * Read a Bruker 1r file into a spectrum.
+ *
+ * Points are stored as 32-bit integers (DTYPP = 0) or doubles (DTYPP = 2),
+ * in little- (BYTORDP = 0) or big-endian (BYTORDP = 1) order, scaled by
+ * 2^NC_proc. The first point is at OFFSET ppm and the axis runs downfield
+ * to upfield over SW_p / SF ppm.
+ *
+ * @param {ArrayBuffer} buffer - Contents of the 1r file
+ * @param {Object} procs - Parsed procs parameters
+ * @returns {Object} Spectrum { nucleus, frequency, ppm, intensity }
+ */
+export function readBruker1r(buffer, procs) {
+  const { SI, OFFSET, SW_p: swHz, SF, BYTORDP = 0, DTYPP = 0, NC_proc: ncProc = 0 } = procs;
+
+  if (!SI || OFFSET === undefined || !swHz || !SF) {
+    throw new Error('procs is missing SI, OFFSET, SW_p or SF');
+  }
+
+  const bytesPerPoint = DTYPP === 2 ? 8 : 4;
+  const nPoints = Math.min(SI, Math.floor(buffer.byteLength / bytesPerPoint));
+  if (nPoints < SI) {
+    throw new Error(`1r holds ${nPoints} points but procs expects ${SI}`);
+  }
+
+  const view = new DataView(buffer);
+  const littleEndian = BYTORDP === 0;
+  const scale = Math.pow(2, ncProc);
+  const swPpm = swHz / SF;
+
+  const ppm = new Float64Array(SI);
+  const intensity = new Float64Array(SI);
+
+  for (let i = 0; i < SI; i++) {
+    const value = DTYPP === 2
+      ? view.getFloat64(i * 8, littleEndian)
+      : view.getInt32(i * 4, littleEndian);
+    intensity[i] = value * scale;
+    ppm[i] = OFFSET - (i * swPpm) / SI;
+  }
+
+  return {
+    nucleus: typeof procs.AXNUC === 'string' && procs.AXNUC !== 'off' ? procs.AXNUC : null,
+    frequency: SF,
+    ppm,
+    intensity
+  };
+}
+
+/**
+ * Summarise Bruker acquisition parameters (acqus, or acqu2s for the
+ * indirect dimension).
+ *
+ * TE is the sample temperature in K. The 1H frequency is the base frequency
+ * of the channel set to 1H, or follows from BF1 via Ξ if no channel is.
+ * The dataset name and experiment number are read from the file path
+ * recorded in the header, where present.
+ *
+ * @param {string} text - acqus or acqu2s contents
+ * @returns {Object} { nucleus, temperature (K), protonFrequency (MHz), sfo1 (MHz),
+ *   bf1 (MHz), experiment, pulseProgram, date (ISO string), dataset, expno };
+ *   values that are not recorded are null
+ */
+export function readAcquisitionParameters(text) {
+  const acqus = parseBrukerParameters(text);
+  const positive = value => (typeof value === 'number' && value > 0 ? value : null);
+  const named = value => (typeof value === 'string' && value !== '' && value !== 'off' ? value : null);
+
+  const nucleus = named(acqus.NUC1);
+  if (!nucleus) {
+    throw new Error('Acquisition parameters do not name the observed nucleus (NUC1)');
+  }
+
+  const bf1 = positive(acqus.BF1);
+  const sfo1 = positive(acqus.SFO1);
+
+  let protonFrequency = null;
+  for (let channel = 1; channel <= ACQUISITION_CHANNELS; channel++) {
+    if (acqus[`NUC${channel}`] === '1H') {
+      protonFrequency = positive(acqus[`BF${channel}`]) ?? positive(acqus[`SFO${channel}`]);
+      break;
+    }
+  }
+  if (protonFrequency === null && XI_RATIOS[nucleus] && (bf1 ?? sfo1)) {
+    protonFrequency = ((bf1 ?? sfo1) * 100) / XI_RATIOS[nucleus];
+  }
+
+  const dateSeconds = positive(acqus.DATE);
+  const path = text.match(/^\$\$\s+(\S+)\/acqu2?s\s*$/m)?.[1].split('/') ?? [];
+
+  return {
+    nucleus,
+    temperature: positive(acqus.TE),
+    protonFrequency,
+    sfo1,
+    bf1,
+    experiment: named(acqus.EXP),
+    pulseProgram: named(acqus.PULPROG),
+    date: dateSeconds ? new Date(dateSeconds * 1000).toISOString() : null,
+    dataset: path.length >= 2 ? path[path.length - 2] : null,
+    expno: path.length >= 1 ? path[path.length - 1] : null
+  };
+}
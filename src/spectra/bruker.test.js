@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { parseBrukerParameters, readAcquisitionParameters, readBruker1r } from './bruker.js';
+
+const procs = { SI: 8, OFFSET: 10, SW_p: 6000, SF: 600, BYTORDP: 0, DTYPP: 0, NC_proc: 0, AXNUC: '1H' };
+
+// 1r contents holding the given points as 32-bit integers or doubles
+const pointsBuffer = (points, { double = false, littleEndian = true } = {}) => {
+  const buffer = new ArrayBuffer(points.length * (double ? 8 : 4));
+  const view = new DataView(buffer);
+  points.forEach((point, i) => double
+    ? view.setFloat64(i * 8, point, littleEndian)
+    : view.setInt32(i * 4, point, littleEndian));
+  return buffer;
+};
+
+describe('parseBrukerParameters', () => {
+  it('reads numbers, and strings without their angle brackets', () => {
+    const text = '##TITLE= Parameter file\n##$SI= 32768\n##$OFFSET= 12.5\n##$AXNUC= <19F>\n##$SREGLST= <19F.H2O>';
+    expect(parseBrukerParameters(text)).toEqual({
+      TITLE: 'Parameter file',
+      SI: 32768,
+      OFFSET: 12.5,
+      AXNUC: '19F',
+      SREGLST: '19F.H2O'
+    });
+  });
+});
+
+describe('readBruker1r', () => {
+  it('places point i at OFFSET - i × SW_p / SF / SI', () => {
+    const spectrum = readBruker1r(pointsBuffer([0, 1, 2, 3, 4, 5, 6, 7]), procs);
+
+    expect(spectrum.nucleus).toBe('1H');
+    expect(spectrum.frequency).toBe(600);
+    expect(Array.from(spectrum.ppm)).toEqual([10, 8.75, 7.5, 6.25, 5, 3.75, 2.5, 1.25]);
+  });
+
+  it('scales integer points by 2^NC_proc', () => {
+    const spectrum = readBruker1r(pointsBuffer([1, -2, 3, 0, 0, 0, 0, 0]), { ...procs, NC_proc: 3 });
+    expect(Array.from(spectrum.intensity.slice(0, 3))).toEqual([8, -16, 24]);
+  });
+
+  it('reads big-endian doubles', () => {
+    const points = [0.5, -1.25, 2, 0, 0, 0, 0, 1e9];
+    const buffer = pointsBuffer(points, { double: true, littleEndian: false });
+    const spectrum = readBruker1r(buffer, { ...procs, BYTORDP: 1, DTYPP: 2 });
+
+    expect(Array.from(spectrum.intensity)).toEqual(points);
+  });
+
+  it('rejects a file with fewer points than SI', () => {
+    expect(() => readBruker1r(pointsBuffer([1, 2, 3]), procs)).toThrow(/holds 3 points but procs expects 8/);
+  });
+});
+
+describe('readAcquisitionParameters', () => {
+  it('reads the temperature, the 1H channel frequency and the dataset from the header path', () => {
+    const text = [
+      '##TITLE= Parameter file, TopSpin 4.1.4',
+      '$$ 2024-12-15 10:12:01.123 +0000  user@spectrometer',
+      '$$ /opt/data/tfea_ph/10/acqus',
+      '##$NUC1= <19F>',
+      '##$NUC2= <1H>',
+      '##$BF1= 564.686',
+      '##$BF2= 600.13',
+      '##$SFO1= 564.6502',
+      '##$TE= 298.1',
+      '##$PULPROG= <zgfhigqn.2>',
+      '##$DATE= 1734257521'
+    ].join('\n');
+
+    expect(readAcquisitionParameters(text)).toEqual({
+      nucleus: '19F',
+      temperature: 298.1,
+      protonFrequency: 600.13,
+      sfo1: 564.6502,
+      bf1: 564.686,
+      experiment: null,
+      pulseProgram: 'zgfhigqn.2',
+      date: '2024-12-15T10:12:01.000Z',
+      dataset: 'tfea_ph',
+      expno: '10'
+    });
+  });
+
+  it('derives the 1H frequency via Ξ when no channel is set to 1H', () => {
+    const { protonFrequency } = readAcquisitionParameters('##$NUC1= <19F>\n##$BF1= 564.686');
+    expect(protonFrequency).toBeCloseTo(600.13, 1);
+  });
+
+  it('requires the observed nucleus', () => {
+    expect(() => readAcquisitionParameters('##$BF1= 600.13')).toThrow(/NUC1/);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Downsample Module
+ *
+ * Reduction of spectra to a manageable number of points for plotting.
+ */
+
+/**
+ * Extract a ppm region of a spectrum and reduce it to at most maxPoints points.
+ *
+ * Each bucket of consecutive points is replaced by its minimum and maximum,
+ * in their original order, so peak heights and noise extremes survive.
+ *
+ * @param {Object} spectrum - Spectrum { ppm, intensity }
+ * @param {number} ppmMin - Lower edge of the region (ppm)
+ * @param {number} ppmMax - Upper edge of the region (ppm)
+ * @param {number} [maxPoints=4000] - Maximum number of points returned
+ * @returns {Object} { ppm: Array<number>, intensity: Array<number> }
+ */
+export function downsampleSpectrum(spectrum, ppmMin, ppmMax, maxPoints = 4000) {
+  const indices = [];
+  for (let i = 0; i < spectrum.ppm.length; i++) {
+    if (spectrum.ppm[i] >= ppmMin && spectrum.ppm[i] <= ppmMax) {
+      indices.push(i);
+    }
+  }
+
+  const ppm = [];
+  const intensity = [];
+  const bucketSize = Math.max(1, Math.ceil((2 * indices.length) / maxPoints));
+
+  for (let start = 0; start < indices.length; start += bucketSize) {
+    const bucket = indices.slice(start, start + bucketSize);
+
+    if (bucket.length <= 2) {
+      for (const i of bucket) {
+        ppm.push(spectrum.ppm[i]);
+        intensity.push(spectrum.intensity[i]);
+      }
+      continue;
+    }
+
+    let low = bucket[0];
+    let high = bucket[0];
+    for (const i of bucket) {
+      if (spectrum.intensity[i] < spectrum.intensity[low]) low = i;
+      if (spectrum.intensity[i] > spectrum.intensity[high]) high = i;
+    }
+
+    const extremes = low === high ? [low] : low < high ? [low, high] : [high, low];
+    for (const i of extremes) {
+      ppm.push(spectrum.ppm[i]);
+      intensity.push(spectrum.intensity[i]);
+    }
+  }
+
+  return { ppm, intensity };
+}
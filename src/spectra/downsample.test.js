@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { downsampleSpectrum } from './downsample.js';
+
+// Sharp lines of either sign on a slow ripple, far more points than are plotted
+const ppm = Float64Array.from({ length: 100000 }, (_, i) => 10 - i * 1e-4);
+const intensity = ppm.map((x, i) => Math.sin(i / 50));
+intensity[31234] = 1000;
+intensity[31235] = 400;
+intensity[77001] = -250;
+
+describe('downsampleSpectrum', () => {
+  it('keeps at most the requested number of points', () => {
+    const { ppm: reduced } = downsampleSpectrum({ ppm, intensity }, 0, 10, 4000);
+    expect(reduced.length).toBeLessThanOrEqual(4000);
+  });
+
+  it('preserves the extremes and their positions', () => {
+    const reduced = downsampleSpectrum({ ppm, intensity }, 0, 10, 4000);
+    const maximum = reduced.intensity.indexOf(Math.max(...reduced.intensity));
+    const minimum = reduced.intensity.indexOf(Math.min(...reduced.intensity));
+
+    expect(reduced.intensity[maximum]).toBe(1000);
+    expect(reduced.ppm[maximum]).toBe(ppm[31234]);
+    expect(reduced.intensity[minimum]).toBe(-250);
+    expect(reduced.ppm[minimum]).toBe(ppm[77001]);
+  });
+
+  it('keeps the points in their original order', () => {
+    const reduced = downsampleSpectrum({ ppm, intensity }, 2, 8, 500);
+    expect(reduced.ppm.every((x, i) => i === 0 || x < reduced.ppm[i - 1])).toBe(true);
+  });
+
+  it('returns a small region unchanged', () => {
+    const reduced = downsampleSpectrum({ ppm, intensity }, 6.8765, 6.877, 4000);
+    const inside = Array.from(ppm.keys()).filter(i => ppm[i] >= 6.8765 && ppm[i] <= 6.877);
+
+    expect(reduced.ppm).toEqual(inside.map(i => ppm[i]));
+    expect(reduced.intensity).toEqual(inside.map(i => intensity[i]));
+  });
+});
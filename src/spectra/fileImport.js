@@ -0,0 +1,98 @@
+/**
+ * File Import Module
+ *
+ * Recognises dropped or selected files and reads them as a spectrum
+ * (Bruker 1r + procs, JCAMP-DX) or a peak list (TopSpin XML or text),
+ * together with any Bruker acquisition parameters (acqus, acqu2s).
+ */
+
+import { parseBrukerParameters, readBruker1r, readAcquisitionParameters } from './bruker.js';
+import { readJcamp } from './jcamp.js';
+import { parsePeakList } from './peakList.js';
+
+/**
+ * File name extensions read as JCAMP-DX.
+ */
+const JCAMP_EXTENSIONS = /\.(jdx|dx|jcamp)$/i;
+
+/**
+ * Bruker acquisition parameter files, direct dimension first.
+ */
+const ACQUISITION_FILES = ['acqus', 'acqu2s'];
+
+/**
+ * Read the Bruker acquisition parameters among a set of files.
+ *
+ * @param {Array<File>|FileList} files - Files from a drop or file input
+ * @returns {Promise<Object|null>} Parameters (see readAcquisitionParameters)
+ *   with the file name, or null if there is no acqus or acqu2s
+ */
+export async function readAcquisitionFiles(files) {
+  const list = Array.from(files);
+  const file = ACQUISITION_FILES.map(name => list.find(f => f.name === name)).find(Boolean);
+  if (!file) return null;
+
+  return { file: file.name, ...readAcquisitionParameters(await file.text()) };
+}
+
+/**
+ * Read a set of files as a spectrum or a peak list.
+ *
+ * Acquisition parameters given alongside are returned as `acquisition`, and
+ * name the nucleus if the data do not. On their own they are returned as
+ * { kind: 'acquisition', name, nucleus, acquisition }.
+ *
+ * @param {Array<File>|FileList} files - Files from a drop or file input
+ * @returns {Promise<Object>} { kind: 'spectrum', name, nucleus, spectrum, acquisition }
+ *   or { kind: 'peakList', name, nucleus, peaks, acquisition }
+ */
+export async function readSpectrumFiles(files) {
+  const acquisition = await readAcquisitionFiles(files);
+  const list = Array.from(files).filter(f => !ACQUISITION_FILES.includes(f.name));
+  const byName = name => list.find(f => f.name === name);
+
+  const realFile = byName('1r');
+  if (realFile) {
+    const procsFile = byName('procs');
+    if (!procsFile) {
+      throw new Error('Select the procs file together with 1r');
+    }
+    const procs = parseBrukerParameters(await procsFile.text());
+    const spectrum = readBruker1r(await realFile.arrayBuffer(), procs);
+    return {
+      kind: 'spectrum',
+      name: '1r',
+      nucleus: spectrum.nucleus ?? acquisition?.nucleus ?? null,
+      spectrum,
+      acquisition
+    };
+  }
+
+  const file = list[0];
+  if (!file) {
+    if (acquisition) {
+      return { kind: 'acquisition', name: acquisition.file, nucleus: acquisition.nucleus, acquisition };
+    }
+    throw new Error('No file selected');
+  }
+
+  if (JCAMP_EXTENSIONS.test(file.name)) {
+    const spectrum = readJcamp(await file.text());
+    return {
+      kind: 'spectrum',
+      name: file.name,
+      nucleus: spectrum.nucleus ?? acquisition?.nucleus ?? null,
+      spectrum,
+      acquisition
+    };
+  }
+
+  const peakList = parsePeakList(await file.text());
+  return {
+    kind: 'peakList',
+    name: file.name,
+    nucleus: peakList.nucleus ?? acquisition?.nucleus ?? null,
+    peaks: peakList.peaks,
+    acquisition
+  };
+}
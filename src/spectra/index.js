@@ -0,0 +1,16 @@
+/**
+ * Spectra Module
+ *
+ * Import of experimental NMR data from spectrometer files and typed shift lists.
+ * No UI or React dependencies.
+ */
+
+export * from './peakList.js';
+export * from './bruker.js';
+export * from './jcamp.js';
+export * from './peakPicking.js';
+export * from './fileImport.js';
+export * from './downsample.js';
+export * from './lineshapeFitting.js';
+export * from './shiftEntry.js';
+export * from './titrationTable.js';
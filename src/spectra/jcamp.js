@@ -0,0 +1,208 @@
+/**
+ * JCAMP-DX Module
+ *
+ * Reading of 1D NMR spectra from JCAMP-DX files, including the compressed
+ * ASDF forms (SQZ, DIF, DUP) and NTUPLES pages of real data.
+ */
+
+/**
+ * Pseudo-digit values of the ASDF compression characters.
+ */
+const SQZ = { '@': 0, A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, I: 9, a: -1, b: -2, c: -3, d: -4, e: -5, f: -6, g: -7, h: -8, i: -9 };
+const DIF = { '%': 0, J: 1, K: 2, L: 3, M: 4, N: 5, O: 6, P: 7, Q: 8, R: 9, j: -1, k: -2, l: -3, m: -4, n: -5, o: -6, p: -7, q: -8, r: -9 };
+const DUP = { S: 1, T: 2, U: 3, V: 4, W: 5, X: 6, Y: 7, Z: 8, s: 9 };
+
+/**
+ * Split a JCAMP-DX file into labelled data records.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Records { label, value } in file order; labels are normalised
+ */
+export function parseJcampRecords(text) {
+  const records = [];
+  const lines = text.split(/\r?\n/);
+
+  for (const line of lines) {
+    const stripped = line.replace(/\$\$.*$/, '');
+    const match = stripped.match(/^##([^=]*)=(.*)$/);
+
+    if (match) {
+      records.push({
+        label: match[1].replace(/[\s\-/_]/g, '').toUpperCase(),
+        value: match[2].trim()
+      });
+    } else if (records.length > 0 && stripped.trim() !== '') {
+      const last = records[records.length - 1];
+      last.value += (last.value ? '\n' : '') + stripped.trim();
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Decode one line of (X++(Y..Y)) data.
+ *
+ * @param {string} line - Data line
+ * @returns {Object} { x, values, difLast } where difLast marks a line ending in DIF form
+ */
+function decodeDataLine(line) {
+  const tokens = line.match(/[+-]?\d*\.?\d+(?:[Ee][+-]?\d+)?|[@A-Ia-i]\d*|[%J-Rj-r]\d*|[S-Zs]\d*|\?/g) ?? [];
+  const values = [];
+  let x = null;
+  let lastWasDif = false;
+
+  for (const token of tokens) {
+    const head = token[0];
+    const rest = token.slice(1);
+
+    if (x === null) {
+      x = parseFloat(token);
+      continue;
+    }
+
+    if (head in SQZ) {
+      values.push(Number(`${SQZ[head] < 0 ? '-' : ''}${Math.abs(SQZ[head])}${rest}`));
+      lastWasDif = false;
+    } else if (head in DIF) {
+      const delta = Number(`${DIF[head] < 0 ? '-' : ''}${Math.abs(DIF[head])}${rest}`);
+      values.push(values[values.length - 1] + delta);
+      lastWasDif = true;
+    } else if (head in DUP) {
+      const count = Number(`${DUP[head]}${rest}`);
+      const repeated = values[values.length - 1];
+      const step = lastWasDif && values.length > 1 ? repeated - values[values.length - 2] : 0;
+      for (let k = 1; k < count; k++) {
+        values.push(lastWasDif ? values[values.length - 1] + step : repeated);
+      }
+    } else if (token === '?') {
+      values.push(NaN);
+      lastWasDif = false;
+    } else {
+      values.push(parseFloat(token));
+      lastWasDif = false;
+    }
+  }
+
+  return { x, values, difLast: lastWasDif };
+}
+
+/**
+ * Decode (X++(Y..Y)) data into Y values.
+ * In DIF form each line repeats the last value of the previous line as a
+ * check; the duplicate is removed.
+ *
+ * @param {string} data - Data table text (after the format line)
+ * @returns {Array<number>} Y values in file order
+ */
+export function decodeXYData(data) {
+  const y = [];
+  let previousDif = false;
+
+  for (const line of data.split('\n')) {
+    if (line.trim() === '') continue;
+    const { values, difLast } = decodeDataLine(line);
+
+    if (previousDif && y.length > 0 && values.length > 0) {
+      values.shift();
+    }
+
+    y.push(...values);
+    previousDif = difLast;
+  }
+
+  return y;
+}
+
+/**
+ * Remove the leading format descriptor, e.g. "(X++(Y..Y))", from a data record.
+ *
+ * @param {string} value - Record value
+ * @returns {string} Data lines
+ */
+function stripFormat(value) {
+  return value.replace(/^\s*\([^\n]*\)\s*\n?/, '');
+}
+
+/**
+ * Read a 1D NMR spectrum from a JCAMP-DX file.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Spectrum { nucleus, frequency, ppm, intensity }
+ */
+export function readJcamp(text) {
+  const records = parseJcampRecords(text);
+  const get = label => records.find(r => r.label === label)?.value;
+  const number = label => {
+    const value = parseFloat(get(label));
+    return isNaN(value) ? null : value;
+  };
+
+  const nucleus = get('.OBSERVENUCLEUS')?.replace(/^\^/, '').trim() ?? null;
+  const frequency = number('.OBSERVEFREQUENCY');
+
+  let xUnits;
+  let firstX;
+  let lastX;
+  let yFactor;
+  let nPoints;
+  let data;
+
+  const ntuplesIndex = records.findIndex(r => r.label === 'NTUPLES');
+
+  if (ntuplesIndex >= 0) {
+    // NTUPLES: variable attributes are comma lists (X, R, I, ...); use the real page
+    const list = label => (records.find((r, i) => i > ntuplesIndex && r.label === label)?.value ?? '')
+      .split(',').map(s => s.trim());
+    const symbols = list('SYMBOL');
+    const xIndex = symbols.indexOf('X');
+    const rIndex = symbols.indexOf('R') >= 0 ? symbols.indexOf('R') : symbols.indexOf('Y');
+
+    const table = records.find((r, i) => i > ntuplesIndex && r.label === 'DATATABLE' && /\(X\+\+\((R|Y)\.\.(R|Y)\)\)/.test(r.value));
+    if (!table || xIndex < 0 || rIndex < 0) {
+      throw new Error('No real spectrum found in JCAMP-DX NTUPLES');
+    }
+
+    xUnits = list('UNITS')[xIndex];
+    firstX = parseFloat(list('FIRST')[xIndex]);
+    lastX = parseFloat(list('LAST')[xIndex]);
+    yFactor = parseFloat(list('FACTOR')[rIndex]) || 1;
+    nPoints = parseFloat(list('VARDIM')[xIndex]);
+    data = stripFormat(table.value);
+  } else {
+    const xyData = get('XYDATA');
+    if (!xyData || !/\(X\+\+\(Y\.\.Y\)\)/.test(xyData)) {
+      throw new Error('JCAMP-DX file has no (X++(Y..Y)) spectrum data');
+    }
+
+    xUnits = get('XUNITS');
+    firstX = number('FIRSTX');
+    lastX = number('LASTX');
+    yFactor = number('YFACTOR') ?? 1;
+    nPoints = number('NPOINTS');
+    data = stripFormat(xyData);
+  }
+
+  const values = decodeXYData(data);
+  const n = nPoints || values.length;
+
+  if (values.length < n) {
+    throw new Error(`JCAMP-DX data holds ${values.length} points but ${n} were declared`);
+  }
+
+  const toPpm = /HZ/i.test(xUnits ?? '')
+    ? x => {
+      if (!frequency) throw new Error('JCAMP-DX X axis is in Hz but .OBSERVE FREQUENCY is missing');
+      return x / frequency;
+    }
+    : x => x;
+
+  const ppm = new Float64Array(n);
+  const intensity = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    ppm[i] = toPpm(firstX + ((lastX - firstX) * i) / (n - 1));
+    intensity[i] = values[i] * yFactor;
+  }
+
+  return { nucleus, frequency, ppm, intensity };
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { decodeXYData, parseJcampRecords, readJcamp } from './jcamp.js';
+
+describe('decodeXYData', () => {
+  it('decodes SQZ, DIF and DUP forms and drops the DIF check value', () => {
+    // A00 = 100, J = +1, K = +2, %T = +0 twice; the second line repeats 103 as a check
+    expect(decodeXYData('0 A00JK%T\n5 A03J')).toEqual([100, 101, 103, 103, 103, 104]);
+  });
+
+  it('decodes plain numbers, negative SQZ digits and missing points', () => {
+    expect(decodeXYData('0 12 -3 a5 ?')).toEqual([12, -3, -15, NaN]);
+  });
+});
+
+describe('parseJcampRecords', () => {
+  it('normalises labels and joins continuation lines', () => {
+    expect(parseJcampRecords('##.OBSERVE FREQUENCY= 600.13 $$ MHz\n##XYDATA= (X++(Y..Y))\n0 1 2\n3 4')).toEqual([
+      { label: '.OBSERVEFREQUENCY', value: '600.13' },
+      { label: 'XYDATA', value: '(X++(Y..Y))\n0 1 2\n3 4' }
+    ]);
+  });
+});
+
+describe('readJcamp', () => {
+  it('converts an axis in Hz to ppm and applies the Y factor', () => {
+    const text = [
+      '##TITLE= test',
+      '##JCAMP-DX= 5.01',
+      '##.OBSERVE FREQUENCY= 600',
+      '##.OBSERVE NUCLEUS= ^1H',
+      '##XUNITS= HZ',
+      '##FIRSTX= 6000',
+      '##LASTX= 0',
+      '##YFACTOR= 0.5',
+      '##NPOINTS= 4',
+      '##XYDATA= (X++(Y..Y))',
+      '6000 A00JK%',
+      '##END='
+    ].join('\n');
+
+    const spectrum = readJcamp(text);
+    expect(spectrum.nucleus).toBe('1H');
+    expect(Array.from(spectrum.ppm)).toEqual([10, 20 / 3, 10 / 3, 0]);
+    expect(Array.from(spectrum.intensity)).toEqual([50, 50.5, 51.5, 51.5]);
+  });
+
+  it('rejects a file without spectrum data', () => {
+    expect(() => readJcamp('##TITLE= empty\n##END=')).toThrow(/no \(X\+\+\(Y\.\.Y\)\) spectrum data/);
+  });
+});
@@ -0,0 +1,361 @@
+/**
+ * Lineshape Fitting Module
+ *
+ * Least-squares fitting of Lorentzian or Gaussian multiplets to a window of a
+ * 1D spectrum, to locate overlapping peaks more precisely than peak picking.
+ */
+
+import { calculateParameterUncertainties } from '../numerical/uncertainty.js';
+import { minimiseChiSquared } from '../numerical/optimiser.js';
+import { estimateNoise, pickPeaks } from './peakPicking.js';
+
+/**
+ * Relative line intensities of first-order multiplets.
+ * 'multiplet' (unresolved or complex) is fitted as a single broad line.
+ */
+export const MULTIPLET_PATTERNS = {
+  singlet: [1],
+  doublet: [1, 1],
+  triplet: [1, 2, 1],
+  quartet: [1, 3, 3, 1],
+  multiplet: [1]
+};
+
+/**
+ * Default lineshape fitting options.
+ */
+const DEFAULT_LINESHAPE_OPTIONS = {
+  lineshape: 'lorentzian', // 'lorentzian' or 'gaussian'
+  initialWidth: 1, // Starting line width, FWHM (Hz)
+  initialCoupling: 7, // Starting coupling constant (Hz)
+  maxCoupling: 30, // Largest coupling constant allowed (Hz)
+  snapRange: 0.05, // Distance over which a predicted centre moves to the nearest maximum (ppm)
+  snrThreshold: 10, // Peaks in the window above this S/N not near a seed are fitted too
+  maxIterations: 200
+};
+
+/**
+ * Unit-height line profiles of full width at half maximum `width`.
+ */
+const PROFILES = {
+  lorentzian: (x, centre, width) => 1 / (1 + (2 * (x - centre) / width) ** 2),
+  gaussian: (x, centre, width) => Math.exp(-4 * Math.LN2 * ((x - centre) / width) ** 2)
+};
+
+/**
+ * Extract the points of a spectrum within a ppm window.
+ *
+ * @param {Object} spectrum - Spectrum { ppm, intensity }
+ * @param {number} ppmMin - Lower edge of the window (ppm)
+ * @param {number} ppmMax - Upper edge of the window (ppm)
+ * @returns {Object} { ppm: Array<number>, intensity: Array<number> }
+ */
+function extractWindow(spectrum, ppmMin, ppmMax) {
+  const ppm = [];
+  const intensity = [];
+  for (let i = 0; i < spectrum.ppm.length; i++) {
+    if (spectrum.ppm[i] >= ppmMin && spectrum.ppm[i] <= ppmMax) {
+      ppm.push(spectrum.ppm[i]);
+      intensity.push(spectrum.intensity[i]);
+    }
+  }
+  return { ppm, intensity };
+}
+
+/**
+ * Number of free parameters of a component: centre, amplitude, width and,
+ * for a resolved multiplet, the coupling constant.
+ *
+ * @param {Object} component - Component { multiplicity }
+ * @returns {number} Parameter count
+ */
+function componentParameterCount(component) {
+  return patternOf(component).length > 1 ? 4 : 3;
+}
+
+/**
+ * Line intensity pattern of a component.
+ *
+ * @param {Object} component - Component { multiplicity }
+ * @returns {Array<number>} Relative line intensities
+ */
+function patternOf(component) {
+  return MULTIPLET_PATTERNS[component.multiplicity] ?? MULTIPLET_PATTERNS.singlet;
+}
+
+/**
+ * Find the most likely position of a multiplet near its predicted shift.
+ *
+ * Centres within snapRange of the prediction and, for multiplets, coupling
+ * constants from twice the starting line width (resolved lines) up to
+ * maxCoupling are scored by the weakest line relative to its expected
+ * intensity, so a multiplet is not placed with lines on empty baseline.
+ *
+ * @param {Object} window - Spectrum window { ppm, intensity }
+ * @param {Object} prediction - Prediction { multiplicity, predicted_shift }
+ * @param {Object} opts - Fitting options
+ * @param {number} hzToPpm - Conversion factor from Hz to ppm
+ * @returns {Object} { centre (ppm), coupling (Hz) or null, height }
+ */
+function snapComponent(window, prediction, opts, hzToPpm) {
+  const pattern = patternOf(prediction);
+  const { ppm, intensity } = window;
+  const step = ppm.length > 1 ? ppm[1] - ppm[0] : 1;
+  const valueAt = shift => {
+    const i = Math.round((shift - ppm[0]) / step);
+    return i >= 0 && i < ppm.length ? intensity[i] : -Infinity;
+  };
+
+  const couplings = [];
+  if (pattern.length > 1) {
+    for (let j = 2 * opts.initialWidth; j <= opts.maxCoupling; j += 0.25) couplings.push(j);
+  } else {
+    couplings.push(0);
+  }
+
+  let best = { centre: prediction.predicted_shift, coupling: pattern.length > 1 ? opts.initialCoupling : null, height: 0 };
+  let bestScore = -Infinity;
+
+  for (const centre of ppm) {
+    if (Math.abs(centre - prediction.predicted_shift) > opts.snapRange) continue;
+    for (const coupling of couplings) {
+      const score = Math.min(...pattern.map((weight, k) =>
+        valueAt(centre + (k - (pattern.length - 1) / 2) * coupling * hzToPpm) / weight));
+      if (score > bestScore) {
+        bestScore = score;
+        best = { centre, coupling: pattern.length > 1 ? coupling : null, height: Math.max(score, 0) };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Build starting components for a lineshape fit from predicted buffer shifts.
+ *
+ * Each prediction within the window is moved to where its pattern best
+ * matches the spectrum within snapRange, since predictions at an estimated
+ * pH can be some way off. Multiplets are placed before singlets, each on the spectrum
+ * left after subtracting the lines already placed; predictions that still
+ * land on the same point are moved together so that overlapping resonances
+ * start apart. Picked peaks that no buffer multiplet can account for
+ * are added as singlets so that they do not distort the buffer peaks.
+ *
+ * @param {Object} spectrum - Spectrum { ppm, intensity, frequency }
+ * @param {Array<Object>} predictions - Predictions { buffer_id, buffer_name, resonance_id, multiplicity, predicted_shift }
+ * @param {number} ppmMin - Lower edge of the window (ppm)
+ * @param {number} ppmMax - Upper edge of the window (ppm)
+ * @param {Object} [options] - Fitting options (see DEFAULT_LINESHAPE_OPTIONS)
+ * @returns {Array<Object>} Components { id, label, buffer_id, resonance_id, multiplicity, centre, coupling }
+ */
+export function seedLineshapeComponents(spectrum, predictions, ppmMin, ppmMax, options = {}) {
+  const opts = { ...DEFAULT_LINESHAPE_OPTIONS, ...options };
+  const window = extractWindow(spectrum, ppmMin, ppmMax);
+  const hzToPpm = 1 / (spectrum.frequency || 1);
+
+  const inWindow = predictions
+    .filter(p => p.predicted_shift >= ppmMin && p.predicted_shift <= ppmMax)
+    .sort((a, b) => a.predicted_shift - b.predicted_shift);
+
+  // Multiplets are placed first, then simpler patterns on what they leave unexplained
+  const residual = { ppm: window.ppm, intensity: [...window.intensity] };
+  const snapped = [];
+  const order = inWindow.map((_, i) => i)
+    .sort((a, b) => patternOf(inWindow[b]).length - patternOf(inWindow[a]).length);
+
+  for (const i of order) {
+    const snap = snapComponent(residual, inWindow[i], opts, hzToPpm);
+    const pattern = patternOf(inWindow[i]);
+    pattern.forEach((weight, k) => {
+      const lineCentre = snap.centre + (k - (pattern.length - 1) / 2) * (snap.coupling ?? 0) * hzToPpm;
+      residual.ppm.forEach((x, n) => {
+        residual.intensity[n] -= snap.height * weight * PROFILES.lorentzian(x, lineCentre, opts.initialWidth * hzToPpm);
+      });
+    });
+    snapped[i] = snap;
+  }
+
+  // Predictions drawn to the same point keep their predicted spacing, moved together
+  const resolution = 3 * opts.initialWidth * hzToPpm;
+  const centres = snapped.map(({ centre }, i) => {
+    const first = snapped.findIndex(other => Math.abs(other.centre - centre) < resolution);
+    return inWindow[i].predicted_shift + (snapped[first].centre - inWindow[first].predicted_shift);
+  });
+
+  const components = inWindow.map((p, i) => ({
+    id: `${p.buffer_id}:${p.resonance_id}`,
+    label: `${p.buffer_name} ${p.resonance_id}`,
+    buffer_id: p.buffer_id,
+    resonance_id: p.resonance_id,
+    multiplicity: p.multiplicity ?? 'singlet',
+    centre: centres[i],
+    coupling: snapped[i].coupling
+  }));
+
+  const { peaks } = pickPeaks(window, { snrThreshold: opts.snrThreshold });
+  const explained = peaks.filter(peak => components.some(c => {
+    const halfSpan = ((patternOf(c).length - 1) / 2) * opts.maxCoupling * hzToPpm;
+    return Math.abs(peak.shift - c.centre) <= halfSpan + resolution;
+  }));
+
+  peaks
+    .filter(peak => !explained.includes(peak))
+    .forEach((peak, i) => components.push({
+      id: `peak_${i + 1}`,
+      label: `Other peak ${i + 1}`,
+      buffer_id: null,
+      resonance_id: null,
+      multiplicity: 'singlet',
+      centre: peak.shift,
+      coupling: null
+    }));
+
+  return components;
+}
+
+/**
+ * Fit multiplets to a window of a spectrum.
+ *
+ * Every component is a first-order multiplet (MULTIPLET_PATTERNS) of equal
+ * lines, with its own centre, amplitude, line width and coupling constant,
+ * on a linear baseline. Uncertainties come from the covariance matrix scaled
+ * by the residual variance of the fit.
+ *
+ * @param {Object} spectrum - Spectrum { ppm, intensity, frequency }
+ * @param {Array<Object>} components - Starting components { id, multiplicity, centre, coupling (Hz) } (see seedLineshapeComponents)
+ * @param {number} ppmMin - Lower edge of the window (ppm)
+ * @param {number} ppmMax - Upper edge of the window (ppm)
+ * @param {Object} [options] - Fitting options (see DEFAULT_LINESHAPE_OPTIONS)
+ * @returns {Object} { success, components, baseline, noise, rmsResidual, converged, iterations,
+ *   model: { ppm, intensity }, error }
+ */
+export function fitLineshapes(spectrum, components, ppmMin, ppmMax, options = {}) {
+  const opts = { ...DEFAULT_LINESHAPE_OPTIONS, ...options };
+  const profile = PROFILES[opts.lineshape];
+  if (!profile) {
+    return { success: false, error: `Unknown lineshape: ${opts.lineshape}` };
+  }
+
+  const window = extractWindow(spectrum, ppmMin, ppmMax);
+  const nParams = components.reduce((n, c) => n + componentParameterCount(c), 2);
+
+  if (components.length === 0) {
+    return { success: false, error: 'No peaks to fit in the window' };
+  }
+  if (window.ppm.length <= nParams) {
+    return { success: false, error: 'Too few spectrum points in the window' };
+  }
+
+  // Work in units of the highest point so amplitudes are of order one
+  const scale = Math.max(...window.intensity.map(Math.abs)) || 1;
+  const y = window.intensity.map(v => v / scale);
+  const hzToPpm = 1 / (spectrum.frequency || 1);
+  const pointSpacing = Math.abs(window.ppm[1] - window.ppm[0]);
+  const midpoint = (ppmMin + ppmMax) / 2;
+
+  // Positions, widths and couplings are fitted in units of the starting line
+  // width, measured from the middle of the window, so all parameters are of
+  // similar size; the optimiser's damping is poorly suited to raw ppm values
+  const unit = Math.max(opts.initialWidth * hzToPpm, 2 * pointSpacing);
+  const toUnits = ppm => (ppm - midpoint) / unit;
+  const x = window.ppm.map(toUnits);
+  const halfWindow = (ppmMax - ppmMin) / 2 / unit;
+
+  // Parameters: per component [centre, amplitude, width, (coupling)], then baseline [offset, slope]
+  const initialValues = [];
+  const minValues = [];
+  const maxValues = [];
+  for (const component of components) {
+    const pattern = patternOf(component);
+    const nearest = window.ppm.reduce((best, ppm, i) =>
+      Math.abs(ppm - component.centre) < Math.abs(window.ppm[best] - component.centre) ? i : best, 0);
+    const overlapping = components.filter(other => Math.abs(other.centre - component.centre) < 3 * unit).length;
+
+    initialValues.push(toUnits(component.centre), Math.max(y[nearest], 0) / Math.max(...pattern) / overlapping, 1);
+    minValues.push(-halfWindow, 0, pointSpacing / 2 / unit);
+    maxValues.push(halfWindow, 10, halfWindow);
+
+    if (pattern.length > 1) {
+      initialValues.push(((component.coupling ?? opts.initialCoupling) * hzToPpm) / unit);
+      minValues.push(0);
+      maxValues.push((opts.maxCoupling * hzToPpm) / unit);
+    }
+  }
+  initialValues.push(0, 0);
+  minValues.push(-10, -10);
+  maxValues.push(10, 10);
+
+  const model = params => u => {
+    let value = params[nParams - 2] + params[nParams - 1] * (u / halfWindow);
+    let p = 0;
+    for (const component of components) {
+      const pattern = patternOf(component);
+      const [centre, amplitude, width] = params.slice(p, p + 3);
+      const coupling = pattern.length > 1 ? params[p + 3] : 0;
+      pattern.forEach((weight, k) => {
+        const lineCentre = centre + (k - (pattern.length - 1) / 2) * coupling;
+        value += amplitude * weight * profile(u, lineCentre, width);
+      });
+      p += componentParameterCount(component);
+    }
+    return value;
+  };
+
+  let optimised;
+  try {
+    optimised = minimiseChiSquared(
+      { x, y },
+      model,
+      {
+        initialValues,
+        minValues,
+        maxValues,
+        gradientDifference: 1e-4,
+        centralDifference: true,
+        maxIterations: opts.maxIterations
+      }
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const fitted = optimised.parameterValues;
+
+  const residualFn = params => {
+    const fn = model(params);
+    return x.map((u, i) => y[i] - fn(u));
+  };
+  const residuals = residualFn(fitted);
+  const residualVariance = residuals.reduce((sum, r) => sum + r * r, 0) / (residuals.length - nParams);
+  const errors = calculateParameterUncertainties(fitted, residualFn, residualVariance, 1e-4);
+
+  let p = 0;
+  const fittedComponents = components.map(component => {
+    const hasCoupling = componentParameterCount(component) === 4;
+    const result = {
+      ...component,
+      centre: midpoint + fitted[p] * unit,
+      centreUncertainty: errors[p] * unit,
+      amplitude: fitted[p + 1] * scale,
+      width: fitted[p + 2] * unit,
+      widthHz: (fitted[p + 2] * unit) / hzToPpm,
+      coupling: hasCoupling ? (fitted[p + 3] * unit) / hzToPpm : null,
+      couplingUncertainty: hasCoupling ? (errors[p + 3] * unit) / hzToPpm : null
+    };
+    p += componentParameterCount(component);
+    return result;
+  });
+
+  const fn = model(fitted);
+  return {
+    success: true,
+    components: fittedComponents,
+    baseline: { offset: fitted[nParams - 2] * scale, slope: (fitted[nParams - 1] * scale) / (halfWindow * unit) },
+    noise: estimateNoise(window.intensity),
+    rmsResidual: Math.sqrt(residualVariance) * scale,
+    converged: optimised.converged,
+    iterations: optimised.iterations,
+    model: { ppm: window.ppm, intensity: x.map(u => fn(u) * scale) }
+  };
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { fitLineshapes } from './lineshapeFitting.js';
+import { createRandom, sampleNormal } from '../numerical/monteCarlo.js';
+
+const frequency = 600;
+
+// A triplet (J = 7 Hz) overlapping a singlet on its upfield line, with seeded noise at 0.5% of the height
+const truth = [
+  { id: 'triplet', multiplicity: 'triplet', centre: 3.4200, width: 1.5, coupling: 7, lines: [1, 2, 1] },
+  { id: 'singlet', multiplicity: 'singlet', centre: 3.4085, width: 2.5, coupling: 0, lines: [1.5] }
+];
+const random = createRandom(11);
+const ppm = Float64Array.from({ length: 1500 }, (_, i) => 3.50 - i * 0.0002);
+const intensity = ppm.map(x => truth.reduce((sum, { centre, width, coupling, lines }) =>
+  sum + lines.reduce((lineSum, height, k) => {
+    const lineCentre = centre + ((k - (lines.length - 1) / 2) * coupling) / frequency;
+    return lineSum + height / (1 + (2 * (x - lineCentre) * frequency / width) ** 2);
+  }, 0), 0) + 0.01 * sampleNormal(random));
+const spectrum = { ppm, intensity, frequency };
+
+describe('fitLineshapes', () => {
+  it('recovers the centres, widths and coupling of overlapping multiplets', () => {
+    const start = [
+      { id: 'triplet', multiplicity: 'triplet', centre: 3.4230, coupling: 6 },
+      { id: 'singlet', multiplicity: 'singlet', centre: 3.4060 }
+    ];
+    const fit = fitLineshapes(spectrum, start, 3.38, 3.46);
+
+    expect(fit.success).toBe(true);
+    expect(fit.converged).toBe(true);
+
+    const [triplet, singlet] = fit.components;
+    expect(Math.abs(triplet.centre - 3.4200)).toBeLessThan(1e-4);
+    expect(Math.abs(singlet.centre - 3.4085)).toBeLessThan(1e-4);
+    expect(triplet.widthHz).toBeCloseTo(1.5, 1);
+    expect(singlet.widthHz).toBeCloseTo(2.5, 1);
+    expect(triplet.coupling).toBeCloseTo(7, 1);
+    expect(triplet.centreUncertainty).toBeGreaterThan(0);
+    expect(triplet.centreUncertainty).toBeLessThan(1e-4);
+  });
+
+  it('fails for a window without components or an unknown lineshape', () => {
+    expect(fitLineshapes(spectrum, [], 3.38, 3.46).success).toBe(false);
+    expect(fitLineshapes(spectrum, [truth[1]], 3.38, 3.46, { lineshape: 'voigt' }).error).toMatch(/Unknown lineshape/);
+  });
+});
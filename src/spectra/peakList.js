@@ -0,0 +1,172 @@
+/**
+ * Peak List Module
+ *
+ * Parsing of Bruker TopSpin peak lists: peaklist.xml files and
+ * tab-separated text exports of the peak table.
+ */
+
+/**
+ * Nuclei recognised in peak list headers.
+ */
+const NUCLEUS_PATTERN = /\b(1H|13C|15N|19F|31P)\b/;
+
+/**
+ * Parse the attributes of an XML start tag.
+ *
+ * @param {string} tag - Tag text, e.g. '<Peak1D F1="4.70" intensity="1.2E7"/>'
+ * @returns {Object} Map of attribute name -> value
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+/**
+ * Find a nucleus name in header text.
+ *
+ * @param {string} text - Header text
+ * @returns {string|null} Nucleus (e.g. '19F'), or null if none found
+ */
+function findNucleus(text) {
+  return text.match(NUCLEUS_PATTERN)?.[1] ?? null;
+}
+
+/**
+ * Parse a TopSpin peaklist.xml file (1D peak lists only).
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { format, nucleus, peaks: [{ shift, intensity }] }
+ */
+export function parseTopSpinXml(text) {
+  const peaks = [];
+  for (const match of text.matchAll(/<Peak1D\b[^>]*>/g)) {
+    const attributes = parseAttributes(match[0]);
+    const shift = parseFloat(attributes.F1);
+    if (!isNaN(shift)) {
+      peaks.push({
+        shift,
+        intensity: attributes.intensity !== undefined ? parseFloat(attributes.intensity) : null
+      });
+    }
+  }
+
+  if (peaks.length === 0 && /<Peak2D\b/.test(text)) {
+    throw new Error('Only 1D peak lists are supported');
+  }
+
+  // The header does not always name the nucleus; look in its attributes and details
+  const header = text.match(/<PeakList1DHeader\b[\s\S]*?(<\/PeakList1DHeader>|\/>)/)?.[0] ?? '';
+
+  return {
+    format: 'topspin-xml',
+    nucleus: findNucleus(header),
+    peaks
+  };
+}
+
+/**
+ * Parse a tab-separated (or whitespace-separated) peak list export.
+ *
+ * The shift column is the first header column mentioning ppm, and the
+ * intensity column the first mentioning intensity. Header columns are
+ * separated by tabs or by two or more spaces, since column names such as
+ * "v(F1) [ppm]" contain single spaces. Without a header, or where the header
+ * has a different number of columns from a row, a single column is read as
+ * shifts, and otherwise a leading integer peak number is skipped and the
+ * next column is read as the shift and the last as the intensity.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { format, nucleus, peaks: [{ shift, intensity }] }
+ */
+export function parsePeakListText(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+  const splitLine = line => line.split(line.includes('\t') ? /\t/ : /\s+/).map(cell => cell.trim());
+  const splitHeader = line => line.split(/\t|\s{2,}/).map(cell => cell.trim());
+  const isNumeric = cell => cell !== '' && !isNaN(Number(cell));
+
+  let shiftColumn = null;
+  let intensityColumn = null;
+  let headerLength = null;
+  let nucleus = null;
+  const peaks = [];
+
+  for (const line of lines) {
+    const text = line.replace(/^#\s*/, '');
+    const cells = splitLine(text);
+
+    if (line.startsWith('#') || !cells.every(isNumeric)) {
+      // Comment or header line
+      nucleus = nucleus ?? findNucleus(line);
+      const lower = splitHeader(text).map(cell => cell.toLowerCase());
+      const ppm = lower.findIndex(cell => cell.includes('ppm'));
+      const intensity = lower.findIndex(cell => cell.includes('intens'));
+      if (ppm >= 0) {
+        shiftColumn = ppm;
+        intensityColumn = intensity >= 0 ? intensity : null;
+        headerLength = lower.length;
+      }
+      continue;
+    }
+
+    const values = cells.map(Number);
+    let shiftIndex = shiftColumn;
+    let intensityIndex = intensityColumn;
+
+    if (shiftIndex === null || values.length !== headerLength) {
+      const offset = values.length > 2 && Number.isInteger(values[0]) ? 1 : 0;
+      shiftIndex = offset;
+      intensityIndex = values.length > offset + 1 ? values.length - 1 : null;
+    }
+
+    const shift = values[shiftIndex];
+    if (shift !== undefined && !isNaN(shift)) {
+      peaks.push({
+        shift,
+        intensity: intensityIndex !== null && values[intensityIndex] !== undefined
+          ? values[intensityIndex]
+          : null
+      });
+    }
+  }
+
+  return {
+    format: 'text',
+    nucleus,
+    peaks
+  };
+}
+
+/**
+ * Parse a TopSpin peak list, detecting the format from its contents.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { format, nucleus, peaks: [{ shift, intensity }] }
+ */
+export function parsePeakList(text) {
+  if (/<PeakList\b/.test(text)) {
+    return parseTopSpinXml(text);
+  }
+  return parsePeakListText(text);
+}
+
+/**
+ * Remove peaks below an intensity threshold.
+ * The threshold is relative to the largest absolute intensity; peaks
+ * without an intensity are always kept.
+ *
+ * @param {Array<Object>} peaks - Peaks ({ shift, intensity })
+ * @param {number} threshold - Minimum intensity as a fraction of the largest (0-1)
+ * @returns {Array<Object>} Peaks at or above the threshold
+ */
+export function filterPeaksByIntensity(peaks, threshold) {
+  const maxIntensity = Math.max(0, ...peaks.map(p => Math.abs(p.intensity ?? 0)));
+
+  if (!(threshold > 0) || maxIntensity === 0) {
+    return peaks;
+  }
+
+  return peaks.filter(p => p.intensity === null || Math.abs(p.intensity) >= threshold * maxIntensity);
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { filterPeaksByIntensity, parsePeakList, parsePeakListText } from './peakList.js';
+
+describe('parsePeakListText', () => {
+  it('reads the ppm column of a space-aligned export with multi-word column names', () => {
+    const text = [
+      '# 19F peak list',
+      '# Peak   v(F1) [ppm]   v(F1) [Hz]   Intensity [abs]',
+      '1   -75.4200   -42598.41   1.2e7',
+      '2   -76.1000   -42982.49   3.4e6'
+    ].join('\n');
+
+    expect(parsePeakListText(text)).toEqual({
+      format: 'text',
+      nucleus: '19F',
+      peaks: [
+        { shift: -75.42, intensity: 1.2e7 },
+        { shift: -76.1, intensity: 3.4e6 }
+      ]
+    });
+  });
+
+  it('reads the ppm column of a tab-separated export', () => {
+    const text = 'Peak\tv(F1) [Hz]\tv(F1) [ppm]\tIntensity [abs]\n1\t2052.41\t3.4200\t1.2e7\n';
+
+    expect(parsePeakListText(text).peaks).toEqual([{ shift: 3.42, intensity: 1.2e7 }]);
+  });
+
+  it('skips a leading peak number without a header', () => {
+    expect(parsePeakListText('1 3.42 1.2e7\n2 3.10 5e6').peaks).toEqual([
+      { shift: 3.42, intensity: 1.2e7 },
+      { shift: 3.10, intensity: 5e6 }
+    ]);
+  });
+
+  it('reads a single column as shifts', () => {
+    expect(parsePeakListText('3.42\n3.10\n').peaks).toEqual([
+      { shift: 3.42, intensity: null },
+      { shift: 3.10, intensity: null }
+    ]);
+  });
+});
+
+describe('parsePeakList', () => {
+  it('reads TopSpin peaklist.xml', () => {
+    const xml = [
+      '<PeakList modified="2024-12-15">',
+      '  <PeakList1D>',
+      '    <PeakList1DHeader creator="user" name="19F" expNo="1"/>',
+      '    <Peak1D F1="-75.42" intensity="1.2E7" type="0"/>',
+      '    <Peak1D F1="-76.10" intensity="3.4E6" type="0"/>',
+      '  </PeakList1D>',
+      '</PeakList>'
+    ].join('\n');
+
+    expect(parsePeakList(xml)).toEqual({
+      format: 'topspin-xml',
+      nucleus: '19F',
+      peaks: [
+        { shift: -75.42, intensity: 1.2e7 },
+        { shift: -76.1, intensity: 3.4e6 }
+      ]
+    });
+  });
+
+  it('rejects 2D peak lists', () => {
+    expect(() => parsePeakList('<PeakList><Peak2D F1="3.4" F2="42.1"/></PeakList>')).toThrow(/Only 1D/);
+  });
+});
+
+describe('filterPeaksByIntensity', () => {
+  it('keeps peaks above a fraction of the largest and those without intensity', () => {
+    const peaks = [{ shift: 1, intensity: 100 }, { shift: 2, intensity: -4 }, { shift: 3, intensity: null }];
+    expect(filterPeaksByIntensity(peaks, 0.05).map(p => p.shift)).toEqual([1, 3]);
+  });
+});
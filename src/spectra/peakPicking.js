@@ -0,0 +1,125 @@
+/**
+ * Peak Picking Module
+ *
+ * Noise estimation and threshold-based peak picking for 1D spectra.
+ */
+
+/**
+ * Default peak picking options.
+ */
+const DEFAULT_PICKING_OPTIONS = {
+  snrThreshold: 10, // Minimum peak height in units of the noise SD
+  minSeparation: 0 // Minimum separation between picked peaks (ppm)
+};
+
+/**
+ * Median of an array of numbers.
+ *
+ * @param {Array<number>|Float64Array} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = Float64Array.from(values).sort();
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Estimate the noise standard deviation of a spectrum.
+ *
+ * Uses the median absolute deviation of point-to-point differences, which is
+ * insensitive to the (sparse) peaks and to a slowly varying baseline.
+ * Differences of independent noise have variance 2σ², hence the √2.
+ *
+ * @param {Float64Array|Array<number>} intensity - Spectrum intensities
+ * @returns {number} Noise standard deviation
+ */
+export function estimateNoise(intensity) {
+  if (intensity.length < 3) return 0;
+
+  const differences = new Float64Array(intensity.length - 1);
+  for (let i = 0; i < differences.length; i++) {
+    differences[i] = intensity[i + 1] - intensity[i];
+  }
+
+  const centre = median(differences);
+  const mad = median(differences.map(d => Math.abs(d - centre)));
+  return (1.4826 * mad) / Math.SQRT2;
+}
+
+/**
+ * Calculate the prominence of a local maximum: its height above the higher
+ * of the lowest points between it and a higher point (or the edge) on each side.
+ *
+ * @param {Float64Array|Array<number>} intensity - Spectrum intensities
+ * @param {number} index - Index of the local maximum
+ * @returns {number} Prominence
+ */
+function prominence(intensity, index) {
+  const y = intensity[index];
+  const lowestTowards = direction => {
+    let lowest = y;
+    for (let i = index + direction; i >= 0 && i < intensity.length; i += direction) {
+      if (intensity[i] > y) break;
+      lowest = Math.min(lowest, intensity[i]);
+    }
+    return lowest;
+  };
+
+  return y - Math.max(lowestTowards(-1), lowestTowards(1));
+}
+
+/**
+ * Pick positive peaks above a noise-based threshold.
+ *
+ * Local maxima higher than snrThreshold × noise, and standing out by as much
+ * from their surroundings (so that noise on the flanks of large peaks is not
+ * picked), are refined by fitting a parabola through the three highest points.
+ * When peaks are closer than minSeparation, only the highest is kept.
+ *
+ * @param {Object} spectrum - Spectrum { ppm, intensity }
+ * @param {Object} [options] - Picking options (see DEFAULT_PICKING_OPTIONS)
+ * @returns {Object} { noise, threshold, peaks: [{ shift, intensity, snr }] }, peaks in ppm order
+ */
+export function pickPeaks(spectrum, options = {}) {
+  const { snrThreshold, minSeparation } = { ...DEFAULT_PICKING_OPTIONS, ...options };
+  const { ppm, intensity } = spectrum;
+
+  const noise = estimateNoise(intensity);
+  const threshold = snrThreshold * noise;
+  const candidates = [];
+
+  for (let i = 1; i < intensity.length - 1; i++) {
+    const y = intensity[i];
+    if (y <= threshold || y < intensity[i - 1] || y <= intensity[i + 1]) continue;
+    if (prominence(intensity, i) <= threshold) continue;
+
+    // Parabolic interpolation of the maximum
+    const left = intensity[i - 1];
+    const right = intensity[i + 1];
+    const curvature = left - 2 * y + right;
+    const offset = curvature < 0 ? (0.5 * (left - right)) / curvature : 0;
+    const step = ppm[i + 1] - ppm[i];
+    const height = y - 0.25 * (left - right) * offset;
+
+    candidates.push({
+      shift: ppm[i] + offset * step,
+      intensity: height,
+      snr: noise > 0 ? height / noise : Infinity
+    });
+  }
+
+  // Keep the highest of peaks closer than the minimum separation
+  const peaks = [];
+  for (const candidate of [...candidates].sort((a, b) => b.intensity - a.intensity)) {
+    if (!peaks.some(p => Math.abs(p.shift - candidate.shift) < minSeparation)) {
+      peaks.push(candidate);
+    }
+  }
+
+  return {
+    noise,
+    threshold,
+    peaks: peaks.sort((a, b) => a.shift - b.shift)
+  };
+}
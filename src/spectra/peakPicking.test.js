@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { estimateNoise, pickPeaks } from './peakPicking.js';
+import { createRandom, sampleNormal } from '../numerical/monteCarlo.js';
+
+// Lorentzian lines (ppm, height, half width at half height) on seeded unit noise
+const lines = [[3.20, 200, 0.004], [3.45, 60, 0.004], [3.70, 8, 0.004]];
+const random = createRandom(3);
+const ppm = Float64Array.from({ length: 4000 }, (_, i) => 4 - i * 0.001);
+const intensity = ppm.map(x =>
+  lines.reduce((sum, [centre, height, width]) => sum + height / (1 + ((x - centre) / width) ** 2), 0) + sampleNormal(random)
+);
+
+describe('estimateNoise', () => {
+  it('recovers the noise SD despite the peaks', () => {
+    expect(estimateNoise(intensity)).toBeGreaterThan(0.8);
+    expect(estimateNoise(intensity)).toBeLessThan(1.2);
+  });
+});
+
+describe('pickPeaks', () => {
+  it('picks the lines above the noise threshold at their centres', () => {
+    const { noise, threshold, peaks } = pickPeaks({ ppm, intensity });
+
+    expect(threshold).toBeCloseTo(10 * noise, 12);
+    expect(peaks).toHaveLength(2);
+    peaks.forEach((peak, i) => expect(peak.shift).toBeCloseTo([3.20, 3.45][i], 3));
+    expect(peaks[0].snr).toBeGreaterThan(100);
+  });
+
+  it('picks weaker lines at a lower threshold', () => {
+    const { peaks } = pickPeaks({ ppm, intensity }, { snrThreshold: 5 });
+    expect(peaks.map(p => Math.round(p.shift * 100) / 100)).toEqual([3.20, 3.45, 3.70]);
+  });
+
+  it('keeps only the highest of peaks closer than the minimum separation', () => {
+    const { peaks } = pickPeaks({ ppm, intensity }, { minSeparation: 0.3 });
+    expect(peaks.map(p => Math.round(p.shift * 100) / 100)).toEqual([3.20]);
+  });
+});
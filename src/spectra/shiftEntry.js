@@ -0,0 +1,286 @@
+/**
+ * Shift Entry Module
+ *
+ * Parsing of typed chemical shift lists, where a line holds a single shift
+ * or the lines of one multiplet, with optional annotations, and conversion
+ * of the annotations into assignment locks and per-peak uncertainties.
+ * Also parses typed lists of 2D cross peaks.
+ */
+
+import { findResonancesByLabel, getLockKey } from '../numerical/peakAssignment.js';
+
+/**
+ * Multiplicity codes and names accepted in shift entries.
+ */
+const MULTIPLICITY_CODES = {
+  s: 'singlet',
+  d: 'doublet',
+  t: 'triplet',
+  q: 'quartet',
+  m: 'multiplet',
+  singlet: 'singlet',
+  doublet: 'doublet',
+  triplet: 'triplet',
+  quartet: 'quartet',
+  multiplet: 'multiplet'
+};
+
+/**
+ * Multiplicity of a first-order multiplet with the given number of lines.
+ */
+const MULTIPLICITY_BY_LINES = ['singlet', 'singlet', 'doublet', 'triplet', 'quartet'];
+
+/**
+ * Largest spread of the lines of one multiplet (ppm). Numbers on a line
+ * spread further than this are not taken as one peak, but flagged.
+ */
+export const MAX_MULTIPLET_SPAN = 0.3;
+
+/**
+ * Parse one line of a shift list.
+ *
+ * A line holds one or more shifts (ppm) and optionally:
+ * - a multiplicity code (s, d, t, q, m or the full name),
+ * - a coupling constant "J=7.1" (Hz),
+ * - an uncertainty "± 0.002" or "+/- 0.002" (ppm),
+ * - an assignment label "buffer:resonance",
+ * - an intensity "I=1.2e6" (also "int=" or "intensity="),
+ * - a comment after "#", which marks the peak to be excluded.
+ * Several shifts on one line are the lines of a multiplet, reported at
+ * their mean; the multiplicity then follows from the number of lines
+ * unless given explicitly. Lines spread wider than one multiplet, such as
+ * two peaks typed on one line, are returned with a warning and should not
+ * be used.
+ *
+ * @param {string} line - Text line
+ * @param {number} [maxMultipletSpan] - Largest multiplet spread, in the units of the line
+ * @returns {Object|null} { shift, lines, multiplicity, coupling, uncertainty, label, intensity, comment, warning },
+ *   or null if the line holds no shift; annotations not given and warning are null
+ */
+export function parseShiftLine(line, maxMultipletSpan = MAX_MULTIPLET_SPAN) {
+  const hashIndex = line.indexOf('#');
+  const comment = hashIndex >= 0 ? line.slice(hashIndex + 1).trim() : null;
+  let rest = hashIndex >= 0 ? line.slice(0, hashIndex) : line;
+
+  let coupling = null;
+  const jMatch = rest.match(/\bJ\s*=\s*(\d*\.?\d+)\s*(?:Hz\b)?/i);
+  if (jMatch) {
+    coupling = parseFloat(jMatch[1]);
+    rest = rest.replace(jMatch[0], ' ');
+  }
+
+  let intensity = null;
+  const intensityMatch = rest.match(/\b(?:intensity|int|I)\s*=\s*([+-]?\d*\.?\d+(?:[eE][+-]?\d+)?)/i);
+  if (intensityMatch) {
+    intensity = parseFloat(intensityMatch[1]);
+    rest = rest.replace(intensityMatch[0], ' ');
+  }
+
+  let uncertainty = null;
+  const sdMatch = rest.match(/(?:±|\+\/-|\+-)\s*(\d*\.?\d+(?:[eE][+-]?\d+)?)/);
+  if (sdMatch) {
+    uncertainty = parseFloat(sdMatch[1]);
+    rest = rest.replace(sdMatch[0], ' ');
+  }
+
+  const numbers = [];
+  let multiplicity = null;
+  let label = null;
+
+  for (const token of rest.split(/[\s,;()]+/)) {
+    if (token === '') continue;
+    const code = MULTIPLICITY_CODES[token.toLowerCase()];
+    const labelMatch = token.match(/^([A-Za-z][\w.-]*):([\w'.-]+)$/);
+    if (code) {
+      multiplicity = code;
+    } else if (labelMatch) {
+      label = { buffer: labelMatch[1], resonance: labelMatch[2] };
+    } else if (!isNaN(parseFloat(token))) {
+      numbers.push(parseFloat(token));
+    }
+  }
+
+  if (numbers.length === 0) {
+    return null;
+  }
+
+  const lines = numbers.sort((a, b) => a - b);
+  const span = lines[lines.length - 1] - lines[0];
+  const warning = span > maxMultipletSpan
+    ? `${lines[0]} and ${lines[lines.length - 1]} are too far apart for one multiplet; ` +
+      'enter separate peaks on separate lines and an intensity as "I=…"'
+    : null;
+
+  if (!multiplicity && lines.length > 1) {
+    multiplicity = MULTIPLICITY_BY_LINES[lines.length] ?? 'multiplet';
+  }
+
+  return {
+    shift: lines.reduce((sum, x) => sum + x, 0) / lines.length,
+    lines,
+    multiplicity,
+    coupling,
+    uncertainty,
+    label,
+    intensity,
+    comment,
+    warning
+  };
+}
+
+/**
+ * Convert an entry typed in Hz relative to the carrier into ppm.
+ * The typed values and the conversion are kept as `original`, so that the
+ * conversion can be reproduced from exported results.
+ *
+ * @param {Object} entry - Parsed entry with positions and uncertainty in Hz
+ * @param {Object} conversion - Conversion from getHzConversion
+ * @returns {Object} Entry in ppm, with original: { units: 'Hz', shift, lines, uncertainty, carrier, protonFrequency }
+ */
+export function convertEntryFromHz(entry, conversion) {
+  const toPpm = hz => conversion.offset + hz * conversion.ppmPerHz;
+
+  return {
+    ...entry,
+    shift: toPpm(entry.shift),
+    lines: entry.lines.map(toPpm),
+    uncertainty: entry.uncertainty !== null ? entry.uncertainty * conversion.ppmPerHz : null,
+    original: {
+      units: 'Hz',
+      shift: entry.shift,
+      lines: entry.lines,
+      uncertainty: entry.uncertainty,
+      carrier: conversion.carrier,
+      protonFrequency: conversion.protonFrequency
+    }
+  };
+}
+
+/**
+ * Check whether an entry carries any annotation beyond its shift.
+ *
+ * @param {Object} entry - Parsed entry (see parseShiftLine)
+ * @returns {boolean} True if annotated
+ */
+export function isAnnotated(entry) {
+  return Boolean(entry.multiplicity || entry.original) ||
+    [entry.coupling, entry.uncertainty, entry.label, entry.intensity, entry.comment].some(v => v !== null);
+}
+
+/**
+ * Parse a typed shift list, one peak or multiplet per line.
+ *
+ * Without a conversion the positions are in ppm. With one (see
+ * getHzConversion), they are in Hz from the carrier and are converted.
+ * Entries with a warning are returned too, for the caller to report.
+ *
+ * @param {string} text - Text input
+ * @param {Object|null} [hzConversion] - Conversion of Hz positions to ppm
+ * @returns {Array<Object>} Entries in ppm (see parseShiftLine and convertEntryFromHz)
+ */
+export function parseShiftEntries(text, hzConversion = null) {
+  const maxSpan = hzConversion ? MAX_MULTIPLET_SPAN / hzConversion.ppmPerHz : MAX_MULTIPLET_SPAN;
+
+  return text
+    .split('\n')
+    .map(line => parseShiftLine(line, maxSpan))
+    .filter(entry => entry !== null)
+    .map(entry => hzConversion ? convertEntryFromHz(entry, hzConversion) : entry);
+}
+
+/**
+ * Collect the annotated entries of a shift list by lock key of their shift.
+ *
+ * @param {Array<Object>} entries - Parsed entries
+ * @returns {Object} { lockKey: entry } for entries with annotations
+ */
+export function getAnnotations(entries) {
+  return Object.fromEntries(
+    entries.filter(isAnnotated).map(entry => [getLockKey(entry.shift), entry])
+  );
+}
+
+/**
+ * Convert annotations into assignment locks: a comment excludes the peak
+ * ('ignore') and a label that names exactly one resonance pins it there.
+ * Labels that cannot be resolved are returned rather than applied.
+ *
+ * @param {Object} annotations - { nucleus: { lockKey: entry } }
+ * @param {Array<Object>} buffers - Selected buffer objects
+ * @returns {Object} { locks: { nucleus: { lockKey: lock } }, unresolved: [{ nucleus, shift, label, matches }] }
+ */
+export function getAnnotationLocks(annotations, buffers) {
+  const locks = {};
+  const unresolved = [];
+
+  for (const [nucleus, nucleusAnnotations] of Object.entries(annotations)) {
+    for (const [key, entry] of Object.entries(nucleusAnnotations)) {
+      if (entry.comment !== null) {
+        locks[nucleus] = { ...locks[nucleus], [key]: { action: 'ignore' } };
+      } else if (entry.label) {
+        const matches = findResonancesByLabel(entry.label, buffers, nucleus);
+        if (matches.length === 1) {
+          locks[nucleus] = { ...locks[nucleus], [key]: { action: 'pin', ...matches[0] } };
+        } else {
+          unresolved.push({ nucleus, shift: entry.shift, label: entry.label, matches: matches.length });
+        }
+      }
+    }
+  }
+
+  return { locks, unresolved };
+}
+
+/**
+ * Collect the uncertainties given in annotations.
+ *
+ * @param {Object} annotations - { nucleus: { lockKey: entry } }
+ * @returns {Object} { nucleus: { lockKey: ppm } }
+ */
+export function getAnnotationUncertainties(annotations) {
+  const uncertainties = {};
+
+  for (const [nucleus, nucleusAnnotations] of Object.entries(annotations)) {
+    for (const [key, entry] of Object.entries(nucleusAnnotations)) {
+      if (entry.uncertainty > 0) {
+        uncertainties[nucleus] = { ...uncertainties[nucleus], [key]: entry.uncertainty };
+      }
+    }
+  }
+
+  return uncertainties;
+}
+
+/**
+ * Parse a typed list of 2D (HSQC/HMQC) cross peaks, one "δH δX" pair per line
+ * in ppm. A "#" comment excludes the cross peak, as in 1D lists.
+ *
+ * @param {string} text - Text input
+ * @returns {Object} { peaks: [[δH, δX]], excluded, invalid } with the numbers
+ *   of excluded lines and of lines that do not hold exactly two shifts
+ */
+export function parseCorrelationEntries(text) {
+  const peaks = [];
+  let excluded = 0;
+  let invalid = 0;
+
+  for (const line of text.split('\n')) {
+    const hashIndex = line.indexOf('#');
+    const numbers = (hashIndex >= 0 ? line.slice(0, hashIndex) : line)
+      .split(/[\s,;()]+/)
+      .filter(token => token !== '')
+      .map(Number);
+
+    if (numbers.length === 0) continue;
+
+    if (numbers.length !== 2 || numbers.some(isNaN)) {
+      invalid++;
+    } else if (hashIndex >= 0) {
+      excluded++;
+    } else {
+      peaks.push(numbers);
+    }
+  }
+
+  return { peaks, excluded, invalid };
+}
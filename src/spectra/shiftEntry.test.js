@@ -0,0 +1,153 @@
+import { describe, expect, it } from 'vitest';
+import {
+  getAnnotationLocks,
+  getAnnotations,
+  getAnnotationUncertainties,
+  parseCorrelationEntries,
+  parseShiftEntries,
+  parseShiftLine
+} from './shiftEntry.js';
+import { getLockKey } from '../numerical/peakAssignment.js';
+
+const buffer = {
+  buffer_id: 'tris',
+  buffer_name: 'Tris',
+  chemical_shifts: {
+    '1H': [{ resonance_id: 'H_alpha' }, { resonance_id: 'H_beta' }]
+  }
+};
+
+describe('parseShiftLine', () => {
+  it('reads a plain shift with no annotations', () => {
+    expect(parseShiftLine('3.22')).toEqual({
+      shift: 3.22,
+      lines: [3.22],
+      multiplicity: null,
+      coupling: null,
+      uncertainty: null,
+      label: null,
+      intensity: null,
+      comment: null,
+      warning: null
+    });
+  });
+
+  it('reports the lines of a multiplet at their mean', () => {
+    const entry = parseShiftLine('3.43 3.41 3.42 t J=7.1');
+
+    expect(entry.shift).toBeCloseTo(3.42, 12);
+    expect(entry.lines).toEqual([3.41, 3.42, 3.43]);
+    expect(entry).toMatchObject({ multiplicity: 'triplet', coupling: 7.1, warning: null });
+  });
+
+  it('takes the multiplicity from the number of lines when none is given', () => {
+    const entry = parseShiftLine('1.5, 1.6');
+    expect(entry.multiplicity).toBe('doublet');
+    expect(entry.shift).toBeCloseTo(1.55, 12);
+  });
+
+  it('reads an intensity only when it is marked', () => {
+    expect(parseShiftLine('7.1 I=1e6')).toMatchObject({ lines: [7.1], intensity: 1e6, warning: null });
+    expect(parseShiftLine('-75.1 int = 2.5e5').intensity).toBe(2.5e5);
+  });
+
+  it('flags two peaks on one line rather than reading one as an intensity', () => {
+    for (const line of ['3.42 3.85', '-75.10 -75.60']) {
+      const entry = parseShiftLine(line);
+      expect(entry.intensity).toBeNull();
+      expect(entry.lines).toHaveLength(2);
+      expect(entry.warning).toMatch(/too far apart/);
+    }
+  });
+
+  it('flags an unmarked intensity', () => {
+    expect(parseShiftLine('7.1 1e6').warning).toMatch(/I=/);
+  });
+
+  it('reads an uncertainty, a label and a comment', () => {
+    expect(parseShiftLine('3.22 ± 0.002 tris:H_alpha')).toMatchObject({
+      shift: 3.22,
+      uncertainty: 0.002,
+      label: { buffer: 'tris', resonance: 'H_alpha' },
+      comment: null
+    });
+    expect(parseShiftLine('-75.3 +/- 1e-3').uncertainty).toBe(0.001);
+
+    const excluded = parseShiftLine('-61.0 # impurity');
+    expect(excluded.shift).toBe(-61.0);
+    expect(excluded.comment).toBe('impurity');
+  });
+
+  it('returns null for a line without a shift', () => {
+    expect(parseShiftLine('foo')).toBeNull();
+    expect(parseShiftLine('# only a comment 3.2')).toBeNull();
+  });
+});
+
+describe('parseShiftEntries', () => {
+  it('skips blank lines', () => {
+    expect(parseShiftEntries('3.22\n\n  \n-75.3').map(entry => entry.shift)).toEqual([3.22, -75.3]);
+  });
+
+  it('converts positions, lines and uncertainties typed in Hz and keeps the originals', () => {
+    const conversion = { offset: -75, ppmPerHz: 1 / 564.5, carrier: { type: 'sfo1', value: 564.46 }, protonFrequency: 600 };
+    const [entry] = parseShiftEntries('-56.45 56.45 ± 1.129', conversion);
+
+    expect(entry.lines[0]).toBeCloseTo(-75.1, 12);
+    expect(entry.lines[1]).toBeCloseTo(-74.9, 12);
+    expect(entry.shift).toBeCloseTo(-75, 12);
+    expect(entry.uncertainty).toBeCloseTo(0.002, 12);
+    expect(entry.warning).toBeNull();
+    expect(entry.original).toEqual({
+      units: 'Hz',
+      shift: 0,
+      lines: [-56.45, 56.45],
+      uncertainty: 1.129,
+      carrier: conversion.carrier,
+      protonFrequency: 600
+    });
+  });
+
+  it('returns flagged lines for the caller to report', () => {
+    const entries = parseShiftEntries('3.22\n3.42 3.85');
+    expect(entries.map(entry => entry.warning !== null)).toEqual([false, true]);
+  });
+});
+
+describe('getAnnotationLocks', () => {
+  it('pins labelled peaks and ignores commented ones', () => {
+    const entries = parseShiftEntries('3.22 tris:H_alpha\n1.0 # impurity');
+    const { locks, unresolved } = getAnnotationLocks({ '1H': getAnnotations(entries) }, [buffer]);
+
+    expect(unresolved).toEqual([]);
+    expect(locks['1H'][getLockKey(3.22)]).toMatchObject({ action: 'pin', buffer_id: 'tris', resonance_id: 'H_alpha' });
+    expect(locks['1H'][getLockKey(1.0)]).toEqual({ action: 'ignore' });
+  });
+
+  it('returns labels that name no resonance', () => {
+    const entries = parseShiftEntries('3.22 nobuffer:H_x');
+    const { locks, unresolved } = getAnnotationLocks({ '1H': getAnnotations(entries) }, [buffer]);
+
+    expect(locks).toEqual({});
+    expect(unresolved).toEqual([{ nucleus: '1H', shift: 3.22, label: { buffer: 'nobuffer', resonance: 'H_x' }, matches: 0 }]);
+  });
+});
+
+describe('getAnnotationUncertainties', () => {
+  it('collects the positive uncertainties by lock key', () => {
+    const entries = parseShiftEntries('3.22 ± 0.002\n3.10 ± 0\n2.90 tris:H_beta');
+    expect(getAnnotationUncertainties({ '1H': getAnnotations(entries) })).toEqual({
+      '1H': { [getLockKey(3.22)]: 0.002 }
+    });
+  });
+});
+
+describe('parseCorrelationEntries', () => {
+  it('counts excluded and invalid cross peaks', () => {
+    expect(parseCorrelationEntries('3.22 42.4\n3.5 50.1 # overlap\n3.1\n3.4, 61.2, 7\n')).toEqual({
+      peaks: [[3.22, 42.4]],
+      excluded: 1,
+      invalid: 2
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Titration Table Module
+ *
+ * Parsing of titration tables for buffer calibration: one row per sample,
+ * with its pH, temperature and ionic strength and the observed shift of
+ * each resonance.
+ */
+
+/**
+ * Nucleus at the start of a resonance column header, e.g. "1H:CH2" or "19F".
+ */
+const RESONANCE_HEADER_PATTERN = /^(1H|13C|15N|19F|31P)(?:[\s:_/-]+(.+))?$/;
+
+/**
+ * Identify the quantity held by a column from its header.
+ *
+ * @param {string} header - Column header
+ * @returns {Object|null} { quantity: 'pH'|'temperature'|'ionicStrength', celsius }
+ *   or { quantity: 'shift', nucleus, resonanceId }, or null if unrecognised
+ */
+function identifyColumn(header) {
+  const text = header.trim();
+
+  if (/^ph\b/i.test(text)) {
+    return { quantity: 'pH' };
+  }
+  if (/^(t|temp|temperature)\b/i.test(text) || /^T_/.test(text)) {
+    return { quantity: 'temperature', celsius: /(°C|\bC\b|_C\b|\(C\))/.test(text) };
+  }
+  if (/^(i|ionic[\s_-]*strength|ionic)\b/i.test(text) || /^I_/.test(text)) {
+    return { quantity: 'ionicStrength' };
+  }
+
+  const match = text.match(RESONANCE_HEADER_PATTERN);
+  if (match) {
+    return { quantity: 'shift', nucleus: match[1], resonanceId: match[2]?.trim() ?? null };
+  }
+
+  return null;
+}
+
+/**
+ * Split a table line into cells: on tabs, commas or semicolons when present,
+ * otherwise on whitespace.
+ *
+ * @param {string} line - Text line
+ * @returns {Array<string>} Cells
+ */
+function splitCells(line) {
+  const delimiter = /[\t,;]/.test(line) ? /\s*[\t,;]\s*/ : /\s+/;
+  return line.trim().split(delimiter);
+}
+
+/**
+ * Parse a titration table.
+ *
+ * The first non-comment line is a header naming the columns: "pH", an
+ * optional temperature column ("T_K", "Temperature (K)" or "T (°C)"), an
+ * optional ionic strength column ("I_M", "Ionic strength"), and one column
+ * per resonance headed by its nucleus and resonance ID ("1H:CH2", "19F CF3").
+ * A resonance column headed by the nucleus alone gets a numbered ID. Empty
+ * cells, "-" and "NA" are missing shifts. Lines starting with "#" are
+ * comments.
+ *
+ * @param {string} text - Table text
+ * @param {Object} [defaults] - { temperature, ionicStrength } for missing columns
+ * @returns {Object} { resonances: [{ nucleus, resonance_id }],
+ *   points: [{ pH, temperature, ionicStrength, shifts: [ppm|null] }], warnings }
+ * @throws {Error} If the table has no pH or resonance columns, or no data rows
+ */
+export function parseTitrationTable(text, defaults = {}) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+
+  if (lines.length === 0) {
+    throw new Error('The titration table is empty');
+  }
+
+  const columns = splitCells(lines[0]).map(identifyColumn);
+  const pHColumn = columns.findIndex(c => c?.quantity === 'pH');
+  const temperatureColumn = columns.findIndex(c => c?.quantity === 'temperature');
+  const ionicStrengthColumn = columns.findIndex(c => c?.quantity === 'ionicStrength');
+
+  if (pHColumn < 0) {
+    throw new Error('The titration table needs a pH column');
+  }
+
+  // Resonance columns, numbering those without an ID within their nucleus
+  const resonances = [];
+  const resonanceColumns = [];
+  columns.forEach((column, index) => {
+    if (column?.quantity !== 'shift') return;
+    const count = resonances.filter(r => r.nucleus === column.nucleus).length;
+    resonances.push({
+      nucleus: column.nucleus,
+      resonance_id: column.resonanceId ?? `${column.nucleus.replace(/^\d+/, '')}_${count + 1}`
+    });
+    resonanceColumns.push(index);
+  });
+
+  if (resonances.length === 0) {
+    throw new Error('The titration table needs at least one resonance column, e.g. "1H:CH2"');
+  }
+
+  const seen = new Set();
+  for (const r of resonances) {
+    const key = `${r.nucleus}:${r.resonance_id}`;
+    if (seen.has(key)) {
+      throw new Error(`Resonance ${key} appears in more than one column`);
+    }
+    seen.add(key);
+  }
+
+  const readNumber = cell => {
+    if (cell === undefined || /^(|-|na|nan)$/i.test(cell.trim())) return null;
+    const value = parseFloat(cell);
+    return isNaN(value) ? undefined : value;
+  };
+
+  const points = [];
+  const warnings = [];
+
+  lines.slice(1).forEach((line, row) => {
+    const cells = splitCells(line);
+    const pH = readNumber(cells[pHColumn]);
+
+    if (pH === null || pH === undefined) {
+      warnings.push(`Row ${row + 1} has no pH and was skipped`);
+      return;
+    }
+
+    let temperature = temperatureColumn >= 0 ? readNumber(cells[temperatureColumn]) : null;
+    if (temperature !== null && temperature !== undefined && columns[temperatureColumn].celsius) {
+      temperature += 273.15;
+    }
+    const ionicStrength = ionicStrengthColumn >= 0 ? readNumber(cells[ionicStrengthColumn]) : null;
+
+    const shifts = resonanceColumns.map(index => readNumber(cells[index]));
+    if (shifts.includes(undefined) || temperature === undefined || ionicStrength === undefined) {
+      warnings.push(`Row ${row + 1} has an unreadable value, which was left out`);
+    }
+
+    points.push({
+      pH,
+      temperature: temperature ?? defaults.temperature ?? 298.15,
+      ionicStrength: ionicStrength ?? defaults.ionicStrength ?? 0,
+      shifts: shifts.map(shift => shift ?? null)
+    });
+  });
+
+  if (points.length === 0) {
+    throw new Error('The titration table has no data rows');
+  }
+
+  return { resonances, points, warnings };
+}
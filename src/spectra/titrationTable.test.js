@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { parseTitrationTable } from './titrationTable.js';
+
+describe('parseTitrationTable', () => {
+  it('reads conditions and shifts by column header', () => {
+    const text = [
+      '# TFEA titration',
+      'pH\tT (°C)\tI_M\t1H:CH2\t19F',
+      '5.0\t25\t0.1\t3.42\t-75.10',
+      '9.5\t25\t0.1\t3.21\t-'
+    ].join('\n');
+
+    expect(parseTitrationTable(text)).toEqual({
+      resonances: [{ nucleus: '1H', resonance_id: 'CH2' }, { nucleus: '19F', resonance_id: 'F_1' }],
+      points: [
+        { pH: 5.0, temperature: 298.15, ionicStrength: 0.1, shifts: [3.42, -75.10] },
+        { pH: 9.5, temperature: 298.15, ionicStrength: 0.1, shifts: [3.21, null] }
+      ],
+      warnings: []
+    });
+  });
+
+  it('takes missing conditions from the defaults', () => {
+    const { points } = parseTitrationTable('pH, 1H CH2\n7.0, 3.30', { temperature: 310, ionicStrength: 0.15 });
+    expect(points).toEqual([{ pH: 7.0, temperature: 310, ionicStrength: 0.15, shifts: [3.30] }]);
+  });
+
+  it('skips rows without a pH and warns about unreadable cells', () => {
+    const { points, warnings } = parseTitrationTable('pH 1H:CH2\nNA 3.30\n7.0 abc');
+
+    expect(points).toEqual([{ pH: 7.0, temperature: 298.15, ionicStrength: 0, shifts: [null] }]);
+    expect(warnings).toEqual(['Row 1 has no pH and was skipped', 'Row 2 has an unreadable value, which was left out']);
+  });
+
+  it('requires a pH column', () => {
+    expect(() => parseTitrationTable('T_K 1H:CH2\n298 3.30')).toThrow(/needs a pH column/);
+  });
+
+  it('requires at least one resonance column', () => {
+    expect(() => parseTitrationTable('pH T_K\n7.0 298')).toThrow(/at least one resonance column/);
+  });
+
+  it('rejects a resonance in two columns', () => {
+    expect(() => parseTitrationTable('pH 1H:CH2 1H:CH2\n7.0 3.30 3.31')).toThrow(/1H:CH2 appears in more than one column/);
+  });
+
+  it('requires data rows', () => {
+    expect(() => parseTitrationTable('# empty\n\n')).toThrow(/is empty/);
+    expect(() => parseTitrationTable('pH 1H:CH2\n# no rows')).toThrow(/no data rows/);
+  });
+});